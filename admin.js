@@ -0,0 +1,109 @@
+// ============================================================
+// ADMIN ROUTES - Data maintenance (requires ADMIN_EMAILS membership)
+// ============================================================
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const router = express.Router();
+const bhavcopy = require('../bhavcopy');
+const financialsImport = require('../financials-import');
+const analysisCache = require('../analysis-cache');
+const { authMiddleware, adminMiddleware } = require('./auth');
+
+router.use(authMiddleware, adminMiddleware);
+
+// The JSON { path } forms only read files inside this directory
+const IMPORT_DIR = path.resolve(process.env.IMPORT_DIR || path.join(__dirname, '..', 'data', 'imports'));
+
+/**
+ * Absolute path of an import file named relative to IMPORT_DIR; throws (status 400) for absolute
+ * paths, ".." segments or a symlink leading outside the directory
+ */
+function importFilePath(name) {
+  const invalid = () => Object.assign(new Error('path must be a file name inside the import directory'), { status: 400 });
+  if (typeof name !== 'string' || path.isAbsolute(name) || name.split(/[\\/]/).includes('..')) throw invalid();
+
+  const file = path.resolve(IMPORT_DIR, name);
+  if (!file.startsWith(IMPORT_DIR + path.sep)) throw invalid();
+  if (!fs.existsSync(file)) throw Object.assign(new Error(`${name} not found in the import directory`), { status: 404 });
+  if (!fs.realpathSync(file).startsWith(fs.realpathSync(IMPORT_DIR) + path.sep)) throw invalid();
+  return file;
+}
+
+// ---- IMPORT BHAVCOPY ----
+// Upload the CSV as the request body (Content-Type: text/csv, ?date=YYYY-MM-DD optional)
+// or send JSON { path, date } naming a file in IMPORT_DIR.
+router.post('/bhavcopy', express.text({ type: ['text/csv', 'text/plain'], limit: '50mb' }), (req, res) => {
+  try {
+    let result;
+    if (typeof req.body === 'string') {
+      if (!req.body.trim()) return res.status(400).json({ error: 'Empty CSV body' });
+      result = bhavcopy.importBhavcopy(req.body, { date: req.query.date });
+    } else if (req.body?.path) {
+      result = bhavcopy.importBhavcopyFile(importFilePath(req.body.path), { date: req.body.date });
+    } else {
+      return res.status(400).json({ error: 'Send the CSV as text/csv or JSON { path }' });
+    }
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+// ---- IMPORT INDEX HISTORY ----
+// Upload daily index closes (Date, Close columns) as text/csv with ?symbol=NIFTY50;
+// the benchmark series for beta when Yahoo is not configured or lacks the index.
+router.post('/index-history', express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }), (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Send the CSV as text/csv' });
+    }
+    res.json(bhavcopy.importIndexHistory(req.body, req.query.symbol));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ---- IMPORT ANNUAL FINANCIALS ----
+// Upload an .xlsx (application/vnd.openxmlformats-officedocument.spreadsheetml.sheet or
+// application/octet-stream) or CSV (text/csv) body with ?symbol=&dryRun=1,
+// or send JSON { path, symbol, dryRun } naming a file in IMPORT_DIR.
+const XLSX_TYPES = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/octet-stream'];
+
+router.post('/financials',
+  express.raw({ type: XLSX_TYPES, limit: '20mb' }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }),
+  async (req, res) => {
+    try {
+      let result;
+      if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+        if (req.body.length === 0) return res.status(400).json({ error: 'Empty file body' });
+        result = await financialsImport.importFinancials(req.body, {
+          symbol: req.query.symbol,
+          dryRun: req.query.dryRun === '1' || req.query.dryRun === 'true',
+        });
+      } else if (req.body?.path) {
+        result = await financialsImport.importFinancialsFile(importFilePath(req.body.path), {
+          symbol: req.body.symbol,
+          dryRun: Boolean(req.body.dryRun),
+        });
+      } else {
+        return res.status(400).json({ error: 'Send the file as .xlsx / text/csv or JSON { path }' });
+      }
+      res.status(result.errors.length > 0 && result.imported === 0 ? 400 : 200).json(result);
+    } catch (err) {
+      res.status(err.status || 400).json({ error: err.message });
+    }
+  });
+
+// ---- REBUILD ANALYSIS CACHE ----
+// { force: true } recomputes every row; otherwise only stale rows are refreshed.
+router.post('/analysis/refresh', (req, res) => {
+  try {
+    res.json(analysisCache.refreshAnalysis(null, { force: Boolean(req.body?.force) }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+// ============================================================
+// ALERT ENGINE - Evaluate watchlist alert rules and fire alerts
+// ============================================================
+//
+// Rules fire on transitions, not levels: "implied growth below 12" fires
+// the first evaluation it drops under 12, then not again until it has been
+// back at or above 12. The state at rule creation is the baseline.
+//
+//   below / above  threshold on implied_growth, expectation_gap, cmp, upside
+//   crosses        cmp / metric moved through threshold in either direction
+//   equals         signal became target_signal ('Buy', 'Strong Buy', ...)
+// ============================================================
+
+const { v4: uuid } = require('uuid');
+const { getDB } = require('./db');
+const dcfEngine = require('./dcf-engine');
+const { stockDataColumns } = require('./data-fetcher');
+const { isAnalysable, computeAnalysis, itemAssumptions } = require('./analysis-cache');
+const notifiers = require('./notifiers');
+
+const ALERT_METRICS = {
+  implied_growth: 'Implied growth',
+  expectation_gap: 'Expectation gap',
+  cmp: 'CMP',
+  upside: 'Upside',
+  signal: 'Signal',
+};
+const ALERT_OPERATORS = ['below', 'above', 'crosses', 'equals'];
+const SIGNALS = ['Strong Buy', 'Buy', 'Hold', 'Caution', 'Sell'];
+
+/**
+ * Current metrics for a watchlist item row joined with its stock (stockDataColumns), through
+ * analyzeStock under the item's assumptions — the same maths as the watchlist view
+ */
+function computeItemMetrics(row) {
+  const metrics = { cmp: row.cmp || null, implied_growth: null, expectation_gap: null, upside: null, signal: 'N/A' };
+  if (!isAnalysable(row)) return metrics;
+
+  const r = computeAnalysis(row, itemAssumptions(row));
+  return {
+    ...metrics,
+    implied_growth: r.implied_growth,
+    expectation_gap: r.expectation_gap,
+    upside: r.upside,
+    signal: dcfEngine.getSignal(r.expectation_gap),
+  };
+}
+
+/**
+ * Validate rule input; returns the normalised rule or throws with a message for the client
+ */
+function validateRule(input) {
+  const { metric, operator, threshold, targetSignal, channels = ['inbox'], webhookUrl } = input;
+
+  if (!ALERT_METRICS[metric]) throw new Error(`metric must be one of ${Object.keys(ALERT_METRICS).join(', ')}`);
+  if (!ALERT_OPERATORS.includes(operator)) throw new Error(`operator must be one of ${ALERT_OPERATORS.join(', ')}`);
+
+  if (metric === 'signal') {
+    if (operator !== 'equals') throw new Error("signal rules use operator 'equals'");
+    if (!SIGNALS.includes(targetSignal)) throw new Error(`targetSignal must be one of ${SIGNALS.join(', ')}`);
+  } else {
+    if (operator === 'equals') throw new Error("'equals' is only for signal rules");
+    if (typeof threshold !== 'number' || !isFinite(threshold)) throw new Error('threshold must be a number');
+  }
+
+  if (!Array.isArray(channels) || channels.length === 0) throw new Error('channels must be a non-empty array');
+  const unknown = channels.filter(c => !notifiers.getNotifier(c));
+  if (unknown.length) throw new Error(`Unknown channels: ${unknown.join(', ')}`);
+  if (channels.includes('webhook')) {
+    if (!webhookUrl) throw new Error('webhookUrl (http/https) is required for the webhook channel');
+    const error = notifiers.webhookUrlError(webhookUrl);
+    if (error) throw new Error(error);
+  }
+
+  return {
+    metric,
+    operator,
+    threshold: metric === 'signal' ? null : threshold,
+    targetSignal: metric === 'signal' ? targetSignal : null,
+    channels: [...new Set(channels)],
+    webhookUrl: webhookUrl || null,
+  };
+}
+
+/**
+ * Human-readable rule, e.g. "Implied growth below 12"
+ */
+function describeRule(rule) {
+  if (rule.metric === 'signal') return `Signal changes to ${rule.target_signal}`;
+  return `${ALERT_METRICS[rule.metric]} ${rule.operator} ${rule.threshold}`;
+}
+
+/**
+ * Whether a rule fires given the current and previous metric values
+ */
+function shouldFire(rule, current, previous) {
+  if (rule.metric === 'signal') return current === rule.target_signal && previous !== rule.target_signal;
+  if (current === null || current === undefined) return false;
+
+  const t = rule.threshold;
+  const wasKnown = previous !== null && previous !== undefined;
+  switch (rule.operator) {
+    case 'below': return current < t && !(wasKnown && previous < t);
+    case 'above': return current > t && !(wasKnown && previous > t);
+    case 'crosses': return wasKnown && ((previous < t && current >= t) || (previous > t && current <= t));
+    default: return false;
+  }
+}
+
+function formatValue(metric, value) {
+  if (value === null || value === undefined) return 'n/a';
+  if (metric === 'cmp') return `₹${value.toFixed(2)}`;
+  return `${value.toFixed(2)}%`;
+}
+
+/**
+ * Evaluate every active rule against current stock data, record fired alerts and deliver them.
+ * Returns { evaluated, fired }.
+ */
+async function evaluateAlerts() {
+  const db = getDB();
+  const rules = db.prepare(`
+    SELECT r.*, wi.forecast_years, wi.discount_rate, wi.terminal_growth, wi.exit_pe, wi.expected_pat_cagr,
+           ${stockDataColumns('s')}, u.email, u.name AS user_name
+    FROM alert_rules r
+    JOIN watchlist_items wi ON wi.id = r.watchlist_item_id
+    JOIN stocks s ON s.symbol = wi.symbol
+    JOIN users u ON u.id = r.user_id
+    WHERE r.active = 1
+  `).all();
+
+  const saveState = db.prepare(`
+    UPDATE alert_rules SET last_value = ?, last_signal = ?, last_evaluated_at = datetime('now'),
+      last_fired_at = CASE WHEN ? THEN datetime('now') ELSE last_fired_at END
+    WHERE id = ?
+  `);
+  const insertAlert = db.prepare(`
+    INSERT INTO alerts (id, rule_id, user_id, symbol, message, value, signal)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const saveDelivery = db.prepare('UPDATE alerts SET delivery = ? WHERE id = ?');
+
+  const fired = [];
+  db.transaction(() => {
+    for (const rule of rules) {
+      const metrics = computeItemMetrics(rule);
+      const current = metrics[rule.metric];
+      const previous = rule.metric === 'signal' ? rule.last_signal : rule.last_value;
+      const fire = shouldFire(rule, current, previous);
+
+      saveState.run(rule.metric === 'signal' ? null : current, metrics.signal, fire ? 1 : 0, rule.id);
+      if (!fire) continue;
+
+      const message = rule.metric === 'signal'
+        ? `${rule.symbol} signal changed to ${current}${previous ? ` (was ${previous})` : ''}`
+        : `${rule.symbol}: ${describeRule(rule)} — now ${formatValue(rule.metric, current)}`;
+      const id = uuid();
+      insertAlert.run(id, rule.id, rule.user_id, rule.symbol, message,
+        typeof current === 'number' ? current : null, metrics.signal);
+      fired.push({ id, rule });
+    }
+  })();
+
+  // Deliver outside the transaction — network calls must not hold the DB
+  for (const { id, rule } of fired) {
+    const alert = db.prepare('SELECT * FROM alerts WHERE id = ?').get(id);
+    let channels = ['inbox'];
+    try { channels = JSON.parse(rule.channels || '["inbox"]'); } catch { /* keep inbox */ }
+    const delivery = await notifiers.deliver(alert, channels, {
+      user: { id: rule.user_id, email: rule.email, name: rule.user_name },
+      rule,
+    });
+    saveDelivery.run(JSON.stringify(delivery), id);
+  }
+
+  console.log(`[Alerts] Evaluated ${rules.length} rules, fired ${fired.length}`);
+  return { evaluated: rules.length, fired: fired.length };
+}
+
+module.exports = {
+  ALERT_METRICS,
+  ALERT_OPERATORS,
+  SIGNALS,
+  computeItemMetrics,
+  validateRule,
+  describeRule,
+  shouldFire,
+  evaluateAlerts,
+};
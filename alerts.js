@@ -0,0 +1,162 @@
+// ============================================================
+// ALERT ROUTES - Rules on watchlist items and the in-app inbox
+// ============================================================
+const express = require('express');
+const router = express.Router();
+const { v4: uuid } = require('uuid');
+const { getDB } = require('../db');
+const { stockDataColumns } = require('../data-fetcher');
+const alertEngine = require('../alert-engine');
+const notifiers = require('../notifiers');
+const { authMiddleware } = require('./auth');
+
+// All alert routes require authentication
+router.use(authMiddleware);
+
+// ---- INBOX: FIRED ALERTS ----
+router.get('/', (req, res) => {
+  try {
+    const db = getDB();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const unreadOnly = req.query.unread === '1' || req.query.unread === 'true';
+
+    const alerts = db.prepare(`
+      SELECT * FROM alerts
+      WHERE user_id = ? ${unreadOnly ? 'AND read_at IS NULL' : ''}
+      ORDER BY fired_at DESC
+      LIMIT ?
+    `).all(req.userId, limit);
+    const { unread } = db.prepare('SELECT COUNT(*) as unread FROM alerts WHERE user_id = ? AND read_at IS NULL').get(req.userId);
+
+    res.json({
+      unread,
+      alerts: alerts.map(a => ({ ...a, delivery: a.delivery ? JSON.parse(a.delivery) : null })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- MARK ALL READ ----
+router.post('/read-all', (req, res) => {
+  try {
+    const db = getDB();
+    const result = db.prepare(`UPDATE alerts SET read_at = datetime('now') WHERE user_id = ? AND read_at IS NULL`).run(req.userId);
+    res.json({ message: 'Marked read', count: result.changes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- LIST RULES ----
+router.get('/rules', (req, res) => {
+  try {
+    const db = getDB();
+    const rules = db.prepare(`
+      SELECT r.*, wi.symbol, wi.watchlist_id
+      FROM alert_rules r JOIN watchlist_items wi ON wi.id = r.watchlist_item_id
+      WHERE r.user_id = ?
+      ORDER BY r.created_at
+    `).all(req.userId);
+
+    res.json({
+      notifiers: notifiers.listNotifiers(),
+      rules: rules.map(r => ({ ...r, channels: JSON.parse(r.channels || '[]'), description: alertEngine.describeRule(r) })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- CREATE RULE ON A WATCHLIST ITEM ----
+router.post('/rules', async (req, res) => {
+  try {
+    const db = getDB();
+
+    // Verify the item is in one of the user's watchlists
+    const item = db.prepare(`
+      SELECT wi.*, ${stockDataColumns('s')}
+      FROM watchlist_items wi
+      JOIN watchlists w ON w.id = wi.watchlist_id
+      JOIN stocks s ON s.symbol = wi.symbol
+      WHERE wi.id = ? AND w.user_id = ?
+    `).get(req.body.watchlistItemId, req.userId);
+    if (!item) return res.status(404).json({ error: 'Watchlist item not found' });
+
+    let rule;
+    try {
+      rule = alertEngine.validateRule(req.body);
+      if (rule.channels.includes('webhook')) await notifiers.checkWebhookUrl(rule.webhookUrl);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    // Baseline state so the rule only fires on a change from now on
+    const metrics = alertEngine.computeItemMetrics(item);
+    const id = uuid();
+    db.prepare(`
+      INSERT INTO alert_rules (id, user_id, watchlist_item_id, metric, operator, threshold, target_signal,
+        channels, webhook_url, last_value, last_signal, last_evaluated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    `).run(id, req.userId, item.id, rule.metric, rule.operator, rule.threshold, rule.targetSignal,
+           JSON.stringify(rule.channels), rule.webhookUrl,
+           rule.metric === 'signal' ? null : metrics[rule.metric], metrics.signal);
+
+    res.json({
+      id,
+      symbol: item.symbol,
+      description: alertEngine.describeRule({ ...rule, target_signal: rule.targetSignal }),
+      message: 'Alert created',
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- PAUSE / RESUME RULE ----
+router.put('/rules/:ruleId', (req, res) => {
+  try {
+    const db = getDB();
+    const { active } = req.body;
+    if (typeof active !== 'boolean') return res.status(400).json({ error: 'active must be true or false' });
+
+    const result = db.prepare('UPDATE alert_rules SET active = ? WHERE id = ? AND user_id = ?')
+      .run(active ? 1 : 0, req.params.ruleId, req.userId);
+    if (result.changes === 0) return res.status(404).json({ error: 'Rule not found' });
+    res.json({ message: 'Updated', active });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- DELETE RULE (and its fired alerts) ----
+router.delete('/rules/:ruleId', (req, res) => {
+  try {
+    const db = getDB();
+    const rule = db.prepare('SELECT id FROM alert_rules WHERE id = ? AND user_id = ?').get(req.params.ruleId, req.userId);
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM alerts WHERE rule_id = ?').run(rule.id);
+      db.prepare('DELETE FROM alert_rules WHERE id = ?').run(rule.id);
+    })();
+    res.json({ message: 'Deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- MARK ONE READ ----
+router.post('/:alertId/read', (req, res) => {
+  try {
+    const db = getDB();
+    const result = db.prepare(`UPDATE alerts SET read_at = COALESCE(read_at, datetime('now')) WHERE id = ? AND user_id = ?`)
+      .run(req.params.alertId, req.userId);
+    if (result.changes === 0) return res.status(404).json({ error: 'Alert not found' });
+    res.json({ message: 'Marked read' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
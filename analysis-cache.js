@@ -0,0 +1,186 @@
+// ============================================================
+// ANALYSIS CACHE - Default-assumption reverse DCF per stock
+// ============================================================
+//
+// stock_analysis holds one row per stock that analyzeStock can value, computed
+// under getDefaultAssumptions() from the same stock data as /api/stocks/:symbol/analysis
+// (buildStockData) — so lenders get the residual income model and loss-makers with
+// revenue the revenue model, and valuation_mode says which. A row is stale when the
+// stock's PAT or market cap moved, or when its inputs key changed: the defaults
+// (sector, beta, median PEs, reinvestment record or the default tables themselves),
+// revenue or book value — so editing the defaults and restarting is enough to
+// invalidate the affected rows.
+// ============================================================
+
+const { getDB } = require('./db');
+const dcfEngine = require('./dcf-engine');
+
+// data-fetcher requires this module at load time, so it is required on first use
+const buildStockData = (stock) => require('./data-fetcher').buildStockData(stock);
+const stockDataColumns = (alias) => require('./data-fetcher').stockDataColumns(alias);
+
+const EMPTY_ANALYSIS = {
+  implied_growth: null, expectation_gap: null, upside: null, implied_value: null, signal: null, implied_return: null,
+  discount_rate: null, forecast_years: null, exit_pe: null, expected_pat_cagr: null,
+  valuation_mode: null, growth_basis: null, expected_growth: null,
+};
+
+/**
+ * Whether analyzeStock can value a stocks row under its default model:
+ * a market cap, and positive PAT unless the revenue or residual income model applies
+ */
+function isAnalysable(stock) {
+  if (!(stock.market_cap_cr > 0)) return false;
+  const mode = dcfEngine.getValuationMode(
+    stock.pat_fy_cr, stock.revenue_fy_cr, stock.sector, stock.book_value_cr, stock.industry
+  );
+  return mode !== 'pat' || stock.pat_fy_cr > 0;
+}
+
+/**
+ * Reverse DCF outputs for a stocks row (all null when it can't be valued).
+ * stockData is buildStockData(stock) when the caller already has it.
+ */
+function computeAnalysis(stock, assumptions = {}, stockData = null) {
+  if (!isAnalysable(stock)) return { ...EMPTY_ANALYSIS };
+
+  const analysis = dcfEngine.analyzeStock(stockData || buildStockData(stock), assumptions);
+  const r = analysis.results;
+  const a = analysis.assumptions;
+  const solved = r.impliedGrowthRate !== null;
+
+  return {
+    implied_growth: r.impliedGrowthRate,
+    expectation_gap: solved ? r.expectationGap : null,
+    upside: r.upside,
+    implied_value: r.impliedEquityValue,
+    signal: solved ? r.signal : null,
+    implied_return: r.impliedReturn ?? null,
+    discount_rate: a.discountRate,
+    forecast_years: a.forecastYears,
+    exit_pe: a.exitPE ?? null,
+    expected_pat_cagr: a.expectedPatCagr ?? null,
+    valuation_mode: analysis.valuationMode,
+    growth_basis: r.growthBasis || 'pat',
+    expected_growth: a.expectedPatCagr ?? a.expectedRevenueCagr ?? a.expectedRoe ?? null,
+  };
+}
+
+/**
+ * analyzeStock assumptions from a watchlist item row (forecast_years, discount_rate, ...).
+ * expected_pat_cagr holds the expectation of the item's model: PAT CAGR, revenue CAGR
+ * or ROE. NULL columns fall back to the defaults.
+ */
+function itemAssumptions(item) {
+  return {
+    forecastYears: item.forecast_years,
+    discountRate: item.discount_rate,
+    terminalGrowth: item.terminal_growth,
+    exitPE: item.exit_pe,
+    expectedPatCagr: item.expected_pat_cagr,
+    expectedRevenueCagr: item.expected_pat_cagr,
+    expectedRoe: item.expected_pat_cagr,
+  };
+}
+
+function defaultsKey(stockData) {
+  return JSON.stringify({
+    defaults: dcfEngine.getDefaultAssumptions(stockData.marketCapCr, stockData.sector, {
+      medianPE: stockData.medianPE,
+      reinvestment: stockData.reinvestment,
+      beta: stockData.beta,
+    }),
+    reinvestment: stockData.reinvestment,
+    industry: stockData.industry,
+    revenue: stockData.currentRevenue,
+    bookValue: stockData.bookValue,
+  });
+}
+
+/**
+ * Bring stock_analysis up to date for the given symbols (every stock when omitted).
+ * Only stale rows are recomputed unless force is set. Returns { checked, refreshed, removed }.
+ */
+function refreshAnalysis(symbols = null, { force = false } = {}) {
+  const db = getDB();
+  const list = symbols || db.prepare('SELECT symbol FROM stocks').all().map(s => s.symbol);
+
+  const getStock = db.prepare('SELECT * FROM stocks WHERE symbol = ?');
+  const getCached = db.prepare('SELECT pat_fy_cr, market_cap_cr, defaults_key FROM stock_analysis WHERE symbol = ?');
+  const remove = db.prepare('DELETE FROM stock_analysis WHERE symbol = ?');
+  const save = db.prepare(`
+    INSERT OR REPLACE INTO stock_analysis (symbol, implied_growth, expectation_gap, upside, implied_value, signal,
+      discount_rate, forecast_years, exit_pe, expected_pat_cagr, valuation_mode, growth_basis, expected_growth,
+      pat_fy_cr, market_cap_cr, defaults_key, computed_at)
+    VALUES (@symbol, @implied_growth, @expectation_gap, @upside, @implied_value, @signal,
+      @discount_rate, @forecast_years, @exit_pe, @expected_pat_cagr, @valuation_mode, @growth_basis, @expected_growth,
+      @pat_fy_cr, @market_cap_cr, @defaults_key, datetime('now'))
+  `);
+
+  const result = { checked: 0, refreshed: 0, removed: 0 };
+  db.transaction(() => {
+    for (const symbol of list) {
+      const stock = getStock.get(symbol);
+      result.checked++;
+      if (!stock || !isAnalysable(stock)) {
+        result.removed += remove.run(symbol).changes;
+        continue;
+      }
+
+      const stockData = buildStockData(stock);
+      const key = defaultsKey(stockData);
+      const cached = getCached.get(symbol);
+      if (!force && cached && cached.pat_fy_cr === stock.pat_fy_cr
+        && cached.market_cap_cr === stock.market_cap_cr && cached.defaults_key === key) continue;
+
+      save.run({
+        symbol,
+        ...computeAnalysis(stock, {}, stockData),
+        pat_fy_cr: stock.pat_fy_cr,
+        market_cap_cr: stock.market_cap_cr,
+        defaults_key: key,
+      });
+      result.refreshed++;
+    }
+  })();
+
+  if (!symbols) {
+    console.log(`[Analysis] Checked ${result.checked} stocks, refreshed ${result.refreshed}, removed ${result.removed}`);
+  }
+  return result;
+}
+
+/**
+ * Recompute cached results for all watchlist items on the given symbols,
+ * e.g. after their financials were re-imported. Returns the number of items updated.
+ */
+function refreshItemsForSymbols(symbols) {
+  if (!symbols || symbols.length === 0) return 0;
+  const db = getDB();
+  const items = db.prepare(`
+    SELECT wi.*, ${stockDataColumns('s')}
+    FROM watchlist_items wi JOIN stocks s ON s.symbol = wi.symbol
+    WHERE wi.symbol IN (${symbols.map(() => '?').join(',')})
+  `).all(...symbols);
+
+  const update = db.prepare(`
+    UPDATE watchlist_items SET implied_growth_rate = ?, implied_equity_value = ?, expectation_gap = ?, signal = ?,
+      updated_at = datetime('now')
+    WHERE id = ?
+  `);
+
+  for (const item of items) {
+    const r = computeAnalysis(item, itemAssumptions(item));
+    update.run(r.implied_growth, r.implied_value, r.expectation_gap, dcfEngine.getSignal(r.expectation_gap), item.id);
+  }
+
+  return items.length;
+}
+
+module.exports = {
+  isAnalysable,
+  computeAnalysis,
+  itemAssumptions,
+  refreshAnalysis,
+  refreshItemsForSymbols,
+};
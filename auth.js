@@ -24,6 +24,16 @@ function authMiddleware(req, res, next) {
   }
 }
 
+// Middleware to restrict a route to admins (emails listed in ADMIN_EMAILS); use after authMiddleware
+function adminMiddleware(req, res, next) {
+  const admins = (process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+  const user = getDB().prepare('SELECT email FROM users WHERE id = ?').get(req.userId);
+  if (!user || !admins.includes(user.email.toLowerCase())) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
 // ---- REGISTER ----
 router.post('/register', async (req, res) => {
   try {
@@ -85,3 +95,4 @@ router.get('/me', authMiddleware, (req, res) => {
 
 module.exports = router;
 module.exports.authMiddleware = authMiddleware;
+module.exports.adminMiddleware = adminMiddleware;
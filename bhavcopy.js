@@ -0,0 +1,293 @@
+// ============================================================
+// BHAVCOPY IMPORTER - End-of-day prices from NSE/BSE CSV files
+// ============================================================
+//
+// Supported layouts (detected from the header row):
+// - NSE CM bhavcopy     SYMBOL, SERIES, CLOSE, TIMESTAMP, ISIN
+// - BSE equity bhavcopy SC_CODE, SC_NAME, CLOSE, ISIN_CODE (no date column)
+// - UDiFF (NSE & BSE)   TckrSymb, FinInstrmId, ISIN, ClsPric, TradDt, Src
+//
+// Rows are matched to stocks by ISIN first, then NSE symbol / BSE code.
+// All updates for one file run in a single transaction. A file older than a
+// stock's latest price_history date only fills in that day's history; the
+// stock's cmp and market cap keep the newer price.
+//
+// Index closes (NSE / BSE index history downloads: Date, ..., Close) go into
+// index_history through importIndexHistory, for beta.
+//
+// CLI: node bhavcopy.js <file.csv> [--date YYYY-MM-DD]
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const { getDB } = require('./db');
+const { recordPriceHistory, recordFieldSources, saveIndexHistory } = require('./data-fetcher');
+const { refreshAnalysis } = require('./analysis-cache');
+
+// NSE equity series that carry a tradable share price
+const NSE_EQUITY_SERIES = ['EQ', 'BE', 'BZ', 'SM', 'ST'];
+
+const MONTHS = { JAN: '01', FEB: '02', MAR: '03', APR: '04', MAY: '05', JUN: '06',
+  JUL: '07', AUG: '08', SEP: '09', OCT: '10', NOV: '11', DEC: '12' };
+
+/**
+ * Parse CSV text into arrays of trimmed cells (handles quoted fields).
+ * Blank lines are dropped unless keepEmpty is set, which keeps rows aligned with file lines.
+ */
+function parseCSV(text, { keepEmpty = false } = {}) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell.trim()); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim()); cell = '';
+      if (keepEmpty || row.some(c => c !== '')) rows.push(row);
+      row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some(c => c !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * Normalise bhavcopy dates (19-OCT-2026, 19 OCT 2026, 2026-10-19, 19/10/2026, 20261019) to YYYY-MM-DD
+ */
+function normalizeDate(value) {
+  if (!value) return null;
+  const v = String(value).trim().toUpperCase();
+  let m;
+  if ((m = v.match(/^(\d{4})-(\d{2})-(\d{2})$/))) return v;
+  if ((m = v.match(/^(\d{1,2})[- ]([A-Z]{3})[- ](\d{4})$/)) && MONTHS[m[2]]) return `${m[3]}-${MONTHS[m[2]]}-${m[1].padStart(2, '0')}`;
+  if ((m = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  if ((m = v.match(/^(\d{4})(\d{2})(\d{2})$/))) return `${m[1]}-${m[2]}-${m[3]}`;
+  return null;
+}
+
+/**
+ * Trading date from a standard bhavcopy file name, if it has one
+ * (cm19OCT2026bhav.csv, EQ191026.CSV, BhavCopy_NSE_CM_0_0_0_20261019_F_0000.csv)
+ */
+function dateFromFilename(file) {
+  const name = path.basename(file).toUpperCase();
+  let m;
+  if ((m = name.match(/CM(\d{2})([A-Z]{3})(\d{4})BHAV/)) && MONTHS[m[2]]) return `${m[3]}-${MONTHS[m[2]]}-${m[1]}`;
+  if ((m = name.match(/_(\d{8})_F_/))) return normalizeDate(m[1]);
+  if ((m = name.match(/^EQ(\d{2})(\d{2})(\d{2})/))) return `20${m[3]}-${m[2]}-${m[1]}`;
+  return null;
+}
+
+/**
+ * Parse bhavcopy CSV text into { exchange, date, rows: [{ symbol, code, isin, close }] }.
+ * Throws if the layout is not recognised.
+ */
+function parseBhavcopy(text) {
+  const [header, ...lines] = parseCSV(text);
+  if (!header) throw new Error('Bhavcopy file is empty');
+
+  const cols = header.map(h => h.toUpperCase());
+  const col = (name) => cols.indexOf(name);
+  const get = (line, name) => (col(name) >= 0 ? line[col(name)] : undefined);
+
+  let exchange;
+  let rows;
+  if (col('TCKRSYMB') >= 0 && col('CLSPRIC') >= 0) {
+    exchange = (get(lines[0] || [], 'SRC') || 'NSE').toUpperCase();
+    rows = lines
+      .filter(l => !get(l, 'SCTYSRS') || exchange !== 'NSE' || NSE_EQUITY_SERIES.includes(get(l, 'SCTYSRS')))
+      .map(l => ({
+        symbol: get(l, 'TCKRSYMB'),
+        code: get(l, 'FININSTRMID'),
+        isin: get(l, 'ISIN'),
+        close: parseFloat(get(l, 'CLSPRIC')),
+        date: normalizeDate(get(l, 'TRADDT')),
+      }));
+  } else if (col('SYMBOL') >= 0 && col('SERIES') >= 0 && col('CLOSE') >= 0) {
+    exchange = 'NSE';
+    rows = lines
+      .filter(l => NSE_EQUITY_SERIES.includes(get(l, 'SERIES')))
+      .map(l => ({
+        symbol: get(l, 'SYMBOL'),
+        isin: get(l, 'ISIN'),
+        close: parseFloat(get(l, 'CLOSE')),
+        date: normalizeDate(get(l, 'TIMESTAMP')),
+      }));
+  } else if (col('SC_CODE') >= 0 && col('CLOSE') >= 0) {
+    exchange = 'BSE';
+    rows = lines.map(l => ({
+      code: get(l, 'SC_CODE'),
+      isin: get(l, 'ISIN_CODE') || get(l, 'ISIN'),
+      close: parseFloat(get(l, 'CLOSE')),
+      date: normalizeDate(get(l, 'TRADING_DATE')),
+    }));
+  } else {
+    throw new Error('Unrecognised bhavcopy format: expected NSE, BSE or UDiFF columns');
+  }
+
+  rows = rows.filter(r => r.close > 0 && (r.symbol || r.code || r.isin));
+  return { exchange, date: rows.find(r => r.date)?.date || null, rows };
+}
+
+/**
+ * Import a bhavcopy into stocks and price_history in one transaction.
+ *
+ * @param {string} text - CSV contents
+ * @param {object} [options] - { date } trading date when the file has none
+ * @returns {{ exchange, date, total, matched, historyOnly, unmatched: string[] }}
+ *   historyOnly counts matched stocks that already had a later price
+ */
+function importBhavcopy(text, options = {}) {
+  const parsed = parseBhavcopy(text);
+  const date = normalizeDate(options.date) || parsed.date;
+  if (!date) throw new Error('Trading date not found in file — pass a date (YYYY-MM-DD)');
+
+  const db = getDB();
+  const stocks = db.prepare('SELECT symbol, isin, nse_symbol, bse_code, cmp, market_cap_cr, shares_outstanding_cr FROM stocks').all();
+  const byIsin = new Map();
+  const byNse = new Map();
+  const byBse = new Map();
+  for (const s of stocks) {
+    if (s.isin) byIsin.set(s.isin.toUpperCase(), s);
+    if (s.bse_code) byBse.set(String(s.bse_code), s);
+    byNse.set((s.nse_symbol || s.symbol).toUpperCase(), s);
+  }
+
+  const source = `${parsed.exchange.toLowerCase()}_bhavcopy`;
+  const updatePrice = db.prepare(`
+    UPDATE stocks SET cmp = ?, market_cap_cr = ?, last_price_update = datetime('now'), updated_at = datetime('now')
+    WHERE symbol = ?
+  `);
+  const fillIds = db.prepare(`
+    UPDATE stocks SET isin = COALESCE(isin, ?), bse_code = COALESCE(bse_code, ?) WHERE symbol = ?
+  `);
+  const latestDate = db.prepare('SELECT MAX(date) AS date FROM price_history WHERE symbol = ?');
+
+  const result = { exchange: parsed.exchange, date, total: parsed.rows.length, matched: 0, historyOnly: 0, unmatched: [] };
+  const seen = new Set();
+  const updated = [];
+
+  db.transaction(() => {
+    for (const row of parsed.rows) {
+      const stock = (row.isin && byIsin.get(row.isin.toUpperCase()))
+        || (parsed.exchange === 'NSE' && row.symbol && byNse.get(row.symbol.toUpperCase()))
+        || (parsed.exchange === 'BSE' && row.code && byBse.get(String(row.code)));
+      if (!stock) {
+        result.unmatched.push(row.symbol || row.code || row.isin);
+        continue;
+      }
+      if (seen.has(stock.symbol)) continue; // same stock in several series — first (EQ) wins
+      seen.add(stock.symbol);
+      result.matched++;
+
+      // Market cap from shares, else scale the last market cap by the price move
+      let mcap = stock.market_cap_cr;
+      if (stock.shares_outstanding_cr > 0) mcap = row.close * stock.shares_outstanding_cr;
+      else if (stock.cmp > 0 && stock.market_cap_cr > 0) mcap = stock.market_cap_cr * (row.close / stock.cmp);
+
+      fillIds.run(row.isin || null, parsed.exchange === 'BSE' ? row.code || null : null, stock.symbol);
+
+      const latest = latestDate.get(stock.symbol).date;
+      if (latest && date < latest) {
+        recordPriceHistory(stock.symbol, date, { cmp: row.close, marketCapCr: mcap });
+        result.historyOnly++;
+        continue;
+      }
+
+      updatePrice.run(row.close, mcap, stock.symbol);
+      recordFieldSources(stock.symbol, {
+        cmp: source,
+        market_cap_cr: mcap !== stock.market_cap_cr ? 'derived' : undefined,
+      });
+      recordPriceHistory(stock.symbol, date);
+      updated.push(stock.symbol);
+    }
+    refreshAnalysis(updated);
+  })();
+
+  console.log(`[Bhavcopy] ${result.exchange} ${date}: matched ${result.matched}/${result.total} rows, `
+    + `${result.historyOnly} history only (${result.unmatched.length} unmatched)`);
+  return result;
+}
+
+/**
+ * Import daily index closes (a CSV with Date and Close columns, e.g. the NSE
+ * historical index data download) into index_history under `symbol`.
+ *
+ * @returns {{ symbol, total, saved, from, to }}
+ */
+function importIndexHistory(text, symbol) {
+  if (!symbol) throw new Error('Index symbol required (e.g. NIFTY50)');
+  const [header, ...lines] = parseCSV(text);
+  if (!header) throw new Error('Index file is empty');
+
+  const cols = header.map(h => h.toUpperCase());
+  const dateCol = cols.indexOf('DATE');
+  const closeCol = cols.indexOf('CLOSE');
+  if (dateCol < 0 || closeCol < 0) throw new Error('Index file needs Date and Close columns');
+
+  const rows = lines
+    .map(l => ({ date: normalizeDate(l[dateCol]), close: parseFloat(String(l[closeCol]).replace(/,/g, '')) }))
+    .filter(r => r.date && r.close > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const index = String(symbol).toUpperCase();
+  const saved = saveIndexHistory(index, rows);
+
+  console.log(`[Index] ${index}: saved ${saved}/${lines.length} closes`);
+  return { symbol: index, total: lines.length, saved, from: rows[0]?.date || null, to: rows[rows.length - 1]?.date || null };
+}
+
+/**
+ * Import a bhavcopy file from disk; the date falls back to the file name
+ */
+function importBhavcopyFile(file, options = {}) {
+  const text = fs.readFileSync(file, 'utf8');
+  return importBhavcopy(text, { date: options.date || dateFromFilename(file) || undefined });
+}
+
+// ---- CLI ----
+if (require.main === module) {
+  require('dotenv').config();
+  const { initDB } = require('./db');
+
+  const args = process.argv.slice(2);
+  const dateIdx = args.indexOf('--date');
+  const date = dateIdx >= 0 ? args.splice(dateIdx, 2)[1] : undefined;
+  const [file] = args;
+
+  if (!file) {
+    console.error('Usage: node bhavcopy.js <file.csv> [--date YYYY-MM-DD]');
+    process.exit(1);
+  }
+
+  try {
+    initDB();
+    const result = importBhavcopyFile(file, { date });
+    console.log(JSON.stringify({ ...result, unmatched: result.unmatched.length }, null, 2));
+  } catch (err) {
+    console.error(`[Bhavcopy] Import failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  parseCSV,
+  parseBhavcopy,
+  importBhavcopy,
+  importBhavcopyFile,
+  importIndexHistory,
+  dateFromFilename,
+};
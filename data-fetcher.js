@@ -2,192 +2,96 @@
 // DATA FETCHER - Multi-source data fetching for Indian stocks
 // ============================================================
 // 
-// DATA SOURCE PRIORITY:
-// 1. Yahoo Finance (free, no API key) — prices, basic financials
-// 2. FMP API (paid, $29/mo) — comprehensive financials, CAGR
-// 3. NSE India direct API — live prices (can be rate-limited)
+// Sources are pluggable providers (see data-providers.js). Each stock field is
+// resolved from the first provider in its priority list that has a value, and
+// the provider used is recorded per column in stocks.field_sources.
+//
+// DEFAULT PRIORITY:
+// - Prices: Yahoo → NSE → Alpha Vantage → FMP
+// - Everything else: FMP ($29/mo, comprehensive financials) → Yahoo → Alpha Vantage
 //
 // For PRODUCTION with all features, you need FMP API ($29/month)
 // For DEVELOPMENT/MVP, Yahoo Finance alone works for 80% of features
+// For OFFLINE runs, set DATA_PROVIDERS=local and drop JSON fixtures in LOCAL_DATA_DIR
 // ============================================================
 
 const { getDB } = require('./db');
 const dcfEngine = require('./dcf-engine');
-
-const FMP_API_KEY = process.env.FMP_API_KEY;
-const ALPHA_VANTAGE_KEY = process.env.ALPHA_VANTAGE_API_KEY;
-const USE_YAHOO = process.env.USE_YAHOO === 'true';
+const providers = require('./data-providers');
+const { refreshAnalysis, computeAnalysis } = require('./analysis-cache');
 
 // ---- NIFTY 500 STOCK LIST (Master list of Indian stocks) ----
 // In production, this would be fetched from NSE. Here's a curated list.
 const INDIAN_STOCKS_MASTER = require('./stock-master.json');
 
-async function fetchWithTimeout(url, options = {}, timeout = 15000) {
-  const fetch = (await import('node-fetch')).default;
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeout);
-  
-  try {
-    const response = await fetch(url, { ...options, signal: controller.signal });
-    clearTimeout(timer);
-    return response;
-  } catch (err) {
-    clearTimeout(timer);
-    throw err;
-  }
-}
-
 // ============================================================
-// YAHOO FINANCE DATA FETCHER (Free)
+// CAGR CALCULATIONS
 // ============================================================
 
-async function fetchYahooQuote(symbol) {
-  try {
-    const nseSymbol = `${symbol}.NS`;
-    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${nseSymbol}?interval=1d&range=1d`;
-    
-    const resp = await fetchWithTimeout(url, {
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ValuLens/1.0)' }
-    });
-    
-    if (!resp.ok) return null;
-    const data = await resp.json();
-    const meta = data?.chart?.result?.[0]?.meta;
-    
-    if (!meta) return null;
-    
-    return {
-      cmp: meta.regularMarketPrice || 0,
-      previousClose: meta.previousClose || 0,
-      volume: meta.regularMarketVolume || 0,
-    };
-  } catch (err) {
-    console.warn(`[Yahoo] Failed to fetch ${symbol}:`, err.message);
-    return null;
-  }
-}
-
-async function fetchYahooSummary(symbol) {
-  try {
-    const nseSymbol = `${symbol}.NS`;
-    const modules = 'price,summaryDetail,defaultKeyStatistics,financialData,summaryProfile';
-    const url = `https://query1.finance.yahoo.com/v10/finance/quoteSummary/${nseSymbol}?modules=${modules}`;
-    
-    const resp = await fetchWithTimeout(url, {
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ValueLens/1.0)' }
-    });
-    
-    if (!resp.ok) {
-      // Try BSE
-      const bseUrl = url.replace('.NS', '.BO');
-      const bseResp = await fetchWithTimeout(bseUrl, {
-        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ValueLens/1.0)' }
-      });
-      if (!bseResp.ok) return null;
-      const bseData = await bseResp.json();
-      return parseYahooSummary(bseData, symbol);
-    }
-    
-    const data = await resp.json();
-    return parseYahooSummary(data, symbol);
-  } catch (err) {
-    console.warn(`[Yahoo] Failed summary for ${symbol}:`, err.message);
-    return null;
-  }
+/**
+ * Calculate CAGR between an older and a latest annual value
+ */
+function calculateCAGR(start, end, years) {
+  if (start == null || end == null || years <= 0) return null;
+  if (start <= 0 || end <= 0) return null;
+  return (Math.pow(end / start, 1 / years) - 1) * 100;
 }
 
-function parseYahooSummary(data, symbol) {
-  const result = data?.quoteSummary?.result?.[0];
-  if (!result) return null;
-
-  const price = result.price || {};
-  const stats = result.defaultKeyStatistics || {};
-  const financial = result.financialData || {};
-  const profile = result.summaryProfile || {};
-  const detail = result.summaryDetail || {};
-
-  const marketCap = (price.marketCap?.raw || 0) / 10000000; // to Cr
-  const revenue = (financial.totalRevenue?.raw || 0) / 10000000;
-  const profitMargin = financial.profitMargins?.raw || 0;
-  const pat = revenue * profitMargin;
+/**
+ * Compute CAGR data from stored annual financials (financials_annual rows).
+ * Years are matched by fiscal year, so a missing year yields null rather than a wrong span.
+ * The 10Y figure falls back to the longest span available, as before.
+ */
+function computeCAGRs(rows) {
+  if (!rows || rows.length === 0) return {};
+
+  const byYear = new Map(rows.map(r => [r.fiscal_year, r]));
+  const latest = Math.max(...byYear.keys());
+  const oldest = Math.min(...byYear.keys());
+  const cagr = (field, years) => {
+    const end = byYear.get(latest);
+    const start = byYear.get(latest - years);
+    return start && end ? calculateCAGR(start[field], end[field], years) : null;
+  };
+  const longest = Math.min(10, latest - oldest);
 
   return {
-    symbol,
-    name: price.longName || price.shortName || symbol,
-    sector: profile.sector || '',
-    industry: profile.industry || '',
-    cmp: price.regularMarketPrice?.raw || 0,
-    marketCapCr: marketCap,
-    sharesOutstandingCr: (stats.sharesOutstanding?.raw || 0) / 10000000,
-    revenueFyCr: revenue,
-    patFyCr: pat > 0 ? pat : 0,
-    eps: detail.trailingEps?.raw || 0,
-    currentPE: detail.trailingPE?.raw || 0,
-    forwardPE: detail.forwardPE?.raw || 0,
+    revCagr3y: cagr('revenue_cr', 3),
+    revCagr5y: cagr('revenue_cr', 5),
+    revCagr10y: longest > 0 ? cagr('revenue_cr', longest) : null,
+    patCagr3y: cagr('pat_cr', 3),
+    patCagr5y: cagr('pat_cr', 5),
+    patCagr10y: longest > 0 ? cagr('pat_cr', longest) : null,
   };
 }
 
-// ============================================================
-// FMP API DATA FETCHER ($29/month - RECOMMENDED for production)
-// ============================================================
-
-async function fetchFMPProfile(symbol) {
-  if (!FMP_API_KEY || FMP_API_KEY === 'your_fmp_api_key_here') return null;
-  
-  try {
-    const url = `https://financialmodelingprep.com/api/v3/profile/${symbol}.NS?apikey=${FMP_API_KEY}`;
-    const resp = await fetchWithTimeout(url);
-    if (!resp.ok) return null;
-    const data = await resp.json();
-    return data?.[0] || null;
-  } catch (err) {
-    console.warn(`[FMP] Failed profile for ${symbol}:`, err.message);
-    return null;
-  }
-}
-
-async function fetchFMPFinancials(symbol) {
-  if (!FMP_API_KEY || FMP_API_KEY === 'your_fmp_api_key_here') return null;
-  
-  try {
-    const url = `https://financialmodelingprep.com/api/v3/income-statement/${symbol}.NS?period=annual&limit=10&apikey=${FMP_API_KEY}`;
-    const resp = await fetchWithTimeout(url);
-    if (!resp.ok) return null;
-    const data = await resp.json();
-    return data || [];
-  } catch (err) {
-    console.warn(`[FMP] Failed financials for ${symbol}:`, err.message);
-    return null;
-  }
-}
-
 /**
- * Calculate CAGR from array of annual values
+ * FCFE reinvestment record from stored annual financials (financials_annual rows),
+ * over the latest `years` fiscal years, all in %:
+ * - capexPct: Σ capex / Σ PAT
+ * - workingCapitalPct: Σ (PAT − operating cash flow) / Σ PAT — profit that didn't turn into cash
+ * - reinvestmentRoe: mean of PAT / previous year's net worth
+ * A field is null when those years don't cover it (or their total PAT isn't positive).
  */
-function calculateCAGR(values, years) {
-  if (!values || values.length < years + 1) return null;
-  const start = values[years]; // older value
-  const end = values[0];       // latest value
-  if (start <= 0 || end <= 0) return null;
-  return (Math.pow(end / start, 1 / years) - 1) * 100;
-}
+function computeReinvestment(rows, years = dcfEngine.config.CASH_FLOW_DEFAULTS.historyYears) {
+  const recent = [...(rows || [])].sort((a, b) => b.fiscal_year - a.fiscal_year).slice(0, years);
+  const byYear = new Map((rows || []).map(r => [r.fiscal_year, r]));
+  const round = v => Math.round(v * 10) / 10;
+  const shareOfPAT = (withField, amount) => {
+    const covered = recent.filter(r => r.pat_cr != null && r[withField] != null);
+    const pat = covered.reduce((sum, r) => sum + r.pat_cr, 0);
+    return covered.length > 0 && pat > 0 ? round(covered.reduce((sum, r) => sum + amount(r), 0) / pat * 100) : null;
+  };
 
-/**
- * Compute CAGR data from FMP financial statements
- */
-function computeCAGRs(financials) {
-  if (!financials || financials.length === 0) return {};
-  
-  const revenues = financials.map(f => f.revenue / 10000000); // to Cr
-  const pats = financials.map(f => f.netIncome / 10000000);
+  const roes = recent
+    .map(r => ({ pat: r.pat_cr, book: byYear.get(r.fiscal_year - 1)?.net_worth_cr }))
+    .filter(({ pat, book }) => pat != null && book > 0)
+    .map(({ pat, book }) => pat / book * 100);
 
   return {
-    revCagr3y: calculateCAGR(revenues, 3),
-    revCagr5y: calculateCAGR(revenues, 5),
-    revCagr10y: calculateCAGR(revenues, Math.min(10, revenues.length - 1)),
-    patCagr3y: calculateCAGR(pats, 3),
-    patCagr5y: calculateCAGR(pats, 5),
-    patCagr10y: calculateCAGR(pats, Math.min(10, pats.length - 1)),
+    capexPct: shareOfPAT('capex_cr', r => r.capex_cr),
+    workingCapitalPct: shareOfPAT('operating_cash_flow_cr', r => r.pat_cr - r.operating_cash_flow_cr),
+    reinvestmentRoe: roes.length > 0 ? round(roes.reduce((a, b) => a + b, 0) / roes.length) : null,
   };
 }
 
@@ -195,44 +99,84 @@ function computeCAGRs(financials) {
 // COMBINED DATA FETCHER
 // ============================================================
 
+// Stock fields → stocks table columns
+const FIELD_COLUMNS = {
+  name: 'name',
+  sector: 'sector',
+  industry: 'industry',
+  cmp: 'cmp',
+  marketCapCr: 'market_cap_cr',
+  sharesOutstandingCr: 'shares_outstanding_cr',
+  revenueFyCr: 'revenue_fy_cr',
+  patFyCr: 'pat_fy_cr',
+  eps: 'eps',
+  currentPE: 'current_pe',
+  bookValueCr: 'book_value_cr',
+};
+
 /**
- * Fetch complete stock data from best available source
+ * Fetch complete stock data, resolving each field from the configured providers.
+ * fieldSources maps stocks columns to the provider each value came from.
  */
 async function fetchStockData(symbol) {
   console.log(`[Data] Fetching data for ${symbol}...`);
-  
-  // Try FMP first (most comprehensive)
-  if (FMP_API_KEY && FMP_API_KEY !== 'your_fmp_api_key_here') {
-    const profile = await fetchFMPProfile(symbol);
-    const financials = await fetchFMPFinancials(symbol);
-    
-    if (profile) {
-      const cagrs = computeCAGRs(financials);
-      return {
-        symbol,
-        name: profile.companyName || symbol,
-        sector: profile.sector || '',
-        industry: profile.industry || '',
-        cmp: profile.price || 0,
-        marketCapCr: (profile.mktCap || 0) / 10000000,
-        sharesOutstandingCr: (profile.sharesOutstanding || 0) / 10000000,
-        revenueFyCr: financials?.[0] ? financials[0].revenue / 10000000 : 0,
-        patFyCr: financials?.[0] ? Math.max(financials[0].netIncome / 10000000, 0) : 0,
-        eps: profile.eps || 0,
-        currentPE: profile.pe || 0,
-        ...cagrs,
-        source: 'FMP',
-      };
-    }
+
+  const { data, sources } = await providers.resolveFields(symbol, [...Object.keys(FIELD_COLUMNS), 'annualFinancials']);
+  if (!data.cmp && !data.name && !data.annualFinancials) return null;
+
+  const fieldSources = {};
+  for (const [field, column] of Object.entries(FIELD_COLUMNS)) {
+    if (sources[field]) fieldSources[column] = sources[field];
   }
 
-  // Fallback to Yahoo Finance
-  const yahoo = await fetchYahooSummary(symbol);
-  if (yahoo) {
-    return { ...yahoo, source: 'Yahoo' };
+  return {
+    symbol,
+    name: data.name || symbol,
+    sector: data.sector || '',
+    industry: data.industry || '',
+    cmp: data.cmp || 0,
+    marketCapCr: data.marketCapCr || 0,
+    sharesOutstandingCr: data.sharesOutstandingCr || 0,
+    revenueFyCr: data.revenueFyCr || 0,
+    patFyCr: data.patFyCr || 0,
+    eps: data.eps || 0,
+    currentPE: data.currentPE || 0,
+    bookValueCr: data.bookValueCr ?? null,
+    annualFinancials: data.annualFinancials || [],
+    fieldSources,
+    source: sources.annualFinancials || sources.patFyCr || sources.cmp,
+  };
+}
+
+/**
+ * Merge provider names into a stock's field_sources (column -> provider)
+ */
+function recordFieldSources(symbol, fieldSources) {
+  const updates = Object.fromEntries(Object.entries(fieldSources || {}).filter(([, source]) => source));
+  if (Object.keys(updates).length === 0) return;
+  const db = getDB();
+  const row = db.prepare('SELECT field_sources FROM stocks WHERE symbol = ?').get(symbol);
+  if (!row) return;
+
+  let current = {};
+  try {
+    current = JSON.parse(row.field_sources || '{}');
+  } catch {
+    // Corrupt value — overwrite
   }
+  db.prepare('UPDATE stocks SET field_sources = ? WHERE symbol = ?')
+    .run(JSON.stringify({ ...current, ...updates }), symbol);
+}
 
-  return null;
+/**
+ * Parse a stock row's field_sources JSON
+ */
+function getFieldSources(stock) {
+  try {
+    return JSON.parse(stock?.field_sources || '{}');
+  } catch {
+    return {};
+  }
 }
 
 // ============================================================
@@ -282,6 +226,348 @@ async function seedStockMaster() {
   console.log(`[DB] Seeded ${masterList.length} stocks`);
 }
 
+/**
+ * Upsert annual financial rows for a stock
+ */
+function saveAnnualFinancials(symbol, rows, source) {
+  if (!rows || rows.length === 0) return 0;
+  const db = getDB();
+  const upsert = db.prepare(`
+    INSERT INTO financials_annual (symbol, fiscal_year, period_end, revenue_cr, pat_cr, eps, shares_cr, net_worth_cr,
+      operating_cash_flow_cr, capex_cr, source, updated_at)
+    VALUES (@symbol, @fiscalYear, @periodEnd, @revenueCr, @patCr, @eps, @sharesCr, @netWorthCr,
+      @operatingCashFlowCr, @capexCr, @source, datetime('now'))
+    ON CONFLICT(symbol, fiscal_year) DO UPDATE SET
+      period_end = COALESCE(excluded.period_end, period_end),
+      revenue_cr = COALESCE(excluded.revenue_cr, revenue_cr),
+      pat_cr = COALESCE(excluded.pat_cr, pat_cr),
+      eps = COALESCE(excluded.eps, eps),
+      shares_cr = COALESCE(excluded.shares_cr, shares_cr),
+      net_worth_cr = COALESCE(excluded.net_worth_cr, net_worth_cr),
+      operating_cash_flow_cr = COALESCE(excluded.operating_cash_flow_cr, operating_cash_flow_cr),
+      capex_cr = COALESCE(excluded.capex_cr, capex_cr),
+      source = excluded.source,
+      updated_at = datetime('now')
+  `);
+
+  const upsertMany = db.transaction((items) => {
+    for (const r of items) {
+      upsert.run({
+        symbol,
+        fiscalYear: r.fiscalYear,
+        periodEnd: r.periodEnd ?? null,
+        revenueCr: r.revenueCr ?? null,
+        patCr: r.patCr ?? null,
+        eps: r.eps ?? null,
+        sharesCr: r.sharesCr ?? null,
+        netWorthCr: r.netWorthCr ?? null,
+        operatingCashFlowCr: r.operatingCashFlowCr ?? null,
+        capexCr: r.capexCr ?? null,
+        source: source || null,
+      });
+    }
+  });
+
+  upsertMany(rows);
+  return rows.length;
+}
+
+/**
+ * Stored annual financials for a stock, latest fiscal year first
+ */
+function getAnnualFinancials(symbol) {
+  const db = getDB();
+  return db.prepare(`
+    SELECT * FROM financials_annual WHERE symbol = ? ORDER BY fiscal_year DESC
+  `).all(symbol);
+}
+
+// stocks columns buildStockData reads
+const STOCK_DATA_COLUMNS = [
+  'symbol', 'name', 'sector', 'industry', 'cmp', 'market_cap_cr', 'shares_outstanding_cr', 'pat_fy_cr',
+  'revenue_fy_cr', 'book_value_cr', 'median_pe_3y', 'median_pe_5y', 'median_pe_10y', 'beta',
+];
+
+/**
+ * SELECT list of those columns for a query joining stocks (as `alias`) to another table,
+ * e.g. watchlist items: `SELECT wi.*, ${stockDataColumns('s')} FROM watchlist_items wi JOIN stocks s ...`
+ */
+function stockDataColumns(alias) {
+  return STOCK_DATA_COLUMNS.map(c => `${alias}.${c}`).join(', ');
+}
+
+/**
+ * analyzeStock input for a stocks row — PAT, revenue and book value (so getValuationMode
+ * picks the same model everywhere), median PEs, the FCFE reinvestment record and beta.
+ * overrides replaces fields, e.g. a beta re-measured over another window.
+ */
+function buildStockData(stock, overrides = {}) {
+  return {
+    symbol: stock.symbol,
+    name: stock.name,
+    sector: stock.sector,
+    industry: stock.industry,
+    cmp: stock.cmp,
+    marketCapCr: stock.market_cap_cr,
+    sharesOutstandingCr: stock.shares_outstanding_cr,
+    currentPAT: stock.pat_fy_cr,
+    currentRevenue: stock.revenue_fy_cr,
+    bookValue: stock.book_value_cr,
+    medianPE: { '3y': stock.median_pe_3y, '5y': stock.median_pe_5y, '10y': stock.median_pe_10y },
+    reinvestment: computeReinvestment(getAnnualFinancials(stock.symbol)),
+    beta: stock.beta,
+    ...overrides,
+  };
+}
+
+/**
+ * Recompute the CAGR columns on `stocks` from the stored annual series
+ */
+function recomputeCAGRs(symbol) {
+  const db = getDB();
+  const cagrs = computeCAGRs(getAnnualFinancials(symbol));
+  if (Object.keys(cagrs).length === 0) return cagrs;
+
+  db.prepare(`
+    UPDATE stocks SET
+      rev_cagr_3y = ?, rev_cagr_5y = ?, rev_cagr_10y = ?,
+      pat_cagr_3y = ?, pat_cagr_5y = ?, pat_cagr_10y = ?,
+      updated_at = datetime('now')
+    WHERE symbol = ?
+  `).run(
+    cagrs.revCagr3y, cagrs.revCagr5y, cagrs.revCagr10y,
+    cagrs.patCagr3y, cagrs.patCagr5y, cagrs.patCagr10y,
+    symbol
+  );
+  return cagrs;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Daily PE series for a stock: each close in price_history divided by the EPS of the
+ * latest fiscal year reported before that date. Days with no prior or non-positive EPS are skipped.
+ */
+function getPESeries(symbol) {
+  const db = getDB();
+  const prices = db.prepare(`
+    SELECT date, cmp FROM price_history WHERE symbol = ? AND cmp > 0 ORDER BY date
+  `).all(symbol);
+  const annual = db.prepare(`
+    SELECT fiscal_year, COALESCE(period_end, fiscal_year || '-03-31') AS period_end,
+      COALESCE(NULLIF(eps, 0), CASE WHEN shares_cr > 0 THEN pat_cr / shares_cr END) AS eps
+    FROM financials_annual WHERE symbol = ? ORDER BY period_end
+  `).all(symbol);
+
+  const series = [];
+  let idx = -1;
+  for (const { date, cmp } of prices) {
+    while (idx + 1 < annual.length && annual[idx + 1].period_end <= date) idx++;
+    const eps = idx >= 0 ? annual[idx].eps : null;
+    if (eps > 0) series.push({ date, pe: cmp / eps });
+  }
+  return series;
+}
+
+/**
+ * Median PE over the trailing 3/5/10 years of the PE series.
+ * A window is only reported when the series reaches back to (within ~6 months of) its start.
+ */
+function computeMedianPEs(symbol) {
+  const series = getPESeries(symbol);
+  if (series.length === 0) return { medianPE3y: null, medianPE5y: null, medianPE10y: null };
+
+  const latest = new Date(series[series.length - 1].date);
+  const first = new Date(series[0].date);
+  const windowMedian = (years) => {
+    const start = new Date(latest);
+    start.setFullYear(start.getFullYear() - years);
+    const slack = new Date(start);
+    slack.setMonth(slack.getMonth() + 6);
+    if (first > slack) return null;
+    const from = start.toISOString().slice(0, 10);
+    return median(series.filter(p => p.date > from).map(p => p.pe));
+  };
+
+  return {
+    medianPE3y: windowMedian(3),
+    medianPE5y: windowMedian(5),
+    medianPE10y: windowMedian(10),
+  };
+}
+
+/**
+ * Recompute median_pe_3y/5y/10y for every stock with price history
+ */
+async function updateMedianPEs() {
+  const db = getDB();
+  const stocks = db.prepare('SELECT DISTINCT symbol FROM price_history').all();
+  const update = db.prepare(`
+    UPDATE stocks SET median_pe_3y = ?, median_pe_5y = ?, median_pe_10y = ?, updated_at = datetime('now')
+    WHERE symbol = ?
+  `);
+
+  console.log(`[Update] Computing median PE for ${stocks.length} stocks...`);
+  let updated = 0;
+
+  for (const { symbol } of stocks) {
+    try {
+      const m = computeMedianPEs(symbol);
+      update.run(m.medianPE3y, m.medianPE5y, m.medianPE10y, symbol);
+      if (m.medianPE3y !== null) updated++;
+    } catch (err) {
+      console.warn(`[Update] Median PE failed for ${symbol}:`, err.message);
+    }
+  }
+
+  console.log(`[Update] Median PE available for ${updated}/${stocks.length} stocks`);
+}
+
+// ============================================================
+// BETA (COST OF EQUITY)
+// ============================================================
+
+/**
+ * Upsert daily closes [{ date, close }] of a benchmark index into index_history
+ */
+function saveIndexHistory(symbol, rows) {
+  if (!rows || rows.length === 0) return 0;
+  const db = getDB();
+  const upsert = db.prepare(`
+    INSERT INTO index_history (symbol, date, close) VALUES (?, ?, ?)
+    ON CONFLICT(symbol, date) DO UPDATE SET close = excluded.close
+  `);
+  db.transaction(() => {
+    for (const r of rows) upsert.run(symbol, r.date, r.close);
+  })();
+  return rows.length;
+}
+
+/**
+ * Refresh the default benchmark's closes from Yahoo (last 5 years)
+ */
+async function updateBenchmarkHistory(benchmark = dcfEngine.config.COST_OF_EQUITY_DEFAULTS.benchmark) {
+  const rows = await providers.fetchYahooIndexHistory(benchmark, '5y');
+  const saved = saveIndexHistory(benchmark, rows);
+  console.log(`[Update] ${benchmark}: ${saved} index closes saved`);
+  return saved;
+}
+
+/**
+ * Beta of a stock's daily returns (price_history) against a benchmark's (index_history),
+ * over the latest `window` (a BETA_WINDOWS key) of dates both series have.
+ * beta is null when there are fewer than minBetaObservations returns.
+ *
+ * @returns {{ beta, observations, window, benchmark, from, to }}
+ */
+function computeBeta(symbol, { window, benchmark } = {}) {
+  const { BETA_WINDOWS, COST_OF_EQUITY_DEFAULTS } = dcfEngine.config;
+  const betaWindow = BETA_WINDOWS[window] ? window : COST_OF_EQUITY_DEFAULTS.betaWindow;
+  const index = benchmark || COST_OF_EQUITY_DEFAULTS.benchmark;
+  const rows = getDB().prepare(`
+    SELECT p.date, p.cmp AS price, i.close AS level
+    FROM price_history p JOIN index_history i ON i.symbol = ? AND i.date = p.date
+    WHERE p.symbol = ? AND p.cmp > 0 AND i.close > 0
+    ORDER BY p.date DESC LIMIT ?
+  `).all(index, symbol, BETA_WINDOWS[betaWindow] + 1).reverse();
+
+  const stock = [];
+  const market = [];
+  for (let i = 1; i < rows.length; i++) {
+    stock.push(rows[i].price / rows[i - 1].price - 1);
+    market.push(rows[i].level / rows[i - 1].level - 1);
+  }
+
+  const n = stock.length;
+  const result = {
+    beta: null, observations: n, window: betaWindow, benchmark: index,
+    from: rows[0]?.date ?? null, to: rows[rows.length - 1]?.date ?? null,
+  };
+  if (n < COST_OF_EQUITY_DEFAULTS.minBetaObservations) return result;
+
+  const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+  const ms = mean(stock);
+  const mm = mean(market);
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (stock[i] - ms) * (market[i] - mm);
+    variance += (market[i] - mm) ** 2;
+  }
+  if (variance > 0) result.beta = Math.round(covariance / variance * 100) / 100;
+  return result;
+}
+
+/**
+ * Recompute beta / beta_observations (default benchmark and window) for every stock
+ * with price history, then refresh the analysis rows whose discount rate moved
+ */
+async function updateBetas() {
+  const db = getDB();
+  const stocks = db.prepare('SELECT DISTINCT symbol FROM price_history').all();
+  const update = db.prepare(`
+    UPDATE stocks SET beta = ?, beta_observations = ?, updated_at = datetime('now') WHERE symbol = ?
+  `);
+
+  console.log(`[Update] Computing beta for ${stocks.length} stocks...`);
+  let updated = 0;
+
+  for (const { symbol } of stocks) {
+    try {
+      const b = computeBeta(symbol);
+      update.run(b.beta, b.observations, symbol);
+      if (b.beta !== null) updated++;
+    } catch (err) {
+      console.warn(`[Update] Beta failed for ${symbol}:`, err.message);
+    }
+  }
+
+  refreshAnalysis(stocks.map(s => s.symbol));
+  console.log(`[Update] Beta available for ${updated}/${stocks.length} stocks`);
+}
+
+/**
+ * Record cmp, market cap and implied growth (default assumptions, same model as the
+ * stock analysis) in price_history for a trading date (YYYY-MM-DD, default today). prices ({ cmp, marketCapCr }) replaces
+ * the stock's current price, e.g. for an older date that must not touch stocks.
+ */
+function recordPriceHistory(symbol, date = null, prices = null) {
+  const db = getDB();
+  const row = db.prepare('SELECT * FROM stocks WHERE symbol = ?').get(symbol);
+  const stock = row && prices ? { ...row, cmp: prices.cmp, market_cap_cr: prices.marketCapCr } : row;
+  if (!stock || !(stock.cmp > 0)) return null;
+
+  const impliedGrowth = computeAnalysis(stock).implied_growth;
+
+  db.prepare(`
+    INSERT INTO price_history (symbol, date, cmp, market_cap_cr, implied_growth_rate)
+    VALUES (?, COALESCE(?, date('now')), ?, ?, ?)
+    ON CONFLICT(symbol, date) DO UPDATE SET
+      cmp = excluded.cmp,
+      market_cap_cr = excluded.market_cap_cr,
+      implied_growth_rate = excluded.implied_growth_rate
+  `).run(symbol, date, stock.cmp, stock.market_cap_cr, impliedGrowth);
+
+  return impliedGrowth;
+}
+
+/**
+ * Price history for a stock between two ISO dates (inclusive), oldest first
+ */
+function getPriceHistory(symbol, from, to) {
+  const db = getDB();
+  return db.prepare(`
+    SELECT date, cmp, market_cap_cr, implied_growth_rate FROM price_history
+    WHERE symbol = ? AND date >= ? AND date <= ?
+    ORDER BY date
+  `).all(symbol, from || '0000-01-01', to || '9999-12-31');
+}
+
 /**
  * Update prices for all stocks in DB
  */
@@ -294,8 +580,8 @@ async function updateAllPrices() {
   
   for (const { symbol } of stocks) {
     try {
-      const quote = await fetchYahooQuote(symbol);
-      if (quote && quote.cmp > 0) {
+      const { data: quote, sources } = await providers.resolveFields(symbol, ['cmp']);
+      if (quote.cmp > 0) {
         db.prepare(`
           UPDATE stocks SET cmp = ?, last_price_update = datetime('now'), updated_at = datetime('now')
           WHERE symbol = ?
@@ -306,13 +592,15 @@ async function updateAllPrices() {
         if (stock && stock.shares_outstanding_cr > 0) {
           const mcap = quote.cmp * stock.shares_outstanding_cr;
           db.prepare('UPDATE stocks SET market_cap_cr = ? WHERE symbol = ?').run(mcap, symbol);
+          recordFieldSources(symbol, { cmp: sources.cmp, market_cap_cr: 'derived' });
+        } else {
+          recordFieldSources(symbol, { cmp: sources.cmp });
         }
-        
+
+        recordPriceHistory(symbol);
+        refreshAnalysis([symbol]);
         updated++;
       }
-      
-      // Rate limit: ~2 requests per second
-      await new Promise(r => setTimeout(r, 500));
     } catch (err) {
       console.warn(`[Update] Failed for ${symbol}:`, err.message);
     }
@@ -347,28 +635,22 @@ async function updateFinancials() {
             pat_fy_cr = COALESCE(?, pat_fy_cr),
             eps = COALESCE(?, eps),
             current_pe = COALESCE(?, current_pe),
-            rev_cagr_3y = COALESCE(?, rev_cagr_3y),
-            rev_cagr_5y = COALESCE(?, rev_cagr_5y),
-            rev_cagr_10y = COALESCE(?, rev_cagr_10y),
-            pat_cagr_3y = COALESCE(?, pat_cagr_3y),
-            pat_cagr_5y = COALESCE(?, pat_cagr_5y),
-            pat_cagr_10y = COALESCE(?, pat_cagr_10y),
+            book_value_cr = COALESCE(?, book_value_cr),
             last_financial_update = datetime('now'),
             updated_at = datetime('now')
           WHERE symbol = ?
         `).run(
           data.name, data.sector, data.industry,
           data.cmp, data.marketCapCr, data.sharesOutstandingCr,
-          data.revenueFyCr, data.patFyCr, data.eps, data.currentPE,
-          data.revCagr3y, data.revCagr5y, data.revCagr10y,
-          data.patCagr3y, data.patCagr5y, data.patCagr10y,
+          data.revenueFyCr, data.patFyCr, data.eps, data.currentPE, data.bookValueCr,
           symbol
         );
+        recordFieldSources(symbol, data.fieldSources);
+        saveAnnualFinancials(symbol, data.annualFinancials, data.source);
+        recomputeCAGRs(symbol);
+        refreshAnalysis([symbol]);
         updated++;
       }
-      
-      // Rate limit
-      await new Promise(r => setTimeout(r, 1000));
     } catch (err) {
       console.warn(`[Update] Failed for ${symbol}:`, err.message);
     }
@@ -404,20 +686,30 @@ async function getStock(symbol) {
       if (!stock) {
         db.prepare(`
           INSERT INTO stocks (symbol, name, sector, industry, cmp, market_cap_cr, shares_outstanding_cr,
-            revenue_fy_cr, pat_fy_cr, eps, current_pe, last_price_update, last_financial_update)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+            revenue_fy_cr, pat_fy_cr, eps, current_pe, book_value_cr, last_price_update, last_financial_update)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
         `).run(
           freshData.symbol, freshData.name, freshData.sector, freshData.industry,
           freshData.cmp, freshData.marketCapCr, freshData.sharesOutstandingCr,
-          freshData.revenueFyCr, freshData.patFyCr, freshData.eps, freshData.currentPE
+          freshData.revenueFyCr, freshData.patFyCr, freshData.eps, freshData.currentPE, freshData.bookValueCr
         );
       } else {
         db.prepare(`
           UPDATE stocks SET cmp = ?, market_cap_cr = ?, revenue_fy_cr = ?, pat_fy_cr = ?,
-            current_pe = ?, last_price_update = datetime('now'), updated_at = datetime('now')
+            current_pe = ?, book_value_cr = COALESCE(?, book_value_cr),
+            last_price_update = datetime('now'), updated_at = datetime('now')
           WHERE symbol = ?
-        `).run(freshData.cmp, freshData.marketCapCr, freshData.revenueFyCr, freshData.patFyCr, freshData.currentPE, symbol);
+        `).run(freshData.cmp, freshData.marketCapCr, freshData.revenueFyCr, freshData.patFyCr, freshData.currentPE,
+          freshData.bookValueCr, symbol);
       }
+
+      const { cmp, market_cap_cr, revenue_fy_cr, pat_fy_cr, current_pe, book_value_cr } = freshData.fieldSources;
+      recordFieldSources(freshData.symbol, stock
+        ? { cmp, market_cap_cr, revenue_fy_cr, pat_fy_cr, current_pe, book_value_cr }
+        : freshData.fieldSources);
+      saveAnnualFinancials(freshData.symbol, freshData.annualFinancials, freshData.source);
+      recomputeCAGRs(freshData.symbol);
+      refreshAnalysis([freshData.symbol]);
       
       stock = db.prepare('SELECT * FROM stocks WHERE symbol = ?').get(symbol.toUpperCase());
     }
@@ -428,11 +720,28 @@ async function getStock(symbol) {
 
 module.exports = {
   fetchStockData,
-  fetchYahooQuote,
-  fetchYahooSummary,
+  fetchYahooQuote: providers.fetchYahooQuote,
+  fetchYahooSummary: providers.fetchYahooSummary,
+  recordFieldSources,
+  getFieldSources,
   seedStockMaster,
   updateAllPrices,
   updateFinancials,
   searchStocks,
   getStock,
+  saveAnnualFinancials,
+  getAnnualFinancials,
+  stockDataColumns,
+  buildStockData,
+  computeReinvestment,
+  computeCAGRs,
+  recomputeCAGRs,
+  computeMedianPEs,
+  updateMedianPEs,
+  saveIndexHistory,
+  updateBenchmarkHistory,
+  computeBeta,
+  updateBetas,
+  recordPriceHistory,
+  getPriceHistory,
 };
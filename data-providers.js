@@ -0,0 +1,579 @@
+// ============================================================
+// DATA PROVIDERS - Pluggable sources for quotes, profiles and financials
+// ============================================================
+//
+// Every provider implements any of:
+//   fetchQuote(symbol)            → { cmp, marketCapCr? }
+//   fetchProfile(symbol)          → { name, sector, industry, cmp, marketCapCr, sharesOutstandingCr,
+//                                     revenueFyCr, patFyCr, eps, currentPE, bookValueCr }
+//   fetchAnnualFinancials(symbol) → [{ fiscalYear, periodEnd, revenueCr, patCr, eps, sharesCr, netWorthCr,
+//                                      operatingCashFlowCr, capexCr }] latest first, capex positive
+// and may return null for "no data". Providers are looked up by name in the
+// registry and tried per field in priority order (see getFieldPriority).
+//
+// CONFIGURATION (.env):
+//   DATA_PROVIDERS=fmp,yahoo,alphavantage          default order for every field
+//   DATA_FIELD_PRIORITY={"cmp":["nse","yahoo"]}     per-field overrides (JSON)
+//   DATA_PROVIDER_RATE_LIMITS={"yahoo":500}         min ms between calls per provider (JSON)
+//   LOCAL_DATA_DIR=./fixtures/providers             JSON fixtures for the local provider
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const FMP_API_KEY = process.env.FMP_API_KEY;
+const ALPHA_VANTAGE_KEY = process.env.ALPHA_VANTAGE_API_KEY;
+const LOCAL_DATA_DIR = process.env.LOCAL_DATA_DIR || path.join(__dirname, 'fixtures', 'providers');
+
+async function fetchWithTimeout(url, options = {}, timeout = 15000) {
+  const fetch = (await import('node-fetch')).default;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    clearTimeout(timer);
+    return response;
+  } catch (err) {
+    clearTimeout(timer);
+    throw err;
+  }
+}
+
+// ============================================================
+// YAHOO FINANCE DATA FETCHER (Free)
+// ============================================================
+
+async function fetchYahooQuote(symbol) {
+  try {
+    const nseSymbol = `${symbol}.NS`;
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${nseSymbol}?interval=1d&range=1d`;
+    
+    const resp = await fetchWithTimeout(url, {
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ValuLens/1.0)' }
+    });
+    
+    if (!resp.ok) return null;
+    const data = await resp.json();
+    const meta = data?.chart?.result?.[0]?.meta;
+    
+    if (!meta) return null;
+    
+    return {
+      cmp: meta.regularMarketPrice || 0,
+      previousClose: meta.previousClose || 0,
+      volume: meta.regularMarketVolume || 0,
+    };
+  } catch (err) {
+    console.warn(`[Yahoo] Failed to fetch ${symbol}:`, err.message);
+    return null;
+  }
+}
+
+async function fetchYahooSummary(symbol) {
+  try {
+    const nseSymbol = `${symbol}.NS`;
+    const modules = 'price,summaryDetail,defaultKeyStatistics,financialData,summaryProfile';
+    const url = `https://query1.finance.yahoo.com/v10/finance/quoteSummary/${nseSymbol}?modules=${modules}`;
+    
+    const resp = await fetchWithTimeout(url, {
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ValueLens/1.0)' }
+    });
+    
+    if (!resp.ok) {
+      // Try BSE
+      const bseUrl = url.replace('.NS', '.BO');
+      const bseResp = await fetchWithTimeout(bseUrl, {
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ValueLens/1.0)' }
+      });
+      if (!bseResp.ok) return null;
+      const bseData = await bseResp.json();
+      return parseYahooSummary(bseData, symbol);
+    }
+    
+    const data = await resp.json();
+    return parseYahooSummary(data, symbol);
+  } catch (err) {
+    console.warn(`[Yahoo] Failed summary for ${symbol}:`, err.message);
+    return null;
+  }
+}
+
+function parseYahooSummary(data, symbol) {
+  const result = data?.quoteSummary?.result?.[0];
+  if (!result) return null;
+
+  const price = result.price || {};
+  const stats = result.defaultKeyStatistics || {};
+  const financial = result.financialData || {};
+  const profile = result.summaryProfile || {};
+  const detail = result.summaryDetail || {};
+
+  const marketCap = (price.marketCap?.raw || 0) / 10000000; // to Cr
+  const revenue = (financial.totalRevenue?.raw || 0) / 10000000;
+  const profitMargin = financial.profitMargins?.raw || 0;
+  const pat = revenue * profitMargin;
+  const shares = stats.sharesOutstanding?.raw || 0;
+
+  return {
+    symbol,
+    name: price.longName || price.shortName || symbol,
+    sector: profile.sector || '',
+    industry: profile.industry || '',
+    cmp: price.regularMarketPrice?.raw || 0,
+    marketCapCr: marketCap,
+    sharesOutstandingCr: shares / 10000000,
+    revenueFyCr: revenue,
+    patFyCr: pat, // signed: a loss stays negative
+    eps: detail.trailingEps?.raw || 0,
+    currentPE: detail.trailingPE?.raw || 0,
+    forwardPE: detail.forwardPE?.raw || 0,
+    bookValueCr: (stats.bookValue?.raw || 0) * shares / 10000000, // book value per share × shares
+  };
+}
+
+// Benchmark index → Yahoo ticker, for index_history (beta)
+const YAHOO_INDEX_TICKERS = {
+  NIFTY50: '^NSEI',
+  NIFTY500: '^CRSLDX',
+  SENSEX: '^BSESN',
+};
+
+/**
+ * Daily closes of a benchmark index (a YAHOO_INDEX_TICKERS key) over range
+ * ('1y', '2y', '5y', ...) as [{ date, close }], oldest first; null when unavailable
+ */
+async function fetchYahooIndexHistory(index, range = '5y') {
+  const ticker = YAHOO_INDEX_TICKERS[index];
+  if (!ticker) return null;
+
+  try {
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}?interval=1d&range=${range}`;
+    const resp = await fetchWithTimeout(url, {
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ValueLens/1.0)' }
+    });
+    if (!resp.ok) return null;
+    const data = await resp.json();
+    const result = data?.chart?.result?.[0];
+    const closes = result?.indicators?.quote?.[0]?.close;
+    if (!result?.timestamp || !closes) return null;
+
+    // Timestamps are UTC; shift to IST before taking the trading date
+    return result.timestamp
+      .map((t, i) => ({ date: new Date((t + 19800) * 1000).toISOString().slice(0, 10), close: closes[i] }))
+      .filter(r => r.close > 0);
+  } catch (err) {
+    console.warn(`[Yahoo] Failed index history for ${index}:`, err.message);
+    return null;
+  }
+}
+
+// ============================================================
+// FMP API DATA FETCHER ($29/month - RECOMMENDED for production)
+// ============================================================
+
+async function fetchFMPProfile(symbol) {
+  if (!FMP_API_KEY || FMP_API_KEY === 'your_fmp_api_key_here') return null;
+  
+  try {
+    const url = `https://financialmodelingprep.com/api/v3/profile/${symbol}.NS?apikey=${FMP_API_KEY}`;
+    const resp = await fetchWithTimeout(url);
+    if (!resp.ok) return null;
+    const data = await resp.json();
+    return data?.[0] || null;
+  } catch (err) {
+    console.warn(`[FMP] Failed profile for ${symbol}:`, err.message);
+    return null;
+  }
+}
+
+async function fetchFMPFinancials(symbol) {
+  if (!FMP_API_KEY || FMP_API_KEY === 'your_fmp_api_key_here') return null;
+  
+  try {
+    const url = `https://financialmodelingprep.com/api/v3/income-statement/${symbol}.NS?period=annual&limit=10&apikey=${FMP_API_KEY}`;
+    const resp = await fetchWithTimeout(url);
+    if (!resp.ok) return null;
+    const data = await resp.json();
+    return data || [];
+  } catch (err) {
+    console.warn(`[FMP] Failed financials for ${symbol}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Annual FMP statements other than the income statement
+ * ('balance-sheet-statement', 'cash-flow-statement'), latest first
+ */
+async function fetchFMPStatements(statement, symbol) {
+  if (!FMP_API_KEY || FMP_API_KEY === 'your_fmp_api_key_here') return null;
+
+  try {
+    const url = `https://financialmodelingprep.com/api/v3/${statement}/${symbol}.NS?period=annual&limit=10&apikey=${FMP_API_KEY}`;
+    const resp = await fetchWithTimeout(url);
+    if (!resp.ok) return null;
+    const data = await resp.json();
+    return data || [];
+  } catch (err) {
+    console.warn(`[FMP] Failed ${statement} for ${symbol}:`, err.message);
+    return null;
+  }
+}
+
+// FMP statement rows → Map(period end → field / 1 Cr)
+function byPeriodEnd(statements, field) {
+  return new Map((Array.isArray(statements) ? statements : [])
+    .filter(s => s && s.date && s[field] != null)
+    .map(s => [s.date, s[field] / 10000000]));
+}
+
+/**
+ * Normalise FMP income statements (latest first) into annual rows in Cr, with net worth,
+ * operating cash flow and capex from the balance sheet / cash flow of the same period end
+ */
+function normalizeFMPFinancials(financials, balanceSheets = [], cashFlows = []) {
+  if (!Array.isArray(financials)) return [];
+  const equityByDate = byPeriodEnd(balanceSheets, 'totalStockholdersEquity');
+  const ocfByDate = byPeriodEnd(cashFlows, 'operatingCashFlow');
+  const capexByDate = byPeriodEnd(cashFlows, 'capitalExpenditure'); // negative in FMP
+  return financials
+    .filter(f => f && f.date)
+    .map(f => ({
+      fiscalYear: parseInt(f.date.slice(0, 4), 10), // Indian FY named by the year it ends in
+      periodEnd: f.date,
+      revenueCr: f.revenue != null ? f.revenue / 10000000 : null,
+      patCr: f.netIncome != null ? f.netIncome / 10000000 : null,
+      eps: f.eps ?? null,
+      sharesCr: f.weightedAverageShsOut != null ? f.weightedAverageShsOut / 10000000 : null,
+      netWorthCr: equityByDate.get(f.date) ?? null,
+      operatingCashFlowCr: ocfByDate.get(f.date) ?? null,
+      capexCr: capexByDate.has(f.date) ? Math.abs(capexByDate.get(f.date)) : null,
+    }))
+    .filter(r => r.fiscalYear > 0);
+}
+
+// ============================================================
+// ALPHA VANTAGE (free tier: 25 req/day — quotes only)
+// ============================================================
+
+async function fetchAlphaVantageQuote(symbol) {
+  if (!ALPHA_VANTAGE_KEY || ALPHA_VANTAGE_KEY === 'your_alpha_vantage_key_here') return null;
+
+  try {
+    const url = `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${symbol}.BSE&apikey=${ALPHA_VANTAGE_KEY}`;
+    const resp = await fetchWithTimeout(url);
+    if (!resp.ok) return null;
+    const data = await resp.json();
+    const price = parseFloat(data?.['Global Quote']?.['05. price']);
+    return price > 0 ? { cmp: price } : null;
+  } catch (err) {
+    console.warn(`[AlphaVantage] Failed quote for ${symbol}:`, err.message);
+    return null;
+  }
+}
+
+// ============================================================
+// NSE INDIA (free, session cookie required, aggressively rate-limited)
+// ============================================================
+
+let nseCookie = null;
+
+async function fetchNSEQuote(symbol) {
+  const headers = { 'User-Agent': 'Mozilla/5.0 (compatible; ValueLens/1.0)', 'Accept': 'application/json' };
+
+  try {
+    if (!nseCookie) {
+      const home = await fetchWithTimeout('https://www.nseindia.com', { headers });
+      nseCookie = (home.headers.raw()['set-cookie'] || []).map(c => c.split(';')[0]).join('; ');
+    }
+
+    const url = `https://www.nseindia.com/api/quote-equity?symbol=${encodeURIComponent(symbol)}`;
+    const resp = await fetchWithTimeout(url, { headers: { ...headers, Cookie: nseCookie } });
+    if (!resp.ok) {
+      nseCookie = null; // session expired — refresh on next call
+      return null;
+    }
+    const data = await resp.json();
+    const price = data?.priceInfo?.lastPrice;
+    const shares = data?.securityInfo?.issuedSize;
+    if (!(price > 0)) return null;
+    return {
+      cmp: price,
+      marketCapCr: shares > 0 ? (price * shares) / 10000000 : undefined,
+    };
+  } catch (err) {
+    console.warn(`[NSE] Failed quote for ${symbol}:`, err.message);
+    return null;
+  }
+}
+
+// ============================================================
+// LOCAL FILE PROVIDER (JSON fixtures — offline runs and tests)
+// ============================================================
+//
+// <LOCAL_DATA_DIR>/<SYMBOL>.json:
+//   { "quote": {...}, "profile": {...}, "annualFinancials": [...] }
+// using the same field names the provider methods return.
+
+function readLocalFixture(symbol) {
+  const file = path.join(LOCAL_DATA_DIR, `${symbol.toUpperCase()}.json`);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.warn(`[Local] Bad fixture ${file}:`, err.message);
+    return null;
+  }
+}
+
+// ============================================================
+// PROVIDER REGISTRY
+// ============================================================
+
+const providers = new Map();
+
+/**
+ * Register a provider. minIntervalMs throttles calls to it across all callers.
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name) throw new Error('provider needs a name');
+  providers.set(provider.name, {
+    isEnabled: () => true,
+    minIntervalMs: 0,
+    ...provider,
+    queue: Promise.resolve(),
+    lastCall: 0,
+  });
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+function listProviders() {
+  return [...providers.values()].map(p => ({
+    name: p.name,
+    enabled: p.isEnabled(),
+    minIntervalMs: p.minIntervalMs,
+    methods: ['fetchQuote', 'fetchProfile', 'fetchAnnualFinancials'].filter(m => typeof p[m] === 'function'),
+  }));
+}
+
+function parseJSONEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch {
+    console.warn(`[Data] Ignoring invalid JSON in ${name}`);
+    return {};
+  }
+}
+
+/**
+ * Call a provider method, waiting out the provider's rate limit first.
+ * Calls to one provider are serialised so concurrent requests cannot burst past the limit.
+ */
+function callProvider(provider, method, symbol) {
+  const limits = parseJSONEnv('DATA_PROVIDER_RATE_LIMITS');
+  const interval = limits[provider.name] ?? provider.minIntervalMs;
+
+  const run = provider.queue.then(async () => {
+    const wait = provider.lastCall + interval - Date.now();
+    if (wait > 0) await new Promise(r => setTimeout(r, wait));
+    provider.lastCall = Date.now();
+    return provider[method](symbol);
+  });
+  provider.queue = run.catch(() => {});
+  return run;
+}
+
+// Which provider methods can supply each stock field
+const FIELD_METHODS = {
+  cmp: ['fetchQuote', 'fetchProfile'],
+  marketCapCr: ['fetchQuote', 'fetchProfile'],
+  name: ['fetchProfile'],
+  sector: ['fetchProfile'],
+  industry: ['fetchProfile'],
+  sharesOutstandingCr: ['fetchProfile'],
+  revenueFyCr: ['fetchProfile', 'fetchAnnualFinancials'],
+  patFyCr: ['fetchProfile', 'fetchAnnualFinancials'],
+  eps: ['fetchProfile'],
+  currentPE: ['fetchProfile'],
+  bookValueCr: ['fetchProfile', 'fetchAnnualFinancials'],
+  annualFinancials: ['fetchAnnualFinancials'],
+};
+
+const DEFAULT_PROVIDER_ORDER = ['fmp', 'yahoo', 'alphavantage'];
+const DEFAULT_FIELD_PRIORITY = {
+  // Quote endpoints are cheap and live — prefer them for prices
+  cmp: ['yahoo', 'nse', 'alphavantage', 'fmp'],
+  marketCapCr: ['fmp', 'yahoo', 'nse'],
+};
+
+/**
+ * Provider names to try, in order, for a field
+ */
+function getFieldPriority(field) {
+  const overrides = parseJSONEnv('DATA_FIELD_PRIORITY');
+  if (Array.isArray(overrides[field])) return overrides[field];
+  if (process.env.DATA_PROVIDERS) {
+    return process.env.DATA_PROVIDERS.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  return DEFAULT_FIELD_PRIORITY[field] || DEFAULT_PROVIDER_ORDER;
+}
+
+function hasValue(v) {
+  if (v === null || v === undefined || v === '') return false;
+  if (typeof v === 'number') return isFinite(v) && v !== 0;
+  if (Array.isArray(v)) return v.length > 0;
+  return true;
+}
+
+// Latest-year revenue/PAT/net worth derived from an annual series
+function fieldsFromAnnual(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) return null;
+  return {
+    annualFinancials: rows,
+    revenueFyCr: rows[0].revenueCr,
+    patFyCr: rows[0].patCr,
+    bookValueCr: rows[0].netWorthCr,
+  };
+}
+
+/**
+ * Resolve the requested fields for a symbol across providers.
+ *
+ * Each field takes the first non-empty value in its priority order; every provider
+ * method is called at most once per resolve. Disabled or unknown providers are skipped.
+ *
+ * @returns {{ data: object, sources: { [field]: providerName } }}
+ */
+async function resolveFields(symbol, fields = Object.keys(FIELD_METHODS)) {
+  const cache = new Map();
+  const load = (provider, method) => {
+    const key = `${provider.name}:${method}`;
+    if (!cache.has(key)) {
+      cache.set(key, callProvider(provider, method, symbol)
+        .then(result => (method === 'fetchAnnualFinancials' ? fieldsFromAnnual(result) : result))
+        .catch(err => {
+          console.warn(`[Data] ${provider.name}.${method}(${symbol}) failed:`, err.message);
+          return null;
+        }));
+    }
+    return cache.get(key);
+  };
+
+  const data = {};
+  const sources = {};
+  for (const field of fields) {
+    const methods = FIELD_METHODS[field];
+    if (!methods) continue;
+
+    for (const name of getFieldPriority(field)) {
+      const provider = providers.get(name);
+      if (!provider || !provider.isEnabled()) continue;
+
+      let found = false;
+      for (const method of methods) {
+        if (typeof provider[method] !== 'function') continue;
+        const result = await load(provider, method);
+        if (result && hasValue(result[field])) {
+          data[field] = result[field];
+          sources[field] = provider.name;
+          found = true;
+          break;
+        }
+      }
+      if (found) break;
+    }
+  }
+
+  return { data, sources };
+}
+
+// ============================================================
+// BUILT-IN PROVIDERS
+// ============================================================
+
+const hasKey = (key, placeholder) => Boolean(key && key !== placeholder);
+
+registerProvider({
+  name: 'fmp',
+  minIntervalMs: 200, // 300 req/min on the starter plan
+  isEnabled: () => hasKey(FMP_API_KEY, 'your_fmp_api_key_here'),
+  async fetchProfile(symbol) {
+    const profile = await fetchFMPProfile(symbol);
+    if (!profile) return null;
+    return {
+      name: profile.companyName || symbol,
+      sector: profile.sector || '',
+      industry: profile.industry || '',
+      cmp: profile.price || 0,
+      marketCapCr: (profile.mktCap || 0) / 10000000,
+      sharesOutstandingCr: (profile.sharesOutstanding || 0) / 10000000,
+      eps: profile.eps || 0,
+      currentPE: profile.pe || 0,
+    };
+  },
+  async fetchAnnualFinancials(symbol) {
+    const financials = await fetchFMPFinancials(symbol);
+    const balanceSheets = await fetchFMPStatements('balance-sheet-statement', symbol);
+    const cashFlows = await fetchFMPStatements('cash-flow-statement', symbol);
+    return normalizeFMPFinancials(financials, balanceSheets, cashFlows);
+  },
+});
+
+registerProvider({
+  name: 'yahoo',
+  minIntervalMs: 500, // ~2 requests per second
+  isEnabled: () => process.env.USE_YAHOO !== 'false',
+  fetchQuote: fetchYahooQuote,
+  async fetchProfile(symbol) {
+    const summary = await fetchYahooSummary(symbol);
+    if (!summary) return null;
+    const { symbol: _symbol, forwardPE, ...fields } = summary;
+    return fields;
+  },
+});
+
+registerProvider({
+  name: 'alphavantage',
+  minIntervalMs: 12000, // free tier: 5 req/min
+  isEnabled: () => hasKey(ALPHA_VANTAGE_KEY, 'your_alpha_vantage_key_here'),
+  fetchQuote: fetchAlphaVantageQuote,
+});
+
+registerProvider({
+  name: 'nse',
+  minIntervalMs: 1000,
+  fetchQuote: fetchNSEQuote,
+});
+
+registerProvider({
+  name: 'local',
+  isEnabled: () => fs.existsSync(LOCAL_DATA_DIR),
+  async fetchQuote(symbol) {
+    return readLocalFixture(symbol)?.quote || null;
+  },
+  async fetchProfile(symbol) {
+    return readLocalFixture(symbol)?.profile || null;
+  },
+  async fetchAnnualFinancials(symbol) {
+    return readLocalFixture(symbol)?.annualFinancials || null;
+  },
+});
+
+module.exports = {
+  FIELD_METHODS,
+  registerProvider,
+  getProvider,
+  listProviders,
+  getFieldPriority,
+  resolveFields,
+  fetchWithTimeout,
+  fetchYahooQuote,
+  fetchYahooSummary,
+  YAHOO_INDEX_TICKERS,
+  fetchYahooIndexHistory,
+};
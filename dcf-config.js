@@ -0,0 +1,150 @@
+// ============================================================
+// DCF CONFIG - Default assumptions shared by the API and the React app
+// ============================================================
+//
+// The only place sector exit PEs, market-cap buckets, cost of equity and model
+// defaults (terminal/growth, cash flow, revenue, residual income) and signal thresholds are
+// defined. dcf-engine.js reads them here, and the frontend gets them through
+// dcf-engine.js (copy both files plus solver.js into frontend/src).
+// ============================================================
+
+// Sector → exit PE. A key matches when it starts a word of the sector name
+// ("bank" matches "Banks" and "Private Banking", "it" does not match "Utilities");
+// longer keys win, so "consumer durable" beats "consumer".
+const SECTOR_PE = {
+  'fmcg': 45, 'it': 22, 'information technology': 22, 'software': 25, 'technology': 30,
+  'pharma': 30, 'healthcare': 30,
+  'bank': 15, 'nbfc': 20, 'financial': 18, 'insurance': 35,
+  'auto': 20, 'chemical': 25, 'capital goods': 25, 'cement': 25, 'construction': 18,
+  'consumer durable': 35, 'consumer': 30, 'diversified': 20,
+  'energy': 12, 'oil': 10, 'gas': 10, 'petroleum': 10, 'power': 10, 'utilit': 10,
+  'fertilizer': 15, 'infrastructure': 15, 'logistics': 25,
+  'media': 25, 'entertainment': 25, 'metal': 12, 'mining': 12,
+  'real estate': 15, 'realty': 15, 'retail': 40, 'sugar': 15,
+  'telecom': 20, 'textile': 15, 'tourism': 25, 'hotel': 25, 'hospitality': 25,
+  'trading': 12, 'manufacturing': 22,
+};
+const DEFAULT_SECTOR_PE = 20;
+
+// Market-cap buckets (₹ Cr, upper bound exclusive) → forecast years, discount rate (used when
+// no beta is known), size premium for the cost of equity builder, expected PAT CAGR
+const MCAP_BUCKETS = [
+  { maxMcapCr: 500, category: 'Micro Cap', forecastYears: 20, discountRate: 20, sizePremium: 7, expectedPatCagr: 25 },
+  { maxMcapCr: 5000, category: 'Small Cap', forecastYears: 20, discountRate: 20, sizePremium: 7, expectedPatCagr: 25 },
+  { maxMcapCr: 20000, category: 'Mid Cap', forecastYears: 15, discountRate: 18, sizePremium: 5, expectedPatCagr: 18 },
+  { maxMcapCr: 50000, category: 'Large-Mid Cap', forecastYears: 15, discountRate: 16, sizePremium: 3, expectedPatCagr: 15 },
+  { maxMcapCr: 200000, category: 'Large Cap', forecastYears: 10, discountRate: 15, sizePremium: 2, expectedPatCagr: 12 },
+  { maxMcapCr: Infinity, category: 'Mega Cap', forecastYears: 10, discountRate: 13, sizePremium: 0, expectedPatCagr: 10 },
+];
+
+// Cost of equity = riskFreeRate (10Y G-sec) + beta × equityRiskPremium + the bucket's
+// sizePremium, in %. Size premiums are set so a beta of 1 gives back the bucket's discount rate.
+// Beta comes from daily returns in price_history against the benchmark series in
+// index_history over betaWindow (a BETA_WINDOWS key, in trading days); with fewer than
+// minBetaObservations returns there is no beta and the bucket rate stands.
+const COST_OF_EQUITY_DEFAULTS = {
+  riskFreeRate: 7,
+  equityRiskPremium: 6,
+  benchmark: 'NIFTY50',
+  betaWindow: '2y',
+  minBetaObservations: 120,
+};
+const BETA_WINDOWS = { '1y': 250, '2y': 500, '3y': 750, '5y': 1250 };
+
+// Terminal value and growth model defaults (rates in %)
+const MODEL_DEFAULTS = {
+  terminalMethod: 'exit_pe',
+  terminalGrowth: 4,
+  terminalBlendWeight: 0.5,
+  growthModel: 'single',
+  stableGrowth: 4,
+  cashFlowBasis: 'pat',
+};
+
+// FCFE (cash flow basis 'fcfe'): PAT less reinvestment, either growth / reinvestmentRoe
+// or an explicit capex + working capital share of PAT (rates in %). These are used when
+// the company's own record (the last historyYears of financials_annual) doesn't cover them.
+const CASH_FLOW_DEFAULTS = {
+  reinvestmentMethod: 'roe',
+  reinvestmentRoe: 15,
+  capexPct: 30,
+  workingCapitalPct: 10,
+  historyYears: 5,
+};
+
+// Revenue model (loss-making companies): steady-state PAT margin in %, reached
+// in marginYear (default: half the forecast period)
+const REVENUE_MODEL_DEFAULTS = {
+  targetMargin: 10,
+  marginYearShare: 0.5,
+};
+
+// Residual income (P/B–ROE) model for lenders and insurers. Keys match the sector or
+// the industry like SECTOR_PE keys. A broad "Financial Services" sector is not enough:
+// its brokers, exchanges and asset managers stay on the PAT model unless the industry
+// names a lender ("Credit Services", "Infrastructure Finance") or an insurer.
+// Rates in %: expected ROE, and the share of profit paid out (the rest grows book value).
+const RESIDUAL_INCOME_SECTORS = [
+  'bank', 'nbfc', 'insurance', 'credit services', 'consumer finance', 'housing finance',
+  'infrastructure finance', 'mortgage finance',
+];
+const RESIDUAL_INCOME_DEFAULTS = {
+  expectedRoe: 15,
+  payoutRatio: 20,
+};
+
+// Expectation gap (expected − implied growth, % pts) → signal; checked in order
+const SIGNAL_THRESHOLDS = [
+  { above: 5, signal: 'Strong Buy' },
+  { above: 2, signal: 'Buy' },
+  { below: -5, signal: 'Sell' },
+  { below: -2, signal: 'Caution' },
+];
+
+const wordStart = key => new RegExp(`(^|[^a-z])${key}`);
+const SECTOR_PATTERNS = Object.entries(SECTOR_PE)
+  .sort(([a], [b]) => b.length - a.length)
+  .map(([key, pe]) => ({ pattern: wordStart(key), pe }));
+const RESIDUAL_INCOME_PATTERNS = RESIDUAL_INCOME_SECTORS.map(wordStart);
+
+/**
+ * Exit PE for a sector name (DEFAULT_SECTOR_PE when no key matches)
+ */
+function getSectorPE(sector) {
+  if (!sector) return DEFAULT_SECTOR_PE;
+  const s = String(sector).toLowerCase();
+  const match = SECTOR_PATTERNS.find(({ pattern }) => pattern.test(s));
+  return match ? match.pe : DEFAULT_SECTOR_PE;
+}
+
+/**
+ * Whether a sector or industry is valued with the residual income model by default
+ */
+function isResidualIncomeSector(sector, industry) {
+  return [sector, industry].some(name => name
+    && RESIDUAL_INCOME_PATTERNS.some(pattern => pattern.test(String(name).toLowerCase())));
+}
+
+/**
+ * Market-cap bucket for a market cap in ₹ Cr
+ */
+function getMcapBucket(marketCapCr) {
+  return MCAP_BUCKETS.find(b => marketCapCr < b.maxMcapCr) || MCAP_BUCKETS[MCAP_BUCKETS.length - 1];
+}
+
+module.exports = {
+  SECTOR_PE,
+  DEFAULT_SECTOR_PE,
+  MCAP_BUCKETS,
+  COST_OF_EQUITY_DEFAULTS,
+  BETA_WINDOWS,
+  MODEL_DEFAULTS,
+  CASH_FLOW_DEFAULTS,
+  REVENUE_MODEL_DEFAULTS,
+  RESIDUAL_INCOME_SECTORS,
+  RESIDUAL_INCOME_DEFAULTS,
+  SIGNAL_THRESHOLDS,
+  getSectorPE,
+  isResidualIncomeSector,
+  getMcapBucket,
+};
@@ -2,6 +2,222 @@
 // REVERSE DCF CALCULATION ENGINE
 // Replicates the Excel Terminal PE method exactly
 // ============================================================
+//
+// Isomorphic: no Node APIs, so the React app imports this same file
+// (with dcf-config.js and solver.js) and UI and API cannot drift.
+// ============================================================
+
+const solver = require('./solver');
+const config = require('./dcf-config');
+
+const TERMINAL_METHODS = ['exit_pe', 'perpetuity', 'blend'];
+const GROWTH_MODELS = ['single', 'two_stage', 'three_stage'];
+const CASH_FLOW_BASES = ['pat', 'fcfe'];
+const REINVESTMENT_METHODS = ['roe', 'explicit'];
+
+const numberOr = (value, fallback) => (value !== undefined && value !== null && value !== '' ? Number(value) : fallback);
+
+/**
+ * Normalise terminal value options.
+ *
+ * - terminalMethod: 'exit_pe' (Excel default), 'perpetuity' (Gordon growth) or 'blend'
+ * - terminalGrowth: perpetual growth rate after the forecast period, in % (used by perpetuity/blend)
+ * - terminalBlendWeight: weight of the exit PE value in a blend, 0–1 (default 0.5)
+ */
+function resolveTerminalOptions(options = {}) {
+  const terminalMethod = TERMINAL_METHODS.includes(options.terminalMethod)
+    ? options.terminalMethod : config.MODEL_DEFAULTS.terminalMethod;
+  const terminalGrowth = options.terminalGrowth !== undefined && options.terminalGrowth !== null
+    ? Number(options.terminalGrowth) : config.MODEL_DEFAULTS.terminalGrowth;
+  let terminalBlendWeight = options.terminalBlendWeight !== undefined && options.terminalBlendWeight !== null
+    ? Number(options.terminalBlendWeight) : config.MODEL_DEFAULTS.terminalBlendWeight;
+  terminalBlendWeight = Math.min(Math.max(terminalBlendWeight, 0), 1);
+
+  return { terminalMethod, terminalGrowth, terminalBlendWeight };
+}
+
+/**
+ * Normalise cash flow options.
+ *
+ * - cashFlowBasis: 'pat' (discount the whole PAT, Excel default) or 'fcfe'
+ *   (free cash flow to equity = PAT − reinvestment)
+ * - reinvestmentMethod: 'roe' (reinvest growth / reinvestmentRoe of PAT, so faster growth
+ *   costs more) or 'explicit' (reinvest capexPct + workingCapitalPct of PAT every year)
+ * - reinvestmentRoe, capexPct, workingCapitalPct: in %
+ */
+function resolveCashFlowOptions(options = {}) {
+  const defaults = config.CASH_FLOW_DEFAULTS;
+  return {
+    cashFlowBasis: CASH_FLOW_BASES.includes(options.cashFlowBasis) ? options.cashFlowBasis : config.MODEL_DEFAULTS.cashFlowBasis,
+    reinvestmentMethod: REINVESTMENT_METHODS.includes(options.reinvestmentMethod)
+      ? options.reinvestmentMethod : defaults.reinvestmentMethod,
+    reinvestmentRoe: numberOr(options.reinvestmentRoe, defaults.reinvestmentRoe),
+    capexPct: numberOr(options.capexPct, defaults.capexPct),
+    workingCapitalPct: numberOr(options.workingCapitalPct, defaults.workingCapitalPct),
+  };
+}
+
+/**
+ * Share of PAT paid out as FCFE in a year growing at growthPct (1 on a PAT basis)
+ */
+function cashFlowShare(growthPct, cashFlow) {
+  if (cashFlow.cashFlowBasis !== 'fcfe') return 1;
+  if (cashFlow.reinvestmentMethod === 'explicit') return 1 - (cashFlow.capexPct + cashFlow.workingCapitalPct) / 100;
+  return 1 - growthPct / cashFlow.reinvestmentRoe;
+}
+
+/**
+ * Normalise growth model options.
+ *
+ * - growthModel: 'single' (constant CAGR, Excel default), 'two_stage' or 'three_stage'
+ * - stage1Years: years of high growth at the solved / expected rate
+ * - fadeYears: years over which growth fades linearly to stableGrowth (three_stage only)
+ * - stableGrowth: PAT growth for the rest of the forecast period, in % (defaults to terminalGrowth)
+ *
+ * Stage lengths are clamped so that stage1Years + fadeYears never exceeds the forecast period.
+ */
+function resolveGrowthOptions(forecastPeriod, options = {}) {
+  const growthModel = GROWTH_MODELS.includes(options.growthModel) ? options.growthModel : config.MODEL_DEFAULTS.growthModel;
+  const n = Math.max(Math.round(forecastPeriod) || 0, 0);
+  const stableGrowth = options.stableGrowth !== undefined && options.stableGrowth !== null
+    ? Number(options.stableGrowth) : resolveTerminalOptions(options).terminalGrowth;
+
+  if (growthModel === 'single') {
+    return { growthModel, stage1Years: n, fadeYears: 0, stableGrowth };
+  }
+
+  const stage1Years = Math.min(Math.max(Math.round(Number(options.stage1Years) || 0), 0), n);
+  const fadeYears = growthModel === 'three_stage'
+    ? Math.min(Math.max(Number(options.fadeYears) || 0, 0), n - stage1Years)
+    : 0;
+
+  return { growthModel, stage1Years, fadeYears, stableGrowth };
+}
+
+/**
+ * Year-by-year growth schedule for the forecast period.
+ *
+ * Fade years step linearly from the stage-1 rate towards stableGrowth, so year k of an
+ * f-year fade grows at g1 + (gs − g1) × k / (f + 1). A fractional fade length contributes
+ * its final partial year as a blend of fade and stable growth.
+ *
+ * @returns [{ year, growth, stage }] with growth in % and stage 'high', 'fade' or 'stable'
+ */
+function buildGrowthPath(growthRatePct, forecastPeriod, options = {}) {
+  const { stage1Years, fadeYears, stableGrowth } = resolveGrowthOptions(forecastPeriod, options);
+  const n = Math.max(Math.round(forecastPeriod) || 0, 0);
+  const fullFade = Math.floor(fadeYears);
+  const partialFade = fadeYears - fullFade;
+  const fadeRate = k => growthRatePct + (stableGrowth - growthRatePct) * k / (fadeYears + 1);
+  const path = [];
+
+  for (let t = 1; t <= n; t++) {
+    if (t <= stage1Years) {
+      path.push({ year: t, growth: growthRatePct, stage: 'high' });
+    } else if (t <= stage1Years + fullFade) {
+      path.push({ year: t, growth: fadeRate(t - stage1Years), stage: 'fade' });
+    } else if (partialFade > 0 && t === stage1Years + fullFade + 1) {
+      const growth = partialFade * fadeRate(fullFade + 1) + (1 - partialFade) * stableGrowth;
+      path.push({ year: t, growth, stage: 'fade' });
+    } else {
+      path.push({ year: t, growth: stableGrowth, stage: 'stable' });
+    }
+  }
+
+  return path;
+}
+
+/**
+ * Break the equity value into its components under every terminal method.
+ *
+ * Exit PE terminal value (Excel):
+ *   TV = PAT_n × exitPE
+ * Perpetuity (Gordon growth) terminal value:
+ *   TV = PAT_n × (1 + tg) / (r − tg)      — only defined when r > tg
+ *
+ * Both are discounted back by (1+r)^n. The blend weights the two present values
+ * by terminalBlendWeight (exit PE) and 1 − terminalBlendWeight (perpetuity).
+ *
+ * With options.cashFlowBasis = 'fcfe' the forecast years and the perpetuity discount
+ * FCFE, PAT × cashFlowShare(growth), instead of the whole PAT (see resolveCashFlowOptions);
+ * the exit PE still prices terminal PAT.
+ *
+ * @returns {{ method, cashFlowBasis, pvEarnings, terminalPAT, exitPE, perpetuity, blend, pvTerminal, equityValue }}
+ *          where exitPE/perpetuity/blend are { terminalValue, presentValue } or null when not computable
+ */
+function calculateValueBreakdown(currentPAT, growthRatePct, discountRatePct, forecastPeriod, exitPE, options = {}) {
+  const { terminalMethod, terminalGrowth, terminalBlendWeight } = resolveTerminalOptions(options);
+  const cashFlow = resolveCashFlowOptions(options);
+  const empty = {
+    method: terminalMethod, cashFlowBasis: cashFlow.cashFlowBasis, pvEarnings: 0, terminalPAT: 0,
+    exitPE: null, perpetuity: null, blend: null, pvTerminal: 0, equityValue: 0,
+  };
+  if (currentPAT <= 0 || forecastPeriod <= 0) return empty;
+
+  const g = growthRatePct / 100;
+  const r = discountRatePct / 100;
+  const tg = terminalGrowth / 100;
+  const n = forecastPeriod;
+  const multiStage = resolveGrowthOptions(forecastPeriod, options).growthModel !== 'single';
+
+  // Component 1: PV of earnings (or FCFE) during forecast period
+  let pvEarnings = 0;
+  let terminalPAT = currentPAT * Math.pow(1 + g, n);
+  if (multiStage) {
+    // Stage-wise growth: walk the schedule year by year
+    let pat = currentPAT;
+    for (const { year, growth } of buildGrowthPath(growthRatePct, forecastPeriod, options)) {
+      pat *= 1 + growth / 100;
+      pvEarnings += pat * cashFlowShare(growth, cashFlow) / Math.pow(1 + r, year);
+    }
+    terminalPAT = pat;
+  } else if (Math.abs(r - g) < 0.0001) {
+    // Edge case: discount rate ≈ growth rate → use sum directly
+    for (let t = 1; t <= n; t++) {
+      pvEarnings += (currentPAT * Math.pow(1 + g, t)) / Math.pow(1 + r, t);
+    }
+    pvEarnings *= cashFlowShare(growthRatePct, cashFlow);
+  } else {
+    // Standard growing annuity formula
+    pvEarnings = currentPAT * (1 + g) * ((1 - Math.pow(1 + g, n) * Math.pow(1 + r, -n)) / (r - g))
+      * cashFlowShare(growthRatePct, cashFlow);
+  }
+
+  // Component 2: terminal value under each method
+  const discount = Math.pow(1 + r, n);
+
+  const exitPEValue = exitPE > 0
+    ? { terminalValue: terminalPAT * exitPE, presentValue: (terminalPAT * exitPE) / discount }
+    : null;
+
+  const terminalCashFlow = terminalPAT * (1 + tg) * cashFlowShare(terminalGrowth, cashFlow);
+  const perpetuityValue = r > tg
+    ? { terminalValue: terminalCashFlow / (r - tg), presentValue: (terminalCashFlow / (r - tg)) / discount }
+    : null;
+
+  const blendValue = exitPEValue && perpetuityValue
+    ? {
+      terminalValue: terminalBlendWeight * exitPEValue.terminalValue + (1 - terminalBlendWeight) * perpetuityValue.terminalValue,
+      presentValue: terminalBlendWeight * exitPEValue.presentValue + (1 - terminalBlendWeight) * perpetuityValue.presentValue,
+      weight: terminalBlendWeight,
+    }
+    : null;
+
+  const used = { exit_pe: exitPEValue, perpetuity: perpetuityValue, blend: blendValue }[terminalMethod];
+  if (!used) return { ...empty, pvEarnings, terminalPAT, exitPE: exitPEValue, perpetuity: perpetuityValue };
+
+  return {
+    method: terminalMethod,
+    cashFlowBasis: cashFlow.cashFlowBasis,
+    pvEarnings,
+    terminalPAT,
+    exitPE: exitPEValue,
+    perpetuity: perpetuityValue,
+    blend: blendValue,
+    pvTerminal: used.presentValue,
+    equityValue: pvEarnings + used.presentValue,
+  };
+}
 
 /**
  * Calculate implied equity value using Terminal PE method.
@@ -19,129 +235,354 @@
  * Two components:
  * 1. PV of earnings during forecast period (growing annuity)
  * 2. PV of terminal value (PAT at end of period × exit PE, discounted back)
+ *
+ * Pass options.terminalMethod = 'perpetuity' or 'blend' to value the terminal
+ * period with Gordon growth at options.terminalGrowth instead (see calculateValueBreakdown),
+ * options.growthModel = 'two_stage' / 'three_stage' to treat growthRatePct as the
+ * stage-1 rate of a multi-stage schedule (see buildGrowthPath), and
+ * options.cashFlowBasis = 'fcfe' to discount PAT net of reinvestment.
+ * Returns 0 when the chosen terminal value cannot be computed.
  */
-function calculateImpliedEquityValue(currentPAT, growthRatePct, discountRatePct, forecastPeriod, exitPE) {
-  if (currentPAT <= 0 || exitPE <= 0 || forecastPeriod <= 0) return 0;
-  
-  const g = growthRatePct / 100;
-  const r = discountRatePct / 100;
-  const n = forecastPeriod;
+function calculateImpliedEquityValue(currentPAT, growthRatePct, discountRatePct, forecastPeriod, exitPE, options = {}) {
+  return calculateValueBreakdown(currentPAT, growthRatePct, discountRatePct, forecastPeriod, exitPE, options).equityValue;
+}
 
-  // Component 1: PV of earnings during forecast period
-  let pvEarnings = 0;
-  if (Math.abs(r - g) < 0.0001) {
-    // Edge case: discount rate ≈ growth rate → use sum directly
-    for (let t = 1; t <= n; t++) {
-      pvEarnings += (currentPAT * Math.pow(1 + g, t)) / Math.pow(1 + r, t);
+/**
+ * Check that the inputs needed by the chosen terminal method and cash flow basis are usable
+ */
+function canValueTerminal(discountRatePct, exitPE, options = {}) {
+  const { terminalMethod, terminalGrowth } = resolveTerminalOptions(options);
+  const cashFlow = resolveCashFlowOptions(options);
+  if (cashFlow.cashFlowBasis === 'fcfe' && cashFlow.reinvestmentMethod === 'roe' && !(cashFlow.reinvestmentRoe > 0)) return false;
+  const needsExitPE = terminalMethod !== 'perpetuity';
+  const needsPerpetuity = terminalMethod !== 'exit_pe';
+  if (needsExitPE && !(exitPE > 0)) return false;
+  if (needsPerpetuity && !(discountRatePct > terminalGrowth)) return false;
+  return true;
+}
+
+/**
+ * Growth search range for the implied growth solve: GROWTH_RANGE, capped at reinvestmentRoe
+ * when FCFE reinvestment follows ROE (faster growth would need more than the whole PAT)
+ */
+function growthSearchRange(options = {}) {
+  const cashFlow = resolveCashFlowOptions(options);
+  if (cashFlow.cashFlowBasis !== 'fcfe' || cashFlow.reinvestmentMethod !== 'roe') return solver.GROWTH_RANGE;
+  return { low: solver.GROWTH_RANGE.low, high: Math.min(solver.GROWTH_RANGE.high, cashFlow.reinvestmentRoe) };
+}
+
+/**
+ * Solve for implied growth rate (replaces Excel's Goal Seek).
+ *
+ * Finds the growth rate 'g' such that:
+ * calculateImpliedEquityValue(PAT, g, r, n, exitPE) = MarketCap
+ *
+ * options are passed through to calculateImpliedEquityValue (terminal method,
+ * growth model, cash flow basis). For multi-stage models the result is the implied
+ * stage-1 growth; on an FCFE basis it is the growth whose reinvestment the price allows for.
+ *
+ * Uses the shared bracketed solver over growthSearchRange(options); a market cap outside
+ * what that range can reach is reported as below_range / above_range with a null value.
+ *
+ * @returns {{ value, status, iterations, residual }} - value as percentage (e.g., 15.5 for 15.5%);
+ *          status 'invalid_inputs' when PAT or market cap is not positive or the terminal value can't be computed
+ */
+function solveImpliedGrowth(currentPAT, marketCap, discountRatePct, forecastPeriod, exitPE, options = {}) {
+  if (!(currentPAT > 0) || !(marketCap > 0) || !canValueTerminal(discountRatePct, exitPE, options)) {
+    return { value: null, status: 'invalid_inputs', iterations: 0, residual: null };
+  }
+
+  return solver.solveGrowthRate(
+    g => calculateImpliedEquityValue(currentPAT, g, discountRatePct, forecastPeriod, exitPE, options),
+    marketCap,
+    growthSearchRange(options)
+  );
+}
+
+/**
+ * Implied growth rate as a percentage, or null when it can't be solved
+ * (see solveImpliedGrowth for the reason)
+ */
+function solveImpliedGrowthRate(currentPAT, marketCap, discountRatePct, forecastPeriod, exitPE, options = {}) {
+  return solveImpliedGrowth(currentPAT, marketCap, discountRatePct, forecastPeriod, exitPE, options).value;
+}
+
+/**
+ * Solve for the fade length implied by market cap in a three-stage model.
+ *
+ * Stage-1 growth is held at stage1GrowthPct and the fade phase is lengthened
+ * (up to the years left after stage 1) until the equity value matches market cap.
+ * Value is evaluated at whole years and interpolated linearly in between.
+ *
+ * @returns fade length in years (1 decimal), or null when no fade length within
+ *          the forecast period reaches market cap
+ */
+function solveImpliedFadeYears(currentPAT, marketCap, discountRatePct, forecastPeriod, exitPE, stage1GrowthPct, options = {}) {
+  if (currentPAT <= 0 || marketCap <= 0) return null;
+  if (!canValueTerminal(discountRatePct, exitPE, options)) return null;
+
+  const { stage1Years } = resolveGrowthOptions(forecastPeriod, { ...options, growthModel: 'three_stage' });
+  const maxFade = Math.max(Math.round(forecastPeriod) - stage1Years, 0);
+  const valueAt = fadeYears => calculateImpliedEquityValue(
+    currentPAT, stage1GrowthPct, discountRatePct, forecastPeriod, exitPE,
+    { ...options, growthModel: 'three_stage', fadeYears }
+  ) - marketCap;
+
+  let prev = valueAt(0);
+  if (prev === 0) return 0;
+  for (let k = 1; k <= maxFade; k++) {
+    const curr = valueAt(k);
+    if (curr === 0) return k;
+    if (Math.sign(curr) !== Math.sign(prev)) {
+      return Math.round((k - 1 + prev / (prev - curr)) * 10) / 10;
     }
-  } else {
-    // Standard growing annuity formula
-    pvEarnings = currentPAT * (1 + g) * ((1 - Math.pow(1 + g, n) * Math.pow(1 + r, -n)) / (r - g));
+    prev = curr;
   }
 
-  // Component 2: PV of terminal value
-  const terminalPAT = currentPAT * Math.pow(1 + g, n);
-  const terminalValue = (terminalPAT * exitPE) / Math.pow(1 + r, n);
+  return null;
+}
+
+// ============================================================
+// SOLVE FOR ANY UNKNOWN
+// ============================================================
+//
+// The reverse DCF backs out growth, but any one input can be the unknown,
+// with market cap and the rest (including the expected growth) held fixed:
+//
+//   discountRate   the annual return the price gives if PAT compounds at the
+//                  expected rate — the IRR of buying at market cap
+//   exitPE         the multiple the price assumes at the end of the forecast
+//   forecastYears  how many years of expected growth the price pays for
+// ============================================================
+
+const SOLVE_TARGETS = ['growth', 'discountRate', 'exitPE', 'forecastYears'];
+// Search ranges: discount rate in %, forecast horizon in years
+const DISCOUNT_RATE_RANGE = { low: -50, high: 100 };
+const HORIZON_RANGE = { low: 1, high: 50 };
 
-  return pvEarnings + terminalValue;
+/**
+ * Discount rate (%) at which valueAt(rate) equals marketCap, searched over DISCOUNT_RATE_RANGE
+ * starting just above minRate when given (the terminal growth of a perpetuity, where the
+ * value blows up). valueAt must fall as the rate rises. The value is rounded to 2 decimals.
+ */
+function solveImpliedRate(valueAt, marketCap, minRate) {
+  const low = minRate === undefined ? DISCOUNT_RATE_RANGE.low : Math.max(DISCOUNT_RATE_RANGE.low, minRate + 0.01);
+  const result = solver.solveBracketed(r => valueAt(r) - marketCap, low, DISCOUNT_RATE_RANGE.high, {
+    tolerance: marketCap * 1e-9,
+    xTolerance: 1e-6,
+  });
+  return { ...result, value: result.value === null ? null : Math.round(result.value * 100) / 100 };
 }
 
 /**
- * Solve for implied growth rate using bisection method.
- * This replaces Excel's Goal Seek functionality.
- * 
- * Finds the growth rate 'g' such that:
- * calculateImpliedEquityValue(PAT, g, r, n, exitPE) = MarketCap
- * 
- * @returns growth rate as percentage (e.g., 15.5 for 15.5%)
+ * Solve for the discount rate implied by market cap at a given growth rate: the annual
+ * return (IRR) the price gives if PAT grows at growthRatePct. options as for solveImpliedGrowth.
+ *
+ * @returns {{ value, status, iterations, residual }} - value in %; below_range / above_range
+ *          outside DISCOUNT_RATE_RANGE, invalid_inputs as for solveImpliedGrowth
  */
-function solveImpliedGrowthRate(currentPAT, marketCap, discountRatePct, forecastPeriod, exitPE) {
-  if (currentPAT <= 0 || marketCap <= 0 || exitPE <= 0) return null;
+function solveImpliedDiscountRate(currentPAT, marketCap, growthRatePct, forecastPeriod, exitPE, options = {}) {
+  // Any rate passes the r > terminal growth check: the search itself stays above it
+  if (!(currentPAT > 0) || !(marketCap > 0) || !canValueTerminal(Infinity, exitPE, options)) {
+    return { value: null, status: 'invalid_inputs', iterations: 0, residual: null };
+  }
+  const { terminalMethod, terminalGrowth } = resolveTerminalOptions(options);
 
-  let low = -90;   // -90% (extreme decline)
-  let high = 200;  // 200% (extreme growth)
-  const target = marketCap;
-  const maxIterations = 500;
-  const tolerance = marketCap * 0.00001; // 0.001% of market cap
+  return solveImpliedRate(
+    r => calculateImpliedEquityValue(currentPAT, growthRatePct, r, forecastPeriod, exitPE, options),
+    marketCap,
+    terminalMethod === 'exit_pe' ? undefined : terminalGrowth
+  );
+}
+
+/**
+ * Solve for the exit PE implied by market cap at a given growth and discount rate.
+ * The value is linear in the exit PE, so this is exact. Not defined for the
+ * perpetuity terminal method, which has no exit PE.
+ *
+ * @returns {{ value, status, iterations, residual }} - value rounded to 2 decimals;
+ *          below_range when the rest of the value alone exceeds market cap
+ */
+function solveImpliedExitPE(currentPAT, marketCap, growthRatePct, discountRatePct, forecastPeriod, options = {}) {
+  const invalid = { value: null, status: 'invalid_inputs', iterations: 0, residual: null };
+  if (!(currentPAT > 0) || !(marketCap > 0) || resolveTerminalOptions(options).terminalMethod === 'perpetuity'
+    || !canValueTerminal(discountRatePct, 1, options)) {
+    return invalid;
+  }
 
-  for (let i = 0; i < maxIterations; i++) {
-    const mid = (low + high) / 2;
-    const val = calculateImpliedEquityValue(currentPAT, mid, discountRatePct, forecastPeriod, exitPE);
+  const valueAt = pe => calculateImpliedEquityValue(currentPAT, growthRatePct, discountRatePct, forecastPeriod, pe, options);
+  const atOne = valueAt(1);
+  const perTurn = valueAt(2) - atOne;
+  if (!(perTurn > 0)) return invalid;
 
-    if (Math.abs(val - target) < tolerance) return Math.round(mid * 100) / 100;
-    
-    if (val < target) low = mid;
-    else high = mid;
+  const exitPE = 1 + (marketCap - atOne) / perTurn;
+  if (exitPE <= 0) return { value: null, status: 'below_range', iterations: 0, residual: atOne - perTurn - marketCap };
+  return { value: Math.round(exitPE * 100) / 100, status: 'converged', iterations: 0, residual: valueAt(exitPE) - marketCap };
+}
+
+/**
+ * Solve for the forecast period implied by market cap: how many years of growth at
+ * growthRatePct the price pays for before the terminal value. Single-stage growth only
+ * (stage lengths are whole years); searched over HORIZON_RANGE, rounded to 1 decimal.
+ *
+ * @returns {{ value, status, iterations, residual }}
+ */
+function solveImpliedForecastYears(currentPAT, marketCap, growthRatePct, discountRatePct, exitPE, options = {}) {
+  if (!(currentPAT > 0) || !(marketCap > 0) || !canValueTerminal(discountRatePct, exitPE, options)
+    || resolveGrowthOptions(HORIZON_RANGE.low, options).growthModel !== 'single') {
+    return { value: null, status: 'invalid_inputs', iterations: 0, residual: null };
   }
 
-  return Math.round(((low + high) / 2) * 100) / 100;
+  const result = solver.solveBracketed(
+    n => calculateImpliedEquityValue(currentPAT, growthRatePct, discountRatePct, n, exitPE, options) - marketCap,
+    HORIZON_RANGE.low, HORIZON_RANGE.high,
+    { tolerance: marketCap * 1e-9, xTolerance: 1e-6 }
+  );
+  return { ...result, value: result.value === null ? null : Math.round(result.value * 10) / 10 };
 }
 
 /**
- * Generate year-by-year projected PAT schedule
+ * Solve for one SOLVE_TARGETS input given market cap and the others:
+ * inputs = { currentPAT, marketCap, growthRate, discountRate, forecastYears, exitPE },
+ * with growthRate the expected (stage-1) growth. The unknown's own input is ignored.
+ *
+ * @returns {{ value, status, iterations, residual }}
  */
-function generateProjections(currentPAT, growthRatePct, forecastPeriod) {
-  const g = growthRatePct / 100;
+function solveForUnknown(solveFor, inputs, options = {}) {
+  const { currentPAT, marketCap, growthRate, discountRate, forecastYears, exitPE } = inputs;
+  switch (solveFor) {
+    case 'growth':
+      return solveImpliedGrowth(currentPAT, marketCap, discountRate, forecastYears, exitPE, options);
+    case 'discountRate':
+      return solveImpliedDiscountRate(currentPAT, marketCap, growthRate, forecastYears, exitPE, options);
+    case 'exitPE':
+      return solveImpliedExitPE(currentPAT, marketCap, growthRate, discountRate, forecastYears, options);
+    case 'forecastYears':
+      return solveImpliedForecastYears(currentPAT, marketCap, growthRate, discountRate, exitPE, options);
+    default:
+      throw new Error(`solveFor must be one of: ${SOLVE_TARGETS.join(', ')}`);
+  }
+}
+
+/**
+ * Generate year-by-year projected PAT schedule.
+ * With a multi-stage growthModel in options each year is tagged with its stage;
+ * on an FCFE basis each year also carries its reinvestment and fcfe.
+ */
+function generateProjections(currentPAT, growthRatePct, forecastPeriod, options = {}) {
   const projections = [];
+  const cashFlow = resolveCashFlowOptions(options);
+  let pat = currentPAT;
   
-  for (let t = 1; t <= forecastPeriod; t++) {
-    projections.push({
-      year: t,
-      pat: currentPAT * Math.pow(1 + g, t),
-    });
+  for (const { year, growth, stage } of buildGrowthPath(growthRatePct, forecastPeriod, options)) {
+    pat *= 1 + growth / 100;
+    if (cashFlow.cashFlowBasis === 'fcfe') {
+      const fcfe = pat * cashFlowShare(growth, cashFlow);
+      projections.push({ year, growth, stage, pat, reinvestment: pat - fcfe, fcfe });
+    } else {
+      projections.push({ year, growth, stage, pat });
+    }
   }
   
   return projections;
 }
 
+const MEDIAN_PE_WINDOWS = ['3y', '5y', '10y'];
+
 /**
- * Get default assumptions based on market cap and sector
+ * Cost of equity in % from its parts: riskFreeRate + beta × equityRiskPremium + sizePremium.
+ * Parts not given come from COST_OF_EQUITY_DEFAULTS and the market-cap bucket; beta defaults to 1.
+ *
+ * @returns {{ riskFreeRate, beta, equityRiskPremium, sizePremium, costOfEquity }}
  */
-function getDefaultAssumptions(marketCapCr, sector) {
-  let forecastYears, discountRate, patCagr, category;
+function buildCostOfEquity(parts = {}, marketCapCr = 0) {
+  const defaults = config.COST_OF_EQUITY_DEFAULTS;
+  const riskFreeRate = numberOr(parts.riskFreeRate, defaults.riskFreeRate);
+  const beta = numberOr(parts.beta, 1);
+  const equityRiskPremium = numberOr(parts.equityRiskPremium, defaults.equityRiskPremium);
+  const sizePremium = numberOr(parts.sizePremium, config.getMcapBucket(marketCapCr).sizePremium);
+  const costOfEquity = Math.round((riskFreeRate + beta * equityRiskPremium + sizePremium) * 100) / 100;
+  return { riskFreeRate, beta, equityRiskPremium, sizePremium, costOfEquity };
+}
 
-  if (marketCapCr < 500) {
-    forecastYears = 20; discountRate = 20; patCagr = 25; category = 'Micro Cap';
-  } else if (marketCapCr < 5000) {
-    forecastYears = 20; discountRate = 20; patCagr = 25; category = 'Small Cap';
-  } else if (marketCapCr < 20000) {
-    forecastYears = 15; discountRate = 18; patCagr = 18; category = 'Mid Cap';
-  } else if (marketCapCr < 50000) {
-    forecastYears = 15; discountRate = 16; patCagr = 15; category = 'Large-Mid Cap';
-  } else if (marketCapCr < 200000) {
-    forecastYears = 10; discountRate = 15; patCagr = 12; category = 'Large Cap';
-  } else {
-    forecastYears = 10; discountRate = 13; patCagr = 10; category = 'Mega Cap';
-  }
-
-  const SECTOR_PE = {
-    'fmcg': 45, 'it': 22, 'information technology': 22, 'pharma': 30, 'pharmaceutical': 30,
-    'healthcare': 30, 'bank': 15, 'banking': 15, 'nbfc': 20,
-    'financial': 18, 'insurance': 35, 'auto': 20, 'automobile': 20,
-    'chemical': 25, 'capital goods': 25, 'cement': 25, 'construction': 18,
-    'consumer durable': 35, 'consumer': 30, 'diversified': 20,
-    'energy': 12, 'fertilizer': 15, 'infrastructure': 15, 'logistics': 25,
-    'media': 25, 'entertainment': 25, 'metal': 12, 'mining': 12,
-    'oil': 10, 'gas': 10, 'petroleum': 10, 'power': 10, 'utility': 10,
-    'real estate': 15, 'realty': 15, 'retail': 40, 'sugar': 15,
-    'telecom': 20, 'textile': 15, 'tourism': 25, 'hotel': 25, 'hospitality': 25,
-    'trading': 12, 'manufacturing': 22, 'technology': 30, 'software': 25,
-  };
-
-  let exitPE = 20; // default
-  if (sector) {
-    const s = sector.toLowerCase();
-    for (const [key, val] of Object.entries(SECTOR_PE)) {
-      if (s.includes(key)) { exitPE = val; break; }
+/**
+ * Get default assumptions based on market cap and sector (tables in dcf-config.js).
+ *
+ * options.exitPEBasis = 'median_pe' uses the company's own historical median PE
+ * (options.medianPE = { '3y', '5y', '10y' }) as the exit PE instead of the sector table.
+ * options.medianPEWindow picks the window (default '5y'); if that median is missing the
+ * other windows are tried, then the sector PE. exitPEBasis in the result says which was used.
+ *
+ * options.reinvestment = { reinvestmentRoe, capexPct, workingCapitalPct } (the company's
+ * record, see dataFetcher.computeReinvestment) overrides the FCFE defaults it covers;
+ * reinvestmentBasis is then 'history'.
+ *
+ * options.beta (measured, see dataFetcher.computeBeta) or any options.costOfEquity part
+ * ({ riskFreeRate, beta, equityRiskPremium, sizePremium }) makes the discount rate the built
+ * cost of equity (discountRateBasis 'capm'); otherwise the bucket rate is kept ('bucket').
+ * costOfEquity always carries the breakdown, with betaSource 'override', 'measured' or 'default'.
+ */
+function getDefaultAssumptions(marketCapCr, sector, options = {}) {
+  const { category, forecastYears, discountRate: bucketRate, expectedPatCagr: patCagr } = config.getMcapBucket(marketCapCr);
+  const sectorPE = config.getSectorPE(sector);
+
+  let exitPE = sectorPE;
+  let exitPEBasis = 'sector';
+  let medianPEWindow = null;
+  if (options.exitPEBasis === 'median_pe' && options.medianPE) {
+    const preferred = MEDIAN_PE_WINDOWS.includes(options.medianPEWindow) ? options.medianPEWindow : '5y';
+    const order = [preferred, ...['5y', '10y', '3y'].filter(w => w !== preferred)];
+    const chosen = order.find(w => options.medianPE[w] > 0);
+    if (chosen) {
+      exitPE = Math.round(options.medianPE[chosen] * 10) / 10;
+      exitPEBasis = 'median_pe';
+      medianPEWindow = chosen;
     }
   }
 
+  const parts = { ...options.costOfEquity };
+  const betaSource = parts.beta != null ? 'override' : options.beta != null ? 'measured' : 'default';
+  if (parts.beta == null) parts.beta = options.beta;
+  const costOfEquity = { ...buildCostOfEquity(parts, marketCapCr), betaSource };
+  const discountRateBasis = Object.values(parts).some(v => v !== undefined && v !== null) ? 'capm' : 'bucket';
+  const discountRate = discountRateBasis === 'capm' ? costOfEquity.costOfEquity : bucketRate;
+
+  const record = options.reinvestment || {};
+  const fromRecord = {
+    reinvestmentRoe: record.reinvestmentRoe > 0 ? record.reinvestmentRoe : null,
+    capexPct: record.capexPct ?? null,
+    workingCapitalPct: record.workingCapitalPct ?? null,
+  };
+  const reinvestmentBasis = Object.values(fromRecord).some(v => v !== null) ? 'history' : 'default';
+
   return {
     forecastYears,
     discountRate,
-    terminalGrowth: 4,
+    discountRateBasis,
+    costOfEquity,
+    terminalGrowth: config.MODEL_DEFAULTS.terminalGrowth,
+    terminalMethod: config.MODEL_DEFAULTS.terminalMethod,
+    terminalBlendWeight: config.MODEL_DEFAULTS.terminalBlendWeight,
+    growthModel: config.MODEL_DEFAULTS.growthModel,
+    stage1Years: Math.round(forecastYears / 3),
+    fadeYears: Math.round(forecastYears / 3),
+    stableGrowth: config.MODEL_DEFAULTS.stableGrowth,
+    cashFlowBasis: config.MODEL_DEFAULTS.cashFlowBasis,
+    reinvestmentMethod: config.CASH_FLOW_DEFAULTS.reinvestmentMethod,
+    reinvestmentRoe: fromRecord.reinvestmentRoe ?? config.CASH_FLOW_DEFAULTS.reinvestmentRoe,
+    capexPct: fromRecord.capexPct ?? config.CASH_FLOW_DEFAULTS.capexPct,
+    workingCapitalPct: fromRecord.workingCapitalPct ?? config.CASH_FLOW_DEFAULTS.workingCapitalPct,
+    reinvestmentBasis,
     exitPE,
+    exitPEBasis,
+    medianPEWindow,
+    sectorPE,
     expectedPatCagr: patCagr,
+    expectedRevenueCagr: patCagr, // revenue model: same expectation as the PAT model
+    targetMargin: config.REVENUE_MODEL_DEFAULTS.targetMargin,
+    marginYear: Math.max(Math.round(forecastYears * config.REVENUE_MODEL_DEFAULTS.marginYearShare), 1),
+    expectedRoe: config.RESIDUAL_INCOME_DEFAULTS.expectedRoe,
+    payoutRatio: config.RESIDUAL_INCOME_DEFAULTS.payoutRatio,
     category,
   };
 }
@@ -151,51 +592,118 @@ function getDefaultAssumptions(marketCapCr, sector) {
  */
 function getSignal(expectationGap) {
   if (expectationGap === null || expectationGap === undefined) return 'N/A';
-  if (expectationGap > 5) return 'Strong Buy';
-  if (expectationGap > 2) return 'Buy';
-  if (expectationGap < -5) return 'Sell';
-  if (expectationGap < -2) return 'Caution';
-  return 'Hold';
+  const match = config.SIGNAL_THRESHOLDS.find(t => (t.above !== undefined ? expectationGap > t.above : expectationGap < t.below));
+  return match ? match.signal : 'Hold';
 }
 
 /**
- * Full analysis for a stock — runs the complete reverse DCF
+ * Full analysis for a stock — runs the complete reverse DCF.
+ *
+ * customAssumptions.valuationMode picks the model; by default lenders and insurers with a
+ * book value (stockData.bookValue) use the residual income model and loss-making companies
+ * with revenue (stockData.currentRevenue) the revenue model (see getValuationMode).
  */
 function analyzeStock(stockData, customAssumptions = {}) {
   const mcapCr = stockData.marketCapCr || (stockData.cmp * stockData.sharesOutstandingCr);
-  const defaults = getDefaultAssumptions(mcapCr, stockData.sector);
+  const defaults = getDefaultAssumptions(mcapCr, stockData.sector, {
+    exitPEBasis: customAssumptions.exitPEBasis,
+    medianPEWindow: customAssumptions.medianPEWindow,
+    medianPE: stockData.medianPE,
+    reinvestment: stockData.reinvestment,
+    beta: stockData.beta,
+    costOfEquity: {
+      riskFreeRate: customAssumptions.riskFreeRate,
+      beta: customAssumptions.beta,
+      equityRiskPremium: customAssumptions.equityRiskPremium,
+      sizePremium: customAssumptions.sizePremium,
+    },
+  });
+  const valuationMode = VALUATION_MODES.includes(customAssumptions.valuationMode)
+    ? customAssumptions.valuationMode
+    : getValuationMode(stockData.currentPAT, stockData.currentRevenue, stockData.sector, stockData.bookValue, stockData.industry);
+  if (valuationMode === 'revenue') return analyzeRevenueModel(stockData, customAssumptions, mcapCr, defaults);
+  if (valuationMode === 'residual_income') return analyzeResidualIncomeModel(stockData, customAssumptions, mcapCr, defaults);
   
   const assumptions = {
+    valuationMode,
     forecastYears: customAssumptions.forecastYears || defaults.forecastYears,
     discountRate: customAssumptions.discountRate || defaults.discountRate,
-    terminalGrowth: customAssumptions.terminalGrowth || defaults.terminalGrowth,
+    terminalGrowth: customAssumptions.terminalGrowth ?? defaults.terminalGrowth,
+    terminalMethod: customAssumptions.terminalMethod || defaults.terminalMethod,
+    terminalBlendWeight: customAssumptions.terminalBlendWeight ?? defaults.terminalBlendWeight,
     exitPE: customAssumptions.exitPE || defaults.exitPE,
     expectedPatCagr: customAssumptions.expectedPatCagr || defaults.expectedPatCagr,
+    growthModel: customAssumptions.growthModel || defaults.growthModel,
+    stage1Years: customAssumptions.stage1Years ?? defaults.stage1Years,
+    fadeYears: customAssumptions.fadeYears ?? defaults.fadeYears,
+    stableGrowth: customAssumptions.stableGrowth ?? defaults.stableGrowth,
+    cashFlowBasis: customAssumptions.cashFlowBasis || defaults.cashFlowBasis,
+    reinvestmentMethod: customAssumptions.reinvestmentMethod || defaults.reinvestmentMethod,
+    reinvestmentRoe: customAssumptions.reinvestmentRoe || defaults.reinvestmentRoe,
+    capexPct: customAssumptions.capexPct ?? defaults.capexPct,
+    workingCapitalPct: customAssumptions.workingCapitalPct ?? defaults.workingCapitalPct,
+  };
+  const terminalOptions = resolveTerminalOptions(assumptions);
+  assumptions.terminalMethod = terminalOptions.terminalMethod;
+  const modelOptions = {
+    ...terminalOptions,
+    ...resolveGrowthOptions(assumptions.forecastYears, assumptions),
+    ...resolveCashFlowOptions(assumptions),
   };
+  Object.assign(assumptions, modelOptions);
 
-  const impliedGrowthRate = solveImpliedGrowthRate(
+  const growthSolve = solveImpliedGrowth(
     stockData.currentPAT,
     mcapCr,
     assumptions.discountRate,
     assumptions.forecastYears,
-    assumptions.exitPE
+    assumptions.exitPE,
+    modelOptions
+  );
+  const impliedGrowthRate = growthSolve.value;
+
+  // Three-stage only: how long must the expected stage-1 growth fade to justify the price?
+  const impliedFadeYears = customAssumptions.solveFor === 'fadeYears' && modelOptions.growthModel === 'three_stage'
+    ? solveImpliedFadeYears(
+      stockData.currentPAT,
+      mcapCr,
+      assumptions.discountRate,
+      assumptions.forecastYears,
+      assumptions.exitPE,
+      assumptions.expectedPatCagr,
+      modelOptions
+    )
+    : undefined;
+
+  // Expected return: the discount rate at which the expected growth is worth today's price
+  const returnSolve = solveImpliedDiscountRate(
+    stockData.currentPAT,
+    mcapCr,
+    assumptions.expectedPatCagr,
+    assumptions.forecastYears,
+    assumptions.exitPE,
+    modelOptions
   );
 
-  const impliedEquityValue = calculateImpliedEquityValue(
+  const valueBreakdown = calculateValueBreakdown(
     stockData.currentPAT,
     assumptions.expectedPatCagr,
     assumptions.discountRate,
     assumptions.forecastYears,
-    assumptions.exitPE
+    assumptions.exitPE,
+    modelOptions
   );
+  const impliedEquityValue = valueBreakdown.equityValue;
 
-  const expectationGap = assumptions.expectedPatCagr - (impliedGrowthRate || 0);
+  // No gap (signal 'N/A') when the price is out of the solver's reach: null is not 0% growth
+  const expectationGap = growthSolve.status === 'converged' ? assumptions.expectedPatCagr - impliedGrowthRate : null;
   const upside = mcapCr > 0 ? ((impliedEquityValue / mcapCr) - 1) * 100 : 0;
 
   const projections = generateProjections(
     stockData.currentPAT,
     impliedGrowthRate || 0,
-    assumptions.forecastYears
+    assumptions.forecastYears,
+    modelOptions
   );
 
   return {
@@ -206,24 +714,699 @@ function analyzeStock(stockData, customAssumptions = {}) {
     marketCapCr: mcapCr,
     currentPAT: stockData.currentPAT,
     mcapCategory: defaults.category,
+    valuationMode,
     assumptions,
     results: {
       impliedGrowthRate,
+      growthBasis: 'pat',
+      solver: { status: growthSolve.status, iterations: growthSolve.iterations, residual: growthSolve.residual },
+      ...(impliedFadeYears !== undefined && { impliedFadeYears }),
+      impliedReturn: returnSolve.value,
       impliedEquityValue,
       expectationGap,
       upside,
       signal: getSignal(expectationGap),
+      terminalMethod: valueBreakdown.method,
+      terminalValue: valueBreakdown,
     },
     projections,
     defaults,
   };
 }
 
+// ============================================================
+// REVENUE MODEL (LOSS-MAKING COMPANIES)
+// ============================================================
+//
+// With PAT ≤ 0 there is no profit to grow, so revenue grows at g instead and
+// the PAT margin moves linearly from today's (signed) margin m0 to a target
+// steady-state margin m* in year T, then stays there:
+//
+//   margin_t = m0 + (m* − m0) × min(t, T) / T
+//   PAT_t    = Revenue × (1+g)^t × margin_t
+//   Value    = Σ PAT_t / (1+r)^t + PAT_n × exitPE / (1+r)^n
+//
+// Losses during the ramp count against the value. Solving Value = market cap
+// for g gives the revenue CAGR the price implies.
+// ============================================================
+
+const VALUATION_MODES = ['pat', 'revenue', 'residual_income'];
+
+/**
+ * Default model for a company: 'residual_income' for a bank / NBFC / insurer (by sector or
+ * industry) with a book value, 'revenue' for a loss-making company (PAT ≤ 0) that reports
+ * revenue, else 'pat'
+ */
+function getValuationMode(currentPAT, currentRevenue, sector, bookValue, industry) {
+  if (config.isResidualIncomeSector(sector, industry) && bookValue > 0) return 'residual_income';
+  const lossMaking = currentPAT !== null && currentPAT !== undefined && currentPAT <= 0;
+  return lossMaking && currentRevenue > 0 ? 'revenue' : 'pat';
+}
+
+/**
+ * Normalise margin ramp options.
+ *
+ * - currentMargin: today's PAT margin in % (negative for a loss; default 0)
+ * - targetMargin: steady-state PAT margin in % (default REVENUE_MODEL_DEFAULTS.targetMargin)
+ * - marginYear: year the target margin is reached, clamped to 1..forecast period
+ */
+function resolveMarginOptions(forecastPeriod, options = {}) {
+  const n = Math.max(Math.round(forecastPeriod) || 0, 0);
+  const currentMargin = Number(options.currentMargin) || 0;
+  const targetMargin = options.targetMargin !== undefined && options.targetMargin !== null
+    ? Number(options.targetMargin) : config.REVENUE_MODEL_DEFAULTS.targetMargin;
+  const requested = Math.round(Number(options.marginYear)) || Math.round(n * config.REVENUE_MODEL_DEFAULTS.marginYearShare);
+  const marginYear = Math.min(Math.max(requested, 1), Math.max(n, 1));
+
+  return { currentMargin, targetMargin, marginYear };
+}
+
+/**
+ * Year-by-year revenue, margin (%) and PAT at a revenue growth rate
+ */
+function generateRevenueProjections(currentRevenue, revenueGrowthPct, forecastPeriod, options = {}) {
+  const { currentMargin, targetMargin, marginYear } = resolveMarginOptions(forecastPeriod, options);
+  const n = Math.max(Math.round(forecastPeriod) || 0, 0);
+  const projections = [];
+  let revenue = currentRevenue;
+
+  for (let t = 1; t <= n; t++) {
+    revenue *= 1 + revenueGrowthPct / 100;
+    const margin = currentMargin + (targetMargin - currentMargin) * Math.min(t, marginYear) / marginYear;
+    projections.push({ year: t, growth: revenueGrowthPct, revenue, margin, pat: revenue * margin / 100 });
+  }
+
+  return projections;
+}
+
+/**
+ * Equity value under the revenue model (see the section comment).
+ * The terminal value is PAT_n × exitPE, and 0 when PAT_n is not positive.
+ *
+ * @returns {{ method, pvEarnings, terminalPAT, exitPE, pvTerminal, equityValue }}
+ */
+function calculateRevenueModelValue(currentRevenue, revenueGrowthPct, discountRatePct, forecastPeriod, exitPE, options = {}) {
+  const empty = { method: 'exit_pe', pvEarnings: 0, terminalPAT: 0, exitPE: null, pvTerminal: 0, equityValue: 0 };
+  if (!(currentRevenue > 0) || forecastPeriod <= 0) return empty;
+
+  const r = discountRatePct / 100;
+  const projections = generateRevenueProjections(currentRevenue, revenueGrowthPct, forecastPeriod, options);
+  const pvEarnings = projections.reduce((sum, p) => sum + p.pat / Math.pow(1 + r, p.year), 0);
+  const terminalPAT = projections.length > 0 ? projections[projections.length - 1].pat : 0;
+  const terminalValue = exitPE > 0 && terminalPAT > 0 ? terminalPAT * exitPE : 0;
+  const pvTerminal = terminalValue / Math.pow(1 + r, projections.length);
+
+  return {
+    method: 'exit_pe',
+    pvEarnings,
+    terminalPAT,
+    exitPE: exitPE > 0 ? { terminalValue, presentValue: pvTerminal } : null,
+    pvTerminal,
+    equityValue: pvEarnings + pvTerminal,
+  };
+}
+
+/**
+ * Solve for the revenue CAGR at which the revenue model's value equals market cap.
+ *
+ * @returns {{ value, status, iterations, residual }} as solveImpliedGrowth; status 'invalid_inputs'
+ *          when revenue, market cap, exit PE or the target margin is not positive
+ */
+function solveImpliedRevenueGrowth(currentRevenue, marketCap, discountRatePct, forecastPeriod, exitPE, options = {}) {
+  const { targetMargin } = resolveMarginOptions(forecastPeriod, options);
+  if (!(currentRevenue > 0) || !(marketCap > 0) || !(exitPE > 0) || !(targetMargin > 0)) {
+    return { value: null, status: 'invalid_inputs', iterations: 0, residual: null };
+  }
+
+  return solver.solveGrowthRate(
+    g => calculateRevenueModelValue(currentRevenue, g, discountRatePct, forecastPeriod, exitPE, options).equityValue,
+    marketCap
+  );
+}
+
+/**
+ * analyzeStock for the revenue model. Same response shape, with results.impliedGrowthRate
+ * the implied revenue CAGR (results.growthBasis = 'revenue'), the expectation gap taken
+ * against expectedRevenueCagr, and projections carrying revenue and margin.
+ */
+function analyzeRevenueModel(stockData, customAssumptions, mcapCr, defaults) {
+  const currentRevenue = stockData.currentRevenue;
+  const forecastYears = customAssumptions.forecastYears || defaults.forecastYears;
+  const margins = resolveMarginOptions(forecastYears, {
+    currentMargin: currentRevenue > 0 ? ((stockData.currentPAT || 0) / currentRevenue) * 100 : 0,
+    targetMargin: customAssumptions.targetMargin ?? defaults.targetMargin,
+    marginYear: customAssumptions.marginYear || defaults.marginYear,
+  });
+  const assumptions = {
+    valuationMode: 'revenue',
+    forecastYears,
+    discountRate: customAssumptions.discountRate || defaults.discountRate,
+    exitPE: customAssumptions.exitPE || defaults.exitPE,
+    expectedRevenueCagr: customAssumptions.expectedRevenueCagr || defaults.expectedRevenueCagr,
+    ...margins,
+    terminalMethod: 'exit_pe',
+  };
+  const { discountRate, exitPE, expectedRevenueCagr } = assumptions;
+
+  const growthSolve = solveImpliedRevenueGrowth(currentRevenue, mcapCr, discountRate, forecastYears, exitPE, margins);
+  const impliedGrowthRate = growthSolve.value;
+  const valueBreakdown = calculateRevenueModelValue(currentRevenue, expectedRevenueCagr, discountRate, forecastYears, exitPE, margins);
+  const returnSolve = growthSolve.status === 'invalid_inputs' ? { value: null } : solveImpliedRate(
+    r => calculateRevenueModelValue(currentRevenue, expectedRevenueCagr, r, forecastYears, exitPE, margins).equityValue,
+    mcapCr
+  );
+  const impliedEquityValue = valueBreakdown.equityValue;
+  const expectationGap = growthSolve.status === 'converged' ? expectedRevenueCagr - impliedGrowthRate : null;
+
+  return {
+    symbol: stockData.symbol,
+    name: stockData.name,
+    sector: stockData.sector,
+    cmp: stockData.cmp,
+    marketCapCr: mcapCr,
+    currentPAT: stockData.currentPAT,
+    currentRevenue,
+    mcapCategory: defaults.category,
+    valuationMode: 'revenue',
+    assumptions,
+    results: {
+      impliedGrowthRate,
+      growthBasis: 'revenue',
+      solver: { status: growthSolve.status, iterations: growthSolve.iterations, residual: growthSolve.residual },
+      impliedReturn: returnSolve.value,
+      impliedEquityValue,
+      expectationGap,
+      upside: mcapCr > 0 ? ((impliedEquityValue / mcapCr) - 1) * 100 : 0,
+      signal: getSignal(expectationGap),
+      terminalMethod: valueBreakdown.method,
+      terminalValue: valueBreakdown,
+    },
+    projections: generateRevenueProjections(currentRevenue, impliedGrowthRate || 0, forecastYears, margins),
+    defaults,
+  };
+}
+
+// ============================================================
+// RESIDUAL INCOME MODEL (BANKS, NBFCS, INSURERS)
+// ============================================================
+//
+// Lenders are priced on book value and the return they earn on it. Equity is
+// worth today's book plus the present value of profit above the cost of equity r:
+//
+//   RI_t  = (ROE − r) × B_(t−1)          B_t = B_(t−1) × (1 + g)
+//   Value = B_0 + Σ RI_t / (1+r)^t + RI_(n+1) / (r − tg) / (1+r)^n
+//
+// Book grows at g = ROE × (1 − payout) unless a book growth is given, and
+// residual income grows at the terminal growth rate tg after year n. Solving
+// Value = market cap gives the sustained ROE the price implies, or at a given
+// ROE the book value growth.
+// ============================================================
+
+const RI_SOLVE_TARGETS = ['roe', 'bookGrowth'];
+const ROE_RANGE = { low: -50, high: 100 };
+
+/**
+ * Book value growth in %: options.bookGrowth, else ROE retained after options.payoutRatio
+ */
+function resolveBookGrowth(roePct, options = {}) {
+  if (options.bookGrowth !== undefined && options.bookGrowth !== null) return Number(options.bookGrowth);
+  const payoutRatio = options.payoutRatio ?? config.RESIDUAL_INCOME_DEFAULTS.payoutRatio;
+  return roePct * (1 - payoutRatio / 100);
+}
+
+/**
+ * Year-by-year book value, PAT and residual income at a sustained ROE
+ *
+ * @returns [{ year, openingBook, pat, residualIncome, closingBook }]
+ */
+function generateResidualIncomeProjections(bookValue, roePct, costOfEquityPct, forecastPeriod, options = {}) {
+  const growth = resolveBookGrowth(roePct, options) / 100;
+  const n = Math.max(Math.round(forecastPeriod) || 0, 0);
+  const projections = [];
+  let book = bookValue;
+
+  for (let t = 1; t <= n; t++) {
+    const closingBook = book * (1 + growth);
+    projections.push({
+      year: t,
+      openingBook: book,
+      pat: book * roePct / 100,
+      residualIncome: book * (roePct - costOfEquityPct) / 100,
+      closingBook,
+    });
+    book = closingBook;
+  }
+
+  return projections;
+}
+
+/**
+ * Equity value under the residual income model (see the section comment).
+ * options: { payoutRatio, bookGrowth, terminalGrowth } in %.
+ * Returns a zero value when book value is not positive or r ≤ terminal growth.
+ *
+ * @returns {{ bookValue, bookGrowth, pvResidualIncome, terminalValue, pvTerminal, equityValue }}
+ */
+function calculateResidualIncomeValue(bookValue, roePct, costOfEquityPct, forecastPeriod, options = {}) {
+  const r = costOfEquityPct / 100;
+  const tg = resolveTerminalOptions(options).terminalGrowth / 100;
+  const bookGrowth = resolveBookGrowth(roePct, options);
+  const empty = { bookValue: bookValue || 0, bookGrowth, pvResidualIncome: 0, terminalValue: 0, pvTerminal: 0, equityValue: 0 };
+  if (!(bookValue > 0) || forecastPeriod <= 0 || !(r > tg)) return empty;
+
+  const projections = generateResidualIncomeProjections(bookValue, roePct, costOfEquityPct, forecastPeriod, options);
+  const pvResidualIncome = projections.reduce((sum, p) => sum + p.residualIncome / Math.pow(1 + r, p.year), 0);
+  const closingBook = projections.length > 0 ? projections[projections.length - 1].closingBook : bookValue;
+  const terminalValue = (roePct / 100 - r) * closingBook / (r - tg);
+  const pvTerminal = terminalValue / Math.pow(1 + r, projections.length);
+
+  return { bookValue, bookGrowth, pvResidualIncome, terminalValue, pvTerminal, equityValue: bookValue + pvResidualIncome + pvTerminal };
+}
+
+/**
+ * Check the inputs every residual income solve needs
+ */
+function canValueResidualIncome(bookValue, marketCap, costOfEquityPct, options = {}) {
+  return bookValue > 0 && marketCap > 0 && costOfEquityPct > resolveTerminalOptions(options).terminalGrowth;
+}
+
+/**
+ * Solve for the sustained ROE (%) at which the residual income value equals market cap,
+ * searched over ROE_RANGE.
+ *
+ * @returns {{ value, status, iterations, residual }} as solveImpliedGrowth; status 'invalid_inputs'
+ *          when book value or market cap is not positive, or cost of equity ≤ terminal growth
+ */
+function solveImpliedRoe(bookValue, marketCap, costOfEquityPct, forecastPeriod, options = {}) {
+  if (!canValueResidualIncome(bookValue, marketCap, costOfEquityPct, options)) {
+    return { value: null, status: 'invalid_inputs', iterations: 0, residual: null };
+  }
+
+  return solver.solveGrowthRate(
+    roe => calculateResidualIncomeValue(bookValue, roe, costOfEquityPct, forecastPeriod, options).equityValue,
+    marketCap,
+    ROE_RANGE
+  );
+}
+
+/**
+ * Solve for the book value growth (%) at which the residual income value at roePct equals
+ * market cap. Growth only adds value when ROE beats the cost of equity, so an ROE at or
+ * below it is reported as 'invalid_inputs'.
+ *
+ * @returns {{ value, status, iterations, residual }}
+ */
+function solveImpliedBookGrowth(bookValue, marketCap, roePct, costOfEquityPct, forecastPeriod, options = {}) {
+  if (!canValueResidualIncome(bookValue, marketCap, costOfEquityPct, options) || !(roePct > costOfEquityPct)) {
+    return { value: null, status: 'invalid_inputs', iterations: 0, residual: null };
+  }
+
+  return solver.solveGrowthRate(
+    g => calculateResidualIncomeValue(bookValue, roePct, costOfEquityPct, forecastPeriod, { ...options, bookGrowth: g }).equityValue,
+    marketCap
+  );
+}
+
+/**
+ * analyzeStock for the residual income model. discountRate is the cost of equity.
+ *
+ * customAssumptions.solveFor = 'roe' (default) solves the sustained ROE, with book value
+ * growing at ROE × (1 − payoutRatio); 'bookGrowth' holds ROE at expectedRoe and solves
+ * the book value growth. results.impliedGrowthRate is the solved figure (growthBasis
+ * 'roe' or 'book_value') and the expectation gap compares it with the expected one.
+ */
+function analyzeResidualIncomeModel(stockData, customAssumptions, mcapCr, defaults) {
+  const bookValue = stockData.bookValue;
+  const assumptions = {
+    valuationMode: 'residual_income',
+    forecastYears: customAssumptions.forecastYears || defaults.forecastYears,
+    discountRate: customAssumptions.discountRate || defaults.discountRate,
+    terminalGrowth: customAssumptions.terminalGrowth ?? defaults.terminalGrowth,
+    expectedRoe: customAssumptions.expectedRoe || defaults.expectedRoe,
+    payoutRatio: customAssumptions.payoutRatio ?? defaults.payoutRatio,
+    solveFor: RI_SOLVE_TARGETS.includes(customAssumptions.solveFor) ? customAssumptions.solveFor : 'roe',
+    terminalMethod: 'residual_income',
+  };
+  const { forecastYears, discountRate, expectedRoe, solveFor } = assumptions;
+  const options = { payoutRatio: assumptions.payoutRatio, terminalGrowth: assumptions.terminalGrowth };
+
+  let solve;
+  let impliedRoe = null;
+  let impliedBookGrowth = null;
+  let expected;
+  if (solveFor === 'roe') {
+    solve = solveImpliedRoe(bookValue, mcapCr, discountRate, forecastYears, options);
+    impliedRoe = solve.value;
+    if (impliedRoe !== null) impliedBookGrowth = Math.round(resolveBookGrowth(impliedRoe, options) * 100) / 100;
+    expected = expectedRoe;
+  } else {
+    solve = solveImpliedBookGrowth(bookValue, mcapCr, expectedRoe, discountRate, forecastYears, options);
+    impliedBookGrowth = solve.value;
+    expected = resolveBookGrowth(expectedRoe, options);
+  }
+
+  const valueBreakdown = calculateResidualIncomeValue(bookValue, expectedRoe, discountRate, forecastYears, options);
+  // Expected return: the cost of equity at which book value earning expectedRoe is worth today's price
+  const returnSolve = canValueResidualIncome(bookValue, mcapCr, Infinity, options) ? solveImpliedRate(
+    r => calculateResidualIncomeValue(bookValue, expectedRoe, r, forecastYears, options).equityValue,
+    mcapCr,
+    assumptions.terminalGrowth
+  ) : { value: null };
+  const impliedEquityValue = valueBreakdown.equityValue;
+  const expectationGap = solve.status === 'converged' ? expected - solve.value : null;
+
+  return {
+    symbol: stockData.symbol,
+    name: stockData.name,
+    sector: stockData.sector,
+    cmp: stockData.cmp,
+    marketCapCr: mcapCr,
+    currentPAT: stockData.currentPAT,
+    bookValue,
+    mcapCategory: defaults.category,
+    valuationMode: 'residual_income',
+    assumptions,
+    results: {
+      impliedGrowthRate: solve.value,
+      growthBasis: solveFor === 'roe' ? 'roe' : 'book_value',
+      impliedRoe,
+      impliedBookGrowth,
+      solver: { status: solve.status, iterations: solve.iterations, residual: solve.residual },
+      impliedReturn: returnSolve.value,
+      impliedEquityValue,
+      expectationGap,
+      upside: mcapCr > 0 ? ((impliedEquityValue / mcapCr) - 1) * 100 : 0,
+      signal: getSignal(expectationGap),
+      priceToBook: bookValue > 0 ? mcapCr / bookValue : null,
+      justifiedPriceToBook: bookValue > 0 ? impliedEquityValue / bookValue : null,
+      terminalMethod: 'residual_income',
+      terminalValue: valueBreakdown,
+    },
+    projections: solveFor === 'roe'
+      ? generateResidualIncomeProjections(bookValue, impliedRoe || 0, discountRate, forecastYears, options)
+      : generateResidualIncomeProjections(bookValue, expectedRoe, discountRate, forecastYears, { ...options, bookGrowth: impliedBookGrowth || 0 }),
+    defaults,
+  };
+}
+
+// ============================================================
+// SENSITIVITY ANALYSIS
+// ============================================================
+
+const SENSITIVITY_FIELDS = [
+  'discountRate', 'exitPE', 'forecastYears', 'expectedPatCagr',
+  'terminalGrowth', 'stage1Years', 'fadeYears', 'stableGrowth',
+];
+const SENSITIVITY_METRICS = ['impliedGrowth', 'impliedValue', 'upside'];
+const MAX_SENSITIVITY_STEPS = 25;
+
+/**
+ * Run one reverse DCF scenario from a flat set of inputs:
+ * { currentPAT, marketCap, discountRate, forecastYears, exitPE, expectedPatCagr, ...model options }
+ */
+function evaluateScenario(inputs) {
+  const { currentPAT, marketCap, discountRate, forecastYears, exitPE, expectedPatCagr } = inputs;
+
+  const impliedGrowthRate = solveImpliedGrowthRate(currentPAT, marketCap, discountRate, forecastYears, exitPE, inputs);
+  const impliedEquityValue = calculateImpliedEquityValue(currentPAT, expectedPatCagr, discountRate, forecastYears, exitPE, inputs);
+  const upside = marketCap > 0 ? ((impliedEquityValue / marketCap) - 1) * 100 : 0;
+
+  return { impliedGrowthRate, impliedEquityValue, upside };
+}
+
+/**
+ * Expand a sensitivity axis into its list of values.
+ * Accepts { field, values: [...] } or { field, from, to, step }.
+ */
+function expandSensitivityAxis(axis) {
+  if (!axis || !SENSITIVITY_FIELDS.includes(axis.field)) {
+    throw new Error(`axis field must be one of: ${SENSITIVITY_FIELDS.join(', ')}`);
+  }
+
+  let values;
+  if (Array.isArray(axis.values)) {
+    values = axis.values.map(Number);
+  } else {
+    const from = Number(axis.from);
+    const to = Number(axis.to);
+    const step = Math.abs(Number(axis.step));
+    if (!isFinite(from) || !isFinite(to) || !(step > 0)) {
+      throw new Error(`${axis.field} axis needs values, or from/to/step`);
+    }
+    values = [];
+    const dir = to >= from ? 1 : -1;
+    for (let v = from; dir > 0 ? v <= to + 1e-9 : v >= to - 1e-9; v += dir * step) {
+      values.push(Math.round(v * 10000) / 10000);
+      if (values.length > MAX_SENSITIVITY_STEPS) break;
+    }
+  }
+
+  if (values.length === 0 || values.some(v => !isFinite(v))) {
+    throw new Error(`${axis.field} axis values must be numbers`);
+  }
+  if (values.length > MAX_SENSITIVITY_STEPS) {
+    throw new Error(`${axis.field} axis is limited to ${MAX_SENSITIVITY_STEPS} values`);
+  }
+
+  return { field: axis.field, values };
+}
+
+/**
+ * Build a 2-D sensitivity matrix of one metric over two assumptions.
+ *
+ * matrix[i][j] is the metric with rows.field = rows.values[i] and cols.field = cols.values[j],
+ * every other input taken from base. Cells that cannot be solved are null.
+ */
+function buildSensitivityGrid(base, rowAxis, colAxis, metric = 'impliedGrowth') {
+  if (!SENSITIVITY_METRICS.includes(metric)) {
+    throw new Error(`metric must be one of: ${SENSITIVITY_METRICS.join(', ')}`);
+  }
+  const rows = expandSensitivityAxis(rowAxis);
+  const cols = expandSensitivityAxis(colAxis);
+  if (rows.field === cols.field) throw new Error('rows and cols must vary different assumptions');
+
+  const pick = {
+    impliedGrowth: r => r.impliedGrowthRate,
+    impliedValue: r => r.impliedEquityValue,
+    upside: r => r.upside,
+  }[metric];
+
+  const matrix = rows.values.map(rv => cols.values.map(cv => {
+    const result = evaluateScenario({ ...base, [rows.field]: rv, [cols.field]: cv });
+    const value = pick(result);
+    return value === null || !isFinite(value) ? null : value;
+  }));
+
+  return { metric, rows, cols, matrix };
+}
+
+// ============================================================
+// MONTE CARLO SIMULATION
+// ============================================================
+
+const DISTRIBUTION_TYPES = ['normal', 'triangular', 'uniform'];
+const SIMULATION_FIELDS = ['expectedPatCagr', 'discountRate', 'exitPE'];
+const MAX_SIMULATION_TRIALS = 20000;
+
+/**
+ * Seedable PRNG (mulberry32) — returns a function yielding floats in [0, 1)
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Validate a distribution spec. A plain number means "fixed at this value".
+ *
+ * - { type: 'normal', mean, sd }
+ * - { type: 'triangular', min, mode, max }
+ * - { type: 'uniform', min, max }
+ */
+function validateDistribution(field, dist) {
+  if (typeof dist === 'number') return;
+  if (!dist || !DISTRIBUTION_TYPES.includes(dist.type)) {
+    throw new Error(`${field} distribution type must be one of: ${DISTRIBUTION_TYPES.join(', ')}`);
+  }
+  const nums = { normal: ['mean', 'sd'], triangular: ['min', 'mode', 'max'], uniform: ['min', 'max'] }[dist.type];
+  for (const k of nums) {
+    if (!isFinite(Number(dist[k]))) throw new Error(`${field} ${dist.type} distribution needs a numeric ${k}`);
+  }
+  if (dist.type === 'normal' && Number(dist.sd) < 0) throw new Error(`${field} sd must be >= 0`);
+  if (dist.type !== 'normal' && Number(dist.min) > Number(dist.max)) throw new Error(`${field} min must be <= max`);
+  if (dist.type === 'triangular' && (Number(dist.mode) < Number(dist.min) || Number(dist.mode) > Number(dist.max))) {
+    throw new Error(`${field} mode must lie between min and max`);
+  }
+}
+
+/**
+ * Draw one value from a distribution spec using the supplied PRNG
+ */
+function sampleDistribution(dist, rand) {
+  if (typeof dist === 'number') return dist;
+
+  if (dist.type === 'normal') {
+    // Box–Muller
+    const u1 = rand() || Number.MIN_VALUE;
+    const u2 = rand();
+    return Number(dist.mean) + Number(dist.sd) * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+
+  const min = Number(dist.min);
+  const max = Number(dist.max);
+  const u = rand();
+  if (dist.type === 'uniform') return min + u * (max - min);
+
+  // Triangular (inverse CDF)
+  const mode = Number(dist.mode);
+  const c = max > min ? (mode - min) / (max - min) : 0;
+  return u < c
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+/**
+ * Default spread around a set of assumptions when the user supplies no distributions:
+ * CAGR ±5 pts (triangular), discount rate σ = 1.5 pts (normal), exit PE ±30% (triangular)
+ */
+function getDefaultDistributions(assumptions) {
+  const { expectedPatCagr, discountRate, exitPE } = assumptions;
+  return {
+    expectedPatCagr: { type: 'triangular', min: expectedPatCagr - 5, mode: expectedPatCagr, max: expectedPatCagr + 5 },
+    discountRate: { type: 'normal', mean: discountRate, sd: 1.5 },
+    exitPE: { type: 'triangular', min: exitPE * 0.7, mode: exitPE, max: exitPE * 1.3 },
+  };
+}
+
+/**
+ * Monte Carlo distribution of upside vs market cap.
+ *
+ * Each trial samples expected PAT CAGR, discount rate and exit PE from their distributions
+ * (anything not given stays at its base value) and runs calculateImpliedEquityValue.
+ * Trials whose inputs cannot be valued (e.g. a negative exit PE draw) are dropped.
+ *
+ * @param base          { currentPAT, marketCap, discountRate, forecastYears, exitPE, expectedPatCagr, ...model options }
+ * @param distributions { expectedPatCagr?, discountRate?, exitPE? } distribution specs
+ * @param options       { trials = 5000, seed, bins = 30 } — pass the returned seed to reproduce a run
+ */
+function simulateValuation(base, distributions = {}, options = {}) {
+  const { currentPAT, marketCap } = base;
+  if (!(currentPAT > 0) || !(marketCap > 0)) throw new Error('currentPAT and marketCap must be positive');
+
+  for (const field of Object.keys(distributions)) {
+    if (!SIMULATION_FIELDS.includes(field)) {
+      throw new Error(`distributions can only vary: ${SIMULATION_FIELDS.join(', ')}`);
+    }
+    validateDistribution(field, distributions[field]);
+  }
+
+  const trials = Math.min(Math.max(parseInt(options.trials, 10) || 5000, 1), MAX_SIMULATION_TRIALS);
+  const bins = Math.min(Math.max(parseInt(options.bins, 10) || 30, 1), 200);
+  const seed = options.seed !== undefined && options.seed !== null
+    ? Number(options.seed) >>> 0
+    : Math.floor(Math.random() * 4294967296);
+  const rand = createRandom(seed);
+
+  const upsides = [];
+  for (let i = 0; i < trials; i++) {
+    const draw = { ...base };
+    for (const field of SIMULATION_FIELDS) {
+      if (distributions[field] !== undefined) draw[field] = sampleDistribution(distributions[field], rand);
+    }
+    const value = calculateImpliedEquityValue(
+      currentPAT, draw.expectedPatCagr, draw.discountRate, draw.forecastYears, draw.exitPE, draw
+    );
+    if (value > 0 && isFinite(value)) upsides.push(((value / marketCap) - 1) * 100);
+  }
+
+  upsides.sort((a, b) => a - b);
+  const valid = upsides.length;
+  const histogram = [];
+  if (valid > 0) {
+    const lo = upsides[0];
+    const width = (upsides[valid - 1] - lo) / bins || 1;
+    for (let b = 0; b < bins; b++) histogram.push({ from: lo + b * width, to: lo + (b + 1) * width, count: 0 });
+    for (const u of upsides) histogram[Math.min(Math.floor((u - lo) / width), bins - 1)].count++;
+  }
+
+  return {
+    seed,
+    trials,
+    validTrials: valid,
+    meanUpside: valid ? upsides.reduce((a, b) => a + b, 0) / valid : null,
+    percentiles: {
+      p5: percentile(upsides, 0.05),
+      p10: percentile(upsides, 0.10),
+      p25: percentile(upsides, 0.25),
+      p50: percentile(upsides, 0.50),
+      p75: percentile(upsides, 0.75),
+      p90: percentile(upsides, 0.90),
+      p95: percentile(upsides, 0.95),
+    },
+    probabilityAboveMarketCap: valid ? upsides.filter(u => u > 0).length / valid : null,
+    histogram,
+  };
+}
+
 module.exports = {
+  config,
+  TERMINAL_METHODS,
+  GROWTH_MODELS,
+  CASH_FLOW_BASES,
+  REINVESTMENT_METHODS,
+  MEDIAN_PE_WINDOWS,
+  VALUATION_MODES,
+  buildCostOfEquity,
+  RI_SOLVE_TARGETS,
+  ROE_RANGE,
   calculateImpliedEquityValue,
+  calculateValueBreakdown,
+  buildGrowthPath,
+  growthSearchRange,
+  solveImpliedGrowth,
   solveImpliedGrowthRate,
+  solveImpliedFadeYears,
+  SOLVE_TARGETS,
+  DISCOUNT_RATE_RANGE,
+  HORIZON_RANGE,
+  solveImpliedRate,
+  solveImpliedDiscountRate,
+  solveImpliedExitPE,
+  solveImpliedForecastYears,
+  solveForUnknown,
   generateProjections,
   getDefaultAssumptions,
   getSignal,
   analyzeStock,
+  getValuationMode,
+  calculateRevenueModelValue,
+  solveImpliedRevenueGrowth,
+  generateRevenueProjections,
+  calculateResidualIncomeValue,
+  solveImpliedRoe,
+  solveImpliedBookGrowth,
+  generateResidualIncomeProjections,
+  SENSITIVITY_FIELDS,
+  SENSITIVITY_METRICS,
+  evaluateScenario,
+  buildSensitivityGrid,
+  DISTRIBUTION_TYPES,
+  createRandom,
+  sampleDistribution,
+  getDefaultDistributions,
+  simulateValuation,
 };
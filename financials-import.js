@@ -0,0 +1,373 @@
+// ============================================================
+// FINANCIALS IMPORT - Annual P&L from screener-style Excel/CSV exports
+// ============================================================
+//
+// Two layouts are recognised:
+//
+// 1. WIDE (screener.in "Data Sheet"): one row per line item, one column per year.
+//    A "Report Date" row gives the period ends; rows labelled Sales / Net profit /
+//    EPS / No. of Equity Shares are read below it, net worth from Equity Share
+//    Capital + Reserves in the balance sheet and Cash from Operating Activity from
+//    the cash flow statement. The quarterly section is ignored.
+//    The file holds one company, so the symbol must be passed in.
+//
+// 2. LONG: one row per company-year with a header such as
+//    Symbol, Fiscal Year, Revenue, PAT, EPS, Shares, Net Worth, Operating Cash Flow, Capex
+//
+// Amounts are ₹ Cr; capex is stored as a positive outflow whatever its sign in
+// the file. Share counts above 1,00,000 are taken as absolute and converted to Cr.
+//
+// CLI: node financials-import.js <file.xlsx|csv> [--symbol MARICO] [--dry-run]
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const { getDB } = require('./db');
+const { parseCSV } = require('./bhavcopy');
+const { saveAnnualFinancials, getAnnualFinancials, recomputeCAGRs, recordFieldSources } = require('./data-fetcher');
+const { refreshAnalysis, refreshItemsForSymbols } = require('./analysis-cache');
+
+const SOURCE = 'import';
+
+// Accepted labels (lowercase) for each metric, in both layouts
+const LABELS = {
+  symbol: ['symbol', 'nse code', 'nse symbol', 'ticker'],
+  year: ['fiscal year', 'fiscal_year', 'year', 'fy', 'report date', 'period end'],
+  revenueCr: ['sales', 'revenue', 'net sales', 'total revenue', 'revenue from operations', 'revenue_cr'],
+  patCr: ['net profit', 'pat', 'profit after tax', 'net income', 'pat_cr'],
+  eps: ['eps', 'eps in rs', 'eps (rs)'],
+  sharesCr: ['no. of equity shares', 'number of shares', 'shares outstanding', 'shares', 'shares (cr)', 'shares_cr'],
+  netWorthCr: ['net worth', 'networth', 'book value', 'shareholders equity', "shareholders' equity", 'total equity', 'net_worth_cr'],
+  equityCapitalCr: ['equity share capital', 'equity capital', 'share capital'],
+  reservesCr: ['reserves', 'reserves and surplus', 'other equity'],
+  operatingCashFlowCr: ['cash from operating activity', 'cash from operations', 'operating cash flow', 'cfo', 'operating_cash_flow_cr'],
+  capexCr: ['capex', 'capital expenditure', 'fixed assets purchased', 'capex_cr'],
+};
+
+const METRICS = ['revenueCr', 'patCr', 'eps', 'sharesCr', 'netWorthCr', 'operatingCashFlowCr', 'capexCr'];
+// Read like metrics, then summed into netWorthCr when no net worth is given
+const NET_WORTH_PARTS = ['equityCapitalCr', 'reservesCr'];
+const METRIC_NAMES = {
+  revenueCr: 'revenue', patCr: 'PAT', eps: 'EPS', sharesCr: 'shares', netWorthCr: 'net worth',
+  equityCapitalCr: 'equity capital', reservesCr: 'reserves', operatingCashFlowCr: 'operating cash flow', capexCr: 'capex',
+};
+
+function labelOf(value) {
+  const text = String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return Object.keys(LABELS).find(key => LABELS[key].includes(text)) || null;
+}
+
+/**
+ * Plain value of a spreadsheet cell (unwraps formula results and rich text)
+ */
+function cellValue(value) {
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    if ('result' in value) return value.result;
+    if (Array.isArray(value.richText)) return value.richText.map(t => t.text).join('');
+    if ('text' in value) return value.text;
+  }
+  return value;
+}
+
+/**
+ * Parse a numeric cell; blank → null, unparseable → NaN
+ */
+function toNumber(value) {
+  const v = cellValue(value);
+  if (v === null || v === undefined || v === '') return null;
+  if (typeof v === 'number') return v;
+  const n = Number(String(v).replace(/[,₹\s]/g, ''));
+  return String(v).trim() === '' ? null : n;
+}
+
+/**
+ * Fiscal year from a year cell (2024, FY24, FY2024, Mar-24, Mar 2024, 2024-03-31 or a Date)
+ */
+function toFiscalYear(value) {
+  const v = cellValue(value);
+  if (v instanceof Date) return { fiscalYear: v.getUTCFullYear(), periodEnd: v.toISOString().slice(0, 10) };
+  if (typeof v === 'number' && v >= 1900 && v <= 2200) return { fiscalYear: Math.round(v), periodEnd: null };
+
+  const text = String(v ?? '').trim().toUpperCase();
+  let m;
+  if ((m = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) return { fiscalYear: +m[1], periodEnd: m[0] };
+  if ((m = text.match(/^(?:FY\s*)?(\d{4})$/))) return { fiscalYear: +m[1], periodEnd: null };
+  if ((m = text.match(/^FY\s*(\d{2})$/))) return { fiscalYear: 2000 + +m[1], periodEnd: null };
+  if ((m = text.match(/^[A-Z]{3}[\s-](\d{2}|\d{4})$/))) return { fiscalYear: m[1].length === 2 ? 2000 + +m[1] : +m[1], periodEnd: null };
+  return null;
+}
+
+function sharesToCr(shares) {
+  return shares != null && Math.abs(shares) > 100000 ? shares / 10000000 : shares;
+}
+
+/**
+ * Fold equity capital + reserves into netWorthCr (an explicit net worth wins)
+ * and make capex a positive outflow
+ */
+function finishRow(row) {
+  const { equityCapitalCr, reservesCr, ...rest } = row;
+  if (rest.netWorthCr == null && equityCapitalCr != null && reservesCr != null) {
+    rest.netWorthCr = equityCapitalCr + reservesCr;
+  }
+  if (rest.capexCr != null) rest.capexCr = Math.abs(rest.capexCr);
+  return rest;
+}
+
+/**
+ * Load a workbook (Buffer) or CSV (string) into a grid of cell values.
+ * Excel files use the "Data Sheet" tab when present, otherwise the first sheet.
+ */
+async function readGrid(input) {
+  const isXlsx = Buffer.isBuffer(input) && input.slice(0, 2).toString() === 'PK';
+  if (!isXlsx) return parseCSV(Buffer.isBuffer(input) ? input.toString('utf8') : String(input), { keepEmpty: true });
+
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(input);
+  const sheet = workbook.getWorksheet('Data Sheet') || workbook.worksheets[0];
+  if (!sheet) throw new Error('Workbook has no sheets');
+
+  const grid = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    row.eachCell({ includeEmpty: true }, (cell, col) => { values[col - 1] = cellValue(cell.value); });
+    grid[rowNumber - 1] = values;
+  });
+  return Array.from(grid, row => row || []);
+}
+
+/**
+ * Rows of a long layout: { rowNumber, symbol, fiscalYear, periodEnd, revenueCr, patCr, eps, sharesCr, netWorthCr,
+ *   operatingCashFlowCr, capexCr }
+ */
+function parseLong(grid, headerIndex, errors) {
+  const columns = {};
+  grid[headerIndex].forEach((cell, i) => {
+    const key = labelOf(cell);
+    if (key && columns[key] === undefined) columns[key] = i;
+  });
+
+  const rows = [];
+  for (let r = headerIndex + 1; r < grid.length; r++) {
+    const line = grid[r];
+    if (!line || line.every(c => c === null || c === undefined || c === '')) continue;
+    const rowNumber = r + 1;
+
+    const symbol = String(cellValue(line[columns.symbol]) ?? '').trim().toUpperCase();
+    const year = toFiscalYear(line[columns.year]);
+    if (!symbol) { errors.push({ row: rowNumber, message: 'Missing symbol' }); continue; }
+    if (!year) { errors.push({ row: rowNumber, message: `Invalid year "${cellValue(line[columns.year]) ?? ''}"` }); continue; }
+
+    const values = {};
+    const bad = [];
+    for (const metric of [...METRICS, ...NET_WORTH_PARTS]) {
+      if (columns[metric] === undefined) continue;
+      const n = toNumber(line[columns[metric]]);
+      if (Number.isNaN(n)) bad.push(metric);
+      else values[metric] = n;
+    }
+    if (bad.length) { errors.push({ row: rowNumber, message: `Non-numeric ${bad.map(m => METRIC_NAMES[m]).join(', ')}` }); continue; }
+
+    rows.push(finishRow({ rowNumber, symbol, ...year, ...values, sharesCr: sharesToCr(values.sharesCr) }));
+  }
+  return rows;
+}
+
+/**
+ * Rows of a wide (Data Sheet) layout for one symbol
+ */
+function parseWide(grid, symbol, errors) {
+  const byYear = new Map();
+  let years = null; // column index → { fiscalYear, periodEnd } from the latest "Report Date" row
+  let skip = false;
+
+  grid.forEach((line, r) => {
+    const first = String(cellValue(line[0]) ?? '').trim();
+    const rowNumber = r + 1;
+    if (!first) return;
+
+    // Section titles (PROFIT & LOSS, Quarters, BALANCE SHEET, ...) have no values
+    if (line.slice(1).every(c => c === null || c === undefined || c === '')) {
+      skip = first.toLowerCase() === 'quarters';
+      return;
+    }
+    if (skip) return;
+
+    if (first.toLowerCase() === 'report date') {
+      years = new Map();
+      line.forEach((cell, i) => {
+        const year = i > 0 ? toFiscalYear(cell) : null;
+        if (year) years.set(i, year);
+      });
+      if (years.size === 0) errors.push({ row: rowNumber, message: 'Report Date row has no recognisable dates' });
+      return;
+    }
+
+    const metric = labelOf(first);
+    if (![...METRICS, ...NET_WORTH_PARTS].includes(metric) || !years) return;
+
+    for (const [i, year] of years) {
+      const n = toNumber(line[i]);
+      if (n === null) continue;
+      if (Number.isNaN(n)) {
+        errors.push({ row: rowNumber, message: `Non-numeric ${first} for FY${year.fiscalYear}` });
+        continue;
+      }
+      const row = byYear.get(year.fiscalYear) || { rowNumber, symbol, ...year };
+      if (row[metric] === undefined) row[metric] = metric === 'sharesCr' ? sharesToCr(n) : n;
+      byYear.set(year.fiscalYear, row);
+    }
+  });
+
+  if (byYear.size === 0 && errors.length === 0) {
+    errors.push({ row: null, message: 'No Report Date row with Sales / Net profit found' });
+  }
+  return [...byYear.values()].map(finishRow);
+}
+
+/**
+ * Validate and import annual financials.
+ *
+ * Valid rows are upserted into financials_annual; each affected stock's latest-year fields
+ * and CAGRs are refreshed and its watchlist items re-analysed. Invalid rows are reported, not imported.
+ *
+ * @param {Buffer|string} input - XLSX buffer or CSV text
+ * @param {object} [options] - { symbol } for wide files, { dryRun } to validate only
+ * @returns {Promise<{ layout, imported, symbols: string[], errors: { row, message }[], watchlistItemsUpdated }>}
+ */
+async function importFinancials(input, options = {}) {
+  const grid = await readGrid(input);
+  if (grid.every(line => line.every(c => c === null || c === undefined || c === ''))) throw new Error('File is empty');
+
+  const errors = [];
+  const headerIndex = grid.findIndex(line => {
+    const keys = (line || []).map(labelOf);
+    return keys.includes('symbol') && keys.includes('year');
+  });
+
+  let layout;
+  let rows;
+  if (headerIndex >= 0) {
+    layout = 'long';
+    rows = parseLong(grid, headerIndex, errors);
+  } else if (grid.some(line => String(cellValue(line[0]) ?? '').trim().toLowerCase() === 'report date')) {
+    if (!options.symbol) throw new Error('symbol is required for Data Sheet (wide) files');
+    layout = 'wide';
+    rows = parseWide(grid, String(options.symbol).toUpperCase(), errors);
+  } else {
+    throw new Error('Unrecognised file: expected a Symbol/Year header or a Report Date row');
+  }
+
+  // Row-level checks against the database
+  const db = getDB();
+  const known = new Set(db.prepare('SELECT symbol FROM stocks').all().map(s => s.symbol));
+  const valid = rows.filter(row => {
+    if (!known.has(row.symbol)) {
+      errors.push({ row: row.rowNumber, message: `Unknown symbol ${row.symbol}` });
+      return false;
+    }
+    if (METRICS.every(m => row[m] === undefined || row[m] === null)) {
+      errors.push({ row: row.rowNumber, message: `No values for FY${row.fiscalYear}` });
+      return false;
+    }
+    if (row.revenueCr != null && row.revenueCr < 0) {
+      errors.push({ row: row.rowNumber, message: `Negative revenue for FY${row.fiscalYear}` });
+      return false;
+    }
+    if (row.sharesCr != null && row.sharesCr <= 0) {
+      errors.push({ row: row.rowNumber, message: `Share count must be positive for FY${row.fiscalYear}` });
+      return false;
+    }
+    return true;
+  });
+
+  errors.sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+  const symbols = [...new Set(valid.map(r => r.symbol))];
+  const result = { layout, imported: valid.length, symbols, errors, watchlistItemsUpdated: 0 };
+  if (options.dryRun || valid.length === 0) return result;
+
+  const updateStock = db.prepare(`
+    UPDATE stocks SET
+      revenue_fy_cr = COALESCE(?, revenue_fy_cr),
+      pat_fy_cr = COALESCE(?, pat_fy_cr),
+      eps = COALESCE(?, eps),
+      shares_outstanding_cr = COALESCE(?, shares_outstanding_cr),
+      market_cap_cr = CASE WHEN ? > 0 AND cmp > 0 THEN cmp * ? ELSE market_cap_cr END,
+      book_value_cr = COALESCE(?, book_value_cr),
+      last_financial_update = datetime('now'),
+      updated_at = datetime('now')
+    WHERE symbol = ?
+  `);
+
+  db.transaction(() => {
+    for (const symbol of symbols) {
+      saveAnnualFinancials(symbol, valid.filter(r => r.symbol === symbol), SOURCE);
+
+      // Stock fields follow the latest stored year; share count the latest year that has one
+      const history = getAnnualFinancials(symbol);
+      const latest = history[0];
+      const pat = latest.pat_cr; // signed, so loss-makers get the revenue model
+      const shares = history.find(r => r.shares_cr != null)?.shares_cr ?? null;
+      const netWorth = history.find(r => r.net_worth_cr != null)?.net_worth_cr ?? null;
+      updateStock.run(latest.revenue_cr, pat, latest.eps, shares, shares, shares, netWorth, symbol);
+
+      const sources = {};
+      if (latest.revenue_cr != null) sources.revenue_fy_cr = SOURCE;
+      if (pat != null) sources.pat_fy_cr = SOURCE;
+      if (latest.eps != null) sources.eps = SOURCE;
+      if (shares != null) Object.assign(sources, { shares_outstanding_cr: SOURCE, market_cap_cr: 'derived' });
+      if (netWorth != null) sources.book_value_cr = SOURCE;
+      recordFieldSources(symbol, sources);
+      recomputeCAGRs(symbol);
+    }
+    refreshAnalysis(symbols);
+    result.watchlistItemsUpdated = refreshItemsForSymbols(symbols);
+  })();
+
+  console.log(`[Import] ${valid.length} annual rows for ${symbols.length} stocks (${errors.length} errors)`);
+  return result;
+}
+
+/**
+ * Import a file from disk (.xlsx or .csv)
+ */
+async function importFinancialsFile(file, options = {}) {
+  const ext = path.extname(file).toLowerCase();
+  const input = ext === '.csv' ? fs.readFileSync(file, 'utf8') : fs.readFileSync(file);
+  return importFinancials(input, options);
+}
+
+// ---- CLI ----
+if (require.main === module) {
+  require('dotenv').config();
+  const { initDB } = require('./db');
+
+  const args = process.argv.slice(2);
+  const symbolIdx = args.indexOf('--symbol');
+  const symbol = symbolIdx >= 0 ? args.splice(symbolIdx, 2)[1] : undefined;
+  const dryRunIdx = args.indexOf('--dry-run');
+  if (dryRunIdx >= 0) args.splice(dryRunIdx, 1);
+  const [file] = args;
+
+  if (!file) {
+    console.error('Usage: node financials-import.js <file.xlsx|csv> [--symbol SYMBOL] [--dry-run]');
+    process.exit(1);
+  }
+
+  initDB();
+  importFinancialsFile(file, { symbol, dryRun: dryRunIdx >= 0 })
+    .then(result => {
+      console.log(JSON.stringify(result, null, 2));
+      process.exit(result.errors.length > 0 ? 2 : 0);
+    })
+    .catch(err => {
+      console.error(`[Import] Failed: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  importFinancials,
+  importFinancialsFile,
+};
@@ -1,4 +1,6 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef } from "react";
+import * as dcf from "./dcf-engine";
+import { GROWTH_RANGE } from "./solver";
 
 /* ================================================================
    VALUELENS — Reverse DCF Screener for Indian Stocks
@@ -8,98 +10,206 @@ import React, { useState, useEffect, useMemo, useCallback, useRef } from "react"
 // ═══════════════════════════════════════════════════════
 // CONFIGURATION & CONSTANTS
 // ═══════════════════════════════════════════════════════
-const SECTOR_PE = {
-  "Oil & Gas":10, "IT":22, "Banks":15, "NBFC":20, "FMCG":45,
-  "Pharma":30, "Healthcare":30, "Auto":20, "Consumer Durables":35,
-  "Chemicals":25, "Capital Goods":25, "Cement":25, "Construction":18,
-  "Diversified":20, "Energy":12, "Financial Services":18, "Insurance":35,
-  "Infrastructure":15, "Logistics":25, "Media":25, "Metal":12,
-  "Power":10, "Realty":15, "Retail":40, "Telecom":20,
-  "Textiles":15, "Technology":30, "Manufacturing":22,
-};
+const API_BASE = "/api";
 
-function getSectorPE(s) {
-  if (!s) return 20;
-  for (const [k,v] of Object.entries(SECTOR_PE))
-    if (s.toLowerCase().includes(k.toLowerCase())) return v;
-  return 20;
-}
+// Sector PEs and market-cap buckets live in dcf-config.js, shared with the API
+const getSectorPE = s => dcf.config.getSectorPE(s);
+
+const MCAP_COLORS = {
+  "Micro Cap":"#7c3aed", "Small Cap":"#8b5cf6", "Mid Cap":"#0891b2",
+  "Large-Mid Cap":"#0ea5e9", "Large Cap":"#059669", "Mega Cap":"#047857",
+};
 
 function getMcapInfo(m) {
-  if (m<500)    return {label:"Micro Cap",  fy:20, dr:20, cagr:25, color:"#7c3aed"};
-  if (m<5000)   return {label:"Small Cap",  fy:20, dr:20, cagr:25, color:"#8b5cf6"};
-  if (m<20000)  return {label:"Mid Cap",    fy:15, dr:18, cagr:18, color:"#0891b2"};
-  if (m<50000)  return {label:"Large-Mid",  fy:15, dr:16, cagr:15, color:"#0ea5e9"};
-  if (m<200000) return {label:"Large Cap",  fy:10, dr:15, cagr:12, color:"#059669"};
-  return               {label:"Mega Cap",   fy:10, dr:13, cagr:10, color:"#047857"};
+  const b=dcf.config.getMcapBucket(m);
+  return {label:b.category, fy:b.forecastYears, dr:b.discountRate, cagr:b.expectedPatCagr, color:MCAP_COLORS[b.category]};
 }
 
 // ═══════════════════════════════════════════════════════
-// REVERSE DCF ENGINE (replicates your Excel exactly)
+// REVERSE DCF ENGINE — dcf-engine.js, the same module the API runs
 // Formula: PAT*(1+g)*((1-(1+g)^n*(1+r)^(-n))/(r-g)) + (PAT*(1+g)^n * exitPE)/(1+r)^n
 // ═══════════════════════════════════════════════════════
-function calcValue(pat, gPct, rPct, n, pe) {
-  if (pat<=0||pe<=0||n<=0) return 0;
-  const g=gPct/100, r=rPct/100;
-  let pv=0;
-  if (Math.abs(r-g)<1e-4) {
-    for (let t=1;t<=n;t++) pv+=(pat*Math.pow(1+g,t))/Math.pow(1+r,t);
-  } else {
-    pv=pat*(1+g)*((1-Math.pow(1+g,n)*Math.pow(1+r,-n))/(r-g));
-  }
-  return pv+(pat*Math.pow(1+g,n)*pe)/Math.pow(1+r,n);
+// Terminal value: "exit_pe" (Excel), "perpetuity" (Gordon growth at tg%) or "blend" (50/50)
+const TERMINAL_METHODS = [["exit_pe","Exit PE"],["perpetuity","Perpetuity Growth"],["blend","Blend"]];
+// Growth model: constant CAGR, or high growth (s1 yrs) → linear fade (fd yrs) → stable growth (sg%)
+const GROWTH_MODELS = [["single","Single Stage"],["two_stage","Two Stage"],["three_stage","Three Stage"]];
+// Cash flow: the whole PAT (Excel), or FCFE = PAT − reinvestment (growth / ROE, or capex + working capital % of PAT)
+const CASH_FLOW_BASES = [["pat","Whole PAT"],["fcfe","FCFE"]];
+const REINVESTMENT_METHODS = [["roe","Growth / ROE"],["explicit","Capex + Working Capital"]];
+
+// o = {tm, tg, gm, s1, fd, sg, cf, rm, roe, cx, wc} — UI shorthand for the engine's model options
+const engineOpts = (o={}) => ({
+  terminalMethod:o.tm, terminalGrowth:o.tg, growthModel:o.gm, stage1Years:o.s1, fadeYears:o.fd, stableGrowth:o.sg,
+  cashFlowBasis:o.cf, reinvestmentMethod:o.rm, reinvestmentRoe:o.roe, capexPct:o.cx, workingCapitalPct:o.wc,
+});
+
+function growthPath(gPct, n, o={}) {
+  return dcf.buildGrowthPath(gPct, n, engineOpts(o)).map(y => ({t:y.year, g:y.growth, st:y.stage}));
 }
 
-function solveGrowth(pat, mcap, rPct, n, pe) {
-  if (pat<=0||mcap<=0||pe<=0) return null;
-  let lo=-80, hi=150;
-  for (let i=0;i<400;i++) {
-    const mid=(lo+hi)/2;
-    const v=calcValue(pat,mid,rPct,n,pe);
-    if (Math.abs(v-mcap)<mcap*0.00001) return Math.round(mid*100)/100;
-    if (v<mcap) lo=mid; else hi=mid;
-  }
-  return Math.round(((lo+hi)/2)*100)/100;
+function calcValue(pat, gPct, rPct, n, pe, o={}) {
+  return dcf.calculateImpliedEquityValue(pat, gPct, rPct, n, pe, engineOpts(o));
+}
+
+// {value, status, iterations, residual} — status converged / below_range / above_range / invalid_inputs
+function solveGrowthResult(pat, mcap, rPct, n, pe, o={}) {
+  return dcf.solveImpliedGrowth(pat, mcap, rPct, n, pe, engineOpts(o));
 }
 
+function solveGrowth(pat, mcap, rPct, n, pe, o={}) {
+  return solveGrowthResult(pat,mcap,rPct,n,pe,o).value;
+}
+
+// Expected return: the discount rate at which growth gPct is worth mcap (IRR at today's price)
+function solveReturnResult(pat, mcap, gPct, n, pe, o={}) {
+  return dcf.solveImpliedDiscountRate(pat, mcap, gPct, n, pe, engineOpts(o));
+}
+
+// Loss-makers (PAT ≤ 0): revenue grows while the PAT margin ramps from today's to o.tmg% by year o.my
+const revenueOpts = (pat, rev, o={}) => ({currentMargin: rev>0 ? (pat||0)/rev*100 : 0, targetMargin:o.tmg, marginYear:o.my});
+
+function solveRevenueGrowthResult(pat, rev, mcap, rPct, n, pe, o={}) {
+  return dcf.solveImpliedRevenueGrowth(rev, mcap, rPct, n, pe, revenueOpts(pat, rev, o));
+}
+
+function calcRevenueValue(pat, rev, gPct, rPct, n, pe, o={}) {
+  return dcf.calculateRevenueModelValue(rev, gPct, rPct, n, pe, revenueOpts(pat, rev, o)).equityValue;
+}
+
+function solveRevenueReturnResult(pat, rev, mcap, gPct, n, pe, o={}) {
+  if (!(rev>0 && mcap>0 && pe>0)) return {value:null, status:"invalid_inputs"};
+  return dcf.solveImpliedRate(r => calcRevenueValue(pat, rev, gPct, r, n, pe, o), mcap);
+}
+
+// Banks / NBFCs / insurers: residual income on book value bv, which grows at ROE × (1 − o.po%)
+const residualOpts = (o={}) => ({payoutRatio:o.po, terminalGrowth:o.tg});
+
+function solveRoeResult(bv, mcap, rPct, n, o={}) {
+  return dcf.solveImpliedRoe(bv, mcap, rPct, n, residualOpts(o));
+}
+
+function calcResidualValue(bv, roePct, rPct, n, o={}) {
+  return dcf.calculateResidualIncomeValue(bv, roePct, rPct, n, residualOpts(o)).equityValue;
+}
+
+// Cost of equity at which book value earning roePct is worth mcap
+function solveRoeReturnResult(bv, mcap, roePct, n, o={}) {
+  if (!(bv>0 && mcap>0)) return {value:null, status:"invalid_inputs"};
+  return dcf.solveImpliedRate(r => calcResidualValue(bv, roePct, r, n, o), mcap, o.tg);
+}
+
+// Three-stage: fade length (yrs) at which stage-1 growth g1 justifies mcap, null if out of reach
+function solveFade(pat, mcap, rPct, n, pe, g1, o={}) {
+  return dcf.solveImpliedFadeYears(pat, mcap, rPct, n, pe, g1, engineOpts(o));
+}
+
+// Monte Carlo over dists = {ec, dr, pe} (distribution specs, see simulateValuation)
+function simulate(pat, mcap, inp, dists, trials, seed, bins=30) {
+  const empty = {valid:0, p5:null, p50:null, p95:null, prob:null, hist:[]};
+  if (!(pat>0&&mcap>0)) return empty;
+  let r;
+  try {
+    r = dcf.simulateValuation(
+      { currentPAT:pat, marketCap:mcap, discountRate:inp.dr, forecastYears:inp.fy, exitPE:inp.pe, expectedPatCagr:inp.ec, ...engineOpts(inp) },
+      { expectedPatCagr:dists.ec, discountRate:dists.dr, exitPE:dists.pe },
+      { trials, seed, bins }
+    );
+  } catch { return empty; } // e.g. a spread that makes min > max
+  return { valid:r.validTrials, p5:r.percentiles.p5, p50:r.percentiles.p50, p95:r.percentiles.p95, prob:r.probabilityAboveMarketCap, hist:r.histogram };
+}
+
+const SIGNAL_STYLE = {
+  "Strong Buy":{c:"#047857",bg:"#d1fae5"}, "Buy":{c:"#059669",bg:"#ecfdf5"}, "Hold":{c:"#6b7280",bg:"#f3f4f6"},
+  "Caution":{c:"#d97706",bg:"#fef3c7"}, "Sell":{c:"#dc2626",bg:"#fee2e2"}, "N/A":{c:"#6b7280",bg:"#f3f4f6"},
+};
+
 function getSignal(gap) {
-  if (gap==null) return {t:"N/A",c:"#6b7280",bg:"#f3f4f6"};
-  if (gap>5)  return {t:"Strong Buy",c:"#047857",bg:"#d1fae5"};
-  if (gap>2)  return {t:"Buy",c:"#059669",bg:"#ecfdf5"};
-  if (gap<-5) return {t:"Sell",c:"#dc2626",bg:"#fee2e2"};
-  if (gap<-2) return {t:"Caution",c:"#d97706",bg:"#fef3c7"};
-  return {t:"Hold",c:"#6b7280",bg:"#f3f4f6"};
+  const t=dcf.getSignal(gap);
+  return {t, ...SIGNAL_STYLE[t]};
 }
 
 // ═══════════════════════════════════════════════════════
-// SAMPLE STOCK DATA (in production → fetched from API)
+// API CLIENT
 // ═══════════════════════════════════════════════════════
-const STOCKS = [
-  {sym:"RELIANCE",name:"Reliance Industries Ltd",sec:"Oil & Gas",cmp:1285.5,shr:677.02,pat:79020,rev:966382,r3:18.2,r5:14.5,r10:12.1,p3:15.8,p5:12.3,p10:14.2,mpe3:26.5,mpe5:28.2,mpe10:22.8,pe:23.5},
-  {sym:"TCS",name:"Tata Consultancy Services",sec:"IT",cmp:3845.2,shr:36.15,pat:47790,rev:255324,r3:14.1,r5:12.8,r10:11.5,p3:12.5,p5:11.2,p10:10.8,mpe3:30.2,mpe5:28.5,mpe10:26.1,pe:29.1},
-  {sym:"HDFCBANK",name:"HDFC Bank Limited",sec:"Banks",cmp:1812.3,shr:380.36,pat:64062,rev:349785,r3:32.5,r5:22.1,r10:18.4,p3:22.1,p5:18.5,p10:19.2,mpe3:20.5,mpe5:22.1,mpe10:24.8,pe:20.8},
-  {sym:"INFY",name:"Infosys Limited",sec:"IT",cmp:1580.75,shr:41.42,pat:26960,rev:162981,r3:13.8,r5:14.2,r10:12.1,p3:10.2,p5:11.8,p10:10.5,mpe3:25.8,mpe5:24.2,mpe10:21.5,pe:24.3},
-  {sym:"ICICIBANK",name:"ICICI Bank Limited",sec:"Banks",cmp:1346.7,shr:71.52,pat:49698,rev:236817,r3:28.5,r5:22.8,r10:16.2,p3:40.1,p5:35.2,p10:22.5,mpe3:18.2,mpe5:20.5,mpe10:18.8,pe:19.4},
-  {sym:"HINDUNILVR",name:"Hindustan Unilever Ltd",sec:"FMCG",cmp:2380.5,shr:23.49,pat:10282,rev:60580,r3:8.2,r5:10.5,r10:9.8,p3:7.5,p5:11.2,p10:12.8,mpe3:58.2,mpe5:62.5,mpe10:55.8,pe:54.5},
-  {sym:"BHARTIARTL",name:"Bharti Airtel Limited",sec:"Telecom",cmp:1685.2,shr:57.19,pat:17602,rev:161780,r3:18.5,r5:16.2,r10:10.8,p3:85.2,p5:0,p10:0,mpe3:45.2,mpe5:55.8,mpe10:48.2,pe:54.8},
-  {sym:"BAJFINANCE",name:"Bajaj Finance Limited",sec:"NBFC",cmp:8520.5,shr:6.19,pat:14920,rev:55684,r3:28.5,r5:25.2,r10:32.1,p3:22.5,p5:18.8,p10:28.5,mpe3:38.5,mpe5:42.8,mpe10:48.2,pe:35.4},
-  {sym:"TITAN",name:"Titan Company Limited",sec:"Consumer Durables",cmp:3280.5,shr:8.87,pat:3850,rev:51084,r3:28.5,r5:22.8,r10:18.5,p3:25.2,p5:21.5,p10:22.8,mpe3:72.5,mpe5:68.2,mpe10:58.5,pe:75.5},
-  {sym:"NESTLEIND",name:"Nestle India Limited",sec:"FMCG",cmp:2218.8,shr:9.64,pat:3132,rev:19128,r3:12.5,r5:11.8,r10:10.2,p3:9.0,p5:14.2,p10:15.8,mpe3:72.5,mpe5:78.2,mpe10:65.5,pe:68.3},
-  {sym:"DMART",name:"Avenue Supermarts Ltd",sec:"Retail",cmp:3628.8,shr:6.51,pat:3168,rev:53742,r3:22.8,r5:18.5,r10:28.2,p3:15.7,p5:14.2,p10:25.8,mpe3:85.2,mpe5:95.5,mpe10:78.2,pe:74.6},
-  {sym:"MARICO",name:"Marico Limited",sec:"FMCG",cmp:722.6,shr:12.98,pat:1737,rev:10199,r3:10.5,r5:9.2,r10:7.8,p3:9.3,p5:10.5,p10:12.2,mpe3:52.8,mpe5:48.5,mpe10:42.2,pe:54.0},
-  {sym:"HCLTECH",name:"HCL Technologies Ltd",sec:"IT",cmp:1683.1,shr:27.14,pat:17758,rev:109857,r3:15.8,r5:14.2,r10:12.5,p3:9.5,p5:10.8,p10:11.2,mpe3:22.5,mpe5:20.8,mpe10:18.5,pe:25.7},
-  {sym:"ASIANPAINT",name:"Asian Paints Limited",sec:"Consumer Durables",cmp:2285.5,shr:9.59,pat:4750,rev:35494,r3:10.8,r5:12.5,r10:13.2,p3:5.2,p5:8.5,p10:14.8,mpe3:62.5,mpe5:68.2,mpe10:55.8,pe:46.2},
-  {sym:"TATAMOTORS",name:"Tata Motors Limited",sec:"Auto",cmp:685.2,shr:36.61,pat:31808,rev:437927,r3:22.5,r5:15.8,r10:8.5,p3:125.5,p5:45.2,p10:18.5,mpe3:12.5,mpe5:15.8,mpe10:18.2,pe:7.9},
-  {sym:"SUNPHARMA",name:"Sun Pharmaceutical Ind",sec:"Pharma",cmp:1752.8,shr:23.99,pat:12280,rev:52369,r3:15.2,r5:14.8,r10:12.5,p3:32.5,p5:28.2,p10:18.5,mpe3:32.5,mpe5:28.8,mpe10:25.2,pe:34.2},
-  {sym:"WIPRO",name:"Wipro Limited",sec:"IT",cmp:305.8,shr:52.36,pat:11880,rev:89818,r3:8.5,r5:10.2,r10:8.8,p3:2.5,p5:5.8,p10:7.2,mpe3:18.5,mpe5:20.2,mpe10:16.8,pe:13.5},
-  {sym:"POLICYBZR",name:"PB Fintech Ltd",sec:"Financial Services",cmp:1579,shr:4.63,pat:831,rev:4245,r3:42.5,r5:35.8,r10:0,p3:0,p5:0,p10:0,mpe3:0,mpe5:0,mpe10:0,pe:88.0},
-  {sym:"MANKIND",name:"Mankind Pharma Ltd",sec:"Pharma",cmp:2062.1,shr:4.13,pat:1980,rev:12290,r3:14.2,r5:15.5,r10:18.2,p3:13.5,p5:14.8,p10:18.5,mpe3:38.5,mpe5:0,mpe10:0,pe:43.0},
-  {sym:"AXISBANK",name:"Axis Bank Limited",sec:"Banks",cmp:1120.5,shr:31.05,pat:27885,rev:118752,r3:22.5,r5:18.2,r10:14.5,p3:71.3,p5:42.8,p10:15.2,mpe3:15.2,mpe5:18.5,mpe10:22.8,pe:12.5},
-  {sym:"KOTAKBANK",name:"Kotak Mahindra Bank",sec:"Banks",cmp:2085.5,shr:19.89,pat:22998,rev:82521,r3:25.8,r5:20.2,r10:18.5,p3:16.0,p5:18.2,p10:20.5,mpe3:22.8,mpe5:28.5,mpe10:32.2,pe:18.1},
-  {sym:"MARUTI",name:"Maruti Suzuki India",sec:"Auto",cmp:12450,shr:3.14,pat:13630,rev:144260,r3:22.5,r5:12.8,r10:10.5,p3:35.2,p5:18.5,p10:14.2,mpe3:28.5,mpe5:32.8,mpe10:28.2,pe:28.7},
-  {sym:"ULTRACEMCO",name:"UltraTech Cement Ltd",sec:"Cement",cmp:11250,shr:2.89,pat:8520,rev:72680,r3:18.5,r5:15.2,r10:12.8,p3:22.5,p5:18.2,p10:14.5,mpe3:35.5,mpe5:38.2,mpe10:32.8,pe:38.2},
-  {sym:"LT",name:"Larsen & Toubro Ltd",sec:"Capital Goods",cmp:3580,shr:13.71,pat:15200,rev:243000,r3:22.8,r5:12.5,r10:10.2,p3:18.5,p5:14.2,p10:12.8,mpe3:32.5,mpe5:28.8,mpe10:25.2,pe:32.3},
-];
+const TOKEN_KEY = "valuelens_token";
+const getToken = () => localStorage.getItem(TOKEN_KEY);
+const setToken = t => t ? localStorage.setItem(TOKEN_KEY, t) : localStorage.removeItem(TOKEN_KEY);
+
+// JSON request with the stored token; throws Error(body.error) (with .status and .data) on failure.
+// A Blob body (an uploaded file) is sent as-is with its own type.
+// A 401 on an authenticated call clears the token and fires "valuelens:logout".
+async function api(path, {method="GET", body, signal}={}) {
+  const token = getToken();
+  const raw = body instanceof Blob;
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = raw ? body.type : "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const r = await fetch(`${API_BASE}${path}`, {method, headers, signal, body: body===undefined ? undefined : raw ? body : JSON.stringify(body)});
+  const data = await r.json().catch(() => null);
+  if (!r.ok) {
+    if (r.status===401 && token) { setToken(null); window.dispatchEvent(new Event("valuelens:logout")); }
+    const err = new Error(data?.error || `HTTP ${r.status}`);
+    err.status = r.status;
+    err.data = data;
+    throw err;
+  }
+  return data;
+}
+
+// GET a file with the stored token and save it under the server's filename (else `fallback`)
+async function download(path, fallback) {
+  const token = getToken();
+  const r = await fetch(`${API_BASE}${path}`, {headers: token ? {Authorization:`Bearer ${token}`} : {}});
+  if (!r.ok) throw new Error((await r.json().catch(() => null))?.error || `HTTP ${r.status}`);
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(await r.blob());
+  a.download = /filename="([^"]+)"/.exec(r.headers.get("Content-Disposition") || "")?.[1] || fallback;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+// stocks row (search, list) → list entry
+const fromRow = r => ({
+  sym: r.symbol, name: r.name, sec: r.sector, cmp: r.cmp, mcap: r.market_cap_cr,
+  ig: r.implied_growth ?? null,
+});
+
+// GET /api/stocks/:symbol/analysis → the stock shape StockInfo / DCFCalculator use
+const fromAnalysis = a => {
+  const h = a.historicalData || {};
+  const d = a.defaults || {};
+  return {
+    sym: a.symbol, name: a.name, sec: a.sector, cmp: a.cmp, mcap: a.marketCapCr, pat: a.currentPAT,
+    rev: h.revenueFyCr, bv: h.bookValueCr, ind: h.industry, pe: h.currentPE,
+    r3: h.revCagr3y, r5: h.revCagr5y, r10: h.revCagr10y,
+    p3: h.patCagr3y, p5: h.patCagr5y, p10: h.patCagr10y,
+    mpe3: h.medianPE3y, mpe5: h.medianPE5y, mpe10: h.medianPE10y,
+    reinv: {roe: d.reinvestmentRoe, cx: d.capexPct, wc: d.workingCapitalPct, basis: d.reinvestmentBasis},
+    dr: d.discountRate, coe: d.costOfEquity,
+    betaObs: h.betaObservations, betaWin: h.betaWindow, bench: h.benchmark,
+  };
+};
+
+// GET /api/watchlist/:id/items row → watchlist entry
+const fromItem = w => ({
+  id: w.id, sym: w.symbol, name: w.name, sec: w.sector, cmp: w.cmp, mcap: w.market_cap_cr, pat: w.pat_fy_cr,
+  mode: w.valuation_mode || "pat",
+  ig: w.implied_growth_rate, ir: w.implied_return ?? null, iv: w.implied_equity_value, gap: w.expectation_gap,
+  inputs: {fy: w.forecast_years, dr: w.discount_rate, tg: w.terminal_growth, pe: w.exit_pe, ec: w.expected_pat_cagr},
+  // analyzeStock input, so edits preview with the same model as the API
+  sd: {symbol: w.symbol, sector: w.sector, industry: w.industry, cmp: w.cmp, marketCapCr: w.market_cap_cr,
+    sharesOutstandingCr: w.shares_outstanding_cr, currentPAT: w.pat_fy_cr, currentRevenue: w.revenue_fy_cr,
+    bookValue: w.book_value_cr, medianPE: {"3y": w.median_pe_3y, "5y": w.median_pe_5y, "10y": w.median_pe_10y}, beta: w.beta},
+});
+
+// Watchlist inputs → analyzeStock assumptions; ec is the expectation of the item's model
+const itemAssumptions = i => ({forecastYears: i.fy, discountRate: i.dr, terminalGrowth: i.tg, exitPE: i.pe,
+  expectedPatCagr: i.ec, expectedRevenueCagr: i.ec, expectedRoe: i.ec});
+
+// Watchlist inputs → POST/PUT /api/watchlist body
+const toItemBody = i => ({forecastYears: i.fy, discountRate: i.dr, terminalGrowth: i.tg, exitPE: i.pe, expectedPatCagr: i.ec});
+
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
 
 // ═══════════════════════════════════════════════════════
 // FORMATTING HELPERS
@@ -111,26 +221,27 @@ const fCr = v => {
   return `₹${v.toFixed(0)} Cr`;
 };
 const fP = v => v!=null&&!isNaN(v) ? `${v.toFixed(1)}%` : "—";
+const fGap = v => v!=null&&!isNaN(v) ? `${v>0?"+":""}${v.toFixed(1)}%` : "—";
+const fIG = (r, range=GROWTH_RANGE) => r.status==="below_range" ? `< ${range.low}%` : r.status==="above_range" ? `> ${range.high}%` : r.value!=null ? fP(r.value) : "N/A";
 const fPr = v => v!=null ? `₹${v.toLocaleString("en-IN",{minimumFractionDigits:2,maximumFractionDigits:2})}` : "—";
 
 // ═══════════════════════════════════════════════════════
 // MAIN APP COMPONENT
 // ═══════════════════════════════════════════════════════
 export default function App() {
+  const [user, setUser] = useState(null);
   const [sel, setSel] = useState(null);
+  const [loading, setLoading] = useState(null);
+  const [loadErr, setLoadErr] = useState(null);
   const [tab, setTab] = useState("screener");
-  const [watchlist, setWatchlist] = useState([]);
+  const wl = useWatchlists(user);
+  const [popular, setPopular] = useState(null);
   const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [search, setSearch] = useState({loading:false, error:null});
   const [dropOpen, setDropOpen] = useState(false);
   const searchRef = useRef(null);
-
-  const filtered = useMemo(() => {
-    if (!query.trim()) return STOCKS.slice(0,8);
-    const q = query.toLowerCase();
-    return STOCKS.filter(s =>
-      s.sym.toLowerCase().includes(q)||s.name.toLowerCase().includes(q)||s.sec.toLowerCase().includes(q)
-    ).slice(0,10);
-  }, [query]);
+  const loadSeq = useRef(0);
 
   useEffect(() => {
     const h = e => { if (searchRef.current && !searchRef.current.contains(e.target)) setDropOpen(false); };
@@ -138,19 +249,51 @@ export default function App() {
     return () => document.removeEventListener("mousedown", h);
   }, []);
 
-  const addToWatchlist = useCallback((sym, inputs, ig) => {
-    const s = STOCKS.find(x => x.sym === sym);
-    if (!s) return;
-    const mcap = s.cmp * s.shr;
-    const iv = calcValue(s.pat, inputs.ec, inputs.dr, inputs.fy, inputs.pe);
-    const item = { sym, cmp: s.cmp, mcap, ig, iv, gap: inputs.ec - (ig||0), inputs:{...inputs}, sec: s.sec, name: s.name };
-    setWatchlist(prev => {
-      const idx = prev.findIndex(w => w.sym === sym);
-      if (idx >= 0) { const u = [...prev]; u[idx] = item; return u; }
-      return [...prev, item];
-    });
-    setTab("watchlist");
+  // Session: restore from the stored token, drop it on any 401
+  const logout = useCallback(() => {
+    setToken(null); setUser(null);
   }, []);
+  useEffect(() => {
+    if (getToken()) api("/auth/me").then(setUser).catch(() => logout());
+    window.addEventListener("valuelens:logout", logout);
+    return () => window.removeEventListener("valuelens:logout", logout);
+  }, [logout]);
+
+  // Largest stocks with a solved default-assumption implied growth (stock_analysis cache)
+  useEffect(() => {
+    api(`/stocks?limit=16&sortBy=market_cap_cr&minImpliedGrowth=${GROWTH_RANGE.low}`)
+      .then(d => setPopular(d.stocks.map(fromRow)))
+      .catch(e => setPopular({error: e.message}));
+  }, []);
+
+  // Debounced search; stale responses are aborted
+  useEffect(() => {
+    const q = query.trim();
+    if (!q || !dropOpen) { setResults([]); setSearch({loading:false, error:null}); return; }
+    const ctl = new AbortController();
+    setSearch({loading:true, error:null});
+    const t = setTimeout(() => {
+      api(`/stocks/search?q=${encodeURIComponent(q)}&limit=10`, {signal: ctl.signal})
+        .then(rows => { setResults(rows.map(fromRow)); setSearch({loading:false, error:null}); })
+        .catch(e => { if (e.name!=="AbortError") setSearch({loading:false, error:e.message}); });
+    }, 250);
+    return () => { clearTimeout(t); ctl.abort(); };
+  }, [query, dropOpen]);
+
+  const selectStock = useCallback(sym => {
+    const seq = ++loadSeq.current;
+    setQuery(sym); setDropOpen(false); setTab("screener");
+    setLoading(sym); setLoadErr(null);
+    api(`/stocks/${encodeURIComponent(sym)}/analysis`)
+      .then(a => { if (seq===loadSeq.current) setSel(fromAnalysis(a)); })
+      .catch(e => { if (seq===loadSeq.current) setLoadErr(`Could not load ${sym}: ${e.message}`); })
+      .finally(() => { if (seq===loadSeq.current) setLoading(null); });
+  }, []);
+
+  const addToWatchlist = useCallback((sym, inputs) => {
+    setTab("watchlist");
+    if (user) wl.add(sym, inputs);
+  }, [user, wl.add]);
 
   return (
     <div style={{minHeight:"100vh",background:"#f8f9fb",fontFamily:"'Segoe UI','system-ui',sans-serif",color:"#0f172a"}}>
@@ -173,10 +316,18 @@ export default function App() {
                 display:"flex",alignItems:"center",gap:8
               }}>
                 {t==="screener"?"📊 Screener":"⭐ Watchlist"}
-                {t==="watchlist"&&watchlist.length>0&&<span style={{background:"#f59e0b",color:"#0c1220",borderRadius:20,padding:"1px 7px",fontSize:11,fontWeight:700}}>{watchlist.length}</span>}
+                {t==="watchlist"&&wl.items.length>0&&<span style={{background:"#f59e0b",color:"#0c1220",borderRadius:20,padding:"1px 7px",fontSize:11,fontWeight:700}}>{wl.items.length}</span>}
               </button>
             ))}
           </nav>
+          {user ? (
+            <div style={{display:"flex",alignItems:"center",gap:10}}>
+              <span style={{color:"#94a3b8",fontSize:12,fontWeight:600}}>{user.name || user.email}</span>
+              <button onClick={logout} style={{...ib,color:"#94a3b8",fontSize:12,fontWeight:600}}>Log out</button>
+            </div>
+          ) : (
+            <button onClick={() => setTab("watchlist")} style={{...ib,color:"#f59e0b",fontSize:12,fontWeight:700}}>Log in</button>
+          )}
         </div>
       </header>
 
@@ -201,10 +352,15 @@ export default function App() {
                     style={{flex:1,border:"none",outline:"none",fontSize:15,fontWeight:500,color:"#0f172a",background:"transparent",fontFamily:"inherit"}} />
                   {query && <button onClick={() => {setQuery("");setDropOpen(false)}} style={{border:"none",background:"#f1f5f9",borderRadius:7,width:26,height:26,cursor:"pointer",color:"#64748b",fontSize:12,display:"flex",alignItems:"center",justifyContent:"center"}}>✕</button>}
                 </div>
-                {dropOpen && filtered.length>0 && (
+                {dropOpen && query.trim() && (
                   <div style={{position:"absolute",top:"100%",left:0,right:0,background:"#fff",border:"2px solid #e2e8f0",borderRadius:14,marginTop:6,padding:6,zIndex:50,boxShadow:"0 12px 40px rgba(0,0,0,0.12)",maxHeight:400,overflowY:"auto"}}>
-                    {filtered.map(s => (
-                      <div key={s.sym} onClick={() => {setSel(s);setQuery(s.sym);setDropOpen(false)}}
+                    {(search.loading || search.error || results.length===0) && (
+                      <div style={{padding:"10px 14px",fontSize:13,color:search.error?"#dc2626":"#94a3b8",textAlign:"left"}}>
+                        {search.error ? `Search failed: ${search.error}` : search.loading ? "Searching…" : "No matching stocks"}
+                      </div>
+                    )}
+                    {!search.loading && results.map(s => (
+                      <div key={s.sym} onClick={() => selectStock(s.sym)}
                         style={{display:"flex",justifyContent:"space-between",alignItems:"center",padding:"10px 14px",borderRadius:9,cursor:"pointer",transition:"background 0.15s",background:sel?.sym===s.sym?"#fef3c7":"transparent"}}
                         onMouseEnter={e => e.currentTarget.style.background=sel?.sym===s.sym?"#fef3c7":"#f8fafc"}
                         onMouseLeave={e => e.currentTarget.style.background=sel?.sym===s.sym?"#fef3c7":"transparent"}>
@@ -217,20 +373,30 @@ export default function App() {
               </div>
             </div>
 
+            {(loading || loadErr) && (
+              <Notice error={!!loadErr}>{loadErr || `Loading ${loading}…`}</Notice>
+            )}
             {sel ? (
-              <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:22,alignItems:"start"}}>
+              <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:22,alignItems:"start",opacity:loading?0.5:1}}>
                 <StockInfo stock={sel} />
                 <DCFCalculator stock={sel} onSave={addToWatchlist} />
               </div>
             ) : (
-              <QuickPicks stocks={STOCKS} onSelect={s => {setSel(s);setQuery(s.sym)}} />
+              <QuickPicks stocks={popular} onSelect={s => selectStock(s.sym)} />
             )}
           </>
         )}
 
-        {tab === "watchlist" && (
-          <WatchlistPanel list={watchlist} setList={setWatchlist} onGo={s => {setSel(s);setQuery(s.sym);setTab("screener")}} stocks={STOCKS} />
-        )}
+        {tab === "watchlist" && (user ? (
+          <>
+            {wl.error && <Notice error>{wl.error}</Notice>}
+            {wl.lists.length>0 ? (
+              <WatchlistPanel wl={wl} onGo={w => selectStock(w.sym)} />
+            ) : !wl.error && <Notice>Loading watchlists…</Notice>}
+          </>
+        ) : (
+          <AuthPanel onAuth={u => setUser(u)} />
+        ))}
       </main>
 
       <footer style={{borderTop:"1px solid #e2e8f0",padding:"20px 28px",textAlign:"center"}}>
@@ -240,11 +406,101 @@ export default function App() {
   );
 }
 
+// ═══════════════════════════════════════════════════════
+// WATCHLISTS (server state via /api/watchlist)
+// ═══════════════════════════════════════════════════════
+// Every change is sent to the API and the lists + current items are reloaded,
+// so counts, ordering and cached results always match the server.
+function useWatchlists(user) {
+  const [lists, setLists] = useState([]);
+  const [wlId, setWlId] = useState(null);
+  const [items, setItems] = useState([]);
+  const [state, setState] = useState({loading:false, error:null});
+
+  // Lists, and the items of list `id` (the first list if it is gone); creates a list if the user has none
+  const load = useCallback(async id => {
+    setState({loading:true, error:null});
+    try {
+      let ls = await api("/watchlist");
+      if (ls.length===0) ls = [await api("/watchlist", {method:"POST", body:{name:"My List"}})];
+      const cur = ls.find(l => l.id===id) || ls[0];
+      const rows = await api(`/watchlist/${cur.id}/items`);
+      setLists(ls); setWlId(cur.id); setItems(rows.map(fromItem));
+      setState({loading:false, error:null});
+    } catch (e) {
+      setState({loading:false, error:e.message});
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) load();
+    else { setLists([]); setWlId(null); setItems([]); }
+  }, [user, load]);
+
+  // Run fn, then reload; fn may return the id of the list to show next (default: the current one)
+  const run = useCallback(async fn => {
+    try {
+      const next = await fn();
+      await load(next || wlId);
+    } catch (e) {
+      setState({loading:false, error:e.message});
+    }
+  }, [load, wlId]);
+
+  const path = `/watchlist/${wlId}`;
+  const orderOf = (arr, i, dir) => {
+    const ids = arr.map(x => x.id), j = i + dir;
+    if (j < 0 || j >= ids.length) return null;
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+    return ids;
+  };
+  const send = (p, method, body) => run(async () => { await api(p, {method, body}); });
+  const add = useCallback((sym, inputs) =>
+    run(async () => { await api(`${path}/items`, {method:"POST", body:{symbol:sym, ...toItemBody(inputs)}}); }), [run, path]);
+
+  // Upload a CSV / XLSX / JSON file into the current list; resolves to {imported, created, updated, rejected}
+  // (also when every row was rejected), or undefined when the upload failed
+  const importFile = useCallback(async file => {
+    const type = /\.xlsx$/i.test(file.name) ? XLSX_TYPE : /\.json$/i.test(file.name) ? "application/json" : "text/csv";
+    let result;
+    await run(async () => {
+      try { result = await api(`${path}/import`, {method:"POST", body:new Blob([file], {type})}); }
+      catch (e) { if (!e.data?.rejected) throw e; result = e.data; }
+    });
+    return result;
+  }, [run, path]);
+
+  return {
+    lists, wlId, items, setItems, loading: state.loading, error: state.error,
+    current: lists.find(l => l.id===wlId),
+    select: id => load(id),
+    create: name => run(async () => (await api("/watchlist", {method:"POST", body:{name}})).id),
+    rename: name => send(path, "PUT", {name}),
+    setDefaults: (defaults, applyToItems) => send(path, "PUT", {defaults, applyToItems}),
+    remove: () => run(async () => { await api(path, {method:"DELETE"}); return lists.find(l => l.id!==wlId)?.id; }),
+    moveList: dir => {
+      const ids = orderOf(lists, lists.findIndex(l => l.id===wlId), dir);
+      if (ids) send("/watchlist/order", "PUT", {watchlistIds:ids});
+    },
+    add,
+    saveItem: w => send(`${path}/items/${w.id}`, "PUT", toItemBody(w.inputs)),
+    removeItem: w => send(`${path}/items/${w.id}`, "DELETE"),
+    moveItem: (w, dir) => {
+      const ids = orderOf(items, items.findIndex(x => x.id===w.id), dir);
+      if (ids) send(`${path}/items/order`, "PUT", {itemIds:ids});
+    },
+    transferItem: (w, toId, copy) => send(`${path}/items/${w.id}/${copy?"copy":"move"}`, "POST", {toWatchlistId:toId}),
+    exportAs: format => download(`${path}/export?format=${format}`, `watchlist.${format}`)
+      .catch(e => setState({loading:false, error:e.message})),
+    importFile,
+  };
+}
+
 // ═══════════════════════════════════════════════════════
 // STOCK INFO PANEL
 // ═══════════════════════════════════════════════════════
 function StockInfo({ stock: s }) {
-  const mcap = s.cmp * s.shr;
+  const mcap = s.mcap;
   const info = getMcapInfo(mcap);
   return (
     <div style={{background:"#fff",borderRadius:18,padding:26,border:"1px solid #e2e8f0",boxShadow:"0 1px 8px rgba(0,0,0,0.03)"}}>
@@ -287,6 +543,67 @@ function StockInfo({ stock: s }) {
           ))}
         </div>
       </div>
+
+      <ImpliedHistory sym={s.sym} />
+    </div>
+  );
+}
+
+// Implied CAGR vs CMP over time, from GET /api/stocks/:symbol/history
+function ImpliedHistory({sym}) {
+  const [range, setRange] = useState(365);
+  const [hist, setHist] = useState(null);
+  const [err, setErr] = useState(null);
+
+  useEffect(() => {
+    let live = true;
+    const from = new Date(Date.now()-range*864e5).toISOString().slice(0,10);
+    setHist(null); setErr(null);
+    fetch(`${API_BASE}/stocks/${encodeURIComponent(sym)}/history?from=${from}`)
+      .then(r => r.ok ? r.json() : Promise.reject(new Error(`HTTP ${r.status}`)))
+      .then(d => live && setHist(d.history.filter(h => h.implied_growth_rate!=null)))
+      .catch(e => live && setErr(e.message));
+    return () => { live = false; };
+  }, [sym, range]);
+
+  const W=440, H=150, P=30;
+  const line = (pts, key) => {
+    const vs=pts.map(p => p[key]), lo=Math.min(...vs), hi=Math.max(...vs), span=(hi-lo)||1;
+    return { lo, hi, d: pts.map((p,i) => `${i?"L":"M"}${P+(i/Math.max(pts.length-1,1))*(W-2*P)},${H-P-((p[key]-lo)/span)*(H-2*P)}`).join(" ") };
+  };
+  const ig = hist&&hist.length>1 ? line(hist,"implied_growth_rate") : null;
+  const px = hist&&hist.length>1 ? line(hist,"cmp") : null;
+
+  return (
+    <div style={{borderTop:"1px solid #f1f5f9",paddingTop:18,marginTop:18}}>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:10}}>
+        <div style={{fontSize:12,fontWeight:700,color:"#334155",textTransform:"uppercase",letterSpacing:"0.4px"}}>Implied CAGR vs CMP</div>
+        <div style={{display:"flex",gap:4}}>
+          {[[90,"3M"],[365,"1Y"],[1095,"3Y"]].map(([d,l]) => (
+            <button key={d} onClick={() => setRange(d)} style={{...ib,fontSize:11,fontWeight:700,background:range===d?"#fef3c7":"transparent",color:range===d?"#92400e":"#64748b"}}>{l}</button>
+          ))}
+        </div>
+      </div>
+      {ig ? (
+        <svg viewBox={`0 0 ${W} ${H}`} style={{width:"100%",height:"auto"}}>
+          <path d={px.d} fill="none" stroke="#94a3b8" strokeWidth="1.5" />
+          <path d={ig.d} fill="none" stroke="#f59e0b" strokeWidth="2" />
+          <text x={2} y={P} fontSize="9" fill="#d97706">{fP(ig.hi)}</text>
+          <text x={2} y={H-P} fontSize="9" fill="#d97706">{fP(ig.lo)}</text>
+          <text x={W-2} y={P} fontSize="9" fill="#64748b" textAnchor="end">{fPr(px.hi)}</text>
+          <text x={W-2} y={H-P} fontSize="9" fill="#64748b" textAnchor="end">{fPr(px.lo)}</text>
+          <text x={P} y={H-8} fontSize="9" fill="#94a3b8">{hist[0].date}</text>
+          <text x={W-P} y={H-8} fontSize="9" fill="#94a3b8" textAnchor="end">{hist[hist.length-1].date}</text>
+        </svg>
+      ) : (
+        <div style={{fontSize:12,color:"#94a3b8",padding:"18px 0",textAlign:"center"}}>
+          {err ? `History unavailable (${err})` : hist ? "Not enough daily history yet" : "Loading…"}
+        </div>
+      )}
+      <div style={{display:"flex",gap:14,fontSize:10,color:"#64748b",fontWeight:600}}>
+        <span><span style={{color:"#f59e0b"}}>━</span> Implied CAGR (default assumptions)</span>
+        <span><span style={{color:"#94a3b8"}}>━</span> CMP</span>
+      </div>
     </div>
   );
 }
@@ -318,26 +635,73 @@ function Pill({label,value,color}) {
 // DCF CALCULATOR PANEL
 // ═══════════════════════════════════════════════════════
 function DCFCalculator({ stock: s, onSave }) {
-  const mcap = s.cmp * s.shr;
+  const mcap = s.mcap;
   const info = getMcapInfo(mcap);
   const spe = getSectorPE(s.sec);
+  const mpe = s.mpe5>0 ? s.mpe5 : s.mpe10>0 ? s.mpe10 : s.mpe3>0 ? s.mpe3 : null;
+
+  // Loss-making with revenue → revenue model; ec is then the expected revenue CAGR.
+  // Lender / insurer with book value → residual income model; ec is the expected ROE, dr the cost of equity.
+  const mode = dcf.getValuationMode(s.pat, s.rev, s.sec, s.bv, s.ind);
+  const revMode = mode==="revenue";
+  const riMode = mode==="residual_income";
+  const peMode = !revMode && !riMode;
+  const m0 = revenueOpts(s.pat, s.rev).currentMargin;
 
-  const [inp, setInp] = useState({ fy: info.fy, dr: info.dr, tg: 4, pe: spe, ec: info.cagr });
+  const coe0 = s.coe || dcf.buildCostOfEquity({}, mcap);
+  const initInputs = i => ({ fy: i.fy, dr: s.dr ?? i.dr, tg: 4, pe: spe, peb: "sector", tm: "exit_pe",
+    rf: coe0.riskFreeRate, beta: coe0.beta, erp: coe0.equityRiskPremium, sp: coe0.sizePremium,
+    ec: riMode ? dcf.config.RESIDUAL_INCOME_DEFAULTS.expectedRoe : i.cagr,
+    gm: "single", s1: Math.round(i.fy/3), fd: Math.round(i.fy/3), sg: 4,
+    tmg: dcf.config.REVENUE_MODEL_DEFAULTS.targetMargin, my: Math.max(Math.round(i.fy*dcf.config.REVENUE_MODEL_DEFAULTS.marginYearShare), 1),
+    po: dcf.config.RESIDUAL_INCOME_DEFAULTS.payoutRatio,
+    cf: "pat", rm: dcf.config.CASH_FLOW_DEFAULTS.reinvestmentMethod,
+    roe: s.reinv?.roe ?? dcf.config.CASH_FLOW_DEFAULTS.reinvestmentRoe,
+    cx: s.reinv?.cx ?? dcf.config.CASH_FLOW_DEFAULTS.capexPct,
+    wc: s.reinv?.wc ?? dcf.config.CASH_FLOW_DEFAULTS.workingCapitalPct });
+  const [inp, setInp] = useState(() => initInputs(info));
 
   useEffect(() => {
-    const i2 = getMcapInfo(s.cmp * s.shr);
-    setInp({ fy: i2.fy, dr: i2.dr, tg: 4, pe: getSectorPE(s.sec), ec: i2.cagr });
+    setInp(initInputs(getMcapInfo(s.mcap)));
   }, [s.sym]);
 
-  const ig = useMemo(() => solveGrowth(s.pat, mcap, inp.dr, inp.fy, inp.pe), [s.pat, mcap, inp.dr, inp.fy, inp.pe]);
-  const iv = useMemo(() => calcValue(s.pat, inp.ec, inp.dr, inp.fy, inp.pe), [s.pat, inp]);
+  const igRes = useMemo(() => riMode
+    ? solveRoeResult(s.bv, mcap, inp.dr, inp.fy, inp)
+    : revMode
+    ? solveRevenueGrowthResult(s.pat, s.rev, mcap, inp.dr, inp.fy, inp.pe, inp)
+    : solveGrowthResult(s.pat, mcap, inp.dr, inp.fy, inp.pe, inp), [riMode, revMode, s.pat, s.rev, s.bv, mcap, inp]);
+  const ig = igRes.value;
+  const iv = useMemo(() => riMode
+    ? calcResidualValue(s.bv, inp.ec, inp.dr, inp.fy, inp)
+    : revMode
+    ? calcRevenueValue(s.pat, s.rev, inp.ec, inp.dr, inp.fy, inp.pe, inp)
+    : calcValue(s.pat, inp.ec, inp.dr, inp.fy, inp.pe, inp), [riMode, revMode, s.pat, s.rev, s.bv, inp]);
+  const igText = fIG(igRes, riMode ? dcf.ROE_RANGE : revMode ? GROWTH_RANGE : dcf.growthSearchRange(engineOpts(inp)));
+  // Expected return: what today's price earns a year if your expected growth / ROE comes true
+  const irRes = useMemo(() => riMode
+    ? solveRoeReturnResult(s.bv, mcap, inp.ec, inp.fy, inp)
+    : revMode
+    ? solveRevenueReturnResult(s.pat, s.rev, mcap, inp.ec, inp.fy, inp.pe, inp)
+    : solveReturnResult(s.pat, mcap, inp.ec, inp.fy, inp.pe, inp), [riMode, revMode, s.pat, s.rev, s.bv, mcap, inp]);
+  const irText = fIG(irRes, dcf.DISCOUNT_RATE_RANGE);
+  const fcfe = peMode && inp.cf==="fcfe";
+  const fade = useMemo(() => inp.gm==="three_stage" ? solveFade(s.pat, mcap, inp.dr, inp.fy, inp.pe, inp.ec, inp) : null, [s.pat, mcap, inp]);
+  const path = useMemo(() => growthPath(ig||0, inp.fy, inp), [ig, inp]);
+  const tmLabel = TERMINAL_METHODS.find(([k]) => k===inp.tm)[1];
   const upside = mcap > 0 ? ((iv / mcap) - 1) * 100 : 0;
-  const gap = inp.ec - (ig || 0);
+  const gap = igRes.status==="converged" ? inp.ec - ig : null;
   const sig = getSignal(gap);
 
   const set = (k, v) => setInp(p => ({...p, [k]: parseFloat(v)||0}));
+  // Editing a cost of equity part rebuilds the discount rate from all four
+  const coeOf = p => dcf.buildCostOfEquity({riskFreeRate:p.rf, beta:p.beta, equityRiskPremium:p.erp, sizePremium:p.sp}, mcap).costOfEquity;
+  const setPart = (k, v) => setInp(p => { const n = {...p, [k]: parseFloat(v)||0}; return {...n, dr: coeOf(n)}; });
+  const built = coeOf(inp);
+  const betaNote = s.coe?.betaSource==="measured" ? `β measured over ${s.betaWin} vs ${s.bench} (${s.betaObs} days)`
+    : "no measured β — 1.0 assumed";
 
   return (
+    <div style={{display:"flex",flexDirection:"column",gap:22}}>
     <div style={{background:"#fff",borderRadius:18,padding:26,border:"1px solid #e2e8f0",boxShadow:"0 1px 8px rgba(0,0,0,0.03)"}}>
       <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:18}}>
         <h3 style={{fontSize:19,fontWeight:800,margin:0}}>Reverse DCF Analysis</h3>
@@ -347,25 +711,78 @@ function DCFCalculator({ stock: s, onSave }) {
       {/* Implied Growth Display */}
       <div style={{background:"linear-gradient(135deg,#0c1220,#1e293b)",borderRadius:14,padding:"22px 24px",marginBottom:22}}>
         <div style={{display:"flex",justifyContent:"space-between",alignItems:"center"}}>
-          <span style={{color:"#94a3b8",fontSize:13,fontWeight:600}}>Market Implied PAT CAGR</span>
-          <span style={{color:"#f59e0b",fontSize:34,fontWeight:900,fontFamily:"monospace",letterSpacing:"-1px"}}>{ig!=null?fP(ig):"N/A"}</span>
+          <span style={{color:"#94a3b8",fontSize:13,fontWeight:600}}>Market Implied {riMode?"Sustained ROE":revMode?"Revenue CAGR":inp.gm==="single"?"PAT CAGR":"Stage-1 Growth"}</span>
+          <span style={{color:"#f59e0b",fontSize:34,fontWeight:900,fontFamily:"monospace",letterSpacing:"-1px"}}>{igText}</span>
         </div>
+        <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginTop:6}}>
+          <span style={{color:"#94a3b8",fontSize:13,fontWeight:600}}>Expected Return at Your {fP(inp.ec)} {riMode?"ROE":"CAGR"}</span>
+          <span style={{color:irRes.value==null?"#94a3b8":irRes.value>=inp.dr?"#34d399":"#f87171",fontSize:22,fontWeight:800,fontFamily:"monospace"}}>{irText}</span>
+        </div>
+        {riMode ? (
+        <p style={{color:"#64748b",fontSize:12,margin:"10px 0 0",lineHeight:1.5}}>
+          Valued on book value ({fCr(s.bv)}, {(mcap/s.bv).toFixed(2)}x P/B): the market is pricing in a {igText} ROE sustained for {inp.fy}yrs with {inp.po}% payout, then residual income growing at {inp.tg}%, at a {inp.dr}% cost of equity
+        </p>
+        ) : revMode ? (
+        <p style={{color:"#64748b",fontSize:12,margin:"10px 0 0",lineHeight:1.5}}>
+          Loss-making, so valued on revenue: the market is pricing in {igText} revenue growth over {inp.fy}yrs, with the PAT margin moving from {fP(m0)} to {inp.tmg}% by year {Math.min(inp.my, inp.fy)}, at {inp.pe}x exit PE with {inp.dr}% discount rate
+        </p>
+        ) : (
         <p style={{color:"#64748b",fontSize:12,margin:"10px 0 0",lineHeight:1.5}}>
-          Market is pricing in {ig!=null?fP(ig):"N/A"} PAT growth over {inp.fy}yrs at {inp.pe}x exit PE with {inp.dr}% discount rate
+          Market is pricing in {igText} PAT growth{fcfe?(inp.rm==="roe"?`, funded by reinvesting growth / ${inp.roe}% ROE of it`:`, after reinvesting ${inp.cx+inp.wc}% of PAT`):""} over {inp.gm==="single"?inp.fy:inp.s1}yrs{inp.gm==="three_stage"?`, fading over ${inp.fd}yrs to ${inp.sg}%`:inp.gm==="two_stage"?`, then ${inp.sg}% to year ${inp.fy}`:""} {inp.tm==="perpetuity"?`then ${inp.tg}% perpetual growth`:inp.tm==="blend"?`with a ${inp.pe}x exit PE / ${inp.tg}% perpetuity blend`:`at ${inp.pe}x exit PE`} with {inp.dr}% discount rate
         </p>
+        )}
+        {peMode && inp.gm!=="single" && (
+          <div style={{display:"flex",gap:2,marginTop:12}}>
+            {path.map(y => (
+              <div key={y.t} title={`Yr ${y.t}: ${fP(y.g)} (${y.st})`} style={{flex:1,height:6,borderRadius:2,
+                background:y.st==="high"?"#f59e0b":y.st==="fade"?"#0ea5e9":"#475569"}} />
+            ))}
+          </div>
+        )}
+        {peMode && inp.gm==="three_stage" && (
+          <p style={{color:"#94a3b8",fontSize:12,margin:"10px 0 0",lineHeight:1.5}}>
+            At your {fP(inp.ec)} stage-1 growth, the price implies a {fade!=null?`${fade}-yr`:"N/A"} fade to {inp.sg}%
+          </p>
+        )}
       </div>
 
       {/* Inputs */}
       <div style={{marginBottom:22}}>
         <div style={{fontSize:13,fontWeight:700,color:"#334155",margin:"0 0 3px"}}>DCF Assumptions</div>
-        <div style={{fontSize:11,color:"#94a3b8",margin:"0 0 14px"}}>Defaults: {info.label} / {s.sec}. Change any input for instant recalculation.</div>
+        <div style={{fontSize:11,color:"#94a3b8",margin:"0 0 14px"}}>Defaults: {info.label} / {s.sec}. Terminal value: {riMode?"Residual income perpetuity":revMode?"Exit PE":tmLabel}. Change any input for instant recalculation.</div>
         <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:10}}>
           <Inp label="Forecast Period (yrs)" val={inp.fy} onChange={v => set("fy",v)} />
-          <Inp label="Discount Rate (%)" val={inp.dr} onChange={v => set("dr",v)} step={0.5} />
-          <Inp label="Terminal Growth (%)" val={inp.tg} onChange={v => set("tg",v)} step={0.5} />
-          <Inp label="Exit PE Multiple" val={inp.pe} onChange={v => set("pe",v)} />
+          <Inp label={riMode?"Cost of Equity (%)":"Discount Rate (%)"} val={inp.dr} onChange={v => set("dr",v)} step={0.5} />
+          <div style={{gridColumn:"1/-1",display:"grid",gridTemplateColumns:"repeat(4,1fr)",gap:8}}>
+            <Inp label="Risk-Free (%)" val={inp.rf} onChange={v => setPart("rf",v)} step={0.25} />
+            <Inp label="Beta" val={inp.beta} onChange={v => setPart("beta",v)} step={0.05} />
+            <Inp label="Equity Risk Prem. (%)" val={inp.erp} onChange={v => setPart("erp",v)} step={0.25} />
+            <Inp label="Size Premium (%)" val={inp.sp} onChange={v => setPart("sp",v)} step={0.5} />
+          </div>
+          <div style={{gridColumn:"1/-1",fontSize:11,color:"#94a3b8"}}>
+            {inp.rf}% + {inp.beta} × {inp.erp}% + {inp.sp}% = {built}% cost of equity; {betaNote}.
+            {Math.abs(built-inp.dr)>0.005 && ` Discount rate set to ${inp.dr}% by hand — edit a part to rebuild it.`}
+          </div>
+          {!revMode && <Inp label="Terminal Growth (%)" val={inp.tg} onChange={v => set("tg",v)} step={0.5} />}
+          {riMode && <Inp label="Payout Ratio (%)" val={inp.po} onChange={v => set("po",v)} step={5} />}
+          {!riMode && <Inp label="Exit PE Multiple" val={inp.pe} onChange={v => set("pe",v)} />}
+          {!riMode && mpe!=null && <Seg label="Exit PE Default" options={[["sector",`Sector (${spe}x)`],["median",`Historical Median (${mpe}x)`]]}
+            val={inp.peb} onChange={v => setInp(p => ({...p, peb: v, pe: v==="median" ? mpe : spe}))} />}
+          {revMode && <Inp label="Target PAT Margin (%)" val={inp.tmg} onChange={v => set("tmg",v)} step={0.5} />}
+          {revMode && <Inp label="Margin Reached in Year" val={inp.my} onChange={v => set("my",v)} />}
+          {peMode && <Seg label="Terminal Value Method" options={TERMINAL_METHODS} val={inp.tm} onChange={v => setInp(p => ({...p, tm: v}))} />}
+          {peMode && <Seg label="Growth Model" options={GROWTH_MODELS} val={inp.gm} onChange={v => setInp(p => ({...p, gm: v}))} />}
+          {peMode && inp.gm!=="single" && <Inp label="Stage-1 Years" val={inp.s1} onChange={v => set("s1",v)} />}
+          {peMode && inp.gm==="three_stage" && <Inp label="Fade Years" val={inp.fd} onChange={v => set("fd",v)} />}
+          {peMode && inp.gm!=="single" && <Inp label="Stable Growth (%)" val={inp.sg} onChange={v => set("sg",v)} step={0.5} />}
+          {peMode && <Seg label="Cash Flow Discounted" options={CASH_FLOW_BASES} val={inp.cf} onChange={v => setInp(p => ({...p, cf: v}))} />}
+          {fcfe && <Seg label="Reinvestment" options={REINVESTMENT_METHODS} val={inp.rm} onChange={v => setInp(p => ({...p, rm: v}))} />}
+          {fcfe && inp.rm==="roe" && <Inp label="ROE on Reinvestment (%)" val={inp.roe} onChange={v => set("roe",v)} step={0.5} />}
+          {fcfe && inp.rm==="explicit" && <Inp label="Capex (% of PAT)" val={inp.cx} onChange={v => set("cx",v)} step={5} />}
+          {fcfe && inp.rm==="explicit" && <Inp label="Working Capital (% of PAT)" val={inp.wc} onChange={v => set("wc",v)} step={5} />}
+          {fcfe && <div style={{gridColumn:"1/-1",fontSize:11,color:"#94a3b8"}}>{s.reinv?.basis==="history"?"Reinvestment defaults from the company's cash flow and net worth record.":"No cash flow record — reinvestment defaults are generic."}</div>}
           <div style={{gridColumn:"1/-1"}}>
-            <Inp label="Your Expected PAT CAGR (%)" val={inp.ec} onChange={v => set("ec",v)} step={0.5} highlight />
+            <Inp label={riMode?"Your Expected ROE (%)":`Your Expected ${revMode?"Revenue":"PAT"} CAGR (%)`} val={inp.ec} onChange={v => set("ec",v)} step={0.5} highlight />
           </div>
         </div>
       </div>
@@ -374,8 +791,10 @@ function DCFCalculator({ stock: s, onSave }) {
       <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:10,marginBottom:18}}>
         <Res label="Implied Equity Value" value={fCr(iv)} />
         <Res label="Current Market Cap" value={fCr(mcap)} />
+        {riMode && <Res label="Price / Book" value={`${(mcap/s.bv).toFixed(2)}x`} />}
+        {riMode && <Res label="Justified Price / Book" value={`${(iv/s.bv).toFixed(2)}x`} sub="At your expected ROE" />}
         <Res label="Upside / Downside" value={`${upside>0?"+":""}${upside.toFixed(1)}%`} color={upside>0?"#059669":"#dc2626"} />
-        <Res label="Expectation Gap" value={`${gap>0?"+":""}${gap.toFixed(1)}%`} color={gap>0?"#059669":"#dc2626"} sub="Your expected − Market implied" />
+        <Res label="Expectation Gap" value={fGap(gap)} color={gap==null?"#6b7280":gap>0?"#059669":"#dc2626"} sub="Your expected − Market implied" />
       </div>
 
       <button onClick={() => onSave(s.sym, inp, ig)} style={{
@@ -386,6 +805,140 @@ function DCFCalculator({ stock: s, onSave }) {
         ⭐ Add to Watchlist
       </button>
     </div>
+    {peMode && <SensitivityHeatmap pat={s.pat} mcap={mcap} inp={inp} />}
+    {peMode && <SimulationPanel pat={s.pat} mcap={mcap} inp={inp} />}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════
+// MONTE CARLO PANEL (same model as POST /api/stocks/:symbol/simulate)
+// ═══════════════════════════════════════════════════════
+function SimulationPanel({pat, mcap, inp}) {
+  const [cfg, setCfg] = useState({ ecSpread:5, drSd:1.5, peSpread:30, trials:5000, seed:42 });
+  const set = (k,v) => setCfg(p => ({...p,[k]:parseFloat(v)||0}));
+
+  const res = useMemo(() => simulate(pat, mcap, inp, {
+    ec: {type:"triangular",min:inp.ec-cfg.ecSpread,mode:inp.ec,max:inp.ec+cfg.ecSpread},
+    dr: {type:"normal",mean:inp.dr,sd:cfg.drSd},
+    pe: {type:"triangular",min:inp.pe*(1-cfg.peSpread/100),mode:inp.pe,max:inp.pe*(1+cfg.peSpread/100)},
+  }, Math.min(Math.max(Math.round(cfg.trials),1),20000), cfg.seed), [pat, mcap, inp, cfg]);
+
+  const maxC = Math.max(1, ...res.hist.map(h => h.count));
+  const fU = v => v==null ? "—" : `${v>0?"+":""}${v.toFixed(1)}%`;
+
+  return (
+    <div style={{background:"#fff",borderRadius:18,padding:26,border:"1px solid #e2e8f0",boxShadow:"0 1px 8px rgba(0,0,0,0.03)"}}>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:14}}>
+        <h3 style={{fontSize:16,fontWeight:800,margin:0}}>Monte Carlo Upside</h3>
+        <span style={{fontSize:12,fontWeight:700,color:res.prob>0.5?"#059669":"#dc2626"}}>
+          P(value &gt; market cap) = {res.prob!=null?`${(res.prob*100).toFixed(0)}%`:"—"}
+        </span>
+      </div>
+      <div style={{display:"flex",gap:14,flexWrap:"wrap",alignItems:"end",marginBottom:16}}>
+        <MI label="CAGR ± pts" val={cfg.ecSpread} onChange={v => set("ecSpread",v)} />
+        <MI label="Disc Rate σ" val={cfg.drSd} onChange={v => set("drSd",v)} />
+        <MI label="Exit PE ± %" val={cfg.peSpread} onChange={v => set("peSpread",v)} />
+        <MI label="Trials" val={cfg.trials} onChange={v => set("trials",v)} />
+        <MI label="Seed" val={cfg.seed} onChange={v => set("seed",v)} />
+      </div>
+      <div style={{display:"flex",alignItems:"flex-end",gap:1,height:110,borderBottom:"1px solid #e2e8f0"}}>
+        {res.hist.map((h,i) => (
+          <div key={i} title={`${fU(h.from)} to ${fU(h.to)}: ${h.count}`} style={{flex:1,height:`${(h.count/maxC)*100}%`,
+            background:h.to<=0?"#fca5a5":h.from>=0?"#6ee7b7":"#fcd34d",borderRadius:"2px 2px 0 0"}} />
+        ))}
+      </div>
+      <div style={{display:"grid",gridTemplateColumns:"repeat(3,1fr)",gap:10,marginTop:14}}>
+        <Res label="P5 Upside" value={fU(res.p5)} color="#dc2626" />
+        <Res label="Median Upside" value={fU(res.p50)} />
+        <Res label="P95 Upside" value={fU(res.p95)} color="#059669" />
+      </div>
+      <div style={{fontSize:10,color:"#94a3b8",marginTop:8}}>{res.valid.toLocaleString()} valid trials • triangular CAGR & exit PE, normal discount rate</div>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════
+// SENSITIVITY HEATMAP (same grid as POST /api/sensitivity)
+// ═══════════════════════════════════════════════════════
+const SENS_FIELDS = [
+  ["dr","Discount Rate",1,"%"],["pe","Exit PE",5,"x"],["fy","Forecast Yrs",2,"y"],
+  ["ec","Expected CAGR",2,"%"],["tg","Terminal Growth",1,"%"],
+];
+const SENS_METRICS = [["ig","Implied CAGR"],["iv","Implied Value"],["up","Upside"]];
+
+function SensitivityHeatmap({pat, mcap, inp}) {
+  const [rowK, setRowK] = useState("dr");
+  const [colK, setColK] = useState("pe");
+  const [metric, setMetric] = useState("ig");
+
+  // 5 steps either side of the current input
+  const axis = k => {
+    const [,,step] = SENS_FIELDS.find(f => f[0]===k);
+    return [-2,-1,0,1,2].map(i => Math.round((inp[k]+i*step)*100)/100).filter(v => v>0);
+  };
+  const rows = axis(rowK), cols = axis(colK);
+
+  const grid = useMemo(() => rows.map(rv => cols.map(cv => {
+    const o = {...inp, [rowK]: rv, [colK]: cv};
+    if (metric==="ig") return solveGrowth(pat, mcap, o.dr, o.fy, o.pe, o);
+    const iv = calcValue(pat, o.ec, o.dr, o.fy, o.pe, o);
+    return metric==="iv" ? iv : mcap>0 ? ((iv/mcap)-1)*100 : null;
+  })), [pat, mcap, inp, rowK, colK, metric]);
+
+  // Green = market asks for less than you expect / value above price
+  const score = v => v==null ? null : metric==="ig" ? inp.ec-v : metric==="iv" ? ((v/mcap)-1)*100 : v;
+  const color = v => {
+    const sc = score(v);
+    if (sc==null) return "#f1f5f9";
+    const a = Math.min(Math.abs(sc)/(metric==="ig"?8:40), 1)*0.55+0.05;
+    return sc>=0 ? `rgba(5,150,105,${a})` : `rgba(220,38,38,${a})`;
+  };
+  const fmt = v => v==null ? "—" : metric==="ig"||metric==="up" ? fP(v) : fCr(v);
+  const lbl = k => SENS_FIELDS.find(f => f[0]===k);
+  const sel = {padding:"5px 8px",borderRadius:7,border:"1.5px solid #e2e8f0",background:"#f8fafc",fontSize:12,fontWeight:600,fontFamily:"inherit",color:"#334155"};
+
+  return (
+    <div style={{background:"#fff",borderRadius:18,padding:26,border:"1px solid #e2e8f0",boxShadow:"0 1px 8px rgba(0,0,0,0.03)"}}>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:14,gap:8,flexWrap:"wrap"}}>
+        <h3 style={{fontSize:16,fontWeight:800,margin:0}}>Sensitivity</h3>
+        <div style={{display:"flex",gap:6,alignItems:"center",fontSize:11,color:"#94a3b8",fontWeight:600}}>
+          <select value={metric} onChange={e => setMetric(e.target.value)} style={sel}>
+            {SENS_METRICS.map(([k,l]) => <option key={k} value={k}>{l}</option>)}
+          </select>
+          by
+          <select value={rowK} onChange={e => e.target.value!==colK&&setRowK(e.target.value)} style={sel}>
+            {SENS_FIELDS.map(([k,l]) => <option key={k} value={k}>{l}</option>)}
+          </select>
+          ×
+          <select value={colK} onChange={e => e.target.value!==rowK&&setColK(e.target.value)} style={sel}>
+            {SENS_FIELDS.map(([k,l]) => <option key={k} value={k}>{l}</option>)}
+          </select>
+        </div>
+      </div>
+      <table style={{width:"100%",borderCollapse:"separate",borderSpacing:3}}>
+        <thead>
+          <tr>
+            <th style={{fontSize:9,color:"#94a3b8",fontWeight:700,textAlign:"left"}}>{lbl(rowK)[1]} ↓ / {lbl(colK)[1]} →</th>
+            {cols.map(cv => <th key={cv} style={{fontSize:11,color:"#64748b",fontWeight:700,fontFamily:"monospace",padding:"4px 0"}}>{cv}{lbl(colK)[3]}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((rv,i) => (
+            <tr key={rv}>
+              <td style={{fontSize:11,color:"#64748b",fontWeight:700,fontFamily:"monospace"}}>{rv}{lbl(rowK)[3]}</td>
+              {grid[i].map((v,j) => {
+                const cur = rv===inp[rowK] && cols[j]===inp[colK];
+                return (
+                  <td key={j} style={{background:color(v),borderRadius:6,padding:"7px 4px",textAlign:"center",fontSize:12,fontWeight:700,
+                    fontFamily:"monospace",color:"#0f172a",outline:cur?"2px solid #f59e0b":"none"}}>{fmt(v)}</td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
   );
 }
 
@@ -402,6 +955,23 @@ function Inp({label,val,onChange,step=1,highlight}) {
   );
 }
 
+function Seg({label,options,val,onChange}) {
+  return (
+    <div style={{gridColumn:"1/-1",display:"flex",flexDirection:"column",gap:5}}>
+      <label style={{fontSize:10,fontWeight:700,color:"#64748b",textTransform:"uppercase",letterSpacing:"0.3px"}}>{label}</label>
+      <div style={{display:"flex",gap:4,background:"#f1f5f9",borderRadius:9,padding:3}}>
+        {options.map(([k,l]) => (
+          <button key={k} onClick={() => onChange(k)} style={{
+            flex:1,padding:"7px 10px",borderRadius:7,border:"none",cursor:"pointer",fontSize:12,fontWeight:700,fontFamily:"inherit",
+            background:val===k?"#fff":"transparent",color:val===k?"#0f172a":"#64748b",
+            boxShadow:val===k?"0 1px 3px rgba(0,0,0,0.08)":"none"
+          }}>{l}</button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 function Res({label,value,color,sub}) {
   return (
     <div style={{background:"#f8fafc",borderRadius:12,padding:"12px 16px"}}>
@@ -412,17 +982,30 @@ function Res({label,value,color,sub}) {
   );
 }
 
+// Loading / error banner
+function Notice({error,children}) {
+  return (
+    <div style={{padding:"12px 18px",borderRadius:12,marginBottom:18,fontSize:13,fontWeight:600,textAlign:"center",
+      background:error?"#fef2f2":"#f8fafc",color:error?"#dc2626":"#64748b",border:`1px solid ${error?"#fecaca":"#e2e8f0"}`}}>
+      {children}
+    </div>
+  );
+}
+
 // ═══════════════════════════════════════════════════════
 // QUICK PICKS GRID
 // ═══════════════════════════════════════════════════════
+// stocks: GET /api/stocks rows (null while loading, {error} on failure)
 function QuickPicks({stocks, onSelect}) {
+  if (!Array.isArray(stocks)) return (
+    <Notice error={!!stocks?.error}>{stocks?.error ? `Could not load stocks: ${stocks.error}` : "Loading stocks…"}</Notice>
+  );
   return (
     <div>
-      <h3 style={{fontSize:17,fontWeight:700,color:"#334155",margin:"0 0 18px",textAlign:"center"}}>Popular Stocks — Click to Analyze</h3>
+      <h3 style={{fontSize:17,fontWeight:700,color:"#334155",margin:"0 0 18px",textAlign:"center"}}>Largest Stocks — Click to Analyze</h3>
       <div style={{display:"grid",gridTemplateColumns:"repeat(4,1fr)",gap:12}}>
         {stocks.slice(0,16).map(s => {
-          const mcap=s.cmp*s.shr, info=getMcapInfo(mcap);
-          const ig=solveGrowth(s.pat,mcap,info.dr,info.fy,getSectorPE(s.sec));
+          const ig=s.ig;
           const igCol=ig>20?"#047857":ig>10?"#0891b2":ig>0?"#d97706":"#dc2626";
           return (
             <div key={s.sym} onClick={() => onSelect(s)} style={{
@@ -448,63 +1031,154 @@ function QuickPicks({stocks, onSelect}) {
   );
 }
 
+// ═══════════════════════════════════════════════════════
+// LOGIN / REGISTER (POST /api/auth/login, /api/auth/register)
+// ═══════════════════════════════════════════════════════
+function AuthPanel({onAuth}) {
+  const [mode, setMode] = useState("login");
+  const [form, setForm] = useState({name:"", email:"", password:""});
+  const [state, setState] = useState({loading:false, error:null});
+  const set = k => e => setForm(p => ({...p, [k]: e.target.value}));
+
+  const submit = e => {
+    e.preventDefault();
+    setState({loading:true, error:null});
+    api(`/auth/${mode}`, {method:"POST", body: mode==="login" ? {email:form.email, password:form.password} : form})
+      .then(d => { setToken(d.token); onAuth(d.user); })
+      .catch(err => setState({loading:false, error:err.message}));
+  };
+
+  const field = {padding:"10px 12px",borderRadius:9,fontSize:14,border:"2px solid #e2e8f0",background:"#f8fafc",outline:"none",fontFamily:"inherit"};
+  return (
+    <form onSubmit={submit} style={{maxWidth:380,margin:"40px auto",background:"#fff",borderRadius:18,padding:28,border:"1px solid #e2e8f0",boxShadow:"0 1px 8px rgba(0,0,0,0.03)",display:"flex",flexDirection:"column",gap:12}}>
+      <h3 style={{fontSize:19,fontWeight:800,margin:0}}>{mode==="login" ? "Log in" : "Create an account"}</h3>
+      <p style={{fontSize:13,color:"#64748b",margin:"0 0 6px"}}>Your watchlist is saved to your account.</p>
+      {mode==="register" && <input placeholder="Name" value={form.name} onChange={set("name")} style={field} />}
+      <input type="email" placeholder="Email" value={form.email} onChange={set("email")} required style={field} />
+      <input type="password" placeholder="Password" value={form.password} onChange={set("password")} required style={field} />
+      {state.error && <div style={{fontSize:12,color:"#dc2626",fontWeight:600}}>{state.error}</div>}
+      <button type="submit" disabled={state.loading} style={{
+        padding:"12px",borderRadius:12,border:"2px solid #f59e0b",background:"linear-gradient(135deg,#fef3c7,#fde68a)",
+        color:"#92400e",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit",opacity:state.loading?0.6:1
+      }}>{state.loading ? "Please wait…" : mode==="login" ? "Log in" : "Register"}</button>
+      <button type="button" onClick={() => {setMode(mode==="login"?"register":"login");setState({loading:false, error:null})}}
+        style={{...ib,fontSize:12,color:"#64748b"}}>
+        {mode==="login" ? "No account? Register" : "Have an account? Log in"}
+      </button>
+    </form>
+  );
+}
+
 // ═══════════════════════════════════════════════════════
 // WATCHLIST PANEL
 // ═══════════════════════════════════════════════════════
-function WatchlistPanel({list, setList, onGo, stocks}) {
-  const [sortBy, setSortBy] = useState("gap");
+// Edits recompute locally and are saved on "Done". "Manual" is the saved item order (▲▼ to change it).
+function WatchlistPanel({wl, onGo}) {
+  const list = wl.items;
+  const [sortBy, setSortBy] = useState("manual");
   const [sortDir, setSortDir] = useState("desc");
-  const [editSym, setEditSym] = useState(null);
+  const [editId, setEditId] = useState(null);
+  const [moveTo, setMoveTo] = useState("");
+  const [showDefaults, setShowDefaults] = useState(false);
+  const [imported, setImported] = useState(null);
+  const fileRef = useRef(null);
+
+  useEffect(() => { setEditId(null); setShowDefaults(false); setImported(null); }, [wl.wlId]);
+
+  const importFile = async e => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) setImported(await wl.importFile(file) || null);
+  };
 
   const toggle = f => { if (sortBy===f) setSortDir(d => d==="asc"?"desc":"asc"); else {setSortBy(f);setSortDir("desc");} };
+  const manual = sortBy==="manual";
 
-  const sorted = useMemo(() => [...list].sort((a,b) => {
-    const av = sortBy==="gap"?a.gap:sortBy==="ig"?a.ig:sortBy==="mcap"?a.mcap:sortBy==="cmp"?a.cmp:0;
-    const bv = sortBy==="gap"?b.gap:sortBy==="ig"?b.ig:sortBy==="mcap"?b.mcap:sortBy==="cmp"?b.cmp:0;
+  const sorted = useMemo(() => manual ? list : [...list].sort((a,b) => {
+    const av = sortBy==="gap"?a.gap:sortBy==="ig"?a.ig:sortBy==="ir"?a.ir:sortBy==="mcap"?a.mcap:sortBy==="cmp"?a.cmp:0;
+    const bv = sortBy==="gap"?b.gap:sortBy==="ig"?b.ig:sortBy==="ir"?b.ir:sortBy==="mcap"?b.mcap:sortBy==="cmp"?b.cmp:0;
     return sortDir==="asc"?(av||0)-(bv||0):(bv||0)-(av||0);
-  }), [list,sortBy,sortDir]);
+  }), [list,manual,sortBy,sortDir]);
 
-  const updateItem = (sym,k,v) => {
-    setList(prev => prev.map(w => {
-      if (w.sym!==sym) return w;
+  const updateItem = (id,k,v) => {
+    wl.setItems(prev => prev.map(w => {
+      if (w.id!==id) return w;
       const u = {...w, inputs:{...w.inputs,[k]:parseFloat(v)||0}};
-      const s = stocks.find(x => x.sym===sym);
-      if (s) {
-        const mcap=s.cmp*s.shr;
-        u.ig = solveGrowth(s.pat, mcap, u.inputs.dr, u.inputs.fy, u.inputs.pe);
-        u.iv = calcValue(s.pat, u.inputs.ec, u.inputs.dr, u.inputs.fy, u.inputs.pe);
-        u.gap = u.inputs.ec - (u.ig||0);
+      if (w.mcap > 0 && (w.pat > 0 || w.mode!=="pat")) {
+        const r = dcf.analyzeStock(w.sd, itemAssumptions(u.inputs)).results;
+        u.ig = r.impliedGrowthRate;
+        u.iv = r.impliedEquityValue;
+        u.ir = r.impliedReturn;
+        u.gap = r.expectationGap;
       }
       return u;
     }));
   };
 
-  if (list.length===0) return (
-    <div style={{textAlign:"center",padding:"70px 40px",color:"#94a3b8",background:"#fff",borderRadius:18,border:"1px solid #e2e8f0"}}>
-      <div style={{fontSize:40,marginBottom:12}}>⭐</div>
-      <p style={{fontSize:17,fontWeight:700,color:"#334155",margin:"0 0 8px"}}>Your watchlist is empty</p>
-      <p style={{fontSize:13,color:"#94a3b8",maxWidth:380,margin:"0 auto"}}>Search for stocks in the Screener tab, analyze them, and add them here to track daily implied growth rates</p>
-    </div>
-  );
+  const others = wl.lists.filter(l => l.id!==wl.wlId);
+  const name = wl.current?.name || "Watchlist";
+  const btn = {padding:"7px 14px",borderRadius:9,border:"1.5px solid #e2e8f0",background:"#f8fafc",color:"#334155",fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"};
 
   return (
-    <div style={{background:"#fff",borderRadius:18,border:"1px solid #e2e8f0",overflow:"hidden",boxShadow:"0 1px 8px rgba(0,0,0,0.03)"}}>
+    <div style={{background:"#fff",borderRadius:18,border:"1px solid #e2e8f0",overflow:"hidden",boxShadow:"0 1px 8px rgba(0,0,0,0.03)",opacity:wl.loading?0.6:1}}>
+      {/* List switcher */}
+      <div style={{display:"flex",alignItems:"center",gap:4,padding:"12px 18px",borderBottom:"1px solid #f1f5f9",background:"#f8fafc",flexWrap:"wrap"}}>
+        {wl.lists.map(l => (
+          <button key={l.id} onClick={() => l.id!==wl.wlId && wl.select(l.id)} style={{
+            padding:"6px 14px",borderRadius:8,border:"none",cursor:"pointer",fontSize:12,fontWeight:700,fontFamily:"inherit",
+            background:l.id===wl.wlId?"#fff":"transparent",color:l.id===wl.wlId?"#0f172a":"#64748b",
+            boxShadow:l.id===wl.wlId?"0 1px 3px rgba(0,0,0,0.08)":"none"
+          }}>{l.name} <span style={{color:"#94a3b8",fontWeight:600}}>{l.item_count}</span></button>
+        ))}
+        <button onClick={() => { const n = window.prompt("New watchlist name"); if (n?.trim()) wl.create(n.trim()); }} style={{...ib,fontSize:12,fontWeight:700,color:"#d97706"}}>+ New list</button>
+        <div style={{marginLeft:"auto",display:"flex",gap:2}}>
+          <button onClick={() => wl.moveList(-1)} style={ib} title="Move list left">◀</button>
+          <button onClick={() => wl.moveList(1)} style={ib} title="Move list right">▶</button>
+          <button onClick={() => { const n = window.prompt("Rename watchlist", name); if (n?.trim()) wl.rename(n.trim()); }} style={ib} title="Rename list">✎</button>
+          {others.length>0 && <button onClick={() => window.confirm(`Delete "${name}" and its ${list.length} stocks?`) && wl.remove()} style={{...ib,color:"#dc2626"}} title="Delete list">🗑</button>}
+        </div>
+      </div>
+
       <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",padding:"20px 24px",borderBottom:"1px solid #f1f5f9"}}>
-        <h3 style={{fontSize:19,fontWeight:800,margin:0,display:"flex",alignItems:"center",gap:8}}>⭐ My Watchlist ({list.length})</h3>
-        <button onClick={() => {
-          const csv = ["Symbol,CMP,Market Cap,Implied CAGR%,Expected CAGR%,Gap%,Signal,Exit PE,Disc Rate%,Forecast Yrs",
-            ...sorted.map(w => [w.sym,w.cmp,w.mcap?.toFixed(0),w.ig?.toFixed(1),w.inputs?.ec,w.gap?.toFixed(1),getSignal(w.gap).t,w.inputs?.pe,w.inputs?.dr,w.inputs?.fy].join(","))
-          ].join("\n");
-          const a=document.createElement("a"); a.href=URL.createObjectURL(new Blob([csv],{type:"text/csv"})); a.download=`watchlist_${new Date().toISOString().slice(0,10)}.csv`; a.click();
-        }} style={{padding:"7px 14px",borderRadius:9,border:"1.5px solid #e2e8f0",background:"#f8fafc",color:"#334155",fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>
-          📥 Export CSV
-        </button>
+        <h3 style={{fontSize:19,fontWeight:800,margin:0,display:"flex",alignItems:"center",gap:8}}>⭐ {name} ({list.length})</h3>
+        <div style={{display:"flex",gap:8}}>
+          {!manual && <button onClick={() => setSortBy("manual")} style={btn}>↕ Manual order</button>}
+          <button onClick={() => setShowDefaults(v => !v)} style={btn}>⚙ List defaults</button>
+          <select value="" onChange={e => e.target.value && wl.exportAs(e.target.value)} style={btn}>
+            <option value="">📥 Export…</option>
+            <option value="csv">CSV</option>
+            <option value="xlsx">Excel (live formulas)</option>
+            <option value="json">JSON</option>
+          </select>
+          <button onClick={() => fileRef.current?.click()} style={btn} title="CSV, Excel or JSON with a Symbol column">📤 Import</button>
+          <input ref={fileRef} type="file" accept=".csv,.xlsx,.json,text/csv,application/json" onChange={importFile} style={{display:"none"}} />
+        </div>
       </div>
+      {imported && (
+        <div style={{padding:"12px 24px",borderBottom:"1px solid #f1f5f9",background:imported.rejected.length?"#fffbeb":"#f0fdf4",fontSize:12,color:"#334155"}}>
+          <div style={{display:"flex",justifyContent:"space-between",fontWeight:700}}>
+            <span>Imported {imported.imported} ({imported.created} new, {imported.updated} updated){imported.rejected.length>0 && ` · ${imported.rejected.length} rows rejected`}</span>
+            <button onClick={() => setImported(null)} style={{...ib,fontSize:12}}>✕</button>
+          </div>
+          {imported.rejected.map(r => (
+            <div key={r.row} style={{color:"#b45309",marginTop:4}}>Row {r.row}{r.symbol ? ` (${r.symbol})` : ""}: {r.message}</div>
+          ))}
+        </div>
+      )}
+      {showDefaults && wl.current && <ListDefaults key={wl.wlId} defaults={wl.current.defaults} onSave={(d, apply) => wl.setDefaults(d, apply)} />}
+
+      {list.length===0 ? (
+        <div style={{textAlign:"center",padding:"70px 40px",color:"#94a3b8"}}>
+          <div style={{fontSize:40,marginBottom:12}}>⭐</div>
+          <p style={{fontSize:17,fontWeight:700,color:"#334155",margin:"0 0 8px"}}>This watchlist is empty</p>
+          <p style={{fontSize:13,color:"#94a3b8",maxWidth:380,margin:"0 auto"}}>Search for stocks in the Screener tab, analyze them, and add them here to track daily implied growth rates</p>
+        </div>
+      ) : (
       <div style={{overflowX:"auto"}}>
         <table style={{width:"100%",borderCollapse:"collapse"}}>
           <thead>
             <tr>
-              {[["sym","Stock"],["cmp","CMP"],["mcap","M.Cap"],["ig","Implied CAGR"],["ec","Expected"],["gap","Gap"],["sig","Signal"],["act",""]].map(([k,l]) => (
+              {[["sym","Stock"],["cmp","CMP"],["mcap","M.Cap"],["ig","Implied CAGR"],["ir","Exp. Return"],["ec","Expected"],["gap","Gap"],["sig","Signal"],["act",""]].map(([k,l]) => (
                 <th key={k} onClick={() => k!=="act"&&k!=="sig"&&toggle(k)} style={{
                   padding:"12px 14px",textAlign:"left",fontSize:10,fontWeight:700,color:"#94a3b8",
                   textTransform:"uppercase",letterSpacing:"0.4px",borderBottom:"1px solid #f1f5f9",
@@ -519,32 +1193,45 @@ function WatchlistPanel({list, setList, onGo, stocks}) {
             {sorted.map(w => {
               const sig=getSignal(w.gap);
               return (
-                <React.Fragment key={w.sym}>
+                <React.Fragment key={w.id}>
                   <tr style={{cursor:"pointer",transition:"background 0.15s"}}
                     onMouseEnter={e => e.currentTarget.style.background="#fafbfc"}
                     onMouseLeave={e => e.currentTarget.style.background="transparent"}>
-                    <td onClick={() => onGo(stocks.find(x=>x.sym===w.sym))} style={td}><span style={{fontWeight:700}}>{w.sym}</span></td>
-                    <td onClick={() => onGo(stocks.find(x=>x.sym===w.sym))} style={td}>{fPr(w.cmp)}</td>
-                    <td onClick={() => onGo(stocks.find(x=>x.sym===w.sym))} style={td}>{fCr(w.mcap)}</td>
-                    <td onClick={() => onGo(stocks.find(x=>x.sym===w.sym))} style={{...td,color:w.ig>15?"#059669":w.ig>0?"#0891b2":"#dc2626",fontWeight:700}}>{fP(w.ig)}</td>
-                    <td onClick={() => onGo(stocks.find(x=>x.sym===w.sym))} style={td}>{fP(w.inputs?.ec)}</td>
-                    <td onClick={() => onGo(stocks.find(x=>x.sym===w.sym))} style={{...td,color:w.gap>0?"#059669":"#dc2626",fontWeight:700}}>{w.gap>0?"+":""}{w.gap?.toFixed(1)}%</td>
-                    <td onClick={() => onGo(stocks.find(x=>x.sym===w.sym))} style={td}><span style={{padding:"3px 9px",borderRadius:7,fontSize:11,fontWeight:700,background:sig.bg,color:sig.c}}>{sig.t}</span></td>
+                    <td onClick={() => onGo(w)} style={td}><span style={{fontWeight:700}}>{w.sym}</span></td>
+                    <td onClick={() => onGo(w)} style={td}>{fPr(w.cmp)}</td>
+                    <td onClick={() => onGo(w)} style={td}>{fCr(w.mcap)}</td>
+                    <td onClick={() => onGo(w)} style={{...td,color:w.ig>15?"#059669":w.ig>0?"#0891b2":"#dc2626",fontWeight:700}}>{fP(w.ig)}</td>
+                    <td onClick={() => onGo(w)} style={{...td,color:w.ir==null?"#94a3b8":w.ir>=w.inputs?.dr?"#059669":"#dc2626",fontWeight:700}} title={`Annual return if PAT grows ${fP(w.inputs?.ec)}`}>{fP(w.ir)}</td>
+                    <td onClick={() => onGo(w)} style={td}>{fP(w.inputs?.ec)}</td>
+                    <td onClick={() => onGo(w)} style={{...td,color:w.gap==null?"#6b7280":w.gap>0?"#059669":"#dc2626",fontWeight:700}}>{fGap(w.gap)}</td>
+                    <td onClick={() => onGo(w)} style={td}><span style={{padding:"3px 9px",borderRadius:7,fontSize:11,fontWeight:700,background:sig.bg,color:sig.c}}>{sig.t}</span></td>
                     <td style={td}>
                       <div style={{display:"flex",gap:5}}>
-                        <button onClick={() => setEditSym(editSym===w.sym?null:w.sym)} style={ib} title="Edit">✎</button>
-                        <button onClick={() => setList(prev=>prev.filter(x=>x.sym!==w.sym))} style={{...ib,color:"#dc2626"}} title="Remove">✕</button>
+                        {manual && <button onClick={() => wl.moveItem(w,-1)} style={ib} title="Move up">▲</button>}
+                        {manual && <button onClick={() => wl.moveItem(w,1)} style={ib} title="Move down">▼</button>}
+                        <button onClick={() => {setEditId(editId===w.id?null:w.id);setMoveTo(others[0]?.id||"")}} style={ib} title="Edit">✎</button>
+                        <button onClick={() => wl.removeItem(w)} style={{...ib,color:"#dc2626"}} title="Remove">✕</button>
                       </div>
                     </td>
                   </tr>
-                  {editSym===w.sym && (
-                    <tr><td colSpan={8} style={{padding:"10px 14px",background:"#f8fafc",borderBottom:"1px solid #f1f5f9"}}>
+                  {editId===w.id && (
+                    <tr><td colSpan={9} style={{padding:"10px 14px",background:"#f8fafc",borderBottom:"1px solid #f1f5f9"}}>
                       <div style={{display:"flex",gap:14,flexWrap:"wrap",alignItems:"end"}}>
-                        <MI label="Forecast Yrs" val={w.inputs?.fy} onChange={v=>updateItem(w.sym,"fy",v)} />
-                        <MI label="Disc Rate %" val={w.inputs?.dr} onChange={v=>updateItem(w.sym,"dr",v)} />
-                        <MI label="Exit PE" val={w.inputs?.pe} onChange={v=>updateItem(w.sym,"pe",v)} />
-                        <MI label="Expected CAGR %" val={w.inputs?.ec} onChange={v=>updateItem(w.sym,"ec",v)} />
-                        <button onClick={() => setEditSym(null)} style={{...ib,color:"#059669",fontSize:13}}>✓ Done</button>
+                        <MI label="Forecast Yrs" val={w.inputs?.fy} onChange={v=>updateItem(w.id,"fy",v)} />
+                        <MI label="Disc Rate %" val={w.inputs?.dr} onChange={v=>updateItem(w.id,"dr",v)} />
+                        <MI label="Exit PE" val={w.inputs?.pe} onChange={v=>updateItem(w.id,"pe",v)} />
+                        <MI label={w.mode==="residual_income" ? "Expected ROE %" : w.mode==="revenue" ? "Expected Rev CAGR %" : "Expected CAGR %"} val={w.inputs?.ec} onChange={v=>updateItem(w.id,"ec",v)} />
+                        <button onClick={() => wl.saveItem(w).then(() => setEditId(null))} style={{...ib,color:"#059669",fontSize:13}}>✓ Done</button>
+                        {others.length>0 && (
+                          <div style={{display:"flex",gap:5,alignItems:"center",marginLeft:"auto"}}>
+                            <select value={moveTo} onChange={e => setMoveTo(e.target.value)}
+                              style={{padding:"4px 7px",border:"1.5px solid #e2e8f0",borderRadius:6,fontSize:12,fontFamily:"inherit"}}>
+                              {others.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                            </select>
+                            <button onClick={() => wl.transferItem(w, moveTo, false)} style={{...ib,fontSize:12,fontWeight:700}}>Move</button>
+                            <button onClick={() => wl.transferItem(w, moveTo, true)} style={{...ib,fontSize:12,fontWeight:700}}>Copy</button>
+                          </div>
+                        )}
                       </div>
                     </td></tr>
                   )}
@@ -554,6 +1241,28 @@ function WatchlistPanel({list, setList, onGo, stocks}) {
           </tbody>
         </table>
       </div>
+      )}
+    </div>
+  );
+}
+
+// Per-list default assumptions (blank = market-cap / sector default), used for stocks added to the list
+const LIST_DEFAULT_FIELDS = [["forecastYears","Forecast Yrs"],["discountRate","Disc Rate %"],["terminalGrowth","Terminal Growth %"],["exitPE","Exit PE"],["expectedPatCagr","Expected CAGR %"]];
+
+function ListDefaults({defaults, onSave}) {
+  const [vals, setVals] = useState(() => Object.fromEntries(LIST_DEFAULT_FIELDS.map(([k]) => [k, defaults[k] ?? ""])));
+  const [apply, setApply] = useState(false);
+  const save = () => onSave(Object.fromEntries(Object.entries(vals).map(([k,v]) => [k, v==="" ? null : parseFloat(v)])), apply);
+  return (
+    <div style={{padding:"12px 24px",background:"#fffbeb",borderBottom:"1px solid #f1f5f9"}}>
+      <div style={{fontSize:11,color:"#92400e",marginBottom:8}}>Defaults for stocks added to this list. Leave blank to use the market-cap / sector default.</div>
+      <div style={{display:"flex",gap:14,flexWrap:"wrap",alignItems:"end"}}>
+        {LIST_DEFAULT_FIELDS.map(([k,l]) => <MI key={k} label={l} val={vals[k]} onChange={v => setVals(p => ({...p,[k]:v}))} />)}
+        <label style={{fontSize:12,color:"#64748b",display:"flex",alignItems:"center",gap:5}}>
+          <input type="checkbox" checked={apply} onChange={e => setApply(e.target.checked)} /> Apply to existing stocks
+        </label>
+        <button onClick={save} style={{...ib,color:"#059669",fontSize:13}}>✓ Save</button>
+      </div>
     </div>
   );
 }
@@ -0,0 +1,193 @@
+// ============================================================
+// SCHEMA MIGRATIONS - Numbered up-migrations tracked in schema_version
+// ============================================================
+//
+// Each file in migrations/ is named NNN_description.js and exports { up(db, helpers) }.
+// Pending migrations run in version order at startup, each in its own
+// transaction together with its schema_version row — a failure rolls that
+// migration back and stops the run.
+//
+// Never edit a migration that has shipped; add a new one instead.
+//
+// CLI:
+//   node migrate.js status             list applied / pending migrations
+//   node migrate.js up [version]       apply pending migrations (up to version)
+//   node migrate.js verify <file.db>   migrate a copy of an old DB and compare its
+//                                      schema with a freshly created one
+// ============================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Migrations on disk, oldest first: [{ version, name, up }]
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(/^(\d+)_(.+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: parseInt(version, 10),
+      name,
+      up: require(path.join(MIGRATIONS_DIR, file)).up,
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+function ensureVersionTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+}
+
+/**
+ * Whether a table already has a column (for migrations that alter tables)
+ */
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+/**
+ * Every known migration with its applied_at (null when pending)
+ */
+function getStatus(db) {
+  ensureVersionTable(db);
+  const applied = new Map(db.prepare('SELECT version, applied_at FROM schema_version').all()
+    .map(r => [r.version, r.applied_at]));
+  return loadMigrations().map(m => ({
+    version: m.version,
+    name: m.name,
+    appliedAt: applied.get(m.version) || null,
+  }));
+}
+
+/**
+ * Apply pending migrations in order, up to and including `to` when given.
+ * Returns the migrations that were applied.
+ */
+function migrate(db, { to = Infinity } = {}) {
+  ensureVersionTable(db);
+  const applied = new Set(db.prepare('SELECT version FROM schema_version').all().map(r => r.version));
+  const pending = loadMigrations().filter(m => !applied.has(m.version) && m.version <= to);
+  const record = db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+
+  for (const m of pending) {
+    try {
+      db.transaction(() => {
+        m.up(db, { hasColumn });
+        record.run(m.version, m.name);
+      })();
+      console.log(`[DB] Applied migration ${m.version} ${m.name}`);
+    } catch (err) {
+      throw new Error(`Migration ${m.version} ${m.name} failed: ${err.message}`);
+    }
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Tables, columns and indexes of a database, for schema comparison
+ */
+function describeSchema(db) {
+  const schema = {};
+  const tables = db.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name
+  `).all();
+  for (const { name } of tables) {
+    schema[name] = db.prepare(`PRAGMA table_info(${name})`).all().map(c => `${c.name} ${c.type}`).sort();
+  }
+  schema['(indexes)'] = db.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'index' AND name NOT LIKE 'sqlite_%' ORDER BY name
+  `).all().map(r => r.name);
+  return schema;
+}
+
+/**
+ * Migrate a copy of an existing database file and diff its schema against a fresh database.
+ * Returns a list of differences (empty when the schemas match).
+ */
+function verify(file) {
+  const Database = require('better-sqlite3');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'valuelens-migrate-'));
+  const copy = path.join(dir, path.basename(file));
+  try {
+    // Copy any WAL alongside so uncheckpointed data comes with it
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(file + suffix)) fs.copyFileSync(file + suffix, copy + suffix);
+    }
+
+    const old = new Database(copy);
+    const fresh = new Database(':memory:');
+    migrate(old);
+    migrate(fresh);
+    const actual = describeSchema(old);
+    const expected = describeSchema(fresh);
+    old.close();
+    fresh.close();
+
+    const diffs = [];
+    for (const table of new Set([...Object.keys(expected), ...Object.keys(actual)])) {
+      if (!actual[table]) { diffs.push(`missing ${table}`); continue; }
+      if (!expected[table]) { diffs.push(`unexpected ${table}`); continue; }
+      const missing = expected[table].filter(c => !actual[table].includes(c));
+      const extra = actual[table].filter(c => !expected[table].includes(c));
+      if (missing.length) diffs.push(`${table}: missing ${missing.join(', ')}`);
+      if (extra.length) diffs.push(`${table}: unexpected ${extra.join(', ')}`);
+    }
+    return diffs;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Exported before the CLI runs: db.js requires this module back
+module.exports = {
+  loadMigrations,
+  getStatus,
+  migrate,
+  hasColumn,
+  verify,
+};
+
+// ---- CLI ----
+if (require.main === module) {
+  require('dotenv').config();
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  try {
+    if (command === 'verify') {
+      if (!arg) throw new Error('Usage: node migrate.js verify <file.db>');
+      const diffs = verify(arg);
+      if (diffs.length) {
+        console.error(`[DB] ${arg} does not migrate to the current schema:\n  ${diffs.join('\n  ')}`);
+        process.exit(1);
+      }
+      console.log(`[DB] ${arg} migrates cleanly to the current schema`);
+    } else if (command === 'status' || command === 'up') {
+      const { openDB } = require('./db');
+      const db = openDB();
+      if (command === 'up') {
+        const to = arg ? parseInt(arg, 10) : Infinity;
+        if (Number.isNaN(to)) throw new Error(`Invalid version "${arg}"`);
+        const applied = migrate(db, { to });
+        if (applied.length === 0) console.log('[DB] Nothing to apply');
+      }
+      for (const m of getStatus(db)) {
+        console.log(`${String(m.version).padStart(3, '0')}  ${m.name.padEnd(30)} ${m.appliedAt || 'pending'}`);
+      }
+    } else {
+      throw new Error('Usage: node migrate.js status | up [version] | verify <file.db>');
+    }
+  } catch (err) {
+    console.error(`[DB] ${err.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,20 @@
+module.exports = {
+  up(db) {
+    // ---- ANNUAL FINANCIALS (one row per fiscal year, source of the CAGR columns) ----
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS financials_annual (
+        symbol TEXT NOT NULL,
+        fiscal_year INTEGER NOT NULL,
+        period_end TEXT,
+        revenue_cr REAL,
+        pat_cr REAL,
+        eps REAL,
+        shares_cr REAL,
+        source TEXT,
+        updated_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (symbol, fiscal_year),
+        FOREIGN KEY (symbol) REFERENCES stocks(symbol)
+      )
+    `);
+  },
+};
@@ -0,0 +1,9 @@
+// JSON map of stocks column -> data provider that last wrote it.
+// Databases created between releases may already have it from the pre-migration initDB.
+module.exports = {
+  up(db, { hasColumn }) {
+    if (!hasColumn(db, 'stocks', 'field_sources')) {
+      db.exec('ALTER TABLE stocks ADD COLUMN field_sources TEXT');
+    }
+  },
+};
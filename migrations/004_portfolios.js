@@ -0,0 +1,54 @@
+module.exports = {
+  up(db) {
+    // ---- PORTFOLIOS ----
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS portfolios (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT DEFAULT 'My Portfolio',
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    // ---- PORTFOLIO TRANSACTIONS (buys and sells) ----
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS portfolio_transactions (
+        id TEXT PRIMARY KEY,
+        portfolio_id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        type TEXT NOT NULL CHECK (type IN ('buy', 'sell')),
+        trade_date TEXT NOT NULL,
+        quantity REAL NOT NULL,
+        price REAL NOT NULL,
+        charges REAL DEFAULT 0,
+        notes TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (portfolio_id) REFERENCES portfolios(id),
+        FOREIGN KEY (symbol) REFERENCES stocks(symbol)
+      )
+    `);
+
+    // ---- HOLDING ASSUMPTIONS (DCF inputs per portfolio + symbol) ----
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS portfolio_holdings (
+        portfolio_id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        forecast_years INTEGER,
+        discount_rate REAL,
+        terminal_growth REAL,
+        exit_pe REAL,
+        expected_pat_cagr REAL,
+        updated_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (portfolio_id, symbol),
+        FOREIGN KEY (portfolio_id) REFERENCES portfolios(id),
+        FOREIGN KEY (symbol) REFERENCES stocks(symbol)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_portfolios_user ON portfolios(user_id);
+      CREATE INDEX IF NOT EXISTS idx_portfolio_tx_portfolio ON portfolio_transactions(portfolio_id, trade_date);
+    `);
+  },
+};
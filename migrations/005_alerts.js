@@ -0,0 +1,52 @@
+module.exports = {
+  up(db) {
+    // ---- ALERT RULES (one condition on one watchlist item) ----
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        watchlist_item_id TEXT NOT NULL,
+        metric TEXT NOT NULL CHECK (metric IN ('implied_growth', 'expectation_gap', 'cmp', 'upside', 'signal')),
+        operator TEXT NOT NULL CHECK (operator IN ('below', 'above', 'crosses', 'equals')),
+        threshold REAL,
+        target_signal TEXT,
+        channels TEXT DEFAULT '["inbox"]', -- JSON array of notifier names
+        webhook_url TEXT,
+        active INTEGER DEFAULT 1,
+
+        -- State from the last evaluation, so rules fire on transitions only
+        last_value REAL,
+        last_signal TEXT,
+        last_evaluated_at TEXT,
+        last_fired_at TEXT,
+
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (watchlist_item_id) REFERENCES watchlist_items(id)
+      )
+    `);
+
+    // ---- FIRED ALERTS (also the in-app inbox) ----
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS alerts (
+        id TEXT PRIMARY KEY,
+        rule_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        message TEXT NOT NULL,
+        value REAL,
+        signal TEXT,
+        delivery TEXT, -- JSON: notifier -> 'sent' | error message
+        fired_at TEXT DEFAULT (datetime('now')),
+        read_at TEXT,
+        FOREIGN KEY (rule_id) REFERENCES alert_rules(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_alert_rules_item ON alert_rules(watchlist_item_id);
+      CREATE INDEX IF NOT EXISTS idx_alerts_user ON alerts(user_id, fired_at);
+    `);
+  },
+};
@@ -0,0 +1,20 @@
+module.exports = {
+  up(db) {
+    // ---- SAVED SCREENS (named screener queries per user) ----
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS screens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        query TEXT NOT NULL,
+        assumptions TEXT, -- JSON: custom DCF assumptions for computed fields
+        sort_by TEXT DEFAULT 'market_cap_cr',
+        sort_order TEXT DEFAULT 'desc',
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        UNIQUE(user_id, name)
+      )
+    `);
+  },
+};
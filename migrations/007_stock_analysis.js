@@ -0,0 +1,34 @@
+module.exports = {
+  up(db) {
+    // ---- DEFAULT-ASSUMPTION ANALYSIS CACHE (rebuilt by analysis-cache.js) ----
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS stock_analysis (
+        symbol TEXT PRIMARY KEY,
+        implied_growth REAL,
+        expectation_gap REAL,
+        upside REAL,
+        implied_value REAL,
+        signal TEXT,
+
+        -- Assumptions the row was computed with
+        discount_rate REAL,
+        forecast_years INTEGER,
+        exit_pe REAL,
+        expected_pat_cagr REAL,
+
+        -- Inputs at compute time; a mismatch with stocks marks the row stale
+        pat_fy_cr REAL,
+        market_cap_cr REAL,
+        defaults_key TEXT,
+        computed_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (symbol) REFERENCES stocks(symbol)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_analysis_implied_growth ON stock_analysis(implied_growth);
+      CREATE INDEX IF NOT EXISTS idx_analysis_gap ON stock_analysis(expectation_gap);
+      CREATE INDEX IF NOT EXISTS idx_analysis_upside ON stock_analysis(upside);
+    `);
+  },
+};
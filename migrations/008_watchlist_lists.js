@@ -0,0 +1,33 @@
+module.exports = {
+  up(db) {
+    // ---- MANUAL ORDER OF WATCHLISTS AND THEIR ITEMS ----
+    // ---- PER-LIST DEFAULT ASSUMPTIONS (NULL = market-cap / sector default) ----
+    db.exec(`
+      ALTER TABLE watchlists ADD COLUMN position INTEGER DEFAULT 0;
+      ALTER TABLE watchlists ADD COLUMN default_forecast_years INTEGER;
+      ALTER TABLE watchlists ADD COLUMN default_discount_rate REAL;
+      ALTER TABLE watchlists ADD COLUMN default_terminal_growth REAL;
+      ALTER TABLE watchlists ADD COLUMN default_exit_pe REAL;
+      ALTER TABLE watchlists ADD COLUMN default_expected_pat_cagr REAL;
+      ALTER TABLE watchlist_items ADD COLUMN position INTEGER DEFAULT 0;
+    `);
+
+    // Keep the existing order: lists oldest first, items newest first
+    db.exec(`
+      UPDATE watchlists SET position = (
+        SELECT COUNT(*) FROM watchlists w
+        WHERE w.user_id = watchlists.user_id
+          AND (w.created_at < watchlists.created_at OR (w.created_at = watchlists.created_at AND w.id < watchlists.id))
+      );
+      UPDATE watchlist_items SET position = (
+        SELECT COUNT(*) FROM watchlist_items wi
+        WHERE wi.watchlist_id = watchlist_items.watchlist_id
+          AND (wi.added_at > watchlist_items.added_at OR (wi.added_at = watchlist_items.added_at AND wi.id < watchlist_items.id))
+      );
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_watchlists_user ON watchlists(user_id, position);
+    `);
+  },
+};
@@ -0,0 +1,9 @@
+module.exports = {
+  up(db) {
+    // ---- BOOK VALUE (net worth, ₹ Cr) FOR THE RESIDUAL INCOME MODEL ----
+    db.exec(`
+      ALTER TABLE stocks ADD COLUMN book_value_cr REAL;
+      ALTER TABLE financials_annual ADD COLUMN net_worth_cr REAL;
+    `);
+  },
+};
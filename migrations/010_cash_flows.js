@@ -0,0 +1,9 @@
+module.exports = {
+  up(db) {
+    // ---- OPERATING CASH FLOW AND CAPEX (₹ Cr, capex as a positive outflow) FOR FCFE DEFAULTS ----
+    db.exec(`
+      ALTER TABLE financials_annual ADD COLUMN operating_cash_flow_cr REAL;
+      ALTER TABLE financials_annual ADD COLUMN capex_cr REAL;
+    `);
+  },
+};
@@ -0,0 +1,19 @@
+module.exports = {
+  up(db) {
+    // ---- DAILY BENCHMARK INDEX CLOSES (e.g. NIFTY50) FOR BETA ----
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS index_history (
+        symbol TEXT NOT NULL,
+        date TEXT NOT NULL,
+        close REAL,
+        PRIMARY KEY (symbol, date)
+      )
+    `);
+
+    // ---- BETA AGAINST THE DEFAULT BENCHMARK / WINDOW (NULL = not enough history) ----
+    db.exec(`
+      ALTER TABLE stocks ADD COLUMN beta REAL;
+      ALTER TABLE stocks ADD COLUMN beta_observations INTEGER;
+    `);
+  },
+};
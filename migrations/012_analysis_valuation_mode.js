@@ -0,0 +1,15 @@
+module.exports = {
+  up(db) {
+    // ---- MODEL BEHIND EACH CACHED ANALYSIS (pat / revenue / residual_income) ----
+    // implied_growth is the implied PAT CAGR, revenue CAGR or ROE depending on the model;
+    // expected_growth is the figure the gap was taken against
+    db.exec(`
+      ALTER TABLE stock_analysis ADD COLUMN valuation_mode TEXT;
+      ALTER TABLE stock_analysis ADD COLUMN growth_basis TEXT;
+      ALTER TABLE stock_analysis ADD COLUMN expected_growth REAL;
+    `);
+
+    // Rows cached on the PAT model alone are recomputed on the next refresh
+    db.exec('UPDATE stock_analysis SET defaults_key = NULL');
+  },
+};
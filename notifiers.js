@@ -0,0 +1,208 @@
+// ============================================================
+// NOTIFIERS - Delivery channels for fired alerts
+// ============================================================
+//
+// A notifier is { name, isEnabled(), send(alert, context) } where alert is the
+// alerts row and context is { user, rule }. send() resolves on delivery and
+// throws on failure; the result is recorded per channel in alerts.delivery.
+//
+// CONFIGURATION (.env):
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (false), SMTP_USER, SMTP_PASS
+//   ALERT_EMAIL_FROM=ValueLens <alerts@example.com>
+//   ALERT_WEBHOOK_ALLOWED_HOSTS=hooks.internal,10.0.0.5 (hosts exempt from the public-address check)
+//
+// Webhooks are user-supplied URLs the server POSTs to, so they may only reach public
+// addresses: the host is resolved and loopback, private, link-local (e.g. the cloud
+// metadata service) and reserved ranges are refused — at rule creation and again on
+// every connection, so a name re-pointed after creation is still caught.
+// ============================================================
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { fetchWithTimeout } = require('./data-providers');
+
+const notifiers = new Map();
+
+/**
+ * Register a notifier under its name (replaces any existing one)
+ */
+function registerNotifier(notifier) {
+  if (!notifier || !notifier.name || typeof notifier.send !== 'function') {
+    throw new Error('notifier needs a name and send()');
+  }
+  notifiers.set(notifier.name, { isEnabled: () => true, ...notifier });
+}
+
+function getNotifier(name) {
+  return notifiers.get(name) || null;
+}
+
+function listNotifiers() {
+  return [...notifiers.values()].map(n => ({ name: n.name, enabled: n.isEnabled() }));
+}
+
+/**
+ * Deliver an alert on each channel. Never throws; returns { channel: 'sent' | error }.
+ */
+async function deliver(alert, channels, context) {
+  const delivery = {};
+  for (const channel of channels) {
+    const notifier = notifiers.get(channel);
+    if (!notifier) { delivery[channel] = 'unknown notifier'; continue; }
+    if (!notifier.isEnabled()) { delivery[channel] = 'not configured'; continue; }
+    try {
+      await notifier.send(alert, context);
+      delivery[channel] = 'sent';
+    } catch (err) {
+      console.warn(`[Alerts] ${channel} delivery failed for ${alert.id}:`, err.message);
+      delivery[channel] = err.message;
+    }
+  }
+  return delivery;
+}
+
+// ============================================================
+// BUILT-IN NOTIFIERS
+// ============================================================
+
+// In-app inbox: the alerts row itself is the inbox entry (GET /api/alerts)
+registerNotifier({
+  name: 'inbox',
+  async send() {},
+});
+
+let transport = null;
+
+registerNotifier({
+  name: 'email',
+  isEnabled: () => Boolean(process.env.SMTP_HOST),
+  async send(alert, { user }) {
+    if (!user?.email) throw new Error('user has no email');
+    if (!transport) {
+      const nodemailer = require('nodemailer');
+      transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      });
+    }
+    await transport.sendMail({
+      from: process.env.ALERT_EMAIL_FROM || 'ValueLens <alerts@valuelens.local>',
+      to: user.email,
+      subject: `[ValueLens] ${alert.message}`,
+      text: `${alert.message}\n\nFired at ${alert.fired_at} UTC.`,
+    });
+  },
+});
+
+// ============================================================
+// WEBHOOK TARGETS
+// ============================================================
+
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) blockedAddresses.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blockedAddresses.addSubnet(address, prefix, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function isAllowedHost(hostname) {
+  return (process.env.ALERT_WEBHOOK_ALLOWED_HOSTS || '').split(',')
+    .map(h => h.trim().toLowerCase()).filter(Boolean).includes(hostname);
+}
+
+function webhookHostname(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+/**
+ * Why a webhook URL can't be used, without resolving its host (null when it may be):
+ * not http(s), or an IP address outside the public ranges.
+ */
+function webhookUrlError(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'webhookUrl must be an http or https URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'webhookUrl must be an http or https URL';
+  const hostname = webhookHostname(url);
+  if (net.isIP(hostname) && isBlockedAddress(hostname) && !isAllowedHost(hostname)) {
+    return `webhookUrl must point to a public address, not ${hostname}`;
+  }
+  return null;
+}
+
+// dns.lookup that fails for non-public addresses; used for every webhook connection
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked) return callback(new Error(`webhookUrl must point to a public address, ${hostname} resolves to ${blocked}`));
+    callback(null, address, family);
+  });
+}
+
+const publicAgents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup }),
+};
+
+/**
+ * Check a webhook URL, resolving its host; throws with a message for the client
+ */
+async function checkWebhookUrl(url) {
+  const error = webhookUrlError(url);
+  if (error) throw new Error(error);
+  const hostname = webhookHostname(url);
+  if (net.isIP(hostname) || isAllowedHost(hostname)) return;
+  await new Promise((resolve, reject) => {
+    publicLookup(hostname, { all: true }, err => (err ? reject(err) : resolve()));
+  });
+}
+
+registerNotifier({
+  name: 'webhook',
+  async send(alert, { rule }) {
+    if (!rule.webhook_url) throw new Error('rule has no webhook_url');
+    const error = webhookUrlError(rule.webhook_url);
+    if (error) throw new Error(error);
+    const resp = await fetchWithTimeout(rule.webhook_url, {
+      method: 'POST',
+      // Redirects are not followed: they could lead to an address the check never saw
+      redirect: 'manual',
+      agent: isAllowedHost(webhookHostname(rule.webhook_url)) ? undefined : (url) => publicAgents[url.protocol],
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        id: alert.id,
+        ruleId: alert.rule_id,
+        symbol: alert.symbol,
+        message: alert.message,
+        value: alert.value,
+        signal: alert.signal,
+        firedAt: alert.fired_at,
+      }),
+    });
+    if (!resp.ok) throw new Error(`webhook responded ${resp.status}`);
+  },
+});
+
+module.exports = {
+  registerNotifier,
+  getNotifier,
+  listNotifiers,
+  deliver,
+  webhookUrlError,
+  checkWebhookUrl,
+};
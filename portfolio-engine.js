@@ -0,0 +1,203 @@
+// ============================================================
+// PORTFOLIO ENGINE - Positions, P&L and XIRR from transactions
+// ============================================================
+//
+// Cost basis uses the average-cost method: a sell realises
+// (sell price × qty − charges) − (average cost × qty), and leaves the
+// average cost of the remaining shares unchanged. Buy charges are
+// added to cost.
+// ============================================================
+
+const dcfEngine = require('./dcf-engine');
+const { computeAnalysis, itemAssumptions } = require('./analysis-cache');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Replay transactions (any order) into per-symbol positions.
+ * Throws if a sell exceeds the quantity held on its date.
+ *
+ * @param {Array} transactions - [{ symbol, type: 'buy'|'sell', trade_date, quantity, price, charges }]
+ * @returns {Object} symbol → { quantity, costBasis, averageCost, realizedPnl, invested, proceeds }
+ */
+function buildPositions(transactions) {
+  const sorted = [...transactions].sort((a, b) =>
+    a.trade_date.localeCompare(b.trade_date) || (a.type === 'buy' ? -1 : 1) - (b.type === 'buy' ? -1 : 1));
+  const positions = {};
+
+  for (const tx of sorted) {
+    const p = positions[tx.symbol] || (positions[tx.symbol] = {
+      quantity: 0, costBasis: 0, realizedPnl: 0, invested: 0, proceeds: 0,
+    });
+    const gross = tx.quantity * tx.price;
+    const charges = tx.charges || 0;
+
+    if (tx.type === 'buy') {
+      p.quantity += tx.quantity;
+      p.costBasis += gross + charges;
+      p.invested += gross + charges;
+    } else {
+      if (tx.quantity > p.quantity + 1e-9) {
+        throw new Error(`Sell of ${tx.quantity} ${tx.symbol} on ${tx.trade_date} exceeds holding of ${p.quantity}`);
+      }
+      const avg = p.quantity > 0 ? p.costBasis / p.quantity : 0;
+      p.realizedPnl += gross - charges - avg * tx.quantity;
+      p.costBasis -= avg * tx.quantity;
+      p.quantity -= tx.quantity;
+      p.proceeds += gross - charges;
+      if (p.quantity < 1e-9) { p.quantity = 0; p.costBasis = 0; }
+    }
+  }
+
+  for (const p of Object.values(positions)) {
+    p.averageCost = p.quantity > 0 ? p.costBasis / p.quantity : 0;
+  }
+  return positions;
+}
+
+/**
+ * Cash flows for XIRR: buys negative, sells positive (net of charges)
+ */
+function transactionCashflows(transactions) {
+  return transactions.map(tx => ({
+    date: tx.trade_date,
+    amount: tx.type === 'buy'
+      ? -(tx.quantity * tx.price + (tx.charges || 0))
+      : tx.quantity * tx.price - (tx.charges || 0),
+  }));
+}
+
+/**
+ * Annualised internal rate of return (%) of dated cash flows.
+ * Newton's method from 10%, falling back to bisection on [-99.99%, 10000%].
+ * Returns null when the flows have no sign change or no root is found.
+ *
+ * @param {Array} cashflows - [{ date: 'YYYY-MM-DD', amount }]
+ */
+function xirr(cashflows) {
+  const flows = cashflows.filter(f => f.amount !== 0);
+  if (!flows.some(f => f.amount > 0) || !flows.some(f => f.amount < 0)) return null;
+
+  const t0 = Math.min(...flows.map(f => Date.parse(f.date)));
+  const years = flows.map(f => (Date.parse(f.date) - t0) / DAY_MS / 365);
+  const npv = (rate) => flows.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, years[i]), 0);
+  const dnpv = (rate) => flows.reduce((sum, f, i) => sum - years[i] * f.amount / Math.pow(1 + rate, years[i] + 1), 0);
+
+  // Newton-Raphson
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const slope = dnpv(rate);
+    if (!isFinite(value) || !isFinite(slope) || slope === 0) break;
+    const next = rate - value / slope;
+    if (next <= -0.9999 || !isFinite(next)) break;
+    if (Math.abs(next - rate) < 1e-9) return Math.round(next * 10000) / 100;
+    rate = next;
+  }
+
+  // Bisection fallback
+  let low = -0.9999;
+  let high = 100;
+  if (npv(low) * npv(high) > 0) return null;
+  for (let i = 0; i < 300; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) high = mid;
+    else low = mid;
+    if (high - low < 1e-9) break;
+  }
+  return Math.round(((low + high) / 2) * 10000) / 100;
+}
+
+/**
+ * Full portfolio summary.
+ *
+ * @param {Array} transactions - portfolio_transactions rows
+ * @param {Object} stocks - symbol → stocks row (at least the data-fetcher stockDataColumns)
+ * @param {Object} assumptions - symbol → portfolio_holdings row (may be missing → defaults)
+ * @param {string} [asOf] - valuation date for XIRR (default today)
+ */
+function summarizePortfolio(transactions, stocks, assumptions = {}, asOf = new Date().toISOString().slice(0, 10)) {
+  const positions = buildPositions(transactions);
+  const holdings = [];
+  let currentValue = 0;
+  let costBasis = 0;
+  let realizedPnl = 0;
+
+  for (const [symbol, p] of Object.entries(positions)) {
+    const stock = stocks[symbol] || {};
+    const cmp = stock.cmp || 0;
+    const value = p.quantity * cmp;
+    currentValue += value;
+    costBasis += p.costBasis;
+    realizedPnl += p.realizedPnl;
+
+    const holding = {
+      symbol,
+      name: stock.name,
+      sector: stock.sector,
+      quantity: p.quantity,
+      averageCost: p.averageCost,
+      costBasis: p.costBasis,
+      cmp,
+      currentValue: value,
+      unrealizedPnl: value - p.costBasis,
+      unrealizedPnlPct: p.costBasis > 0 ? ((value / p.costBasis) - 1) * 100 : null,
+      realizedPnl: p.realizedPnl,
+      xirr: xirr([
+        ...transactionCashflows(transactions.filter(tx => tx.symbol === symbol)),
+        { date: asOf, amount: value },
+      ]),
+      valuationMode: null,
+      impliedGrowth: null,
+      expectationGap: null,
+    };
+
+    // Implied growth under the holding's saved assumptions (defaults when none saved), through
+    // analyzeStock like watchlist items, so the holding gets the stock's model and terminal growth
+    if (p.quantity > 0) {
+      const r = computeAnalysis(stock, itemAssumptions(assumptions[symbol] || {}));
+      if (r.valuation_mode) {
+        holding.valuationMode = r.valuation_mode;
+        holding.assumptions = {
+          forecastYears: r.forecast_years, discountRate: r.discount_rate, exitPE: r.exit_pe, expectedPatCagr: r.expected_growth,
+        };
+        holding.impliedGrowth = r.implied_growth;
+        holding.expectationGap = r.expectation_gap;
+      }
+    }
+
+    holdings.push(holding);
+  }
+
+  // Value-weighted implied growth and gap across open holdings that have one
+  const weighted = holdings.filter(h => h.currentValue > 0 && h.impliedGrowth !== null);
+  const weightTotal = weighted.reduce((sum, h) => sum + h.currentValue, 0);
+  const weightedAverage = (field) => (weightTotal > 0
+    ? weighted.reduce((sum, h) => sum + h[field] * h.currentValue, 0) / weightTotal
+    : null);
+
+  holdings.sort((a, b) => b.currentValue - a.currentValue);
+  for (const h of holdings) h.weight = currentValue > 0 ? (h.currentValue / currentValue) * 100 : 0;
+
+  return {
+    holdings,
+    totals: {
+      currentValue,
+      costBasis,
+      unrealizedPnl: currentValue - costBasis,
+      realizedPnl,
+      totalPnl: currentValue - costBasis + realizedPnl,
+      xirr: xirr([...transactionCashflows(transactions), { date: asOf, amount: currentValue }]),
+      weightedImpliedGrowth: weightedAverage('impliedGrowth'),
+      weightedExpectationGap: weightedAverage('expectationGap'),
+      signal: weightTotal > 0 ? dcfEngine.getSignal(weightedAverage('expectationGap')) : null,
+    },
+  };
+}
+
+module.exports = {
+  buildPositions,
+  transactionCashflows,
+  xirr,
+  summarizePortfolio,
+};
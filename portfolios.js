@@ -0,0 +1,245 @@
+// ============================================================
+// PORTFOLIO ROUTES - Holdings, transactions, P&L and XIRR
+// ============================================================
+const express = require('express');
+const router = express.Router();
+const { v4: uuid } = require('uuid');
+const { getDB } = require('../db');
+const portfolioEngine = require('../portfolio-engine');
+const { authMiddleware } = require('./auth');
+
+// All portfolio routes require authentication
+router.use(authMiddleware);
+
+function getOwnedPortfolio(db, portfolioId, userId) {
+  return db.prepare('SELECT * FROM portfolios WHERE id = ? AND user_id = ?').get(portfolioId, userId);
+}
+
+const HOLDING_ASSUMPTIONS = ['forecastYears', 'discountRate', 'terminalGrowth', 'exitPE', 'expectedPatCagr'];
+
+/**
+ * Validate a holding assumptions body ({ discountRate: 14, exitPE: null, ... }); returns an error message or null.
+ * Omitted or null fields keep their saved value; terminalGrowth may be zero or negative, the rest must be positive.
+ */
+function validateAssumptions(body) {
+  for (const key of HOLDING_ASSUMPTIONS) {
+    const value = body[key];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number or null`;
+    if (key !== 'terminalGrowth' && value <= 0) return `${key} must be positive`;
+  }
+  return null;
+}
+
+function getTransactions(db, portfolioId) {
+  return db.prepare(`
+    SELECT * FROM portfolio_transactions WHERE portfolio_id = ? ORDER BY trade_date, created_at
+  `).all(portfolioId);
+}
+
+/**
+ * Summary of a portfolio using latest stock data and saved holding assumptions
+ */
+function buildSummary(db, portfolio) {
+  const transactions = getTransactions(db, portfolio.id);
+  const symbols = [...new Set(transactions.map(tx => tx.symbol))];
+
+  const stocks = {};
+  const assumptions = {};
+  if (symbols.length > 0) {
+    const placeholders = symbols.map(() => '?').join(',');
+    for (const s of db.prepare(`SELECT * FROM stocks WHERE symbol IN (${placeholders})`).all(...symbols)) {
+      stocks[s.symbol] = s;
+    }
+    for (const a of db.prepare('SELECT * FROM portfolio_holdings WHERE portfolio_id = ?').all(portfolio.id)) {
+      assumptions[a.symbol] = a;
+    }
+  }
+
+  return { ...portfolio, ...portfolioEngine.summarizePortfolio(transactions, stocks, assumptions) };
+}
+
+// ---- GET ALL PORTFOLIOS ----
+router.get('/', (req, res) => {
+  try {
+    const db = getDB();
+    const portfolios = db.prepare(`
+      SELECT p.*, COUNT(t.id) as transaction_count
+      FROM portfolios p
+      LEFT JOIN portfolio_transactions t ON t.portfolio_id = p.id
+      WHERE p.user_id = ?
+      GROUP BY p.id
+      ORDER BY p.created_at
+    `).all(req.userId);
+
+    res.json(portfolios);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- CREATE PORTFOLIO ----
+router.post('/', (req, res) => {
+  try {
+    const { name } = req.body;
+    const db = getDB();
+    const id = uuid();
+
+    db.prepare('INSERT INTO portfolios (id, user_id, name) VALUES (?, ?, ?)').run(id, req.userId, name || 'My Portfolio');
+
+    res.json({ id, user_id: req.userId, name: name || 'My Portfolio' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- GET PORTFOLIO SUMMARY (holdings, P&L, XIRR, weighted implied growth) ----
+router.get('/:portfolioId', (req, res) => {
+  try {
+    const db = getDB();
+    const portfolio = getOwnedPortfolio(db, req.params.portfolioId, req.userId);
+    if (!portfolio) return res.status(404).json({ error: 'Portfolio not found' });
+
+    res.json(buildSummary(db, portfolio));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- LIST TRANSACTIONS ----
+router.get('/:portfolioId/transactions', (req, res) => {
+  try {
+    const db = getDB();
+    const portfolio = getOwnedPortfolio(db, req.params.portfolioId, req.userId);
+    if (!portfolio) return res.status(404).json({ error: 'Portfolio not found' });
+
+    res.json(getTransactions(db, portfolio.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- ADD TRANSACTION ----
+router.post('/:portfolioId/transactions', (req, res) => {
+  try {
+    const db = getDB();
+    const portfolio = getOwnedPortfolio(db, req.params.portfolioId, req.userId);
+    if (!portfolio) return res.status(404).json({ error: 'Portfolio not found' });
+
+    const { symbol, type, date, quantity, price, charges, notes } = req.body;
+    const qty = parseFloat(quantity);
+    const px = parseFloat(price);
+    const fees = charges === undefined || charges === null || charges === '' ? 0 : parseFloat(charges);
+
+    if (!symbol) return res.status(400).json({ error: 'symbol is required' });
+    if (!['buy', 'sell'].includes(type)) return res.status(400).json({ error: "type must be 'buy' or 'sell'" });
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || isNaN(Date.parse(date))) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    if (date > new Date().toISOString().slice(0, 10)) return res.status(400).json({ error: 'date cannot be in the future' });
+    if (!(qty > 0)) return res.status(400).json({ error: 'quantity must be positive' });
+    if (!(px > 0)) return res.status(400).json({ error: 'price must be positive' });
+    if (!(fees >= 0)) return res.status(400).json({ error: 'charges cannot be negative' });
+
+    const stock = db.prepare('SELECT symbol FROM stocks WHERE symbol = ?').get(symbol.toUpperCase());
+    if (!stock) return res.status(404).json({ error: 'Stock not found' });
+
+    const tx = {
+      id: uuid(), symbol: stock.symbol, type, trade_date: date, quantity: qty, price: px, charges: fees,
+    };
+
+    // Reject sells that would take the holding negative at any point
+    try {
+      portfolioEngine.buildPositions([...getTransactions(db, portfolio.id), tx]);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    db.prepare(`
+      INSERT INTO portfolio_transactions (id, portfolio_id, symbol, type, trade_date, quantity, price, charges, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(tx.id, portfolio.id, tx.symbol, type, date, qty, px, fees, notes || '');
+
+    res.json({ ...tx, portfolio_id: portfolio.id, message: 'Transaction added' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- DELETE TRANSACTION ----
+router.delete('/:portfolioId/transactions/:transactionId', (req, res) => {
+  try {
+    const db = getDB();
+    const portfolio = getOwnedPortfolio(db, req.params.portfolioId, req.userId);
+    if (!portfolio) return res.status(404).json({ error: 'Portfolio not found' });
+
+    const remaining = getTransactions(db, portfolio.id).filter(tx => tx.id !== req.params.transactionId);
+    try {
+      portfolioEngine.buildPositions(remaining);
+    } catch (err) {
+      return res.status(400).json({ error: `Cannot delete: ${err.message}` });
+    }
+
+    const result = db.prepare('DELETE FROM portfolio_transactions WHERE id = ? AND portfolio_id = ?')
+      .run(req.params.transactionId, portfolio.id);
+    if (result.changes === 0) return res.status(404).json({ error: 'Transaction not found' });
+
+    res.json({ message: 'Removed' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- SAVE HOLDING ASSUMPTIONS ----
+router.put('/:portfolioId/holdings/:symbol', (req, res) => {
+  try {
+    const db = getDB();
+    const portfolio = getOwnedPortfolio(db, req.params.portfolioId, req.userId);
+    if (!portfolio) return res.status(404).json({ error: 'Portfolio not found' });
+
+    const symbol = req.params.symbol.toUpperCase();
+    const stock = db.prepare('SELECT symbol FROM stocks WHERE symbol = ?').get(symbol);
+    if (!stock) return res.status(404).json({ error: 'Stock not found' });
+
+    const error = validateAssumptions(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const { forecastYears, discountRate, terminalGrowth, exitPE, expectedPatCagr } = req.body;
+    db.prepare(`
+      INSERT INTO portfolio_holdings (portfolio_id, symbol, forecast_years, discount_rate, terminal_growth, exit_pe, expected_pat_cagr)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(portfolio_id, symbol) DO UPDATE SET
+        forecast_years = COALESCE(excluded.forecast_years, forecast_years),
+        discount_rate = COALESCE(excluded.discount_rate, discount_rate),
+        terminal_growth = COALESCE(excluded.terminal_growth, terminal_growth),
+        exit_pe = COALESCE(excluded.exit_pe, exit_pe),
+        expected_pat_cagr = COALESCE(excluded.expected_pat_cagr, expected_pat_cagr),
+        updated_at = datetime('now')
+    `).run(portfolio.id, symbol, forecastYears ?? null, discountRate ?? null, terminalGrowth ?? null,
+           exitPE ?? null, expectedPatCagr ?? null);
+
+    res.json({ message: 'Updated', symbol });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- DELETE PORTFOLIO ----
+router.delete('/:portfolioId', (req, res) => {
+  try {
+    const db = getDB();
+    const portfolio = getOwnedPortfolio(db, req.params.portfolioId, req.userId);
+    if (!portfolio) return res.status(404).json({ error: 'Portfolio not found' });
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM portfolio_transactions WHERE portfolio_id = ?').run(portfolio.id);
+      db.prepare('DELETE FROM portfolio_holdings WHERE portfolio_id = ?').run(portfolio.id);
+      db.prepare('DELETE FROM portfolios WHERE id = ?').run(portfolio.id);
+    })();
+    res.json({ message: 'Deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,378 @@
+// ============================================================
+// SCREENER - Query language over stored and computed stock fields
+// ============================================================
+//
+//   implied_growth < pat_cagr_5y AND current_pe < median_pe_5y AND market_cap_cr > 5000
+//   sector = 'FMCG' AND (upside > 20 OR signal = 'Strong Buy')
+//   current_pe < 0.8 * median_pe_5y AND median_pe_5y IS NOT NULL
+//
+// Grammar (keywords case-insensitive):
+//   expr       := and (OR and)*
+//   and        := not (AND not)*
+//   not        := NOT not | comparison
+//   comparison := sum ((< <= > >= = != <>) sum | IS [NOT] NULL)?
+//   sum        := product ((+ | -) product)*
+//   product    := unary ((* | /) unary)*
+//   unary      := - unary | number | 'string' | field | ( expr )
+//   number     := 12 | 12.5 | .5
+//
+// Field names are whitelisted and values are bound as parameters, so a query can
+// never inject SQL. Under default assumptions computed fields come from the
+// stock_analysis cache and the whole query, sort and page run in SQL. With custom
+// assumptions, top-level AND terms that only use stored columns become the WHERE
+// clause and the rest are applied in JS after analysing each remaining stock, with
+// the same three-valued (NULL) logic as SQLite.
+// ============================================================
+
+const { computeAnalysis } = require('./analysis-cache');
+
+// stocks columns a query may reference → value type
+const STORED_FIELDS = {
+  symbol: 'text', name: 'text', sector: 'text', industry: 'text',
+  cmp: 'number', market_cap_cr: 'number', shares_outstanding_cr: 'number',
+  revenue_fy_cr: 'number', pat_fy_cr: 'number', eps: 'number', book_value_cr: 'number',
+  rev_cagr_3y: 'number', rev_cagr_5y: 'number', rev_cagr_10y: 'number',
+  pat_cagr_3y: 'number', pat_cagr_5y: 'number', pat_cagr_10y: 'number',
+  current_pe: 'number', median_pe_3y: 'number', median_pe_5y: 'number', median_pe_10y: 'number', beta: 'number',
+};
+
+// Reverse DCF outputs under default or supplied assumptions
+const COMPUTED_FIELDS = {
+  implied_growth: 'number', expectation_gap: 'number', upside: 'number',
+  implied_value: 'number', signal: 'text',
+  discount_rate: 'number', forecast_years: 'number', exit_pe: 'number', expected_pat_cagr: 'number',
+  valuation_mode: 'text', growth_basis: 'text', expected_growth: 'number',
+};
+
+const MAX_QUERY_LENGTH = 2000;
+const COMPARISON_OPS = ['<', '<=', '>', '>=', '=', '!=', '<>'];
+
+function queryError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// ============================================================
+// TOKENIZER & PARSER
+// ============================================================
+
+function tokenize(query) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|'((?:[^']|'')*)'|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|!=|<>|[<>=()+\-*/]))/y;
+  let pos = 0;
+  while (pos < query.length) {
+    if (/^\s*$/.test(query.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(query);
+    if (!m) {
+      const at = query.length - query.slice(pos).trimStart().length;
+      throw queryError(`Unexpected character at position ${at + 1}: "${query[at]}"`);
+    }
+    pos = re.lastIndex;
+    if (m[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: 'string', value: m[2].replace(/''/g, "'") });
+    else if (m[3] !== undefined) {
+      const word = m[3].toUpperCase();
+      if (['AND', 'OR', 'NOT', 'IS', 'NULL'].includes(word)) tokens.push({ type: 'keyword', value: word });
+      else tokens.push({ type: 'field', value: m[3].toLowerCase() });
+    } else tokens.push({ type: 'op', value: m[4] });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a query string into an AST. Throws (status 400) on syntax or field errors.
+ */
+function parseQuery(query) {
+  if (typeof query !== 'string' || !query.trim()) throw queryError('query is required');
+  if (query.length > MAX_QUERY_LENGTH) throw queryError(`query longer than ${MAX_QUERY_LENGTH} characters`);
+
+  const tokens = tokenize(query);
+  let i = 0;
+  const peek = () => tokens[i];
+  const isKeyword = (k) => peek()?.type === 'keyword' && peek().value === k;
+  const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+  const expectOp = (op) => {
+    if (!isOp(op)) throw queryError(`Expected "${op}"`);
+    i++;
+  };
+
+  function parseExpr() {
+    let node = parseAnd();
+    while (isKeyword('OR')) { i++; node = { type: 'or', left: node, right: parseAnd() }; }
+    return node;
+  }
+  function parseAnd() {
+    let node = parseNot();
+    while (isKeyword('AND')) { i++; node = { type: 'and', left: node, right: parseNot() }; }
+    return node;
+  }
+  function parseNot() {
+    if (isKeyword('NOT')) { i++; return { type: 'not', operand: parseNot() }; }
+    return parseComparison();
+  }
+  function parseComparison() {
+    const left = parseSum();
+    if (isOp(...COMPARISON_OPS)) {
+      const op = tokens[i++].value;
+      return { type: 'compare', op: op === '<>' ? '!=' : op, left, right: parseSum() };
+    }
+    if (isKeyword('IS')) {
+      i++;
+      const negate = isKeyword('NOT');
+      if (negate) i++;
+      if (!isKeyword('NULL')) throw queryError('Expected NULL after IS');
+      i++;
+      return { type: 'isnull', negate, operand: left };
+    }
+    return left;
+  }
+  function parseSum() {
+    let node = parseProduct();
+    while (isOp('+', '-')) { const op = tokens[i++].value; node = { type: 'arith', op, left: node, right: parseProduct() }; }
+    return node;
+  }
+  function parseProduct() {
+    let node = parseUnary();
+    while (isOp('*', '/')) { const op = tokens[i++].value; node = { type: 'arith', op, left: node, right: parseUnary() }; }
+    return node;
+  }
+  function parseUnary() {
+    const t = peek();
+    if (!t) throw queryError('Unexpected end of query');
+    if (isOp('-')) { i++; return { type: 'arith', op: '-', left: { type: 'number', value: 0 }, right: parseUnary() }; }
+    if (isOp('(')) { i++; const node = parseExpr(); expectOp(')'); return node; }
+    i++;
+    if (t.type === 'number') return { type: 'number', value: t.value };
+    if (t.type === 'string') return { type: 'string', value: t.value };
+    if (t.type === 'field') {
+      if (STORED_FIELDS[t.value]) return { type: 'field', name: t.value, computed: false };
+      if (COMPUTED_FIELDS[t.value]) return { type: 'field', name: t.value, computed: true };
+      throw queryError(`Unknown field "${t.value}"`);
+    }
+    throw queryError(`Unexpected "${t.value}"`);
+  }
+
+  const ast = parseExpr();
+  if (i < tokens.length) throw queryError(`Unexpected "${tokens[i].value}"`);
+  if (valueType(ast) !== 'boolean') throw queryError('query must be a condition, e.g. current_pe < 20');
+  return ast;
+}
+
+/**
+ * Type of an AST node: 'number' | 'text' | 'boolean'; throws on mismatched operands
+ */
+function valueType(node) {
+  switch (node.type) {
+    case 'number': return 'number';
+    case 'string': return 'text';
+    case 'field': return (node.computed ? COMPUTED_FIELDS : STORED_FIELDS)[node.name];
+    case 'arith':
+      if (valueType(node.left) !== 'number' || valueType(node.right) !== 'number') {
+        throw queryError(`"${node.op}" needs numbers on both sides`);
+      }
+      return 'number';
+    case 'compare': {
+      const l = valueType(node.left);
+      const r = valueType(node.right);
+      if (l === 'boolean' || r === 'boolean' || l !== r) throw queryError(`Cannot compare ${l} with ${r}`);
+      if (l === 'text' && !['=', '!='].includes(node.op)) throw queryError('Text fields only support = and !=');
+      return 'boolean';
+    }
+    case 'isnull':
+      if (valueType(node.operand) === 'boolean') throw queryError('IS NULL needs a field');
+      return 'boolean';
+    case 'not':
+      if (valueType(node.operand) !== 'boolean') throw queryError('NOT needs a condition');
+      return 'boolean';
+    default:
+      if (valueType(node.left) !== 'boolean' || valueType(node.right) !== 'boolean') {
+        throw queryError(`${node.type.toUpperCase()} needs conditions on both sides`);
+      }
+      return 'boolean';
+  }
+}
+
+function usesComputed(node) {
+  if (node.type === 'field') return node.computed;
+  return ['left', 'right', 'operand'].some(k => node[k] && usesComputed(node[k]));
+}
+
+// ============================================================
+// COMPILATION
+// ============================================================
+
+/**
+ * SQL for a node over stocks s (and stock_analysis a); literals are pushed onto params
+ */
+function toSQL(node, params) {
+  switch (node.type) {
+    case 'number':
+    case 'string':
+      params.push(node.value);
+      return '?';
+    case 'field': return `${node.computed ? 'a' : 's'}.${node.name}`;
+    case 'arith':
+      return node.op === '/'
+        ? `(CAST(${toSQL(node.left, params)} AS REAL) / NULLIF(${toSQL(node.right, params)}, 0))`
+        : `(${toSQL(node.left, params)} ${node.op} ${toSQL(node.right, params)})`;
+    case 'compare': return `(${toSQL(node.left, params)} ${node.op} ${toSQL(node.right, params)})`;
+    case 'isnull': return `(${toSQL(node.operand, params)} IS ${node.negate ? 'NOT ' : ''}NULL)`;
+    case 'not': return `(NOT ${toSQL(node.operand, params)})`;
+    default: return `(${toSQL(node.left, params)} ${node.type.toUpperCase()} ${toSQL(node.right, params)})`;
+  }
+}
+
+/**
+ * Evaluate a node against a row with SQL semantics: null propagates, conditions are true/false/null
+ */
+function evaluate(node, row) {
+  switch (node.type) {
+    case 'number':
+    case 'string':
+      return node.value;
+    case 'field': {
+      const v = row[node.name];
+      return v === undefined || (typeof v === 'number' && !isFinite(v)) ? null : v;
+    }
+    case 'arith': {
+      const l = evaluate(node.left, row);
+      const r = evaluate(node.right, row);
+      if (l === null || r === null) return null;
+      if (node.op === '+') return l + r;
+      if (node.op === '-') return l - r;
+      if (node.op === '*') return l * r;
+      return r === 0 ? null : l / r;
+    }
+    case 'compare': {
+      const l = evaluate(node.left, row);
+      const r = evaluate(node.right, row);
+      if (l === null || r === null) return null;
+      switch (node.op) {
+        case '<': return l < r;
+        case '<=': return l <= r;
+        case '>': return l > r;
+        case '>=': return l >= r;
+        case '=': return l === r;
+        default: return l !== r;
+      }
+    }
+    case 'isnull': {
+      const isNull = evaluate(node.operand, row) === null;
+      return node.negate ? !isNull : isNull;
+    }
+    case 'not': {
+      const v = evaluate(node.operand, row);
+      return v === null ? null : !v;
+    }
+    case 'and': {
+      const l = evaluate(node.left, row);
+      if (l === false) return false;
+      const r = evaluate(node.right, row);
+      if (r === false) return false;
+      return l === null || r === null ? null : true;
+    }
+    default: { // or
+      const l = evaluate(node.left, row);
+      if (l === true) return true;
+      const r = evaluate(node.right, row);
+      if (r === true) return true;
+      return l === null || r === null ? null : false;
+    }
+  }
+}
+
+function splitAnd(node) {
+  return node.type === 'and' ? [...splitAnd(node.left), ...splitAnd(node.right)] : [node];
+}
+
+/**
+ * Compile a query into { where, params } plus post-filter terms on computed fields.
+ * With cached set, computed fields are read from stock_analysis and nothing is post-filtered.
+ */
+function compileQuery(query, { cached = false } = {}) {
+  const ast = parseQuery(query);
+  const params = [];
+  const sqlTerms = [];
+  const postFilters = [];
+
+  for (const term of splitAnd(ast)) {
+    if (!cached && usesComputed(term)) postFilters.push(term);
+    else sqlTerms.push(toSQL(term, params));
+  }
+
+  return {
+    where: sqlTerms.length ? sqlTerms.join(' AND ') : '1=1',
+    params,
+    postFilters,
+  };
+}
+
+// ============================================================
+// EXECUTION
+// ============================================================
+
+/**
+ * Run a screen. No cap on the number of stocks analysed; results are paginated.
+ *
+ * @param {Database} db
+ * @param {object} screen - { query, assumptions, sortBy, order, limit, offset }
+ * @returns {{ total, limit, offset, results }}
+ */
+function runScreen(db, { query, assumptions = {}, sortBy = 'market_cap_cr', order = 'desc', limit = 50, offset = 0 }) {
+  const cached = !assumptions || Object.keys(assumptions).length === 0;
+  const compiled = compileQuery(query, { cached });
+  const sortField = String(sortBy).toLowerCase();
+  if (!STORED_FIELDS[sortField] && !COMPUTED_FIELDS[sortField]) throw queryError(`Cannot sort by "${sortBy}"`);
+  const dir = String(order).toLowerCase() === 'asc' ? 1 : -1;
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+  // Default assumptions: filter, sort and page entirely in SQL over the analysis cache
+  if (cached) {
+    const sortColumn = `${COMPUTED_FIELDS[sortField] ? 'a' : 's'}.${sortField}`;
+    const from = `FROM stocks s LEFT JOIN stock_analysis a ON a.symbol = s.symbol WHERE ${compiled.where}`;
+    const { total } = db.prepare(`SELECT COUNT(*) as total ${from}`).get(...compiled.params);
+    const results = db.prepare(`
+      SELECT s.*, ${Object.keys(COMPUTED_FIELDS).map(f => `a.${f}`).join(', ')}
+      ${from}
+      ORDER BY ${sortColumn} IS NULL, ${sortColumn} ${dir === 1 ? 'ASC' : 'DESC'}, s.symbol
+      LIMIT ? OFFSET ?
+    `).all(...compiled.params, pageSize, start);
+    return { total, limit: pageSize, offset: start, results };
+  }
+
+  const rows = db.prepare(`SELECT s.* FROM stocks s WHERE ${compiled.where}`).all(...compiled.params);
+
+  const matches = [];
+  for (const stock of rows) {
+    const row = { ...stock, ...computeAnalysis(stock, assumptions) };
+    if (compiled.postFilters.every(term => evaluate(term, row) === true)) matches.push(row);
+  }
+
+  // Nulls last in either direction
+  matches.sort((a, b) => {
+    const x = a[sortField];
+    const y = b[sortField];
+    if (x === null || x === undefined) return (y === null || y === undefined) ? 0 : 1;
+    if (y === null || y === undefined) return -1;
+    return (x < y ? -1 : x > y ? 1 : 0) * dir || a.symbol.localeCompare(b.symbol);
+  });
+
+  return {
+    total: matches.length,
+    limit: pageSize,
+    offset: start,
+    results: matches.slice(start, start + pageSize),
+  };
+}
+
+module.exports = {
+  STORED_FIELDS,
+  COMPUTED_FIELDS,
+  parseQuery,
+  compileQuery,
+  evaluate,
+  runScreen,
+};
@@ -0,0 +1,144 @@
+// ============================================================
+// SCREEN ROUTES - Saved screener queries
+// ============================================================
+const express = require('express');
+const router = express.Router();
+const { v4: uuid } = require('uuid');
+const { getDB } = require('../db');
+const screener = require('../screener');
+const { authMiddleware } = require('./auth');
+
+// All screen routes require authentication
+router.use(authMiddleware);
+
+function getOwnedScreen(db, screenId, userId) {
+  return db.prepare('SELECT * FROM screens WHERE id = ? AND user_id = ?').get(screenId, userId);
+}
+
+function formatScreen(screen) {
+  return { ...screen, assumptions: screen.assumptions ? JSON.parse(screen.assumptions) : {} };
+}
+
+/**
+ * Validate a screen body; returns an error message or null
+ */
+function validateScreen({ name, query, sortBy, order }) {
+  if (!name || !String(name).trim()) return 'name is required';
+  try {
+    screener.parseQuery(query);
+  } catch (err) {
+    return err.message;
+  }
+  if (sortBy && !screener.STORED_FIELDS[sortBy] && !screener.COMPUTED_FIELDS[sortBy]) return `Cannot sort by "${sortBy}"`;
+  if (order && !['asc', 'desc'].includes(order)) return "order must be 'asc' or 'desc'";
+  return null;
+}
+
+// ---- LIST SAVED SCREENS ----
+router.get('/', (req, res) => {
+  try {
+    const db = getDB();
+    const screens = db.prepare('SELECT * FROM screens WHERE user_id = ? ORDER BY name').all(req.userId);
+    res.json({
+      fields: { stored: Object.keys(screener.STORED_FIELDS), computed: Object.keys(screener.COMPUTED_FIELDS) },
+      screens: screens.map(formatScreen),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- SAVE SCREEN ----
+router.post('/', (req, res) => {
+  try {
+    const error = validateScreen(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const db = getDB();
+    const { name, query, assumptions, sortBy, order } = req.body;
+    if (db.prepare('SELECT id FROM screens WHERE user_id = ? AND name = ?').get(req.userId, name.trim())) {
+      return res.status(409).json({ error: 'A screen with that name already exists' });
+    }
+
+    const id = uuid();
+    db.prepare(`
+      INSERT INTO screens (id, user_id, name, query, assumptions, sort_by, sort_order)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, req.userId, name.trim(), query, JSON.stringify(assumptions || {}), sortBy || 'market_cap_cr', order || 'desc');
+
+    res.json(formatScreen(getOwnedScreen(db, id, req.userId)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- UPDATE SCREEN ----
+router.put('/:screenId', (req, res) => {
+  try {
+    const db = getDB();
+    const screen = getOwnedScreen(db, req.params.screenId, req.userId);
+    if (!screen) return res.status(404).json({ error: 'Screen not found' });
+
+    const next = {
+      name: req.body.name ?? screen.name,
+      query: req.body.query ?? screen.query,
+      sortBy: req.body.sortBy ?? screen.sort_by,
+      order: req.body.order ?? screen.sort_order,
+    };
+    const error = validateScreen(next);
+    if (error) return res.status(400).json({ error });
+
+    const clash = db.prepare('SELECT id FROM screens WHERE user_id = ? AND name = ? AND id != ?')
+      .get(req.userId, next.name.trim(), screen.id);
+    if (clash) return res.status(409).json({ error: 'A screen with that name already exists' });
+
+    db.prepare(`
+      UPDATE screens SET name = ?, query = ?, assumptions = COALESCE(?, assumptions), sort_by = ?, sort_order = ?,
+        updated_at = datetime('now')
+      WHERE id = ?
+    `).run(next.name.trim(), next.query, req.body.assumptions ? JSON.stringify(req.body.assumptions) : null,
+           next.sortBy, next.order, screen.id);
+
+    res.json(formatScreen(getOwnedScreen(db, screen.id, req.userId)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- RUN SAVED SCREEN ----
+router.get('/:screenId/run', (req, res) => {
+  try {
+    const db = getDB();
+    const screen = getOwnedScreen(db, req.params.screenId, req.userId);
+    if (!screen) return res.status(404).json({ error: 'Screen not found' });
+
+    const { limit, offset } = req.query;
+    res.json({
+      screen: formatScreen(screen),
+      ...screener.runScreen(db, {
+        query: screen.query,
+        assumptions: screen.assumptions ? JSON.parse(screen.assumptions) : {},
+        sortBy: screen.sort_by,
+        order: screen.sort_order,
+        limit,
+        offset,
+      }),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ---- DELETE SCREEN ----
+router.delete('/:screenId', (req, res) => {
+  try {
+    const db = getDB();
+    const result = db.prepare('DELETE FROM screens WHERE id = ? AND user_id = ?').run(req.params.screenId, req.userId);
+    if (result.changes === 0) return res.status(404).json({ error: 'Screen not found' });
+    res.json({ message: 'Deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
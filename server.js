@@ -13,9 +13,16 @@ const cron = require('node-cron');
 const { initDB, db } = require('./db');
 const dcfEngine = require('./dcf-engine');
 const dataFetcher = require('./data-fetcher');
+const dataProviders = require('./data-providers');
+const alertEngine = require('./alert-engine');
+const analysisCache = require('./analysis-cache');
 const authRoutes = require('./routes/auth');
 const stockRoutes = require('./routes/stocks');
 const watchlistRoutes = require('./routes/watchlist');
+const adminRoutes = require('./routes/admin');
+const portfolioRoutes = require('./routes/portfolios');
+const alertRoutes = require('./routes/alerts');
+const screenRoutes = require('./routes/screens');
 
 const PORT = process.env.PORT || 5000;
 const app = express();
@@ -37,6 +44,10 @@ app.use('/api/', limiter);
 app.use('/api/auth', authRoutes);
 app.use('/api/stocks', stockRoutes);
 app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/portfolios', portfolioRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/screens', screenRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -46,38 +57,152 @@ app.get('/api/health', (req, res) => {
 // DCF calculation endpoint (stateless - no DB needed)
 app.post('/api/calculate-dcf', (req, res) => {
   try {
-    const { currentPAT, marketCap, discountRate, forecastYears, exitPE, expectedPatCagr } = req.body;
-
-    const impliedGrowth = dcfEngine.solveImpliedGrowthRate(
-      currentPAT, marketCap, discountRate, forecastYears, exitPE
+    const {
+      currentPAT, marketCap, discountRate, forecastYears, exitPE,
+      terminalMethod = 'exit_pe', terminalGrowth, terminalBlendWeight,
+      growthModel = 'single', stage1Years, fadeYears, stableGrowth, solveFor = 'growth',
+      cashFlowBasis = 'pat', reinvestmentMethod = 'roe', reinvestmentRoe, capexPct, workingCapitalPct,
+    } = req.body;
+    // Form posts send "15"; NaN when missing
+    const expectedPatCagr = parseFloat(req.body.expectedPatCagr);
+
+    if (!dcfEngine.TERMINAL_METHODS.includes(terminalMethod)) {
+      return res.status(400).json({ error: `terminalMethod must be one of: ${dcfEngine.TERMINAL_METHODS.join(', ')}` });
+    }
+    if (!dcfEngine.GROWTH_MODELS.includes(growthModel)) {
+      return res.status(400).json({ error: `growthModel must be one of: ${dcfEngine.GROWTH_MODELS.join(', ')}` });
+    }
+    if (!dcfEngine.CASH_FLOW_BASES.includes(cashFlowBasis)) {
+      return res.status(400).json({ error: `cashFlowBasis must be one of: ${dcfEngine.CASH_FLOW_BASES.join(', ')}` });
+    }
+    if (!dcfEngine.REINVESTMENT_METHODS.includes(reinvestmentMethod)) {
+      return res.status(400).json({ error: `reinvestmentMethod must be one of: ${dcfEngine.REINVESTMENT_METHODS.join(', ')}` });
+    }
+    const solveTargets = [...dcfEngine.SOLVE_TARGETS, 'fadeYears'];
+    if (!solveTargets.includes(solveFor)) {
+      return res.status(400).json({ error: `solveFor must be one of: ${solveTargets.join(', ')}` });
+    }
+    if (solveFor === 'fadeYears' && growthModel !== 'three_stage') {
+      return res.status(400).json({ error: 'solveFor=fadeYears requires growthModel=three_stage' });
+    }
+    if (solveFor === 'forecastYears' && growthModel !== 'single') {
+      return res.status(400).json({ error: 'solveFor=forecastYears requires growthModel=single' });
+    }
+    if (solveFor === 'exitPE' && terminalMethod === 'perpetuity') {
+      return res.status(400).json({ error: 'solveFor=exitPE needs an exit_pe or blend terminal value' });
+    }
+    if (['discountRate', 'exitPE', 'forecastYears'].includes(solveFor) && !Number.isFinite(expectedPatCagr)) {
+      return res.status(400).json({ error: `solveFor=${solveFor} requires expectedPatCagr` });
+    }
+    const modelOptions = {
+      terminalMethod, terminalGrowth, terminalBlendWeight,
+      growthModel, stage1Years, fadeYears, stableGrowth,
+      cashFlowBasis, reinvestmentMethod, reinvestmentRoe, capexPct, workingCapitalPct,
+    };
+
+    // Any other unknown is solved at the expected growth, and the solved value stands in
+    // for its input below (so the implied growth then matches expectedPatCagr)
+    const inputs = { currentPAT, marketCap, growthRate: expectedPatCagr, discountRate, forecastYears, exitPE };
+    const unknownSolve = ['discountRate', 'exitPE', 'forecastYears'].includes(solveFor)
+      ? dcfEngine.solveForUnknown(solveFor, inputs, modelOptions)
+      : null;
+    if (unknownSolve && unknownSolve.value !== null) inputs[solveFor] = unknownSolve.value;
+
+    const growthSolve = dcfEngine.solveImpliedGrowth(
+      currentPAT, marketCap, inputs.discountRate, inputs.forecastYears, inputs.exitPE, modelOptions
     );
+    const impliedGrowth = growthSolve.value;
+    const solve = unknownSolve || growthSolve;
+
+    const impliedFadeYears = solveFor === 'fadeYears'
+      ? dcfEngine.solveImpliedFadeYears(currentPAT, marketCap, discountRate, forecastYears, exitPE, expectedPatCagr, modelOptions)
+      : undefined;
 
-    const impliedValue = dcfEngine.calculateImpliedEquityValue(
-      currentPAT, expectedPatCagr, discountRate, forecastYears, exitPE
+    const breakdown = dcfEngine.calculateValueBreakdown(
+      currentPAT, expectedPatCagr, inputs.discountRate, inputs.forecastYears, inputs.exitPE, modelOptions
     );
+    const impliedValue = breakdown.equityValue;
 
-    const expectationGap = expectedPatCagr - (impliedGrowth || 0);
+    const expectationGap = growthSolve.status === 'converged' ? expectedPatCagr - impliedGrowth : null;
     const upside = marketCap > 0 ? ((impliedValue / marketCap) - 1) * 100 : 0;
 
     res.json({
+      solveFor,
       impliedGrowthRate: impliedGrowth,
+      solver: { status: solve.status, iterations: solve.iterations, residual: solve.residual },
+      ...(impliedFadeYears !== undefined && { impliedFadeYears }),
+      ...(solveFor === 'discountRate' && { impliedDiscountRate: unknownSolve.value }),
+      ...(solveFor === 'exitPE' && { impliedExitPE: unknownSolve.value }),
+      ...(solveFor === 'forecastYears' && { impliedForecastYears: unknownSolve.value }),
       impliedEquityValue: impliedValue,
       expectationGap,
       upside,
       signal: dcfEngine.getSignal(expectationGap),
+      terminalMethod: breakdown.method,
+      terminalValue: breakdown,
+      growthModel,
+      cashFlowBasis,
+      projections: dcfEngine.generateProjections(currentPAT, impliedGrowth || 0, inputs.forecastYears, modelOptions),
     });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+// Sensitivity grid: implied growth / value / upside across two assumptions
+app.post('/api/sensitivity', (req, res) => {
+  try {
+    const { base, rows, cols, metric = 'impliedGrowth' } = req.body;
+    if (!base || !(base.currentPAT > 0) || !(base.marketCap > 0)) {
+      return res.status(400).json({ error: 'base.currentPAT and base.marketCap are required' });
+    }
+    if (base.terminalMethod && !dcfEngine.TERMINAL_METHODS.includes(base.terminalMethod)) {
+      return res.status(400).json({ error: `terminalMethod must be one of: ${dcfEngine.TERMINAL_METHODS.join(', ')}` });
+    }
+    if (base.growthModel && !dcfEngine.GROWTH_MODELS.includes(base.growthModel)) {
+      return res.status(400).json({ error: `growthModel must be one of: ${dcfEngine.GROWTH_MODELS.join(', ')}` });
+    }
+    if (base.cashFlowBasis && !dcfEngine.CASH_FLOW_BASES.includes(base.cashFlowBasis)) {
+      return res.status(400).json({ error: `cashFlowBasis must be one of: ${dcfEngine.CASH_FLOW_BASES.join(', ')}` });
+    }
+
+    const grid = dcfEngine.buildSensitivityGrid(base, rows, cols, metric);
+    res.json({ ...grid, base });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // Get default assumptions for a stock
 app.get('/api/defaults', (req, res) => {
-  const { marketCapCr, sector } = req.query;
-  const defaults = dcfEngine.getDefaultAssumptions(parseFloat(marketCapCr) || 0, sector || '');
+  const {
+    marketCapCr, sector, exitPEBasis, medianPEWindow, medianPE3y, medianPE5y, medianPE10y,
+    beta, riskFreeRate, equityRiskPremium, sizePremium,
+  } = req.query;
+  const number = v => (v === undefined || v === '' ? undefined : parseFloat(v));
+  const defaults = dcfEngine.getDefaultAssumptions(parseFloat(marketCapCr) || 0, sector || '', {
+    exitPEBasis,
+    medianPEWindow,
+    medianPE: { '3y': parseFloat(medianPE3y), '5y': parseFloat(medianPE5y), '10y': parseFloat(medianPE10y) },
+    costOfEquity: {
+      beta: number(beta),
+      riskFreeRate: number(riskFreeRate),
+      equityRiskPremium: number(equityRiskPremium),
+      sizePremium: number(sizePremium),
+    },
+  });
   res.json(defaults);
 });
 
+// Configured data providers and the order each stock field is resolved in
+app.get('/api/providers', (req, res) => {
+  const fields = Object.keys(dataProviders.FIELD_METHODS);
+  res.json({
+    providers: dataProviders.listProviders(),
+    fieldPriority: Object.fromEntries(fields.map(f => [f, dataProviders.getFieldPriority(f)])),
+  });
+});
+
 // Serve frontend in production
 app.use(express.static(path.join(__dirname, '../frontend/build')));
 app.get('*', (req, res) => {
@@ -91,11 +216,15 @@ async function start() {
   
   // Seed stock master list if empty
   await dataFetcher.seedStockMaster();
+
+  // Fill / revalidate the default-assumption analysis cache
+  analysisCache.refreshAnalysis();
   
   // Schedule daily price updates (6:30 AM IST = 1:00 AM UTC)
   cron.schedule('0 1 * * 1-5', async () => {
     console.log('[CRON] Starting daily price update...');
     await dataFetcher.updateAllPrices();
+    await alertEngine.evaluateAlerts();
     console.log('[CRON] Daily price update complete.');
   });
 
@@ -103,6 +232,9 @@ async function start() {
   cron.schedule('30 20 * * 0', async () => {
     console.log('[CRON] Starting weekly financial data update...');
     await dataFetcher.updateFinancials();
+    await dataFetcher.updateMedianPEs();
+    await dataFetcher.updateBenchmarkHistory();
+    await dataFetcher.updateBetas();
     console.log('[CRON] Weekly financial update complete.');
   });
 
@@ -0,0 +1,115 @@
+// ============================================================
+// SOLVER - Bracketed root finding shared by backend and frontend
+// ============================================================
+//
+// Brent's method: inverse quadratic / secant steps with a bisection
+// fallback, so it keeps bisection's guarantee on a sign-changing bracket
+// but usually converges in under 10 evaluations instead of ~40.
+//
+// Plain CommonJS with no dependencies: the backend requires it and the
+// React app imports it (copy into frontend/src next to App.jsx).
+// ============================================================
+
+// Implied growth search range, in % — outside it the solver reports below_range / above_range
+const GROWTH_RANGE = { low: -90, high: 200 };
+
+/**
+ * Find x in [low, high] with f(x) = 0.
+ *
+ * status:
+ *  - 'converged'       value is the root (|residual| ≤ tolerance or bracket narrower than xTolerance)
+ *  - 'below_range'     f has the same sign at both ends and is closer to zero at low (root below low)
+ *  - 'above_range'     same, but closer to zero at high (root above high)
+ *  - 'max_iterations'  value is the best estimate after maxIterations
+ *
+ * For out-of-range results value is null and residual is f at the nearer bound.
+ *
+ * @returns {{ value, status, iterations, residual }}
+ */
+function solveBracketed(f, low, high, { tolerance = 0, xTolerance = 1e-10, maxIterations = 100 } = {}) {
+  let a = low;
+  let b = high;
+  let fa = f(a);
+  let fb = f(b);
+
+  if (Math.abs(fa) <= tolerance) return { value: a, status: 'converged', iterations: 0, residual: fa };
+  if (Math.abs(fb) <= tolerance) return { value: b, status: 'converged', iterations: 0, residual: fb };
+  if (Math.sign(fa) === Math.sign(fb)) {
+    const belowRange = Math.abs(fa) < Math.abs(fb);
+    return { value: null, status: belowRange ? 'below_range' : 'above_range', iterations: 0, residual: belowRange ? fa : fb };
+  }
+
+  let c = b;
+  let fc = fb;
+  let d = b - a;
+  let e = d;
+
+  for (let i = 1; i <= maxIterations; i++) {
+    // Keep the root between b and c, with b the best estimate
+    if (Math.sign(fb) === Math.sign(fc)) { c = a; fc = fa; d = b - a; e = d; }
+    if (Math.abs(fc) < Math.abs(fb)) { a = b; b = c; c = a; fa = fb; fb = fc; fc = fa; }
+
+    const tol = 2 * Number.EPSILON * Math.abs(b) + xTolerance / 2;
+    const m = (c - b) / 2;
+    if (Math.abs(m) <= tol || Math.abs(fb) <= tolerance) {
+      return { value: b, status: 'converged', iterations: i, residual: fb };
+    }
+
+    if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+      // Secant (two points) or inverse quadratic interpolation (three)
+      const s = fb / fa;
+      let p;
+      let q;
+      if (a === c) {
+        p = 2 * m * s;
+        q = 1 - s;
+      } else {
+        const qa = fa / fc;
+        const r = fb / fc;
+        p = s * (2 * m * qa * (qa - r) - (b - a) * (r - 1));
+        q = (qa - 1) * (r - 1) * (s - 1);
+      }
+      if (p > 0) q = -q;
+      else p = -p;
+
+      // Accept the step only if it stays well inside the bracket and is shrinking fast enough
+      if (2 * p < Math.min(3 * m * q - Math.abs(tol * q), Math.abs(e * q))) {
+        e = d;
+        d = p / q;
+      } else {
+        d = m;
+        e = m;
+      }
+    } else {
+      d = m;
+      e = m;
+    }
+
+    a = b;
+    fa = fb;
+    b += Math.abs(d) > tol ? d : (m > 0 ? tol : -tol);
+    fb = f(b);
+  }
+
+  return { value: b, status: 'max_iterations', iterations: maxIterations, residual: fb };
+}
+
+/**
+ * Growth rate (%) at which valueAt(growth) equals marketCap, searched over range
+ * (default GROWTH_RANGE). valueAt must increase with growth. The value is rounded to 2 decimals.
+ *
+ * @returns {{ value, status, iterations, residual }}
+ */
+function solveGrowthRate(valueAt, marketCap, range = GROWTH_RANGE) {
+  const result = solveBracketed(g => valueAt(g) - marketCap, range.low, range.high, {
+    tolerance: marketCap * 1e-9,
+    xTolerance: 1e-6,
+  });
+  return { ...result, value: result.value === null ? null : Math.round(result.value * 100) / 100 };
+}
+
+module.exports = {
+  GROWTH_RANGE,
+  solveBracketed,
+  solveGrowthRate,
+};
@@ -6,6 +6,7 @@ const router = express.Router();
 const { getDB } = require('../db');
 const dcfEngine = require('../dcf-engine');
 const dataFetcher = require('../data-fetcher');
+const screener = require('../screener');
 
 // ---- SEARCH STOCKS ----
 router.get('/search', (req, res) => {
@@ -30,7 +31,7 @@ router.get('/:symbol', async (req, res) => {
       return res.status(404).json({ error: 'Stock not found' });
     }
     
-    res.json(stock);
+    res.json({ ...stock, field_sources: dataFetcher.getFieldSources(stock) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -53,18 +54,44 @@ router.get('/:symbol/analysis', async (req, res) => {
     if (req.query.exitPE) customAssumptions.exitPE = parseFloat(req.query.exitPE);
     if (req.query.expectedPatCagr) customAssumptions.expectedPatCagr = parseFloat(req.query.expectedPatCagr);
     if (req.query.terminalGrowth) customAssumptions.terminalGrowth = parseFloat(req.query.terminalGrowth);
+    if (req.query.terminalMethod) customAssumptions.terminalMethod = req.query.terminalMethod;
+    if (req.query.terminalBlendWeight) customAssumptions.terminalBlendWeight = parseFloat(req.query.terminalBlendWeight);
+    if (req.query.growthModel) customAssumptions.growthModel = req.query.growthModel;
+    if (req.query.stage1Years) customAssumptions.stage1Years = parseFloat(req.query.stage1Years);
+    if (req.query.fadeYears) customAssumptions.fadeYears = parseFloat(req.query.fadeYears);
+    if (req.query.stableGrowth) customAssumptions.stableGrowth = parseFloat(req.query.stableGrowth);
+    if (req.query.solveFor) customAssumptions.solveFor = req.query.solveFor;
+    if (req.query.exitPEBasis) customAssumptions.exitPEBasis = req.query.exitPEBasis;
+    if (req.query.medianPEWindow) customAssumptions.medianPEWindow = req.query.medianPEWindow;
+    // FCFE: cashFlowBasis=fcfe, reinvestmentMethod=roe|explicit (defaults from the company's record)
+    if (req.query.cashFlowBasis) customAssumptions.cashFlowBasis = req.query.cashFlowBasis;
+    if (req.query.reinvestmentMethod) customAssumptions.reinvestmentMethod = req.query.reinvestmentMethod;
+    if (req.query.reinvestmentRoe) customAssumptions.reinvestmentRoe = parseFloat(req.query.reinvestmentRoe);
+    if (req.query.capexPct) customAssumptions.capexPct = parseFloat(req.query.capexPct);
+    if (req.query.workingCapitalPct) customAssumptions.workingCapitalPct = parseFloat(req.query.workingCapitalPct);
+    // Cost of equity parts (discountRate still wins); betaWindow / benchmark re-measure beta
+    if (req.query.riskFreeRate) customAssumptions.riskFreeRate = parseFloat(req.query.riskFreeRate);
+    if (req.query.equityRiskPremium) customAssumptions.equityRiskPremium = parseFloat(req.query.equityRiskPremium);
+    if (req.query.beta) customAssumptions.beta = parseFloat(req.query.beta);
+    if (req.query.sizePremium) customAssumptions.sizePremium = parseFloat(req.query.sizePremium);
+    const beta = req.query.betaWindow || req.query.benchmark
+      ? dataFetcher.computeBeta(stock.symbol, { window: req.query.betaWindow, benchmark: req.query.benchmark })
+      : {
+        beta: stock.beta,
+        observations: stock.beta_observations,
+        window: dcfEngine.config.COST_OF_EQUITY_DEFAULTS.betaWindow,
+        benchmark: dcfEngine.config.COST_OF_EQUITY_DEFAULTS.benchmark,
+      };
+    // Revenue model (picked automatically for loss-makers) and residual income model
+    // (banks / NBFCs / insurers): valuationMode=pat|revenue|residual_income
+    if (req.query.valuationMode) customAssumptions.valuationMode = req.query.valuationMode;
+    if (req.query.targetMargin) customAssumptions.targetMargin = parseFloat(req.query.targetMargin);
+    if (req.query.marginYear) customAssumptions.marginYear = parseFloat(req.query.marginYear);
+    if (req.query.expectedRevenueCagr) customAssumptions.expectedRevenueCagr = parseFloat(req.query.expectedRevenueCagr);
+    if (req.query.expectedRoe) customAssumptions.expectedRoe = parseFloat(req.query.expectedRoe);
+    if (req.query.payoutRatio) customAssumptions.payoutRatio = parseFloat(req.query.payoutRatio);
 
-    const stockData = {
-      symbol: stock.symbol,
-      name: stock.name,
-      sector: stock.sector,
-      cmp: stock.cmp,
-      marketCapCr: stock.market_cap_cr,
-      sharesOutstandingCr: stock.shares_outstanding_cr,
-      currentPAT: stock.pat_fy_cr,
-    };
-
-    const analysis = dcfEngine.analyzeStock(stockData, customAssumptions);
+    const analysis = dcfEngine.analyzeStock(dataFetcher.buildStockData(stock, { beta: beta.beta }), customAssumptions);
     
     // Merge in CAGR and PE data
     analysis.historicalData = {
@@ -79,6 +106,12 @@ router.get('/:symbol/analysis', async (req, res) => {
       medianPE10y: stock.median_pe_10y,
       currentPE: stock.current_pe,
       revenueFyCr: stock.revenue_fy_cr,
+      bookValueCr: stock.book_value_cr,
+      industry: stock.industry,
+      beta: beta.beta,
+      betaObservations: beta.observations,
+      betaWindow: beta.window,
+      benchmark: beta.benchmark,
     };
     
     res.json(analysis);
@@ -87,6 +120,111 @@ router.get('/:symbol/analysis', async (req, res) => {
   }
 });
 
+// ---- STORED ANNUAL FINANCIALS ----
+router.get('/:symbol/financials', (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const db = getDB();
+    const stock = db.prepare('SELECT symbol, name FROM stocks WHERE symbol = ?').get(symbol);
+    
+    if (!stock) {
+      return res.status(404).json({ error: 'Stock not found' });
+    }
+
+    const financials = dataFetcher.getAnnualFinancials(symbol);
+    res.json({
+      symbol: stock.symbol,
+      name: stock.name,
+      financials,
+      cagrs: dataFetcher.computeCAGRs(financials),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- DAILY PRICE & IMPLIED GROWTH HISTORY ----
+router.get('/:symbol/history', (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const { from, to } = req.query;
+    const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !isoDate.test(from)) || (to && !isoDate.test(to))) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates' });
+    }
+
+    const db = getDB();
+    const stock = db.prepare('SELECT symbol FROM stocks WHERE symbol = ?').get(symbol);
+    if (!stock) {
+      return res.status(404).json({ error: 'Stock not found' });
+    }
+
+    res.json({
+      symbol,
+      from: from || null,
+      to: to || null,
+      history: dataFetcher.getPriceHistory(symbol, from, to),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- MONTE CARLO SIMULATION OF UPSIDE ----
+router.post('/:symbol/simulate', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const stock = await dataFetcher.getStock(symbol.toUpperCase());
+    
+    if (!stock) {
+      return res.status(404).json({ error: 'Stock not found' });
+    }
+    if (!(stock.pat_fy_cr > 0)) {
+      return res.status(400).json({ error: 'Simulation needs a positive PAT' });
+    }
+
+    const { assumptions = {}, distributions, trials, seed, bins } = req.body;
+    const mcapCr = stock.market_cap_cr || (stock.cmp * stock.shares_outstanding_cr);
+    const defaults = dcfEngine.getDefaultAssumptions(mcapCr, stock.sector, {
+      exitPEBasis: assumptions.exitPEBasis,
+      medianPEWindow: assumptions.medianPEWindow,
+      medianPE: { '3y': stock.median_pe_3y, '5y': stock.median_pe_5y, '10y': stock.median_pe_10y },
+      reinvestment: dataFetcher.computeReinvestment(dataFetcher.getAnnualFinancials(stock.symbol)),
+      beta: stock.beta,
+    });
+    const base = { ...defaults, ...assumptions, currentPAT: stock.pat_fy_cr, marketCap: mcapCr };
+    const dists = distributions || dcfEngine.getDefaultDistributions(base);
+
+    let simulation;
+    try {
+      simulation = dcfEngine.simulateValuation(base, dists, { trials, seed, bins });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    res.json({
+      symbol: stock.symbol,
+      marketCapCr: mcapCr,
+      assumptions: base,
+      distributions: dists,
+      ...simulation,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- SCREEN: QUERY OVER STORED + COMPUTED FIELDS ----
+// { query: "implied_growth < pat_cagr_5y AND market_cap_cr > 5000", assumptions, sortBy, order, limit, offset }
+router.post('/screen', (req, res) => {
+  try {
+    const { query, assumptions, sortBy, order, limit, offset } = req.body;
+    res.json(screener.runScreen(getDB(), { query, assumptions: assumptions || {}, sortBy, order, limit, offset }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // ---- BATCH ANALYSIS (for screener) ----
 router.post('/batch-analysis', async (req, res) => {
   try {
@@ -102,14 +240,7 @@ router.post('/batch-analysis', async (req, res) => {
       const stock = db.prepare('SELECT * FROM stocks WHERE symbol = ?').get(symbol);
       if (!stock || !stock.pat_fy_cr) continue;
 
-      const analysis = dcfEngine.analyzeStock({
-        symbol: stock.symbol,
-        name: stock.name,
-        sector: stock.sector,
-        cmp: stock.cmp,
-        marketCapCr: stock.market_cap_cr,
-        currentPAT: stock.pat_fy_cr,
-      }, assumptions || {});
+      const analysis = dcfEngine.analyzeStock(dataFetcher.buildStockData(stock), assumptions || {});
 
       results.push({
         ...analysis,
@@ -118,8 +249,9 @@ router.post('/batch-analysis', async (req, res) => {
       });
     }
 
-    // Sort by expectation gap (best opportunities first)
-    results.sort((a, b) => (b.results?.expectationGap || 0) - (a.results?.expectationGap || 0));
+    // Sort by expectation gap (best opportunities first, unsolved last)
+    const gapOf = r => r.results?.expectationGap ?? -Infinity;
+    results.sort((a, b) => (gapOf(b) - gapOf(a)) || 0);
     
     res.json(results);
   } catch (err) {
@@ -145,32 +277,48 @@ router.get('/sector/:sector', (req, res) => {
 });
 
 // ---- LIST ALL STOCKS (paginated) ----
+// Implied growth, gap and upside come from the stock_analysis cache (default assumptions),
+// so they can be filtered and sorted in SQL across the whole universe.
 router.get('/', (req, res) => {
   try {
     const db = getDB();
-    const { page = 1, limit = 50, sector, minMcap, maxMcap, sortBy = 'market_cap_cr', order = 'DESC' } = req.query;
+    const {
+      page = 1, limit = 50, sector, minMcap, maxMcap, sortBy = 'market_cap_cr', order = 'DESC',
+      minImpliedGrowth, maxImpliedGrowth, minGap, maxGap, minUpside, maxUpside, signal,
+    } = req.query;
     
     let where = ['1=1'];
     const params = [];
     
-    if (sector) { where.push('sector LIKE ?'); params.push(`%${sector}%`); }
-    if (minMcap) { where.push('market_cap_cr >= ?'); params.push(parseFloat(minMcap)); }
-    if (maxMcap) { where.push('market_cap_cr <= ?'); params.push(parseFloat(maxMcap)); }
+    if (sector) { where.push('s.sector LIKE ?'); params.push(`%${sector}%`); }
+    if (minMcap) { where.push('s.market_cap_cr >= ?'); params.push(parseFloat(minMcap)); }
+    if (maxMcap) { where.push('s.market_cap_cr <= ?'); params.push(parseFloat(maxMcap)); }
+    if (minImpliedGrowth) { where.push('a.implied_growth >= ?'); params.push(parseFloat(minImpliedGrowth)); }
+    if (maxImpliedGrowth) { where.push('a.implied_growth <= ?'); params.push(parseFloat(maxImpliedGrowth)); }
+    if (minGap) { where.push('a.expectation_gap >= ?'); params.push(parseFloat(minGap)); }
+    if (maxGap) { where.push('a.expectation_gap <= ?'); params.push(parseFloat(maxGap)); }
+    if (minUpside) { where.push('a.upside >= ?'); params.push(parseFloat(minUpside)); }
+    if (maxUpside) { where.push('a.upside <= ?'); params.push(parseFloat(maxUpside)); }
+    if (signal) { where.push('a.signal = ?'); params.push(signal); }
     
-    const validSorts = ['market_cap_cr', 'cmp', 'current_pe', 'symbol', 'pat_fy_cr'];
-    const sort = validSorts.includes(sortBy) ? sortBy : 'market_cap_cr';
+    const validSorts = {
+      market_cap_cr: 's.market_cap_cr', cmp: 's.cmp', current_pe: 's.current_pe', symbol: 's.symbol', pat_fy_cr: 's.pat_fy_cr',
+      implied_growth: 'a.implied_growth', expectation_gap: 'a.expectation_gap', upside: 'a.upside',
+    };
+    const sort = validSorts[sortBy] || validSorts.market_cap_cr;
     const dir = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
     
     const offset = (parseInt(page) - 1) * parseInt(limit);
+    const from = `FROM stocks s LEFT JOIN stock_analysis a ON a.symbol = s.symbol WHERE ${where.join(' AND ')}`;
     
     const stocks = db.prepare(`
-      SELECT * FROM stocks 
-      WHERE ${where.join(' AND ')}
-      ORDER BY ${sort} ${dir}
+      SELECT s.*, a.implied_growth, a.expectation_gap, a.upside, a.implied_value, a.signal, a.valuation_mode
+      ${from}
+      ORDER BY ${sort} IS NULL, ${sort} ${dir}
       LIMIT ? OFFSET ?
     `).all(...params, parseInt(limit), offset);
     
-    const total = db.prepare(`SELECT COUNT(*) as c FROM stocks WHERE ${where.join(' AND ')}`).get(...params);
+    const total = db.prepare(`SELECT COUNT(*) as c ${from}`).get(...params);
     
     res.json({
       stocks,
@@ -0,0 +1,92 @@
+// The analysis cache values each stock the same way /api/stocks/:symbol/analysis does
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'valuelens-test-'));
+process.env.DB_PATH = path.join(dir, 'valuelens.db');
+const { getDB } = require('../db');
+const dcfEngine = require('../dcf-engine');
+const analysisCache = require('../analysis-cache');
+const dataFetcher = require('../data-fetcher');
+
+test.after(() => {
+  getDB().close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const STOCKS = [
+  // symbol, sector, cmp, market cap, PAT, revenue, book value
+  ['MARICO', 'FMCG', 720, 93800, 1737, 9700, null],
+  ['HDFCBANK', 'Banks', 1600, 1200000, 60000, 300000, 450000],
+  ['ZOMATO', 'Consumer Services', 200, 180000, -100, 12000, null],
+  ['NOREV', 'IT', 10, 100, -5, 0, null],
+];
+
+test('cached rows match analyzeStock on buildStockData', () => {
+  const db = getDB();
+  const insert = db.prepare(`
+    INSERT INTO stocks (symbol, name, sector, cmp, market_cap_cr, pat_fy_cr, revenue_fy_cr, book_value_cr)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  for (const [symbol, ...rest] of STOCKS) insert.run(symbol, symbol, ...rest);
+  db.prepare('INSERT INTO financials_annual (symbol, fiscal_year, revenue_cr, pat_cr, operating_cash_flow_cr, capex_cr) VALUES (?, ?, ?, ?, ?, ?)')
+    .run('MARICO', 2024, 9700, 1737, 1500, 300);
+
+  assert.deepEqual(analysisCache.refreshAnalysis(), { checked: 4, refreshed: 3, removed: 0 });
+  assert.deepEqual(analysisCache.refreshAnalysis(), { checked: 4, refreshed: 0, removed: 0 });
+
+  const rows = Object.fromEntries(db.prepare('SELECT * FROM stock_analysis').all().map(r => [r.symbol, r]));
+  assert.equal(rows.NOREV, undefined);
+  assert.deepEqual(
+    Object.values(rows).map(r => [r.symbol, r.valuation_mode]).sort(),
+    [['HDFCBANK', 'residual_income'], ['MARICO', 'pat'], ['ZOMATO', 'revenue']]
+  );
+
+  for (const row of Object.values(rows)) {
+    const stock = db.prepare('SELECT * FROM stocks WHERE symbol = ?').get(row.symbol);
+    const { results } = dcfEngine.analyzeStock(dataFetcher.buildStockData(stock));
+    assert.equal(row.implied_growth, results.impliedGrowthRate, row.symbol);
+    assert.equal(row.expectation_gap, results.expectationGap, row.symbol);
+    assert.equal(row.signal, results.signal, row.symbol);
+  }
+});
+
+test('a new reinvestment record or book value marks the row stale', () => {
+  const db = getDB();
+  db.prepare('INSERT INTO financials_annual (symbol, fiscal_year, revenue_cr, pat_cr, operating_cash_flow_cr, capex_cr) VALUES (?, ?, ?, ?, ?, ?)')
+    .run('MARICO', 2023, 9600, 1500, 1400, 250);
+  db.prepare('UPDATE stocks SET book_value_cr = 400000 WHERE symbol = ?').run('HDFCBANK');
+  assert.deepEqual(analysisCache.refreshAnalysis(), { checked: 4, refreshed: 2, removed: 0 });
+});
+
+test('watchlist item metrics use the same model and terminal growth as analyzeStock', () => {
+  const alertEngine = require('../alert-engine');
+  const db = getDB();
+  const columns = dataFetcher.stockDataColumns('s');
+  for (const symbol of ['MARICO', 'HDFCBANK', 'ZOMATO']) {
+    const stock = db.prepare(`SELECT ${columns} FROM stocks s WHERE s.symbol = ?`).get(symbol);
+    const item = { forecast_years: 10, discount_rate: 14, terminal_growth: 0, exit_pe: 30, expected_pat_cagr: 16 };
+    const metrics = alertEngine.computeItemMetrics({ ...stock, ...item });
+    const { results } = dcfEngine.analyzeStock(dataFetcher.buildStockData(stock), analysisCache.itemAssumptions(item));
+    assert.equal(metrics.implied_growth, results.impliedGrowthRate, symbol);
+    assert.equal(metrics.expectation_gap, results.expectationGap, symbol);
+    assert.equal(metrics.signal, results.signal, symbol);
+  }
+
+  // Residual income: the item's terminal growth moves the implied ROE
+  const bank = db.prepare(`SELECT ${columns} FROM stocks s WHERE s.symbol = 'HDFCBANK'`).get();
+  const implied = tg => alertEngine.computeItemMetrics({ ...bank, forecast_years: 10, discount_rate: 14, terminal_growth: tg }).implied_growth;
+  assert.notEqual(implied(0), implied(4));
+});
+
+test('price history records implied growth under the same model as the cache', () => {
+  const db = getDB();
+  for (const symbol of ['MARICO', 'HDFCBANK', 'ZOMATO']) {
+    const recorded = dataFetcher.recordPriceHistory(symbol, '2026-10-16');
+    const cached = db.prepare('SELECT implied_growth FROM stock_analysis WHERE symbol = ?').get(symbol).implied_growth;
+    assert.equal(recorded, cached, symbol);
+  }
+});
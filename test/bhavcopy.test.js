@@ -0,0 +1,44 @@
+// Bhavcopy imports: an older file fills in history without overwriting a newer price
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'valuelens-test-'));
+process.env.DB_PATH = path.join(dir, 'valuelens.db');
+const { getDB } = require('../db');
+const { importBhavcopy } = require('../bhavcopy');
+
+test.after(() => {
+  getDB().close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const nseFile = (date, close) => `SYMBOL,SERIES,CLOSE,TIMESTAMP,ISIN\nMARICO,EQ,${close},${date},INE196A01026\n`;
+
+test('an out-of-order file only records its own date', () => {
+  const db = getDB();
+  db.prepare(`
+    INSERT INTO stocks (symbol, name, sector, cmp, market_cap_cr, shares_outstanding_cr, pat_fy_cr)
+    VALUES ('MARICO', 'Marico', 'FMCG', 700, 91000, 130, 1737)
+  `).run();
+  const stock = () => db.prepare('SELECT cmp, market_cap_cr FROM stocks WHERE symbol = ?').get('MARICO');
+  const history = () => db.prepare('SELECT date, cmp, market_cap_cr FROM price_history ORDER BY date').all();
+
+  const newer = importBhavcopy(nseFile('17-OCT-2026', 720));
+  assert.deepEqual([newer.matched, newer.historyOnly], [1, 0]);
+  assert.deepEqual(stock(), { cmp: 720, market_cap_cr: 720 * 130 });
+
+  const older = importBhavcopy(nseFile('16-OCT-2026', 710));
+  assert.deepEqual([older.matched, older.historyOnly], [1, 1]);
+  assert.deepEqual(stock(), { cmp: 720, market_cap_cr: 720 * 130 });
+  assert.deepEqual(history(), [
+    { date: '2026-10-16', cmp: 710, market_cap_cr: 710 * 130 },
+    { date: '2026-10-17', cmp: 720, market_cap_cr: 720 * 130 },
+  ]);
+
+  // Same day again (e.g. a corrected file) still updates the stock
+  importBhavcopy(nseFile('17-OCT-2026', 725));
+  assert.equal(stock().cmp, 725);
+});
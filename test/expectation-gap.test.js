@@ -0,0 +1,34 @@
+// Out-of-range implied growth must not read as 0% growth
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dcfEngine = require('../dcf-engine');
+
+test('an overpriced stock beyond the growth range gets no gap and signal N/A', () => {
+  const analysis = dcfEngine.analyzeStock({ symbol: 'X', sector: 'FMCG', cmp: 1, marketCapCr: 1e6, currentPAT: 1 });
+  assert.equal(analysis.results.solver.status, 'above_range');
+  assert.equal(analysis.results.impliedGrowthRate, null);
+  assert.equal(analysis.results.expectationGap, null);
+  assert.equal(analysis.results.signal, 'N/A');
+});
+
+test('the revenue and residual income models do the same', () => {
+  const revenue = dcfEngine.analyzeStock({ symbol: 'L', sector: 'Technology', marketCapCr: 1e7, currentPAT: -10, currentRevenue: 10 });
+  assert.equal(revenue.valuationMode, 'revenue');
+  assert.equal(revenue.results.solver.status, 'above_range');
+  assert.equal(revenue.results.signal, 'N/A');
+
+  const bank = dcfEngine.analyzeStock({ symbol: 'B', sector: 'Banks', marketCapCr: 1e7, currentPAT: 10, bookValue: 100 });
+  assert.equal(bank.valuationMode, 'residual_income');
+  assert.equal(bank.results.solver.status, 'above_range');
+  assert.equal(bank.results.signal, 'N/A');
+});
+
+test('a solved stock still gets its gap and signal', () => {
+  const analysis = dcfEngine.analyzeStock(
+    { symbol: 'M', sector: 'FMCG', marketCapCr: 93800, currentPAT: 1737 },
+    { discountRate: 15, forecastYears: 10, exitPE: 45, expectedPatCagr: 13 }
+  );
+  assert.equal(analysis.results.impliedGrowthRate, 14.77);
+  assert.ok(Math.abs(analysis.results.expectationGap - -1.77) < 1e-9);
+  assert.equal(analysis.results.signal, 'Hold');
+});
@@ -0,0 +1,143 @@
+// Financials import: long and wide (Data Sheet) layouts, per-row rejections and watchlist refresh
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'valuelens-test-'));
+process.env.DB_PATH = path.join(dir, 'valuelens.db');
+const { getDB } = require('../db');
+const { computeAnalysis, itemAssumptions } = require('../analysis-cache');
+const { importFinancials } = require('../financials-import');
+
+test.after(() => {
+  getDB().close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.before(() => {
+  const db = getDB();
+  const insert = db.prepare(`
+    INSERT INTO stocks (symbol, name, sector, cmp, market_cap_cr, shares_outstanding_cr, pat_fy_cr)
+    VALUES (?, ?, 'FMCG', ?, ?, ?, ?)
+  `);
+  insert.run('MARICO', 'Marico', 700, 91000, 130, 1500);
+  insert.run('DABUR', 'Dabur', 500, 88000, 177, 1800);
+});
+
+const annual = symbol => getDB().prepare(`
+  SELECT fiscal_year, revenue_cr, pat_cr, shares_cr, net_worth_cr, operating_cash_flow_cr, capex_cr
+  FROM financials_annual WHERE symbol = ? ORDER BY fiscal_year
+`).all(symbol);
+
+const LONG = [
+  'Symbol,Fiscal Year,Revenue,PAT,Shares,Capex,Equity Capital,Reserves',
+  'MARICO,FY24,9653,1481,1293000000,-300,129,3690',
+  'marico,2025,"10,199",1737,,250,,',
+  ',2025,1,1,,,,',
+  'DABUR,Mar-25,abc,1,,,,',
+  'DABUR,20X5,1,1,,,,',
+  'NOSUCH,2025,1,1,,,,',
+  'DABUR,2024,,,,,,',
+  'DABUR,2023,-5,1,,,,',
+  'DABUR,2022,10,1,-3,,,',
+].join('\n');
+
+test('long layout: valid rows import, the rest are rejected by row', async () => {
+  const dryRun = await importFinancials(LONG, { dryRun: true });
+  assert.deepEqual(annual('MARICO'), []);
+
+  const db = getDB();
+  db.prepare("INSERT INTO users (id, email, password_hash) VALUES ('u1', 'a@b.c', 'x')").run();
+  db.prepare("INSERT INTO watchlists (id, user_id) VALUES ('w1', 'u1')").run();
+  db.prepare("INSERT INTO watchlist_items (id, watchlist_id, symbol, discount_rate) VALUES ('i1', 'w1', 'MARICO', 14)").run();
+
+  const result = await importFinancials(LONG);
+  assert.deepEqual(dryRun, { ...result, watchlistItemsUpdated: 0 });
+  assert.equal(result.layout, 'long');
+  assert.equal(result.imported, 2);
+  assert.deepEqual(result.symbols, ['MARICO']);
+  assert.deepEqual(result.errors, [
+    { row: 4, message: 'Missing symbol' },
+    { row: 5, message: 'Non-numeric revenue' },
+    { row: 6, message: 'Invalid year "20X5"' },
+    { row: 7, message: 'Unknown symbol NOSUCH' },
+    { row: 8, message: 'No values for FY2024' },
+    { row: 9, message: 'Negative revenue for FY2023' },
+    { row: 10, message: 'Share count must be positive for FY2022' },
+  ]);
+
+  // Absolute share counts become Cr, capex is an outflow, net worth is equity capital + reserves
+  assert.deepEqual(annual('MARICO'), [
+    { fiscal_year: 2024, revenue_cr: 9653, pat_cr: 1481, shares_cr: 129.3, net_worth_cr: 3819, operating_cash_flow_cr: null, capex_cr: 300 },
+    { fiscal_year: 2025, revenue_cr: 10199, pat_cr: 1737, shares_cr: null, net_worth_cr: null, operating_cash_flow_cr: null, capex_cr: 250 },
+  ]);
+  assert.deepEqual(annual('DABUR'), []);
+
+  const stock = db.prepare('SELECT * FROM stocks WHERE symbol = ?').get('MARICO');
+  assert.deepEqual(
+    [stock.revenue_fy_cr, stock.pat_fy_cr, stock.shares_outstanding_cr, stock.market_cap_cr, stock.book_value_cr],
+    [10199, 1737, 129.3, 700 * 129.3, 3819]
+  );
+
+  // The watchlist item is re-analysed on the imported figures
+  assert.equal(result.watchlistItemsUpdated, 1);
+  const item = db.prepare('SELECT * FROM watchlist_items WHERE id = ?').get('i1');
+  assert.equal(item.implied_growth_rate, computeAnalysis(stock, itemAssumptions(item)).implied_growth);
+  assert.ok(item.implied_growth_rate > 0);
+});
+
+const WIDE = [
+  'COMPANY NAME,DABUR INDIA LTD,,',
+  ',,,',
+  'PROFIT & LOSS,,,',
+  'Report Date,2023-03-31,2024-03-31,2025-03-31',
+  'Sales,11530,12404,12563',
+  'Net profit,1701,1843,1768',
+  'Quarters,,,',
+  'Report Date,2024-12-31,2025-03-31,2025-06-30',
+  'Sales,3355,2830,3405',
+  'BALANCE SHEET,,,',
+  'Report Date,2023-03-31,2024-03-31,2025-03-31',
+  'Equity Share Capital,177,177,177',
+  'Reserves,9200,9860,10300',
+  'CASH FLOW:,,,',
+  'Report Date,2023-03-31,2024-03-31,2025-03-31',
+  'Cash from Operating Activity,1600,1880,n/a',
+].join('\n');
+
+test('wide layout: one column per year, quarters ignored, bad cells rejected by row and year', async () => {
+  await assert.rejects(importFinancials(WIDE), /symbol is required/);
+  await assert.rejects(importFinancials('a,b\n1,2'), /Unrecognised file/);
+  await assert.rejects(importFinancials('\n,,\n'), /File is empty/);
+
+  const result = await importFinancials(WIDE, { symbol: 'dabur' });
+  assert.equal(result.layout, 'wide');
+  assert.equal(result.imported, 3);
+  // Row numbers are file lines, blank ones included
+  assert.deepEqual(result.errors, [{ row: 16, message: 'Non-numeric Cash from Operating Activity for FY2025' }]);
+  assert.deepEqual(annual('DABUR'), [
+    { fiscal_year: 2023, revenue_cr: 11530, pat_cr: 1701, shares_cr: null, net_worth_cr: 9377, operating_cash_flow_cr: 1600, capex_cr: null },
+    { fiscal_year: 2024, revenue_cr: 12404, pat_cr: 1843, shares_cr: null, net_worth_cr: 10037, operating_cash_flow_cr: 1880, capex_cr: null },
+    { fiscal_year: 2025, revenue_cr: 12563, pat_cr: 1768, shares_cr: null, net_worth_cr: 10477, operating_cash_flow_cr: null, capex_cr: null },
+  ]);
+});
+
+test('a wide file without a usable Report Date row imports nothing', async () => {
+  const result = await importFinancials('Report Date,someday,later\nSales,1,2', { symbol: 'DABUR', dryRun: true });
+  assert.deepEqual([result.imported, result.errors], [0, [{ row: 1, message: 'Report Date row has no recognisable dates' }]]);
+});
+
+test('workbooks are read from the Data Sheet tab, with formula results', async () => {
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Notes').addRow(['Symbol', 'Fiscal Year', 'Revenue']);
+  const sheet = workbook.addWorksheet('Data Sheet');
+  sheet.addRow(['Report Date', new Date(Date.UTC(2025, 2, 31))]);
+  sheet.addRow(['Sales', { formula: '10000+199', result: 10199 }]);
+  sheet.addRow(['Net profit', 1737]);
+
+  const result = await importFinancials(Buffer.from(await workbook.xlsx.writeBuffer()), { symbol: 'MARICO', dryRun: true });
+  assert.deepEqual([result.layout, result.imported, result.errors], ['wide', 1, []]);
+});
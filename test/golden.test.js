@@ -0,0 +1,50 @@
+// Golden cases for the Excel-replicating engine. The API requires dcf-engine.js from
+// the backend and the React app imports its copy in frontend/src; both must give these
+// results, so the copies are checked too when the frontend is checked out next to the backend.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const golden = require('./fixtures/golden.json');
+
+const ENGINE_FILES = ['dcf-engine.js', 'dcf-config.js', 'solver.js'];
+const engines = [['API', path.join(__dirname, '..')]];
+const frontendSrc = [path.join(__dirname, '..', 'frontend', 'src'), path.join(__dirname, '..', '..', 'frontend', 'src')]
+  .find(dir => fs.existsSync(path.join(dir, 'dcf-engine.js')));
+if (frontendSrc) engines.push(['UI', frontendSrc]);
+
+for (const [name, dir] of engines) {
+  const dcfEngine = require(path.join(dir, 'dcf-engine.js'));
+
+  test(`${name}: calculateImpliedEquityValue matches the golden values`, () => {
+    for (const { args, expected } of golden.calculateImpliedEquityValue) {
+      const value = dcfEngine.calculateImpliedEquityValue(...args);
+      assert.ok(Math.abs(value - expected) < 0.005, `${JSON.stringify(args)}: ${value} ≠ ${expected}`);
+    }
+  });
+
+  test(`${name}: solveImpliedGrowth matches the golden values`, () => {
+    for (const { args, value, status } of golden.solveImpliedGrowth) {
+      const solve = dcfEngine.solveImpliedGrowth(...args);
+      assert.deepEqual([solve.value, solve.status], [value, status], JSON.stringify(args));
+    }
+  });
+
+  test(`${name}: getSignal matches the golden thresholds`, () => {
+    for (const { gap, signal } of golden.getSignal) {
+      assert.equal(dcfEngine.getSignal(gap), signal, `gap ${gap}`);
+    }
+  });
+}
+
+test('the React app uses the shared engine, not a copy of the formulas', () => {
+  const app = fs.readFileSync(path.join(__dirname, '..', 'frontend-app.jsx'), 'utf8');
+  assert.match(app, /from "\.\/dcf-engine"/);
+  assert.match(app, /from "\.\/solver"/);
+  if (frontendSrc) {
+    for (const file of ENGINE_FILES) {
+      assert.equal(fs.readFileSync(path.join(frontendSrc, file), 'utf8'),
+        fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), `frontend/src/${file} is out of date`);
+    }
+  }
+});
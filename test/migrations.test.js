@@ -0,0 +1,73 @@
+// Migrations 001→latest on a database created before schema_version existed
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { migrate, loadMigrations, verify } = require('../migrate');
+
+// Baseline schema of the first release with a user, two watchlists, three items and a price row
+const FIXTURE = path.join(__dirname, 'fixtures', 'pre-migration.db');
+
+function withCopy(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'valuelens-test-'));
+  const file = path.join(dir, 'valuelens.db');
+  fs.copyFileSync(FIXTURE, file);
+  const db = new Database(file);
+  try {
+    return fn(db);
+  } finally {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const columns = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+
+test('the fixture migrates to the same schema as a fresh database', () => {
+  assert.deepEqual(verify(FIXTURE), []);
+});
+
+test('every migration applies in order and records schema_version', () => {
+  withCopy(db => {
+    const versions = loadMigrations().map(m => m.version);
+    const applied = migrate(db);
+    assert.deepEqual(applied.map(m => m.version), versions);
+    assert.deepEqual(db.prepare('SELECT version FROM schema_version ORDER BY version').all().map(r => r.version), versions);
+    assert.deepEqual(migrate(db), []);
+
+    const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(r => r.name);
+    for (const table of ['financials_annual', 'portfolios', 'alert_rules', 'screens', 'stock_analysis', 'index_history']) {
+      assert.ok(tables.includes(table), `missing table ${table}`);
+    }
+    for (const col of ['field_sources', 'book_value_cr', 'beta', 'beta_observations']) {
+      assert.ok(columns(db, 'stocks').includes(col), `missing stocks.${col}`);
+    }
+    for (const col of ['net_worth_cr', 'operating_cash_flow_cr', 'capex_cr']) {
+      assert.ok(columns(db, 'financials_annual').includes(col), `missing financials_annual.${col}`);
+    }
+    assert.ok(columns(db, 'watchlists').includes('default_discount_rate'));
+    assert.ok(columns(db, 'watchlist_items').includes('position'));
+  });
+});
+
+test('existing rows survive and get positions in their old order', () => {
+  withCopy(db => {
+    const before = {
+      stocks: db.prepare('SELECT symbol, name, sector, cmp, market_cap_cr FROM stocks ORDER BY symbol').all(),
+      items: db.prepare('SELECT id, symbol, discount_rate, exit_pe, expected_pat_cagr, notes FROM watchlist_items ORDER BY id').all(),
+      prices: db.prepare('SELECT * FROM price_history').all(),
+    };
+    migrate(db);
+
+    assert.deepEqual(db.prepare('SELECT symbol, name, sector, cmp, market_cap_cr FROM stocks ORDER BY symbol').all(), before.stocks);
+    assert.deepEqual(db.prepare('SELECT id, symbol, discount_rate, exit_pe, expected_pat_cagr, notes FROM watchlist_items ORDER BY id').all(), before.items);
+    assert.deepEqual(db.prepare('SELECT * FROM price_history').all(), before.prices);
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM users').get().n, 1);
+
+    // Lists oldest first, items newest first
+    assert.deepEqual(db.prepare('SELECT id FROM watchlists ORDER BY position').all().map(r => r.id), ['w1', 'w2']);
+    assert.deepEqual(db.prepare("SELECT id FROM watchlist_items WHERE watchlist_id = 'w1' ORDER BY position").all().map(r => r.id), ['i2', 'i1']);
+  });
+});
@@ -0,0 +1,149 @@
+// Alert delivery: webhook and email notifiers against local stub servers, and webhook target checks
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { once } = require('events');
+const { deliver, listNotifiers, webhookUrlError, checkWebhookUrl } = require('../notifiers');
+const { validateRule } = require('../alert-engine');
+
+const alert = {
+  id: 7, rule_id: 3, symbol: 'MARICO', message: 'MARICO implied growth below 10%',
+  value: 9.4, signal: 'UNDERVALUED', fired_at: '2026-10-16 10:00:00',
+};
+
+// Accepts one mail and records the envelope and message body
+function smtpStub() {
+  const mails = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let mail = null;
+    let inData = false;
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        mail.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        mails.push(mail);
+        socket.write('250 OK queued\r\n');
+      }
+      let eol;
+      while (!inData && (eol = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, eol);
+        buffer = buffer.slice(eol + 2);
+        const verb = line.slice(0, 4).toUpperCase();
+        if (verb === 'EHLO' || verb === 'HELO') socket.write('250 stub\r\n');
+        else if (verb === 'MAIL') { mail = { from: line, to: [] }; socket.write('250 OK\r\n'); }
+        else if (verb === 'RCPT') { mail.to.push(line); socket.write('250 OK\r\n'); }
+        else if (verb === 'DATA') { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+        else if (verb === 'QUIT') { socket.end('221 Bye\r\n'); }
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+  return { server, mails };
+}
+
+test('webhook posts the alert as JSON and reports non-2xx responses', async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, type: req.headers['content-type'], body: JSON.parse(body) });
+      res.statusCode = req.url === '/fail' ? 500 : 204;
+      res.end();
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+  process.env.ALERT_WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+
+  try {
+    assert.deepEqual(await deliver(alert, ['webhook'], { rule: { webhook_url: `${base}/hook` } }), { webhook: 'sent' });
+    assert.deepEqual(requests[0], {
+      method: 'POST', url: '/hook', type: 'application/json',
+      body: {
+        id: 7, ruleId: 3, symbol: 'MARICO', message: alert.message,
+        value: 9.4, signal: 'UNDERVALUED', firedAt: alert.fired_at,
+      },
+    });
+
+    assert.deepEqual(await deliver(alert, ['webhook'], { rule: { webhook_url: `${base}/fail` } }), { webhook: 'webhook responded 500' });
+    assert.deepEqual(await deliver(alert, ['webhook'], { rule: {} }), { webhook: 'rule has no webhook_url' });
+  } finally {
+    delete process.env.ALERT_WEBHOOK_ALLOWED_HOSTS;
+    server.close();
+  }
+});
+
+test('webhooks to loopback, private and link-local hosts are refused', async () => {
+  let requests = 0;
+  const server = http.createServer((req, res) => { requests++; res.end(); });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+
+  try {
+    for (const url of ['http://169.254.169.254/latest/meta-data', 'http://10.0.0.8/hook', 'http://192.168.1.1/hook',
+      `http://127.0.0.1:${port}/hook`, 'http://[::1]/hook', 'http://[::ffff:127.0.0.1]/hook', 'http://2130706433/hook']) {
+      assert.match(webhookUrlError(url), /must point to a public address/, url);
+      assert.throws(() => validateRule({ metric: 'cmp', operator: 'below', threshold: 1, channels: ['webhook'], webhookUrl: url }),
+        /must point to a public address/, url);
+    }
+    assert.equal(webhookUrlError('ftp://example.com/hook'), 'webhookUrl must be an http or https URL');
+    assert.equal(webhookUrlError('https://hooks.example.com/valuelens'), null);
+
+    // A name is checked once resolved, at rule creation and on every delivery
+    const byName = `http://localhost:${port}/hook`;
+    assert.equal(webhookUrlError(byName), null);
+    await assert.rejects(checkWebhookUrl(byName), /localhost resolves to 127\.0\.0\.1/);
+    const delivery = await deliver(alert, ['webhook'], { rule: { webhook_url: byName } });
+    assert.match(delivery.webhook, /localhost resolves to 127\.0\.0\.1/);
+    assert.match((await deliver(alert, ['webhook'], { rule: { webhook_url: `http://127.0.0.1:${port}/hook` } })).webhook,
+      /must point to a public address/);
+    assert.equal(requests, 0);
+
+    // Unless the host is allowlisted
+    process.env.ALERT_WEBHOOK_ALLOWED_HOSTS = 'localhost';
+    await checkWebhookUrl(byName);
+    assert.deepEqual(await deliver(alert, ['webhook'], { rule: { webhook_url: byName } }), { webhook: 'sent' });
+    assert.equal(requests, 1);
+  } finally {
+    delete process.env.ALERT_WEBHOOK_ALLOWED_HOSTS;
+    server.close();
+  }
+});
+
+test('email is not configured without SMTP_HOST and is sent through it once set', async () => {
+  delete process.env.SMTP_HOST;
+  assert.equal(listNotifiers().find(n => n.name === 'email').enabled, false);
+  assert.deepEqual(await deliver(alert, ['email', 'nope'], { user: { email: 'a@b.c' } }), { email: 'not configured', nope: 'unknown notifier' });
+
+  const { server, mails } = smtpStub();
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(server.address().port);
+  process.env.ALERT_EMAIL_FROM = 'ValueLens <alerts@test.local>';
+
+  try {
+    assert.deepEqual(await deliver(alert, ['email'], { user: {} }), { email: 'user has no email' });
+    assert.deepEqual(await deliver(alert, ['inbox', 'email'], { user: { email: 'investor@test.local' } }), { inbox: 'sent', email: 'sent' });
+    assert.equal(mails.length, 1);
+    assert.match(mails[0].from, /<alerts@test\.local>/);
+    assert.deepEqual(mails[0].to, ['RCPT TO:<investor@test.local>']);
+    assert.match(mails[0].data, /Subject: \[ValueLens\] MARICO implied growth below 10%/);
+    assert.match(mails[0].data, /Fired at 2026-10-16 10:00:00 UTC\./);
+  } finally {
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+    delete process.env.ALERT_EMAIL_FROM;
+    server.close();
+  }
+});
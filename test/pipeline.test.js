@@ -0,0 +1,45 @@
+// Data pipeline end to end on fixtures/providers through the offline local provider
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'valuelens-test-'));
+process.env.DB_PATH = path.join(dir, 'valuelens.db');
+process.env.DATA_PROVIDERS = 'local';
+process.env.LOCAL_DATA_DIR = path.join(__dirname, '..', 'fixtures', 'providers');
+const { getDB } = require('../db');
+const dataFetcher = require('../data-fetcher');
+
+test.after(() => {
+  getDB().close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('getStock fetches, stores and analyses a stock from the local fixtures', async () => {
+  const stock = await dataFetcher.getStock('MARICO');
+  assert.equal(stock.name, 'Marico Limited');
+  assert.equal(stock.industry, 'Personal Products');
+  assert.equal(stock.cmp, 722.6);
+  assert.equal(stock.market_cap_cr, 93800);
+  assert.equal(stock.pat_fy_cr, 1737);
+  assert.equal(stock.revenue_fy_cr, 10199);
+
+  const sources = dataFetcher.getFieldSources(stock);
+  for (const column of ['name', 'sector', 'cmp', 'market_cap_cr', 'pat_fy_cr', 'revenue_fy_cr']) {
+    assert.equal(sources[column], 'local', column);
+  }
+
+  const annual = dataFetcher.getAnnualFinancials('MARICO');
+  assert.deepEqual(annual.map(r => r.fiscal_year), [2025, 2024, 2023, 2022, 2021, 2020]);
+  assert.ok(Math.abs(stock.pat_cagr_5y - ((1737 / 1021) ** (1 / 5) - 1) * 100) < 1e-9);
+
+  const analysis = getDB().prepare('SELECT valuation_mode, implied_growth FROM stock_analysis WHERE symbol = ?').get('MARICO');
+  assert.equal(analysis.valuation_mode, 'pat');
+  assert.ok(analysis.implied_growth > 0);
+});
+
+test('an unknown symbol yields nothing', async () => {
+  assert.equal(await dataFetcher.getStock('NOSUCHSTOCK'), undefined);
+});
@@ -0,0 +1,97 @@
+// Portfolio positions, XIRR and holdings valued the same way as the stock analysis
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'valuelens-test-'));
+process.env.DB_PATH = path.join(dir, 'valuelens.db');
+const { getDB } = require('../db');
+const dcfEngine = require('../dcf-engine');
+const dataFetcher = require('../data-fetcher');
+const { itemAssumptions } = require('../analysis-cache');
+const { buildPositions, xirr, summarizePortfolio } = require('../portfolio-engine');
+
+test.after(() => {
+  getDB().close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const tx = (symbol, type, trade_date, quantity, price, charges = 0) => ({ symbol, type, trade_date, quantity, price, charges });
+
+test('buys average the cost and sells realise against it', () => {
+  const positions = buildPositions([
+    tx('MARICO', 'sell', '2024-03-01', 5, 700, 10),
+    tx('MARICO', 'buy', '2024-01-01', 10, 600, 20),
+    tx('MARICO', 'buy', '2024-02-01', 10, 640),
+  ]);
+  const p = positions.MARICO;
+  assert.equal(p.quantity, 15);
+  assert.equal(p.invested, 12420);
+  assert.equal(p.proceeds, 3490);
+  assert.equal(p.averageCost, 621);
+  assert.equal(p.costBasis, 12420 - 5 * 621);
+  assert.equal(p.realizedPnl, 3490 - 5 * 621);
+});
+
+test('selling the whole holding leaves a zero position', () => {
+  const { MARICO } = buildPositions([tx('MARICO', 'buy', '2024-01-01', 10, 600), tx('MARICO', 'sell', '2024-06-01', 10, 650)]);
+  assert.deepEqual(
+    [MARICO.quantity, MARICO.costBasis, MARICO.averageCost, MARICO.realizedPnl],
+    [0, 0, 0, 500]
+  );
+});
+
+test('a sell beyond the holding on its date is rejected', () => {
+  assert.throws(
+    () => buildPositions([tx('MARICO', 'sell', '2024-01-01', 5, 600), tx('MARICO', 'buy', '2024-02-01', 10, 600)]),
+    /exceeds holding of 0/
+  );
+});
+
+test('xirr annualises dated cash flows', () => {
+  assert.equal(xirr([{ date: '2023-01-01', amount: -1000 }, { date: '2024-01-01', amount: 1100 }]), 10);
+  assert.equal(xirr([{ date: '2021-01-01', amount: -1000 }, { date: '2023-01-01', amount: 1210 }]), 10);
+});
+
+test('xirr is null without a sign change or when no rate solves the flows', () => {
+  assert.equal(xirr([{ date: '2023-01-01', amount: -1000 }, { date: '2024-01-01', amount: 0 }]), null);
+  assert.equal(xirr([
+    { date: '2022-01-01', amount: -1000 },
+    { date: '2023-01-01', amount: 1000 },
+    { date: '2024-01-01', amount: -1000 },
+  ]), null);
+});
+
+test('holdings use the stock model and the saved terminal growth, like the analysis', () => {
+  const db = getDB();
+  const insert = db.prepare(`
+    INSERT INTO stocks (symbol, name, sector, cmp, market_cap_cr, pat_fy_cr, revenue_fy_cr, book_value_cr)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  insert.run('MARICO', 'Marico', 'FMCG', 720, 93800, 1737, 9700, null);
+  insert.run('HDFCBANK', 'HDFC Bank', 'Banks', 1600, 1200000, 60000, 300000, 450000);
+  insert.run('ZOMATO', 'Zomato', 'Consumer Services', 200, 180000, -100, 12000, null);
+
+  const stocks = Object.fromEntries(db.prepare('SELECT * FROM stocks').all().map(s => [s.symbol, s]));
+  const transactions = Object.keys(stocks).map(symbol => tx(symbol, 'buy', '2024-01-01', 10, 100));
+  const holding = { forecast_years: 10, discount_rate: 14, terminal_growth: 0, exit_pe: 30, expected_pat_cagr: 16 };
+  const assumptions = Object.fromEntries(Object.keys(stocks).map(symbol => [symbol, holding]));
+
+  const summary = summarizePortfolio(transactions, stocks, assumptions, '2026-10-16');
+  const bySymbol = Object.fromEntries(summary.holdings.map(h => [h.symbol, h]));
+  assert.deepEqual(
+    Object.values(bySymbol).map(h => [h.symbol, h.valuationMode]).sort(),
+    [['HDFCBANK', 'residual_income'], ['MARICO', 'pat'], ['ZOMATO', 'revenue']]
+  );
+  for (const [symbol, stock] of Object.entries(stocks)) {
+    const { results } = dcfEngine.analyzeStock(dataFetcher.buildStockData(stock), itemAssumptions(holding));
+    assert.equal(bySymbol[symbol].impliedGrowth, results.impliedGrowthRate, symbol);
+    assert.equal(bySymbol[symbol].expectationGap, results.expectationGap, symbol);
+  }
+
+  const bankGrowth = tg => summarizePortfolio(transactions, stocks, { HDFCBANK: { ...holding, terminal_growth: tg } }, '2026-10-16')
+    .holdings.find(h => h.symbol === 'HDFCBANK').impliedGrowth;
+  assert.notEqual(bankGrowth(0), bankGrowth(4));
+});
@@ -0,0 +1,120 @@
+// Screener query language: parse and type errors, NULL logic, SQL/JS split, cached vs custom runs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'valuelens-test-'));
+process.env.DB_PATH = path.join(dir, 'valuelens.db');
+const { getDB } = require('../db');
+const { refreshAnalysis } = require('../analysis-cache');
+const { parseQuery, compileQuery, evaluate, runScreen } = require('../screener');
+
+test.after(() => {
+  getDB().close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const rejects = (query, message) => assert.throws(() => parseQuery(query), err => {
+  assert.equal(err.status, 400, query);
+  assert.match(err.message, message, query);
+  return true;
+});
+
+test('syntax errors are reported with status 400', () => {
+  rejects('', /query is required/);
+  rejects('current_pe <', /Unexpected end of query/);
+  rejects('current_pe < 20 AND', /Unexpected end of query/);
+  rejects('(cmp > 1', /Expected "\)"/);
+  rejects('cmp > 1)', /Unexpected "\)"/);
+  rejects('cmp > 5 $', /Unexpected character at position 9: "\$"/);
+  rejects('cmp IS 5', /Expected NULL after IS/);
+  rejects('price > 5', /Unknown field "price"/);
+  rejects('cmp', /query must be a condition/);
+  rejects('x'.repeat(2001), /longer than 2000/);
+});
+
+test('text and number fields cannot be mixed', () => {
+  rejects("sector > 'FMCG'", /Text fields only support = and !=/);
+  rejects('sector = 5', /Cannot compare text with number/);
+  rejects("cmp = 'FMCG'", /Cannot compare number with text/);
+  rejects('sector + 1 > 2', /"\+" needs numbers on both sides/);
+  rejects('NOT cmp', /NOT needs a condition/);
+  rejects('cmp > 1 AND 5', /AND needs conditions on both sides/);
+  rejects('(cmp > 1) = (cmp < 2)', /Cannot compare boolean with boolean/);
+});
+
+test('numbers may start with a decimal point', () => {
+  assert.deepEqual(parseQuery('cmp > .5').right, { type: 'number', value: 0.5 });
+  assert.deepEqual(parseQuery('current_pe < 0.8 * median_pe_5y').right.left, { type: 'number', value: 0.8 });
+});
+
+test('NULL propagates through comparisons and NOT like SQL', () => {
+  const row = { current_pe: null, cmp: 100 };
+  const run = query => evaluate(parseQuery(query), row);
+  assert.equal(run('current_pe < 20'), null);
+  assert.equal(run('NOT current_pe < 20'), null);
+  assert.equal(run('current_pe IS NULL'), true);
+  assert.equal(run('NOT current_pe IS NULL'), false);
+  assert.equal(run('current_pe < 20 AND cmp > 500'), false);
+  assert.equal(run('current_pe < 20 AND cmp > 50'), null);
+  assert.equal(run('current_pe < 20 OR cmp > 50'), true);
+  assert.equal(run('current_pe < 20 OR cmp > 500'), null);
+  assert.equal(run('cmp / 0 > 1'), null);
+});
+
+test('stored-only AND terms go to SQL and the rest are post-filtered with custom assumptions', () => {
+  const query = "sector = 'FMCG' AND upside > 20 AND (cmp > .5 OR implied_growth < 10) AND NOT market_cap_cr < 5000";
+
+  const custom = compileQuery(query);
+  assert.equal(custom.where, '(s.sector = ?) AND (NOT (s.market_cap_cr < ?))');
+  assert.deepEqual(custom.params, ['FMCG', 5000]);
+  assert.deepEqual(custom.postFilters.map(t => t.type), ['compare', 'or']);
+
+  const cached = compileQuery(query, { cached: true });
+  assert.equal(cached.where,
+    '(s.sector = ?) AND (a.upside > ?) AND ((s.cmp > ?) OR (a.implied_growth < ?)) AND (NOT (s.market_cap_cr < ?))');
+  assert.deepEqual(cached.params, ['FMCG', 20, 0.5, 10, 5000]);
+  assert.deepEqual(cached.postFilters, []);
+
+  // An OR mixing stored and computed fields can't be split
+  assert.equal(compileQuery('cmp > 1 OR upside > 20').where, '1=1');
+});
+
+test('the analysis cache and custom assumptions return the same rows', () => {
+  const db = getDB();
+  const insert = db.prepare(`
+    INSERT INTO stocks (symbol, name, sector, cmp, market_cap_cr, pat_fy_cr, revenue_fy_cr, book_value_cr, current_pe)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  // Large caps only, so the default forecast horizon is 10 years for every stock
+  insert.run('MARICO', 'Marico', 'FMCG', 720, 93800, 1737, 9700, null, 54);
+  insert.run('DABUR', 'Dabur', 'FMCG', 500, 88000, 1800, 12000, null, null);
+  insert.run('KOTAKBANK', 'Kotak', 'Banks', 1800, 150000, 14000, 60000, 100000, 11);
+  insert.run('ZOMATO', 'Zomato', 'Consumer Services', 200, 180000, -100, 12000, null, null);
+  insert.run('NOREV', 'No revenue', 'IT', 10, 100, -5, 0, null, null);
+  refreshAnalysis();
+
+  const queries = [
+    'implied_growth > 0',
+    'NOT current_pe < 20',
+    'current_pe IS NULL',
+    "signal != 'Strong Buy' OR implied_growth IS NULL",
+    "valuation_mode = 'pat' AND expectation_gap < 100",
+    'NOT (upside > 1000 OR market_cap_cr < 50000)',
+  ];
+  for (const query of queries) {
+    const cached = runScreen(db, { query, sortBy: 'implied_growth', order: 'asc' });
+    const custom = runScreen(db, { query, assumptions: { forecastYears: 10 }, sortBy: 'implied_growth', order: 'asc' });
+    assert.deepEqual(custom.results.map(r => r.symbol), cached.results.map(r => r.symbol), query);
+    assert.equal(custom.total, cached.total, query);
+    for (const [i, row] of cached.results.entries()) {
+      assert.equal(custom.results[i].implied_growth, row.implied_growth, `${query}: ${row.symbol}`);
+    }
+  }
+
+  assert.deepEqual(runScreen(db, { query: 'NOT current_pe < 20', sortBy: 'symbol', order: 'asc' }).results.map(r => r.symbol), ['MARICO']);
+  assert.deepEqual(runScreen(db, { query: 'current_pe IS NULL', sortBy: 'symbol', order: 'asc' }).results.map(r => r.symbol),
+    ['DABUR', 'NOREV', 'ZOMATO']);
+});
@@ -0,0 +1,27 @@
+// Monte Carlo valuation: a seed reproduces the run exactly
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dcfEngine = require('../dcf-engine');
+
+const base = { currentPAT: 1737, marketCap: 93800, discountRate: 15, forecastYears: 10, exitPE: 45, expectedPatCagr: 13 };
+const distributions = dcfEngine.getDefaultDistributions(base);
+
+test('the same seed gives the same histogram and percentiles', () => {
+  const a = dcfEngine.simulateValuation(base, distributions, { trials: 2000, seed: 42 });
+  const b = dcfEngine.simulateValuation(base, distributions, { trials: 2000, seed: 42 });
+  assert.equal(a.seed, 42);
+  assert.deepEqual(b, a);
+  assert.equal(a.histogram.reduce((sum, bin) => sum + bin.count, 0), a.validTrials);
+});
+
+test('the returned seed reproduces an unseeded run', () => {
+  const first = dcfEngine.simulateValuation(base, distributions, { trials: 500 });
+  const again = dcfEngine.simulateValuation(base, distributions, { trials: 500, seed: first.seed });
+  assert.deepEqual(again, first);
+});
+
+test('different seeds give different draws', () => {
+  const a = dcfEngine.simulateValuation(base, distributions, { trials: 500, seed: 1 });
+  const b = dcfEngine.simulateValuation(base, distributions, { trials: 500, seed: 2 });
+  assert.notDeepEqual(a.histogram, b.histogram);
+});
@@ -0,0 +1,55 @@
+// Solver and implied growth against the closed-form (Excel) value formula
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const solver = require('../solver');
+const dcfEngine = require('../dcf-engine');
+
+// PAT*(1+g)*((1-(1+g)^n*(1+r)^(-n))/(r-g)) + (PAT*(1+g)^n * exitPE)/(1+r)^n, rates in %
+function excelValue(pat, gPct, rPct, n, exitPE) {
+  const g = gPct / 100;
+  const r = rPct / 100;
+  return pat * (1 + g) * ((1 - Math.pow(1 + g, n) * Math.pow(1 + r, -n)) / (r - g))
+    + (pat * Math.pow(1 + g, n) * exitPE) / Math.pow(1 + r, n);
+}
+
+test('solveBracketed finds a known root and reports out-of-range brackets', () => {
+  const root = solver.solveBracketed(x => x * x - 2, 0, 2, { xTolerance: 1e-12 });
+  assert.equal(root.status, 'converged');
+  assert.ok(Math.abs(root.value - Math.SQRT2) < 1e-10);
+  assert.ok(root.iterations < 15);
+
+  assert.equal(solver.solveBracketed(x => x - 5, 10, 20).status, 'below_range');
+  assert.equal(solver.solveBracketed(x => x - 30, 10, 20).status, 'above_range');
+  assert.equal(solver.solveBracketed(x => x - 30, 10, 20).value, null);
+});
+
+test('implied growth reproduces the closed-form value', () => {
+  const cases = [
+    { pat: 1737, g: 14.8, r: 15, n: 10, pe: 45 },
+    { pat: 500, g: 25, r: 20, n: 20, pe: 25 },
+    { pat: 12000, g: 8, r: 13, n: 10, pe: 18 },
+    { pat: 90, g: -5, r: 18, n: 15, pe: 12 },
+    { pat: 3000, g: 60, r: 16, n: 15, pe: 30 },
+  ];
+  for (const { pat, g, r, n, pe } of cases) {
+    const marketCap = excelValue(pat, g, r, n, pe);
+    assert.ok(Math.abs(dcfEngine.calculateImpliedEquityValue(pat, g, r, n, pe) - marketCap) < marketCap * 1e-12);
+
+    const solve = dcfEngine.solveImpliedGrowth(pat, marketCap, r, n, pe);
+    assert.equal(solve.status, 'converged', `g=${g}`);
+    assert.equal(solve.value, g);
+    assert.ok(Math.abs(excelValue(pat, solve.value, r, n, pe) - marketCap) < marketCap * 1e-6);
+  }
+});
+
+test('implied growth outside GROWTH_RANGE is reported, not clamped', () => {
+  const { low, high } = solver.GROWTH_RANGE;
+  const above = dcfEngine.solveImpliedGrowth(1, excelValue(1, high, 15, 10, 20) * 2, 15, 10, 20);
+  assert.deepEqual([above.status, above.value], ['above_range', null]);
+
+  const below = dcfEngine.solveImpliedGrowth(1000, excelValue(1000, low, 15, 10, 20) / 2, 15, 10, 20);
+  assert.deepEqual([below.status, below.value], ['below_range', null]);
+
+  const invalid = dcfEngine.solveImpliedGrowth(-5, 1000, 15, 10, 20);
+  assert.deepEqual([invalid.status, invalid.value], ['invalid_inputs', null]);
+});
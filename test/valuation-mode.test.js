@@ -0,0 +1,24 @@
+// Default valuation model by sector, industry, PAT, revenue and book value
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dcfEngine = require('../dcf-engine');
+
+test('lenders and insurers get the residual income model by sector or industry', () => {
+  const mode = (sector, industry) => dcfEngine.getValuationMode(100, 1000, sector, 500, industry);
+  assert.equal(mode('Banks', 'Private Sector Bank'), 'residual_income');
+  assert.equal(mode('NBFC', 'Consumer Finance'), 'residual_income');
+  assert.equal(mode('Financial Services', 'Credit Services'), 'residual_income');
+  assert.equal(mode('Financial Services', 'Infrastructure Finance'), 'residual_income');
+  assert.equal(mode('Financial Services', 'Insurance'), 'residual_income');
+});
+
+test('other financial services stay on the PAT model', () => {
+  for (const industry of ['Capital Markets', 'Asset Management', 'Holding Company', undefined]) {
+    assert.equal(dcfEngine.getValuationMode(100, 1000, 'Financial Services', 500, industry), 'pat', String(industry));
+  }
+});
+
+test('a lender without book value falls back to PAT or revenue', () => {
+  assert.equal(dcfEngine.getValuationMode(100, 1000, 'Banks', null), 'pat');
+  assert.equal(dcfEngine.getValuationMode(-10, 1000, 'Banks', 0), 'revenue');
+});
@@ -0,0 +1,284 @@
+// ============================================================
+// WATCHLIST IO - Export watchlists as CSV / XLSX / JSON and parse imports
+// ============================================================
+//
+// Exports carry each item's assumptions, results and notes. The XLSX sheet
+// recomputes implied value, gap, upside and signal with live formulas that
+// follow calculateImpliedEquityValue's exit-PE (Terminal PE) model, so the
+// numbers can be audited in Excel. Implied growth itself is solved
+// numerically and exported as a value, next to a "value at implied growth"
+// formula that should come back to the market cap. Items on the revenue or
+// residual income model (Model column) are exported as values only.
+//
+// Imports accept the same files: a header row (CSV / XLSX) or JSON items,
+// matched on the column names below in any case or spacing.
+// ============================================================
+
+const { parseCSV } = require('./bhavcopy');
+const config = require('./dcf-config');
+
+// key, header, item row column (rows come from the watchlist items query)
+const COLUMNS = [
+  ['symbol', 'Symbol', 'symbol'],
+  ['name', 'Name', 'name'],
+  ['sector', 'Sector', 'sector'],
+  ['cmp', 'CMP', 'cmp'],
+  ['marketCapCr', 'Market Cap (Cr)', 'market_cap_cr'],
+  ['patCr', 'PAT (Cr)', 'pat_fy_cr'],
+  ['valuationMode', 'Model', 'valuation_mode'],
+  ['forecastYears', 'Forecast Years', 'forecast_years'],
+  ['discountRate', 'Discount Rate %', 'discount_rate'],
+  ['terminalGrowth', 'Terminal Growth %', 'terminal_growth'],
+  ['exitPE', 'Exit PE', 'exit_pe'],
+  ['expectedPatCagr', 'Expected PAT CAGR %', 'expected_pat_cagr'],
+  ['impliedGrowth', 'Implied Growth %', 'implied_growth_rate'],
+  ['impliedReturn', 'Expected Return %', 'implied_return'],
+  ['impliedValue', 'Implied Value (Cr)', 'implied_equity_value'],
+  ['expectationGap', 'Expectation Gap %', 'expectation_gap'],
+  ['upside', 'Upside %', 'upside'],
+  ['signal', 'Signal', 'signal'],
+  ['notes', 'Notes', 'notes'],
+].map(([key, header, column]) => ({ key, header, column }));
+
+// Assumptions read back on import (with symbol and notes)
+const NUMERIC_FIELDS = { forecastYears: 'forecast years', discountRate: 'discount rate', terminalGrowth: 'terminal growth', exitPE: 'exit PE', expectedPatCagr: 'expected PAT CAGR' };
+
+// "Discount Rate %", "discount_rate" and "discountRate" all normalise to "discountrate"
+const normalise = text => String(text ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const FIELD_BY_NAME = {};
+for (const { key, header, column } of COLUMNS) {
+  for (const name of [key, header, column]) FIELD_BY_NAME[normalise(name)] = key;
+}
+
+const round = (v, dp = 2) => (v === null || v === undefined || Number.isNaN(v) ? null : Math.round(v * 10 ** dp) / 10 ** dp);
+
+/**
+ * Export rows: one object per item keyed by COLUMNS[].key
+ */
+function toRecords(items) {
+  return items.map(item => Object.fromEntries(COLUMNS.map(({ key, column }) => {
+    const v = item[column];
+    return [key, typeof v === 'number' ? round(v) : v ?? null];
+  })));
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSV(items) {
+  const lines = [COLUMNS.map(c => c.header).join(',')];
+  for (const record of toRecords(items)) lines.push(COLUMNS.map(c => csvCell(record[c.key])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+function toJSON(watchlist, items) {
+  return {
+    watchlist: { id: watchlist.id, name: watchlist.name, defaults: watchlist.defaults },
+    exportedAt: new Date().toISOString(),
+    items: toRecords(items),
+  };
+}
+
+/**
+ * Excel formula for calculateImpliedEquityValue with a single-stage exit-PE terminal value.
+ * Arguments are cell references; rates are in % as in the sheet.
+ */
+function impliedValueFormula(pat, growth, discount, years, pe) {
+  const g = `(${growth}/100)`;
+  const r = `(${discount}/100)`;
+  // Growing annuity, or the explicit year-by-year sum when r ≈ g (as the engine does)
+  const earnings = `IF(ABS(${r}-${g})<0.0001,`
+    + `${pat}*SUMPRODUCT(((1+${g})/(1+${r}))^ROW(INDIRECT("1:"&${years}))),`
+    + `${pat}*(1+${g})*((1-(1+${g})^${years}*(1+${r})^(-${years}))/(${r}-${g})))`;
+  const terminal = `${pat}*(1+${g})^${years}*${pe}/(1+${r})^${years}`;
+  return `IF(OR(${pat}<=0,${years}<=0,${pe}<=0),0,${earnings}+${terminal})`;
+}
+
+// getSignal as nested IFs over dcf-config's thresholds ("N/A" for a blank gap)
+function signalFormula(gap) {
+  return `IF(${gap}="","N/A",${config.SIGNAL_THRESHOLDS.reduceRight(
+    (otherwise, t) => `IF(${gap}${t.above !== undefined ? `>${t.above}` : `<${t.below}`},"${t.signal}",${otherwise})`,
+    '"Hold"'
+  )})`;
+}
+
+/**
+ * XLSX workbook (Buffer) with a Watchlist sheet of live formulas and an About sheet
+ */
+async function toXLSX(watchlist, items) {
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  workbook.calcProperties.fullCalcOnLoad = true;
+  const sheet = workbook.addWorksheet('Watchlist', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  const sheetColumns = [
+    ...COLUMNS.filter(c => c.key !== 'notes'),
+    { key: 'checkValue', header: 'Value at Implied Growth (Cr)' },
+    COLUMNS.find(c => c.key === 'notes'),
+  ];
+  sheet.columns = sheetColumns.map(c => ({ header: c.header, key: c.key, width: Math.max(10, c.header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+
+  const col = key => sheet.getColumn(key).letter;
+  const records = toRecords(items);
+  records.forEach((record, i) => {
+    const n = i + 2;
+    const ref = key => `${col(key)}${n}`;
+    const row = sheet.addRow(record);
+    if (record.valuationMode && record.valuationMode !== 'pat') return;
+    const withGrowth = growth => impliedValueFormula(ref('patCr'), growth, ref('discountRate'), ref('forecastYears'), ref('exitPE'));
+
+    row.getCell('impliedValue').value = { formula: withGrowth(ref('expectedPatCagr')), result: record.impliedValue ?? 0 };
+    row.getCell('checkValue').value = {
+      formula: `IF(${ref('impliedGrowth')}="","",${withGrowth(ref('impliedGrowth'))})`,
+      result: record.impliedGrowth === null ? '' : record.marketCapCr,
+    };
+    row.getCell('expectationGap').value = {
+      formula: `IF(${ref('impliedGrowth')}="","",${ref('expectedPatCagr')}-${ref('impliedGrowth')})`,
+      result: record.expectationGap ?? '',
+    };
+    row.getCell('upside').value = {
+      formula: `IF(${ref('marketCapCr')}>0,(${ref('impliedValue')}/${ref('marketCapCr')}-1)*100,0)`,
+      result: record.upside,
+    };
+    row.getCell('signal').value = { formula: signalFormula(ref('expectationGap')), result: record.signal };
+  });
+
+  for (const key of ['cmp', 'marketCapCr', 'patCr', 'discountRate', 'terminalGrowth', 'exitPE', 'expectedPatCagr',
+    'impliedGrowth', 'impliedReturn', 'impliedValue', 'expectationGap', 'upside', 'checkValue']) {
+    sheet.getColumn(key).numFmt = '#,##0.00';
+  }
+
+  const about = workbook.addWorksheet('About');
+  [
+    [`Watchlist: ${watchlist.name}`],
+    [`Exported: ${new Date().toISOString()}`],
+    [],
+    ['Implied Value = PAT × (1+g) × (1 − ((1+g)/(1+r))^n) / (r − g) + PAT × (1+g)^n × Exit PE / (1+r)^n'],
+    ['with g = Expected PAT CAGR, r = Discount Rate, n = Forecast Years (the sum is taken year by year when r ≈ g).'],
+    ['Implied Growth is the g at which that value equals Market Cap. It is solved numerically and stored as a value;'],
+    ['"Value at Implied Growth" re-evaluates the formula at it and should equal Market Cap.'],
+    ['It is blank when Market Cap is out of the solver\'s reach; the gap is then blank too and the signal N/A.'],
+    ['Expected Return is the r at which the value at Expected PAT CAGR equals Market Cap, also solved numerically.'],
+    ['Terminal Growth % is kept for reference; the watchlist model values the terminal year at the Exit PE.'],
+    ['Rows whose Model is revenue or residual_income hold values, not formulas: their Implied Growth is the implied'],
+    ['revenue CAGR or ROE, and Expected PAT CAGR holds the expected revenue CAGR or ROE.'],
+  ].forEach(line => about.addRow(line));
+  about.getColumn(1).width = 110;
+
+  return workbook.xlsx.writeBuffer();
+}
+
+/**
+ * Plain value of a spreadsheet cell (unwraps formula results and rich text)
+ */
+function cellValue(value) {
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    if ('result' in value) return value.result;
+    if (Array.isArray(value.richText)) return value.richText.map(t => t.text).join('');
+    if ('text' in value) return value.text;
+  }
+  return value;
+}
+
+/**
+ * Rows of an import file as objects keyed by COLUMNS[].key, each with its rowNumber.
+ * input: XLSX Buffer, CSV text, or parsed JSON (an items array or an export object).
+ */
+async function readImportRows(input) {
+  if (input && typeof input === 'object' && !Buffer.isBuffer(input)) {
+    const items = Array.isArray(input) ? input : input.items;
+    if (!Array.isArray(items)) throw new Error('JSON must be an array of items or { items: [...] }');
+    return items.map((item, i) => {
+      const row = { rowNumber: i + 1 };
+      for (const [name, v] of Object.entries(item || {})) {
+        const key = FIELD_BY_NAME[normalise(name)];
+        if (key) row[key] = v;
+      }
+      return row;
+    });
+  }
+
+  let grid;
+  if (Buffer.isBuffer(input) && input.slice(0, 2).toString() === 'PK') {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(input);
+    const sheet = workbook.getWorksheet('Watchlist') || workbook.worksheets[0];
+    if (!sheet) throw new Error('Workbook has no sheets');
+    grid = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      const values = [];
+      row.eachCell({ includeEmpty: true }, (cell, c) => { values[c - 1] = cellValue(cell.value); });
+      grid[rowNumber - 1] = values;
+    });
+    grid = Array.from(grid, row => row || []);
+  } else {
+    grid = parseCSV(Buffer.isBuffer(input) ? input.toString('utf8') : String(input ?? ''));
+  }
+
+  const headerIndex = grid.findIndex(line => (line || []).some(cell => FIELD_BY_NAME[normalise(cell)] === 'symbol'));
+  if (headerIndex < 0) throw new Error('No header row with a Symbol column');
+  const keys = grid[headerIndex].map(cell => FIELD_BY_NAME[normalise(cell)] || null);
+
+  const rows = [];
+  for (let r = headerIndex + 1; r < grid.length; r++) {
+    const line = grid[r];
+    if (!line || line.every(c => c === null || c === undefined || c === '')) continue;
+    const row = { rowNumber: r + 1 };
+    keys.forEach((key, i) => { if (key && row[key] === undefined) row[key] = line[i]; });
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Validate import rows. Returns { valid, rejected } where valid rows are
+ * { rowNumber, symbol, forecastYears, discountRate, terminalGrowth, exitPE, expectedPatCagr, notes }
+ * (blank assumptions are null) and rejected rows are { row, symbol, message }.
+ * knownSymbols is a Set of stocks.symbol.
+ */
+function validateImportRows(rows, knownSymbols) {
+  const valid = [];
+  const rejected = [];
+  const seen = new Map();
+
+  for (const row of rows) {
+    const symbol = String(row.symbol ?? '').trim().toUpperCase();
+    const reject = message => rejected.push({ row: row.rowNumber, symbol: symbol || null, message });
+    if (!symbol) { reject('Missing symbol'); continue; }
+    if (!knownSymbols.has(symbol)) { reject(`Unknown symbol ${symbol}`); continue; }
+    if (seen.has(symbol)) { reject(`Duplicate of row ${seen.get(symbol)}`); continue; }
+
+    const out = { rowNumber: row.rowNumber, symbol };
+    let error = null;
+    for (const [key, label] of Object.entries(NUMERIC_FIELDS)) {
+      const raw = row[key];
+      if (raw === null || raw === undefined || String(raw).trim() === '') { out[key] = null; continue; }
+      const n = typeof raw === 'number' ? raw : Number(String(raw).replace(/[,%\s]/g, ''));
+      if (!Number.isFinite(n)) { error = `Invalid ${label} "${raw}"`; break; }
+      if (key !== 'terminalGrowth' && n <= 0) { error = `${label[0].toUpperCase()}${label.slice(1)} must be positive`; break; }
+      out[key] = key === 'forecastYears' ? Math.round(n) : n;
+    }
+    if (error) { reject(error); continue; }
+
+    out.notes = row.notes === null || row.notes === undefined || String(row.notes).trim() === '' ? null : String(row.notes);
+    seen.set(symbol, row.rowNumber);
+    valid.push(out);
+  }
+
+  return { valid, rejected };
+}
+
+module.exports = {
+  COLUMNS,
+  toCSV,
+  toJSON,
+  toXLSX,
+  impliedValueFormula,
+  readImportRows,
+  validateImportRows,
+};
@@ -6,11 +6,181 @@ const router = express.Router();
 const { v4: uuid } = require('uuid');
 const { getDB } = require('../db');
 const dcfEngine = require('../dcf-engine');
+const { stockDataColumns } = require('../data-fetcher');
+const { isAnalysable, computeAnalysis, itemAssumptions } = require('../analysis-cache');
+const watchlistIo = require('../watchlist-io');
 const { authMiddleware } = require('./auth');
 
 // All watchlist routes require authentication
 router.use(authMiddleware);
 
+// Per-list default assumption → watchlists column (NULL falls back to getDefaultAssumptions)
+const LIST_DEFAULTS = {
+  forecastYears: 'default_forecast_years',
+  discountRate: 'default_discount_rate',
+  terminalGrowth: 'default_terminal_growth',
+  exitPE: 'default_exit_pe',
+  expectedPatCagr: 'default_expected_pat_cagr',
+};
+
+// Remove alert rules (and their fired alerts) for the items selected by itemQuery
+function deleteItemAlerts(db, itemQuery, ...params) {
+  db.prepare(`DELETE FROM alerts WHERE rule_id IN (SELECT id FROM alert_rules WHERE watchlist_item_id IN (${itemQuery}))`).run(...params);
+  db.prepare(`DELETE FROM alert_rules WHERE watchlist_item_id IN (${itemQuery})`).run(...params);
+}
+
+function getOwnedWatchlist(db, watchlistId, userId) {
+  return db.prepare('SELECT * FROM watchlists WHERE id = ? AND user_id = ?').get(watchlistId, userId);
+}
+
+function getOwnedItem(db, watchlistId, itemId, userId) {
+  return db.prepare(`
+    SELECT wi.*, ${stockDataColumns('s')}
+    FROM watchlist_items wi
+    JOIN watchlists w ON w.id = wi.watchlist_id
+    JOIN stocks s ON s.symbol = wi.symbol
+    WHERE wi.id = ? AND wi.watchlist_id = ? AND w.user_id = ?
+  `).get(itemId, watchlistId, userId);
+}
+
+// Watchlist row with its default_* columns folded into `defaults`
+function formatWatchlist(wl) {
+  const out = { ...wl, defaults: {} };
+  for (const [key, column] of Object.entries(LIST_DEFAULTS)) {
+    out.defaults[key] = wl[column] ?? null;
+    delete out[column];
+  }
+  return out;
+}
+
+/**
+ * Validate a defaults body ({ discountRate: 14, exitPE: null, ... }); returns an error message or null.
+ * null clears a default; terminalGrowth may be zero or negative, the rest must be positive.
+ */
+function validateDefaults(defaults) {
+  if (defaults === undefined) return null;
+  if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) return 'defaults must be an object';
+  for (const [key, value] of Object.entries(defaults)) {
+    if (!LIST_DEFAULTS[key]) return `Unknown default "${key}"`;
+    if (value === null) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number or null`;
+    if (key !== 'terminalGrowth' && value <= 0) return `${key} must be positive`;
+  }
+  return null;
+}
+
+function nextItemPosition(db, watchlistId) {
+  return db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS p FROM watchlist_items WHERE watchlist_id = ?').get(watchlistId).p;
+}
+
+// Default model for a stocks row (see dcfEngine.getValuationMode)
+function valuationModeOf(stock) {
+  return dcfEngine.getValuationMode(stock.pat_fy_cr, stock.revenue_fy_cr, stock.sector, stock.book_value_cr, stock.industry);
+}
+
+/**
+ * Results for a stocks row under an item's assumptions (watchlist_items columns). Goes through
+ * analyzeStock, so the item gets the same model, terminal growth and cash flow basis as the
+ * stock analysis; implied growth is the implied PAT CAGR, revenue CAGR or ROE accordingly.
+ */
+function itemResults(stock, item) {
+  const r = computeAnalysis(stock, itemAssumptions(item));
+  return {
+    impliedGrowth: r.implied_growth,
+    impliedReturn: r.implied_return,
+    impliedValue: r.implied_value,
+    gap: r.expectation_gap,
+    signal: dcfEngine.getSignal(r.expectation_gap),
+    upside: r.upside,
+    valuationMode: r.valuation_mode,
+  };
+}
+
+/**
+ * Set the position column of the rows in `table` to their index in ids.
+ * ids must be exactly the ids currently in scope; returns an error message or null.
+ */
+function reorder(db, table, scopeColumn, scopeId, ids) {
+  const current = db.prepare(`SELECT id FROM ${table} WHERE ${scopeColumn} = ?`).all(scopeId).map(r => r.id);
+  if (!Array.isArray(ids) || ids.length !== current.length || new Set(ids).size !== ids.length
+    || !ids.every(id => current.includes(id))) {
+    return 'ids must list every entry exactly once';
+  }
+  const update = db.prepare(`UPDATE ${table} SET position = ? WHERE id = ?`);
+  db.transaction(() => ids.forEach((id, i) => update.run(i, id)))();
+  return null;
+}
+
+/**
+ * Items of a watchlist joined with their stock, with results recomputed at the latest price
+ */
+function getItemsWithLiveData(db, watchlistId) {
+  const items = db.prepare(`
+    SELECT wi.*, ${stockDataColumns('s')}, s.current_pe, s.pat_cagr_3y, s.pat_cagr_5y
+    FROM watchlist_items wi
+    JOIN stocks s ON s.symbol = wi.symbol
+    WHERE wi.watchlist_id = ?
+    ORDER BY wi.position, wi.added_at DESC
+  `).all(watchlistId);
+
+  // Recalculate implied growth with latest prices; implied_return is the annual return
+  // at today's price if the expectation is met
+  return items.map(item => {
+    if (!isAnalysable(item)) return item;
+    const r = itemResults(item, item);
+    return {
+      ...item,
+      valuation_mode: r.valuationMode,
+      implied_growth_rate: r.impliedGrowth,
+      implied_return: r.impliedReturn,
+      implied_equity_value: r.impliedValue,
+      expectation_gap: r.gap,
+      signal: r.signal,
+      upside: r.upside,
+    };
+  });
+}
+
+/**
+ * Add a stock to a watchlist, or replace the assumptions of its existing item.
+ * Each assumption comes from `input`, else the list's defaults, else getDefaultAssumptions.
+ * Re-adding keeps the item id (so alert rules stay attached), position and, when
+ * input.notes is not given, notes. Returns { id, created }.
+ */
+function upsertItem(db, wl, stock, input) {
+  const { forecastYears, discountRate, terminalGrowth, exitPE, expectedPatCagr, exitPEBasis, notes } = input;
+  const listDefaults = formatWatchlist(wl).defaults;
+  const defaults = dcfEngine.getDefaultAssumptions(stock.market_cap_cr, stock.sector, {
+    exitPEBasis,
+    medianPE: { '3y': stock.median_pe_3y, '5y': stock.median_pe_5y, '10y': stock.median_pe_10y },
+    beta: stock.beta,
+  });
+  const fy = forecastYears || listDefaults.forecastYears || defaults.forecastYears;
+  const dr = discountRate || listDefaults.discountRate || defaults.discountRate;
+  const tg = terminalGrowth ?? listDefaults.terminalGrowth ?? defaults.terminalGrowth;
+  const pe = exitPE || listDefaults.exitPE || defaults.exitPE;
+  // The expectation is in the stock's model: PAT CAGR, revenue CAGR or ROE; the list's
+  // expected PAT CAGR only applies to the PAT model
+  const modeDefault = { revenue: defaults.expectedRevenueCagr, residual_income: defaults.expectedRoe }[valuationModeOf(stock)];
+  const ec = expectedPatCagr || modeDefault || listDefaults.expectedPatCagr || defaults.expectedPatCagr;
+
+  const r = itemResults(stock, { forecast_years: fy, discount_rate: dr, terminal_growth: tg, exit_pe: pe, expected_pat_cagr: ec });
+
+  const existing = db.prepare('SELECT id, position, notes FROM watchlist_items WHERE watchlist_id = ? AND symbol = ?')
+    .get(wl.id, stock.symbol);
+  const id = existing ? existing.id : uuid();
+  db.prepare(`
+    INSERT OR REPLACE INTO watchlist_items 
+    (id, watchlist_id, symbol, forecast_years, discount_rate, terminal_growth, exit_pe, expected_pat_cagr,
+     implied_growth_rate, implied_equity_value, expectation_gap, signal, notes, position)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, wl.id, stock.symbol, fy, dr, tg, pe, ec,
+         r.impliedGrowth, r.impliedValue, r.gap, r.signal, notes ?? existing?.notes ?? '',
+         existing ? existing.position : nextItemPosition(db, wl.id));
+
+  return { id, created: !existing };
+}
+
 // ---- GET ALL WATCHLISTS ----
 router.get('/', (req, res) => {
   try {
@@ -21,10 +191,10 @@ router.get('/', (req, res) => {
       LEFT JOIN watchlist_items wi ON wi.watchlist_id = w.id
       WHERE w.user_id = ?
       GROUP BY w.id
-      ORDER BY w.created_at
+      ORDER BY w.position, w.created_at
     `).all(req.userId);
     
-    res.json(watchlists);
+    res.json(watchlists.map(formatWatchlist));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -33,13 +203,89 @@ router.get('/', (req, res) => {
 // ---- CREATE WATCHLIST ----
 router.post('/', (req, res) => {
   try {
-    const { name } = req.body;
+    const { name, defaults = {} } = req.body;
+    const error = validateDefaults(defaults);
+    if (error) return res.status(400).json({ error });
+
     const db = getDB();
     const id = uuid();
+    const position = db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS p FROM watchlists WHERE user_id = ?').get(req.userId).p;
     
-    db.prepare('INSERT INTO watchlists (id, user_id, name) VALUES (?, ?, ?)').run(id, req.userId, name || 'My List');
+    db.prepare(`
+      INSERT INTO watchlists (id, user_id, name, position, default_forecast_years, default_discount_rate,
+        default_terminal_growth, default_exit_pe, default_expected_pat_cagr)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, req.userId, name || 'My List', position, ...Object.keys(LIST_DEFAULTS).map(k => defaults[k] ?? null));
     
-    res.json({ id, user_id: req.userId, name: name || 'My List' });
+    res.json(formatWatchlist(getOwnedWatchlist(db, id, req.userId)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- REORDER WATCHLISTS ----
+router.put('/order', (req, res) => {
+  try {
+    const error = reorder(getDB(), 'watchlists', 'user_id', req.userId, req.body.watchlistIds);
+    if (error) return res.status(400).json({ error });
+    res.json({ message: 'Reordered' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- RENAME WATCHLIST / SET DEFAULT ASSUMPTIONS ----
+// { name, defaults: { discountRate: 14, exitPE: null }, applyToItems }: defaults are merged
+// (null clears one); applyToItems also writes the resulting non-null defaults onto every item.
+router.put('/:watchlistId', (req, res) => {
+  try {
+    const db = getDB();
+    const wl = getOwnedWatchlist(db, req.params.watchlistId, req.userId);
+    if (!wl) return res.status(404).json({ error: 'Watchlist not found' });
+
+    const { name, defaults = {}, applyToItems } = req.body;
+    const error = validateDefaults(defaults);
+    if (error) return res.status(400).json({ error });
+    if (name !== undefined && !String(name).trim()) return res.status(400).json({ error: 'name cannot be empty' });
+
+    const next = formatWatchlist({ ...wl, ...Object.fromEntries(Object.entries(defaults).map(([k, v]) => [LIST_DEFAULTS[k], v])) });
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE watchlists SET name = ?, default_forecast_years = ?, default_discount_rate = ?,
+          default_terminal_growth = ?, default_exit_pe = ?, default_expected_pat_cagr = ?
+        WHERE id = ?
+      `).run(name !== undefined ? String(name).trim() : wl.name, ...Object.keys(LIST_DEFAULTS).map(k => next.defaults[k]), wl.id);
+
+      if (applyToItems) {
+        const items = db.prepare(`
+          SELECT wi.*, ${stockDataColumns('s')}
+          FROM watchlist_items wi JOIN stocks s ON s.symbol = wi.symbol
+          WHERE wi.watchlist_id = ?
+        `).all(wl.id);
+        const update = db.prepare(`
+          UPDATE watchlist_items SET
+            forecast_years = ?, discount_rate = ?, terminal_growth = ?, exit_pe = ?, expected_pat_cagr = ?,
+            implied_growth_rate = ?, implied_equity_value = ?, expectation_gap = ?, signal = ?, updated_at = datetime('now')
+          WHERE id = ?
+        `);
+        const d = next.defaults;
+        for (const item of items) {
+          const a = {
+            forecast_years: d.forecastYears ?? item.forecast_years,
+            discount_rate: d.discountRate ?? item.discount_rate,
+            terminal_growth: d.terminalGrowth ?? item.terminal_growth,
+            exit_pe: d.exitPE ?? item.exit_pe,
+            expected_pat_cagr: (valuationModeOf(item) === 'pat' ? d.expectedPatCagr : null) ?? item.expected_pat_cagr,
+          };
+          const r = itemResults(item, a);
+          update.run(a.forecast_years, a.discount_rate, a.terminal_growth, a.exit_pe, a.expected_pat_cagr,
+                     r.impliedGrowth, r.impliedValue, r.gap, r.signal, item.id);
+        }
+      }
+    })();
+
+    res.json(formatWatchlist(getOwnedWatchlist(db, wl.id, req.userId)));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -51,89 +297,134 @@ router.get('/:watchlistId/items', (req, res) => {
     const db = getDB();
     
     // Verify ownership
-    const wl = db.prepare('SELECT * FROM watchlists WHERE id = ? AND user_id = ?').get(req.params.watchlistId, req.userId);
+    const wl = getOwnedWatchlist(db, req.params.watchlistId, req.userId);
     if (!wl) return res.status(404).json({ error: 'Watchlist not found' });
 
-    const items = db.prepare(`
-      SELECT wi.*, s.name, s.sector, s.cmp, s.market_cap_cr, s.pat_fy_cr, 
-             s.current_pe, s.revenue_fy_cr, s.pat_cagr_3y, s.pat_cagr_5y
-      FROM watchlist_items wi
-      JOIN stocks s ON s.symbol = wi.symbol
-      WHERE wi.watchlist_id = ?
-      ORDER BY wi.added_at DESC
-    `).all(req.params.watchlistId);
-
-    // Recalculate implied growth with latest prices
-    const enrichedItems = items.map(item => {
-      const mcapCr = item.market_cap_cr || (item.cmp * (item.shares_outstanding_cr || 0));
-      
-      if (item.pat_fy_cr > 0) {
-        const impliedGrowth = dcfEngine.solveImpliedGrowthRate(
-          item.pat_fy_cr, mcapCr,
-          item.discount_rate, item.forecast_years, item.exit_pe
-        );
-        
-        const impliedValue = dcfEngine.calculateImpliedEquityValue(
-          item.pat_fy_cr, item.expected_pat_cagr,
-          item.discount_rate, item.forecast_years, item.exit_pe
-        );
-
-        const expectationGap = item.expected_pat_cagr - (impliedGrowth || 0);
-
-        return {
-          ...item,
-          implied_growth_rate: impliedGrowth,
-          implied_equity_value: impliedValue,
-          expectation_gap: expectationGap,
-          signal: dcfEngine.getSignal(expectationGap),
-          upside: mcapCr > 0 ? ((impliedValue / mcapCr) - 1) * 100 : 0,
-        };
-      }
-      return item;
-    });
+    res.json(getItemsWithLiveData(db, wl.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- EXPORT WATCHLIST ----
+// ?format=csv (default) | xlsx | json. The XLSX sheet recomputes value, gap, upside and signal with formulas.
+const EXPORT_FORMATS = {
+  csv: { type: 'text/csv; charset=utf-8', write: (wl, items) => watchlistIo.toCSV(items) },
+  xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', write: watchlistIo.toXLSX },
+  json: { type: 'application/json; charset=utf-8', write: (wl, items) => JSON.stringify(watchlistIo.toJSON(wl, items), null, 2) },
+};
 
-    res.json(enrichedItems);
+router.get('/:watchlistId/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+
+    const db = getDB();
+    const wl = getOwnedWatchlist(db, req.params.watchlistId, req.userId);
+    if (!wl) return res.status(404).json({ error: 'Watchlist not found' });
+
+    const body = await exporter.write(formatWatchlist(wl), getItemsWithLiveData(db, wl.id));
+    const slug = wl.name.replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '') || 'watchlist';
+    res.set('Content-Type', exporter.type);
+    res.set('Content-Disposition', `attachment; filename="${slug}_${new Date().toISOString().slice(0, 10)}.${format}"`);
+    res.send(body);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ---- IMPORT INTO WATCHLIST ----
+// Body: an export of any format (.xlsx / text/csv / JSON), or any file with a Symbol column.
+// Known symbols are added or have their assumptions replaced (blank cells fall back to the
+// list / engine defaults, blank notes keep the current ones); the rest come back in `rejected`.
+// ?dryRun=1 validates without writing.
+const XLSX_TYPES = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/octet-stream'];
+
+router.post('/:watchlistId/import',
+  express.raw({ type: XLSX_TYPES, limit: '5mb' }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    try {
+      const db = getDB();
+      const wl = getOwnedWatchlist(db, req.params.watchlistId, req.userId);
+      if (!wl) return res.status(404).json({ error: 'Watchlist not found' });
+      const empty = Buffer.isBuffer(req.body) || typeof req.body === 'string'
+        ? req.body.length === 0
+        : !req.body || Object.keys(req.body).length === 0;
+      if (empty) {
+        return res.status(400).json({ error: 'Send the file as .xlsx / text/csv or JSON items' });
+      }
+
+      let rows;
+      try {
+        rows = await watchlistIo.readImportRows(req.body);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const symbols = [...new Set(rows.map(r => String(r.symbol ?? '').trim().toUpperCase()).filter(Boolean))];
+      const stocks = new Map(symbols.length === 0 ? [] : db.prepare(
+        `SELECT * FROM stocks WHERE symbol IN (${symbols.map(() => '?').join(',')})`
+      ).all(...symbols).map(s => [s.symbol, s]));
+      const { valid, rejected } = watchlistIo.validateImportRows(rows, new Set(stocks.keys()));
+
+      const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+      let created = 0;
+      if (!dryRun) {
+        db.transaction(() => {
+          for (const row of valid) {
+            if (upsertItem(db, wl, stocks.get(row.symbol), row).created) created++;
+          }
+        })();
+      } else {
+        const existing = new Set(db.prepare('SELECT symbol FROM watchlist_items WHERE watchlist_id = ?').pluck().all(wl.id));
+        created = valid.filter(row => !existing.has(row.symbol)).length;
+      }
+
+      res.status(valid.length === 0 && rejected.length > 0 ? 400 : 200).json({
+        imported: valid.length,
+        created,
+        updated: valid.length - created,
+        rejected,
+        dryRun,
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
 // ---- ADD ITEM TO WATCHLIST ----
 router.post('/:watchlistId/items', (req, res) => {
   try {
     const db = getDB();
-    const { symbol, forecastYears, discountRate, terminalGrowth, exitPE, expectedPatCagr, notes } = req.body;
+    const { symbol, forecastYears, discountRate, terminalGrowth, exitPE, expectedPatCagr, exitPEBasis, notes } = req.body;
     
     // Verify ownership
-    const wl = db.prepare('SELECT * FROM watchlists WHERE id = ? AND user_id = ?').get(req.params.watchlistId, req.userId);
+    const wl = getOwnedWatchlist(db, req.params.watchlistId, req.userId);
     if (!wl) return res.status(404).json({ error: 'Watchlist not found' });
 
     // Get stock data for initial calculation
     const stock = db.prepare('SELECT * FROM stocks WHERE symbol = ?').get(symbol.toUpperCase());
     if (!stock) return res.status(404).json({ error: 'Stock not found' });
 
-    const defaults = dcfEngine.getDefaultAssumptions(stock.market_cap_cr, stock.sector);
-    const fy = forecastYears || defaults.forecastYears;
-    const dr = discountRate || defaults.discountRate;
-    const tg = terminalGrowth || defaults.terminalGrowth;
-    const pe = exitPE || defaults.exitPE;
-    const ec = expectedPatCagr || defaults.expectedPatCagr;
+    const { id } = upsertItem(db, wl, stock, { forecastYears, discountRate, terminalGrowth, exitPE, expectedPatCagr, exitPEBasis, notes });
 
-    // Calculate
-    const impliedGrowth = dcfEngine.solveImpliedGrowthRate(stock.pat_fy_cr, stock.market_cap_cr, dr, fy, pe);
-    const impliedValue = dcfEngine.calculateImpliedEquityValue(stock.pat_fy_cr, ec, dr, fy, pe);
-    const gap = ec - (impliedGrowth || 0);
+    res.json({ id, symbol: symbol.toUpperCase(), message: 'Added to watchlist' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const id = uuid();
-    db.prepare(`
-      INSERT OR REPLACE INTO watchlist_items 
-      (id, watchlist_id, symbol, forecast_years, discount_rate, terminal_growth, exit_pe, expected_pat_cagr,
-       implied_growth_rate, implied_equity_value, expectation_gap, signal, notes)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(id, req.params.watchlistId, symbol.toUpperCase(), fy, dr, tg, pe, ec,
-           impliedGrowth, impliedValue, gap, dcfEngine.getSignal(gap), notes || '');
+// ---- REORDER WATCHLIST ITEMS ----
+router.put('/:watchlistId/items/order', (req, res) => {
+  try {
+    const db = getDB();
+    if (!getOwnedWatchlist(db, req.params.watchlistId, req.userId)) return res.status(404).json({ error: 'Watchlist not found' });
 
-    res.json({ id, symbol: symbol.toUpperCase(), message: 'Added to watchlist' });
+    const error = reorder(db, 'watchlist_items', 'watchlist_id', req.params.watchlistId, req.body.itemIds);
+    if (error) return res.status(400).json({ error });
+    res.json({ message: 'Reordered' });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -145,22 +436,18 @@ router.put('/:watchlistId/items/:itemId', (req, res) => {
     const db = getDB();
     const { forecastYears, discountRate, terminalGrowth, exitPE, expectedPatCagr, notes } = req.body;
     
-    const item = db.prepare(`
-      SELECT wi.*, s.pat_fy_cr, s.market_cap_cr 
-      FROM watchlist_items wi JOIN stocks s ON s.symbol = wi.symbol
-      WHERE wi.id = ? AND wi.watchlist_id = ?
-    `).get(req.params.itemId, req.params.watchlistId);
-    
+    const item = getOwnedItem(db, req.params.watchlistId, req.params.itemId, req.userId);
     if (!item) return res.status(404).json({ error: 'Item not found' });
 
     const fy = forecastYears || item.forecast_years;
     const dr = discountRate || item.discount_rate;
     const pe = exitPE || item.exit_pe;
     const ec = expectedPatCagr || item.expected_pat_cagr;
+    const tg = terminalGrowth ?? item.terminal_growth;
 
-    const impliedGrowth = dcfEngine.solveImpliedGrowthRate(item.pat_fy_cr, item.market_cap_cr, dr, fy, pe);
-    const impliedValue = dcfEngine.calculateImpliedEquityValue(item.pat_fy_cr, ec, dr, fy, pe);
-    const gap = ec - (impliedGrowth || 0);
+    const { impliedGrowth, impliedValue, gap, signal } = itemResults(item, {
+      forecast_years: fy, discount_rate: dr, terminal_growth: tg, exit_pe: pe, expected_pat_cagr: ec,
+    });
 
     db.prepare(`
       UPDATE watchlist_items SET 
@@ -168,8 +455,7 @@ router.put('/:watchlistId/items/:itemId', (req, res) => {
         implied_growth_rate = ?, implied_equity_value = ?, expectation_gap = ?, signal = ?,
         notes = COALESCE(?, notes), updated_at = datetime('now')
       WHERE id = ?
-    `).run(fy, dr, terminalGrowth || item.terminal_growth, pe, ec,
-           impliedGrowth, impliedValue, gap, dcfEngine.getSignal(gap), notes, req.params.itemId);
+    `).run(fy, dr, tg, pe, ec, impliedGrowth, impliedValue, gap, signal, notes, req.params.itemId);
 
     res.json({ message: 'Updated', impliedGrowth, expectationGap: gap });
   } catch (err) {
@@ -177,11 +463,59 @@ router.put('/:watchlistId/items/:itemId', (req, res) => {
   }
 });
 
+// ---- MOVE / COPY ITEM TO ANOTHER WATCHLIST ----
+// { toWatchlistId }. A moved item keeps its id, assumptions and alert rules; a copy gets a new id
+// and no alert rules. Either way it goes to the end of the target list.
+function transferItem(req, res, copy) {
+  try {
+    const db = getDB();
+    const item = getOwnedItem(db, req.params.watchlistId, req.params.itemId, req.userId);
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+
+    const target = getOwnedWatchlist(db, req.body.toWatchlistId, req.userId);
+    if (!target) return res.status(404).json({ error: 'Target watchlist not found' });
+    if (target.id === item.watchlist_id) return res.status(400).json({ error: 'Item is already in that watchlist' });
+    if (db.prepare('SELECT id FROM watchlist_items WHERE watchlist_id = ? AND symbol = ?').get(target.id, item.symbol)) {
+      return res.status(409).json({ error: `${item.symbol} is already in ${target.name}` });
+    }
+
+    const position = nextItemPosition(db, target.id);
+    let id = item.id;
+    if (copy) {
+      id = uuid();
+      db.prepare(`
+        INSERT INTO watchlist_items
+        (id, watchlist_id, symbol, forecast_years, discount_rate, terminal_growth, exit_pe, expected_pat_cagr,
+         implied_growth_rate, implied_equity_value, expectation_gap, signal, notes, position)
+        SELECT ?, ?, symbol, forecast_years, discount_rate, terminal_growth, exit_pe, expected_pat_cagr,
+          implied_growth_rate, implied_equity_value, expectation_gap, signal, notes, ?
+        FROM watchlist_items WHERE id = ?
+      `).run(id, target.id, position, item.id);
+    } else {
+      db.prepare(`UPDATE watchlist_items SET watchlist_id = ?, position = ?, updated_at = datetime('now') WHERE id = ?`)
+        .run(target.id, position, item.id);
+    }
+
+    res.json({ id, watchlistId: target.id, symbol: item.symbol, message: copy ? 'Copied' : 'Moved' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+router.post('/:watchlistId/items/:itemId/move', (req, res) => transferItem(req, res, false));
+router.post('/:watchlistId/items/:itemId/copy', (req, res) => transferItem(req, res, true));
+
 // ---- REMOVE ITEM FROM WATCHLIST ----
 router.delete('/:watchlistId/items/:itemId', (req, res) => {
   try {
     const db = getDB();
-    db.prepare('DELETE FROM watchlist_items WHERE id = ? AND watchlist_id = ?').run(req.params.itemId, req.params.watchlistId);
+    if (!getOwnedItem(db, req.params.watchlistId, req.params.itemId, req.userId)) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    db.transaction(() => {
+      deleteItemAlerts(db, 'SELECT id FROM watchlist_items WHERE id = ? AND watchlist_id = ?', req.params.itemId, req.params.watchlistId);
+      db.prepare('DELETE FROM watchlist_items WHERE id = ? AND watchlist_id = ?').run(req.params.itemId, req.params.watchlistId);
+    })();
     res.json({ message: 'Removed' });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -192,8 +526,14 @@ router.delete('/:watchlistId/items/:itemId', (req, res) => {
 router.delete('/:watchlistId', (req, res) => {
   try {
     const db = getDB();
-    db.prepare('DELETE FROM watchlist_items WHERE watchlist_id = ?').run(req.params.watchlistId);
-    db.prepare('DELETE FROM watchlists WHERE id = ? AND user_id = ?').run(req.params.watchlistId, req.userId);
+    if (!getOwnedWatchlist(db, req.params.watchlistId, req.userId)) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    db.transaction(() => {
+      deleteItemAlerts(db, 'SELECT id FROM watchlist_items WHERE watchlist_id = ?', req.params.watchlistId);
+      db.prepare('DELETE FROM watchlist_items WHERE watchlist_id = ?').run(req.params.watchlistId);
+      db.prepare('DELETE FROM watchlists WHERE id = ? AND user_id = ?').run(req.params.watchlistId, req.userId);
+    })();
     res.json({ message: 'Deleted' });
   } catch (err) {
     res.status(500).json({ error: err.message });